@@ -1,6 +1,20 @@
 const mongoose = require("mongoose")
+const { isMemoryStorage } = require("./storage")
 
 const connectDB = async () => {
+  // Stockage en mémoire : pas de connexion (une requête MongoDB imprévue échoue au lieu d'attendre)
+  if (isMemoryStorage()) {
+    mongoose.set("bufferCommands", false)
+    console.log("💾 Stockage en mémoire : MongoDB n'est pas utilisé, les données sont perdues à l'arrêt")
+    console.log("💾 Journal d'activités (activités, clients, rendez-vous, événements, enquêtes) indisponible")
+    try {
+      await require("../repositories/memory").seed()
+    } catch (error) {
+      console.error("❌ Erreur création du compte initial:", error.message)
+    }
+    return
+  }
+
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/wawtelecom", {
       useNewUrlParser: true,
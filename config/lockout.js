@@ -0,0 +1,43 @@
+// Politique de blocage des comptes et des adresses IP après des échecs de connexion
+const toInt = (value, defaultValue) => {
+  const parsed = Number.parseInt(value)
+  return Number.isNaN(parsed) ? defaultValue : parsed
+}
+
+const toFloat = (value, defaultValue) => {
+  const parsed = Number.parseFloat(value)
+  return Number.isNaN(parsed) ? defaultValue : parsed
+}
+
+const lockoutConfig = {
+  compte: {
+    // Nombre d'échecs avant blocage du compte
+    tentativesMax: toInt(process.env.LOCKOUT_MAX_ATTEMPTS, 5),
+    // Durée du premier blocage (minutes)
+    dureeInitiale: toInt(process.env.LOCKOUT_BASE_DURATION_MINUTES, 15),
+    // Facteur appliqué à chaque nouveau blocage
+    multiplicateur: toFloat(process.env.LOCKOUT_MULTIPLIER, 2),
+    // Durée maximale d'un blocage (minutes)
+    dureeMax: toInt(process.env.LOCKOUT_MAX_DURATION_MINUTES, 24 * 60),
+  },
+  ip: {
+    // Nombre d'échecs tolérés par IP sur la fenêtre d'observation
+    tentativesMax: toInt(process.env.LOCKOUT_IP_MAX_ATTEMPTS, 20),
+    // Fenêtre d'observation (minutes)
+    fenetre: toInt(process.env.LOCKOUT_IP_WINDOW_MINUTES, 15),
+    // Durée du blocage de l'IP (minutes)
+    duree: toInt(process.env.LOCKOUT_IP_DURATION_MINUTES, 30),
+  },
+}
+
+// Durée du blocage d'un compte en fonction du nombre de blocages précédents (en ms)
+const getAccountLockDuration = (nombreBlocages) => {
+  const { dureeInitiale, multiplicateur, dureeMax } = lockoutConfig.compte
+  const minutes = Math.min(dureeInitiale * Math.pow(multiplicateur, nombreBlocages), dureeMax)
+  return Math.round(minutes * 60 * 1000)
+}
+
+module.exports = {
+  lockoutConfig,
+  getAccountLockDuration,
+}
@@ -0,0 +1,22 @@
+// Planification des rappels de saisie mensuelle des performances
+const toInt = (value, defaultValue) => {
+  const parsed = Number.parseInt(value)
+  return Number.isNaN(parsed) ? defaultValue : parsed
+}
+
+const reminderConfig = {
+  // Désactiver le planificateur (ex. instances dédiées à l'API)
+  actif: process.env.REMINDERS_ENABLED !== "false",
+  // Nombre de jours avant la fin du mois à partir duquel les rappels sont envoyés
+  joursAvantFinMois: toInt(process.env.REMINDER_DAYS_BEFORE_MONTH_END, 3),
+  // Délai de grâce après le rappel avant d'alerter le manager (jours)
+  delaiEscalade: toInt(process.env.REMINDER_ESCALATION_DELAY_DAYS, 3),
+  // Fréquence de vérification (minutes)
+  intervalle: toInt(process.env.REMINDER_CHECK_INTERVAL_MINUTES, 60),
+  // Durée du verrou d'exécution partagé entre instances (minutes)
+  dureeVerrou: toInt(process.env.REMINDER_LOCK_DURATION_MINUTES, 10),
+}
+
+module.exports = {
+  reminderConfig,
+}
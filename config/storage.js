@@ -0,0 +1,30 @@
+// Stockage des données
+// "mongo" (par défaut) : base MongoDB ; "memory" : données en mémoire, perdues à l'arrêt du service
+// (développement du frontend, tests), sans connexion à MongoDB ; le journal d'activités (activités, clients,
+// rendez-vous, événements et enquêtes) est alors indisponible (réponse 503)
+const STORAGE_BACKENDS = ["mongo", "memory"]
+
+const storageConfig = {
+  backend: (process.env.STORAGE_BACKEND || "mongo").trim().toLowerCase(),
+  // Compte administrateur créé au démarrage du stockage en mémoire (si email et mot de passe sont fournis)
+  adminInitial: {
+    email: process.env.MEMORY_ADMIN_EMAIL,
+    password: process.env.MEMORY_ADMIN_PASSWORD,
+    nom: process.env.MEMORY_ADMIN_NOM || "Admin",
+    prenom: process.env.MEMORY_ADMIN_PRENOM || "Wawtelecom",
+  },
+}
+
+if (!STORAGE_BACKENDS.includes(storageConfig.backend)) {
+  throw new Error(
+    `STORAGE_BACKEND invalide : ${storageConfig.backend} (valeurs possibles : ${STORAGE_BACKENDS.join(", ")})`,
+  )
+}
+
+const isMemoryStorage = () => storageConfig.backend === "memory"
+
+module.exports = {
+  STORAGE_BACKENDS,
+  storageConfig,
+  isMemoryStorage,
+}
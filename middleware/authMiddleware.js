@@ -1,5 +1,5 @@
 const jwt = require("jsonwebtoken")
-const User = require("../models/User")
+const { users } = require("../repositories")
 
 // Middleware de protection des routes
 const protect = async (req, res, next) => {
@@ -15,7 +15,7 @@ const protect = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || "wawtelecom_secret_key")
 
       // Récupérer l'utilisateur
-      const user = await User.findById(decoded.id)
+      const user = await users.findById(decoded.id)
 
       if (!user) {
         return res.status(401).json({
@@ -24,6 +24,14 @@ const protect = async (req, res, next) => {
         })
       }
 
+      // Vérifier que le token n'a pas été émis avant un changement de mot de passe
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: "Token révoqué - mot de passe modifié",
+        })
+      }
+
       // Vérifier si le compte est actif
       if (user.statut !== "actif") {
         return res.status(403).json({
@@ -32,11 +40,22 @@ const protect = async (req, res, next) => {
         })
       }
 
-      // Vérifier si le compte n'est pas bloqué
-      if (user.compteBloque) {
+      // Vérifier si le compte n'est pas bloqué (déblocage automatique si le délai est écoulé)
+      if (await user.checkLockExpiration()) {
         return res.status(423).json({
           success: false,
           message: "Compte bloqué",
+          dateFinBlocage: new Date(Date.now() + user.getRemainingLockTime()),
+          tempsRestant: Math.ceil(user.getRemainingLockTime() / 1000),
+        })
+      }
+
+      // Vérifier que l'email a été confirmé
+      if (!user.emailVerifie) {
+        return res.status(403).json({
+          success: false,
+          code: "EMAIL_NON_VERIFIE",
+          message: "Adresse email non vérifiée",
         })
       }
 
@@ -46,6 +65,8 @@ const protect = async (req, res, next) => {
         email: user.email,
         nom: user.nom,
         prenom: user.prenom,
+        role: user.role,
+        manager: user.manager ? user.manager.toString() : null,
       }
 
       next()
@@ -87,7 +108,7 @@ const authorizeRoles = (...roles) => {
       if (!req.user || !req.user.id) {
         return res.status(401).json({ success: false, message: "Utilisateur non authentifié" })
       }
-      const user = await User.findById(req.user.id)
+      const user = await users.findById(req.user.id)
       if (!user) {
         return res.status(401).json({ success: false, message: "Utilisateur non trouvé" })
       }
@@ -0,0 +1,16 @@
+const { isMemoryStorage } = require("../config/storage")
+
+// Middleware réservant des routes au stockage MongoDB : le journal d'activités (activités, clients,
+// rendez-vous, événements et enquêtes) n'est pas disponible avec le stockage en mémoire
+const requireMongoStorage = (req, res, next) => {
+  if (!isMemoryStorage()) return next()
+
+  res.status(503).json({
+    success: false,
+    message: "Fonctionnalité indisponible avec le stockage en mémoire (STORAGE_BACKEND=memory)",
+  })
+}
+
+module.exports = {
+  requireMongoStorage,
+}
@@ -0,0 +1,222 @@
+const mongoose = require("mongoose")
+const { schemaFields } = require("../utils/listQuery")
+const Client = require("./Client")
+const Appointment = require("./Appointment")
+const Event = require("./Event")
+const SurveyInvitation = require("./SurveyInvitation")
+
+// Type d'activité -> indicateur mensuel de Performance alimenté
+const ACTIVITY_FIELDS = {
+  encaissement: "chiffreAffaires",
+  dossier_maj: "dossiersMAJ",
+}
+
+// Types retirés de la saisie (désormais dérivés des fiches clients, rendez-vous et inscriptions) :
+// les activités déjà journalisées restent valides et comptent toujours dans leur indicateur
+const LEGACY_ACTIVITY_FIELDS = {
+  rdv_planifie: "rdvPlanifies",
+  rdv_realise: "rdvRealises",
+  vente: "ventesRealisees",
+  nouveau_client: "nouveauxClients",
+  evenement: "evenements",
+}
+
+const RECORDED_ACTIVITY_FIELDS = { ...ACTIVITY_FIELDS, ...LEGACY_ACTIVITY_FIELDS }
+
+// Types portant un montant (les anciennes ventes alimentaient aussi le chiffre d'affaires)
+const AMOUNT_TYPES = ["encaissement", "vente"]
+
+// Indicateurs de Performance calculés à partir du journal d'activités
+// (les nouveaux clients proviennent des fiches clients acquises dans le mois,
+// les RDV et les ventes de l'issue des rendez-vous, les événements des inscriptions,
+// la satisfaction des réponses aux enquêtes)
+const COMPUTED_FIELDS = [
+  "chiffreAffaires",
+  "nouveauxClients",
+  "rdvPlanifies",
+  "rdvRealises",
+  "ventesRealisees",
+  "dossiersMAJ",
+  "totalDossiers",
+  "evenements",
+  "satisfaction",
+]
+
+const activitySchema = new mongoose.Schema(
+  {
+    utilisateur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.keys(RECORDED_ACTIVITY_FIELDS),
+      required: [true, "Le type d'activité est requis"],
+    },
+    date: {
+      type: Date,
+      required: [true, "La date de l'activité est requise"],
+    },
+    quantite: {
+      type: Number,
+      default: 1,
+      min: [1, "La quantité doit être au moins 1"],
+    },
+    // Montant d'un encaissement (ou d'une ancienne vente), cumulé dans le chiffre d'affaires du mois
+    montant: {
+      type: Number,
+      default: 0,
+      min: [0, "Le montant ne peut pas être négatif"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, "La description ne peut pas dépasser 300 caractères"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+activitySchema.index({ utilisateur: 1, date: -1 })
+activitySchema.index({ utilisateur: 1, type: 1, date: -1 })
+
+// Seuls les encaissements (et les anciennes ventes) portent un montant
+activitySchema.pre("save", function (next) {
+  if (!AMOUNT_TYPES.includes(this.type)) this.montant = 0
+  next()
+})
+
+const toObjectIds = (utilisateurs) => [].concat(utilisateurs).map((id) => new mongoose.Types.ObjectId(id))
+
+const monthRange = (annee, mois) => ({ $gte: new Date(annee, mois - 1, 1), $lt: new Date(annee, mois, 1) })
+
+// Filtre des activités d'un ou plusieurs utilisateurs sur un mois
+const monthMatch = (utilisateurs, annee, mois) => ({
+  utilisateur: { $in: toObjectIds(utilisateurs) },
+  date: monthRange(annee, mois),
+})
+
+// Indicateurs détaillés jour par jour
+const DAY_FIELDS = [...new Set(Object.values(RECORDED_ACTIVITY_FIELDS))]
+
+// Un encaissement compte pour son montant, les autres activités pour leur quantité
+const activityValue = (type, quantite, montant) => (type === "encaissement" ? montant : quantite)
+
+// Cumul d'un groupe d'activités d'un même type dans des indicateurs
+const addActivity = (totals, type, quantite, montant) => {
+  totals[RECORDED_ACTIVITY_FIELDS[type]] += activityValue(type, quantite, montant)
+  if (type === "vente") totals.chiffreAffaires += montant
+}
+
+// Méthode statique pour cumuler les activités d'un mois en indicateurs de Performance
+// utilisateurs : un identifiant ou une liste d'identifiants
+activitySchema.statics.summarizeMonth = async function (utilisateurs, annee, mois) {
+  const results = await this.aggregate([
+    { $match: monthMatch(utilisateurs, annee, mois) },
+    { $group: { _id: "$type", quantite: { $sum: "$quantite" }, montant: { $sum: "$montant" }, count: { $sum: 1 } } },
+  ])
+
+  const totals = COMPUTED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: 0 }), { activites: 0 })
+
+  results.forEach(({ _id, quantite, montant, count }) => {
+    addActivity(totals, _id, quantite, montant)
+    totals.activites += count
+  })
+
+  const periode = monthRange(annee, mois)
+  const nouveauxClients = await Client.countDocuments({
+    acquisPar: { $in: toObjectIds(utilisateurs) },
+    dateAcquisition: periode,
+  })
+  totals.nouveauxClients += nouveauxClients
+  totals.activites += nouveauxClients
+
+  const rdv = await Appointment.summarizeMonth(toObjectIds(utilisateurs), periode.$gte, periode.$lt)
+  totals.rdvPlanifies += rdv.rdvPlanifies
+  totals.rdvRealises += rdv.rdvRealises
+  totals.ventesRealisees += rdv.ventesRealisees
+  totals.chiffreAffaires += rdv.chiffreAffaires
+  totals.activites += rdv.rdvPlanifies
+
+  const evenements = await Event.countParticipations(toObjectIds(utilisateurs), periode.$gte, periode.$lt)
+  totals.evenements += evenements
+  totals.activites += evenements
+
+  const enquetes = await SurveyInvitation.summarizeMonth(toObjectIds(utilisateurs), annee, mois)
+  totals.satisfaction = enquetes.satisfaction
+  totals.tauxReponseSatisfaction = enquetes.tauxReponse
+  totals.activites += enquetes.reponses
+
+  return totals
+}
+
+// Méthode statique pour détailler les activités d'un mois jour par jour
+activitySchema.statics.summarizeByDay = async function (utilisateurs, annee, mois) {
+  const results = await this.aggregate([
+    { $match: monthMatch(utilisateurs, annee, mois) },
+    {
+      $group: {
+        _id: {
+          jour: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$date",
+              timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            },
+          },
+          type: "$type",
+        },
+        quantite: { $sum: "$quantite" },
+        montant: { $sum: "$montant" },
+      },
+    },
+  ])
+
+  const periode = monthRange(annee, mois)
+  const rdvParJour = await Appointment.summarizeByDay(toObjectIds(utilisateurs), periode.$gte, periode.$lt)
+  const evenementsParJour = await Event.participationsByDay(toObjectIds(utilisateurs), periode.$gte, periode.$lt)
+
+  const days = new Map()
+  const getDay = (jour) => {
+    if (!days.has(jour)) {
+      days.set(jour, { jour, ...Object.fromEntries(DAY_FIELDS.map((field) => [field, 0])) })
+    }
+    return days.get(jour)
+  }
+
+  results.forEach(({ _id, quantite, montant }) => {
+    addActivity(getDay(_id.jour), _id.type, quantite, montant)
+  })
+  const compteursParJour = [...rdvParJour, ...evenementsParJour]
+  compteursParJour.forEach(({ jour, ...compteurs }) => {
+    const day = getDay(jour)
+    Object.entries(compteurs).forEach(([field, value]) => (day[field] += value))
+  })
+
+  return [...days.values()].sort((a, b) => a.jour.localeCompare(b.jour))
+}
+
+// Description des listes d'activités pour la couche de requête commune (utils/listQuery)
+activitySchema.statics.LIST_QUERY = {
+  sorts: {
+    date: "date",
+    type: "type",
+    quantite: "quantite",
+    montant: "montant",
+    createdAt: "createdAt",
+  },
+  defaultSort: "-date",
+  ranges: {
+    montant: { path: "montant", type: "number" },
+  },
+  fields: schemaFields(activitySchema),
+}
+
+activitySchema.statics.ACTIVITY_FIELDS = ACTIVITY_FIELDS
+activitySchema.statics.RECORDED_ACTIVITY_FIELDS = RECORDED_ACTIVITY_FIELDS
+activitySchema.statics.COMPUTED_FIELDS = COMPUTED_FIELDS
+
+module.exports = mongoose.model("Activity", activitySchema)
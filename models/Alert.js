@@ -0,0 +1,71 @@
+const mongoose = require("mongoose")
+
+const alertSchema = new mongoose.Schema(
+  {
+    regle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AlertRule",
+      required: true,
+    },
+    performance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Performance",
+    },
+    // Commercial concerné
+    utilisateur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    destinataire: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    kpi: {
+      type: String,
+      required: true,
+    },
+    valeur: {
+      type: Number,
+    },
+    valeurPrecedente: {
+      type: Number,
+    },
+    seuil: {
+      type: Number,
+    },
+    periode: {
+      annee: Number,
+      mois: Number,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Identifie un dépassement (règle + commercial + période) pour ne le signaler qu'une fois
+    cleDeduplication: {
+      type: String,
+      required: true,
+    },
+    lue: {
+      type: Boolean,
+      default: false,
+    },
+    dateLecture: {
+      type: Date,
+    },
+    emailEnvoye: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+alertSchema.index({ cleDeduplication: 1, destinataire: 1 }, { unique: true })
+alertSchema.index({ destinataire: 1, lue: 1, createdAt: -1 })
+
+module.exports = mongoose.model("Alert", alertSchema)
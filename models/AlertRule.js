@@ -0,0 +1,69 @@
+const mongoose = require("mongoose")
+
+// Indicateurs surveillés par les règles d'alerte
+const ALERT_KPIS = ["tauxObjectif", "tauxTransformation", "completudeDossiers", "satisfaction"]
+
+const alertRuleSchema = new mongoose.Schema(
+  {
+    nom: {
+      type: String,
+      required: [true, "Le nom de la règle est requis"],
+      trim: true,
+      maxlength: [100, "Le nom ne peut pas dépasser 100 caractères"],
+    },
+    kpi: {
+      type: String,
+      required: [true, "L'indicateur est requis"],
+      enum: ALERT_KPIS,
+    },
+    // "seuil" : valeur inférieure au seuil ; "baisse" : recul d'au moins "seuil" par rapport au mois précédent
+    condition: {
+      type: String,
+      enum: ["seuil", "baisse"],
+      default: "seuil",
+    },
+    seuil: {
+      type: Number,
+      required: [true, "Le seuil est requis"],
+      min: [0, "Le seuil ne peut pas être négatif"],
+    },
+    // Périmètre : toute l'entreprise ou l'équipe d'un manager (équipes imbriquées comprises)
+    perimetre: {
+      type: String,
+      enum: ["entreprise", "equipe"],
+      default: "entreprise",
+    },
+    equipe: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actif: {
+      type: Boolean,
+      default: true,
+    },
+    creePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+alertRuleSchema.index({ actif: 1, kpi: 1 })
+
+// Une règle d'équipe doit désigner le manager de l'équipe
+alertRuleSchema.pre("validate", function (next) {
+  if (this.perimetre === "equipe" && !this.equipe) {
+    this.invalidate("equipe", "Une règle d'équipe doit préciser l'équipe concernée")
+  }
+  if (this.perimetre === "entreprise") {
+    this.equipe = undefined
+  }
+  next()
+})
+
+alertRuleSchema.statics.ALERT_KPIS = ALERT_KPIS
+
+module.exports = mongoose.model("AlertRule", alertRuleSchema)
@@ -0,0 +1,158 @@
+const mongoose = require("mongoose")
+const { schemaFields } = require("../utils/listQuery")
+
+// Issue d'un rendez-vous ; "realise" et "vente" comptent comme RDV réalisés
+const APPOINTMENT_OUTCOMES = ["planifie", "realise", "absent", "annule", "vente"]
+const DONE_OUTCOMES = ["realise", "vente"]
+
+// Compteurs alimentant la Performance mensuelle (les RDV annulés sont exclus en amont)
+const OUTCOME_COUNTERS = {
+  rdvPlanifies: { $sum: 1 },
+  rdvRealises: { $sum: { $cond: [{ $in: ["$resultat", DONE_OUTCOMES] }, 1, 0] } },
+  ventesRealisees: { $sum: { $cond: [{ $eq: ["$resultat", "vente"] }, 1, 0] } },
+  chiffreAffaires: { $sum: "$montantVente" },
+}
+
+const appointmentSchema = new mongoose.Schema(
+  {
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: [true, "Le client est requis"],
+    },
+    commercial: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    debut: {
+      type: Date,
+      required: [true, "La date de début est requise"],
+    },
+    fin: {
+      type: Date,
+      required: [true, "La date de fin est requise"],
+    },
+    objet: {
+      type: String,
+      trim: true,
+      maxlength: [150, "L'objet ne peut pas dépasser 150 caractères"],
+    },
+    lieu: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Le lieu ne peut pas dépasser 200 caractères"],
+    },
+    notes: {
+      type: String,
+      maxlength: [1000, "Les notes ne peuvent pas dépasser 1000 caractères"],
+    },
+    resultat: {
+      type: String,
+      enum: APPOINTMENT_OUTCOMES,
+      default: "planifie",
+    },
+    // Montant de la vente conclue, cumulé dans le chiffre d'affaires du mois
+    montantVente: {
+      type: Number,
+      default: 0,
+      min: [0, "Le montant ne peut pas être négatif"],
+    },
+    dateResultat: {
+      type: Date,
+    },
+    creePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+appointmentSchema.index({ commercial: 1, debut: 1 })
+appointmentSchema.index({ client: 1, debut: -1 })
+
+appointmentSchema.pre("validate", function (next) {
+  if (this.debut && this.fin && this.fin <= this.debut) {
+    this.invalidate("fin", "La fin du rendez-vous doit être postérieure à son début")
+  }
+  next()
+})
+
+// Seules les ventes portent un montant
+appointmentSchema.pre("save", function (next) {
+  if (this.resultat !== "vente") this.montantVente = 0
+  next()
+})
+
+// Méthode statique pour trouver les rendez-vous qui chevauchent un créneau dans l'agenda d'un commercial
+appointmentSchema.statics.findConflicts = function (commercial, debut, fin, excludeId = null) {
+  return this.find({
+    commercial,
+    resultat: { $ne: "annule" },
+    debut: { $lt: fin },
+    fin: { $gt: debut },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  })
+    .populate("client", "raisonSociale")
+    .sort({ debut: 1 })
+}
+
+// RDV non annulés d'un ou plusieurs commerciaux sur une période
+const periodMatch = (utilisateurs, debut, fin) => ({
+  commercial: { $in: utilisateurs },
+  debut: { $gte: debut, $lt: fin },
+  resultat: { $ne: "annule" },
+})
+
+// Méthode statique pour compter les RDV et ventes d'un mois
+// utilisateurs : liste d'identifiants (ObjectId)
+appointmentSchema.statics.summarizeMonth = async function (utilisateurs, debut, fin) {
+  const [totals] = await this.aggregate([
+    { $match: periodMatch(utilisateurs, debut, fin) },
+    { $group: { _id: null, ...OUTCOME_COUNTERS } },
+    { $project: { _id: 0 } },
+  ])
+
+  return totals || { rdvPlanifies: 0, rdvRealises: 0, ventesRealisees: 0, chiffreAffaires: 0 }
+}
+
+// Méthode statique pour détailler les RDV et ventes d'un mois jour par jour
+appointmentSchema.statics.summarizeByDay = async function (utilisateurs, debut, fin) {
+  const results = await this.aggregate([
+    { $match: periodMatch(utilisateurs, debut, fin) },
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format: "%Y-%m-%d",
+            date: "$debut",
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          },
+        },
+        ...OUTCOME_COUNTERS,
+      },
+    },
+  ])
+
+  return results.map(({ _id, ...totals }) => ({ jour: _id, ...totals }))
+}
+
+// Description des listes de rendez-vous pour la couche de requête commune (utils/listQuery)
+appointmentSchema.statics.LIST_QUERY = {
+  sorts: {
+    debut: "debut",
+    fin: "fin",
+    resultat: "resultat",
+    montantVente: "montantVente",
+    createdAt: "createdAt",
+  },
+  defaultSort: "debut",
+  fields: schemaFields(appointmentSchema),
+}
+
+appointmentSchema.statics.APPOINTMENT_OUTCOMES = APPOINTMENT_OUTCOMES
+
+module.exports = mongoose.model("Appointment", appointmentSchema)
@@ -0,0 +1,163 @@
+const mongoose = require("mongoose")
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    entite: {
+      type: String,
+      required: true,
+      enum: ["Performance"],
+    },
+    entiteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Numéro de version de l'entité après l'action
+    version: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: ["creation", "modification", "suppression", "soumission", "validation", "rejet", "reouverture"],
+    },
+    acteur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Utilisateur propriétaire des données concernées
+    utilisateurConcerne: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changements: [
+      {
+        _id: false,
+        champ: String,
+        ancienneValeur: mongoose.Schema.Types.Mixed,
+        nouvelleValeur: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // État complet de l'entité (conservé lors d'une suppression)
+    instantane: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    adresseIP: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+auditLogSchema.index({ entite: 1, entiteId: 1, version: 1 }, { unique: true })
+auditLogSchema.index({ acteur: 1, createdAt: -1 })
+auditLogSchema.index({ utilisateurConcerne: 1, createdAt: -1 })
+auditLogSchema.index({ action: 1, createdAt: -1 })
+auditLogSchema.index({ createdAt: -1 })
+
+// Champs techniques exclus du différentiel
+const IGNORED_FIELDS = ["_id", "id", "__v", "createdAt", "updatedAt"]
+
+// Normalisation d'une valeur pour comparaison et stockage
+const normalize = (value) => {
+  if (value === undefined || value === null) return null
+  if (value instanceof Date) return value.toISOString()
+  if (value instanceof mongoose.Types.ObjectId) return value.toString()
+  if (value && value._id instanceof mongoose.Types.ObjectId) return value._id.toString()
+  return value
+}
+
+// Aplatir un document en chemins pointés (ex. "periode.mois")
+const flatten = (object, prefix = "", result = {}) => {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    if (IGNORED_FIELDS.includes(key)) return
+    const path = prefix ? `${prefix}.${key}` : key
+    if (
+      value &&
+      typeof value === "object" &&
+      !(value instanceof Date) &&
+      !(value instanceof mongoose.Types.ObjectId) &&
+      !(value._id instanceof mongoose.Types.ObjectId) &&
+      !Array.isArray(value)
+    ) {
+      flatten(value, path, result)
+    } else {
+      result[path] = normalize(value)
+    }
+  })
+  return result
+}
+
+// Conversion d'un document Mongoose (ou objet simple) en objet brut sans virtuals
+const toPlain = (doc) => {
+  if (!doc) return {}
+  return typeof doc.toObject === "function" ? doc.toObject({ virtuals: false, depopulate: true }) : doc
+}
+
+// Méthode statique pour calculer le différentiel champ par champ entre deux états
+auditLogSchema.statics.diff = function (before, after) {
+  const flatBefore = flatten(toPlain(before))
+  const flatAfter = flatten(toPlain(after))
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])
+
+  return [...fields]
+    .filter((champ) => JSON.stringify(flatBefore[champ] ?? null) !== JSON.stringify(flatAfter[champ] ?? null))
+    .map((champ) => ({
+      champ,
+      ancienneValeur: flatBefore[champ] ?? null,
+      nouvelleValeur: flatAfter[champ] ?? null,
+    }))
+}
+
+// Méthode statique pour préparer une entrée d'audit, sans numéro de version
+// Retourne null pour une modification sans changement effectif (non tracée)
+auditLogSchema.statics.prepare = function ({ entite, entiteId, action, acteur, before, after, req }) {
+  const changements = this.diff(before, after)
+  if (action === "modification" && changements.length === 0) return null
+
+  const source = toPlain(after && Object.keys(toPlain(after)).length ? after : before)
+
+  return {
+    entite,
+    entiteId,
+    action,
+    acteur,
+    utilisateurConcerne: normalize(source.utilisateur),
+    changements,
+    instantane: action === "suppression" ? toPlain(before) : undefined,
+    adresseIP: req ? req.ip : undefined,
+  }
+}
+
+// Nombre maximal de tentatives d'attribution d'un numéro de version
+const MAX_VERSION_ATTEMPTS = 5
+
+// Méthode statique pour insérer une entrée préparée avec la version suivante de l'entité
+// Deux écritures concurrentes peuvent lire la même dernière version : l'index unique rejette la seconde,
+// qui recalcule alors sa version. Le stockage fournit la lecture de la dernière version et la création.
+auditLogSchema.statics.insertVersioned = async function (entry, { findLastVersion, create }) {
+  for (let attempt = 1; ; attempt += 1) {
+    const last = await findLastVersion(entry)
+    try {
+      return await create({ ...entry, version: last ? last.version + 1 : 1 })
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error
+    }
+  }
+}
+
+// Méthode statique pour enregistrer une entrée d'audit
+auditLogSchema.statics.record = async function (params) {
+  const entry = this.prepare(params)
+  if (!entry) return null
+
+  return this.insertVersioned(entry, {
+    findLastVersion: ({ entite, entiteId }) =>
+      this.findOne({ entite, entiteId }).sort({ version: -1 }).select("version"),
+    create: (data) => this.create(data),
+  })
+}
+
+module.exports = mongoose.model("AuditLog", auditLogSchema)
@@ -0,0 +1,146 @@
+const mongoose = require("mongoose")
+const { schemaFields } = require("../utils/listQuery")
+
+const CLIENT_SEGMENTS = ["particulier", "professionnel", "pme", "grand_compte", "administration"]
+
+// Numéro comparable pour la détection des doublons : 9 derniers chiffres (numéro national, sans indicatif)
+const normalizePhone = (telephone) => (telephone ? String(telephone).replace(/\D/g, "").slice(-9) : undefined)
+
+const clientSchema = new mongoose.Schema(
+  {
+    raisonSociale: {
+      type: String,
+      required: [true, "La raison sociale est requise"],
+      trim: true,
+      maxlength: [150, "La raison sociale ne peut pas dépasser 150 caractères"],
+    },
+    contact: {
+      nom: { type: String, trim: true, maxlength: [50, "Le nom ne peut pas dépasser 50 caractères"] },
+      prenom: { type: String, trim: true, maxlength: [50, "Le prénom ne peut pas dépasser 50 caractères"] },
+      fonction: { type: String, trim: true, maxlength: [100, "La fonction ne peut pas dépasser 100 caractères"] },
+    },
+    telephone: {
+      type: String,
+      trim: true,
+    },
+    telephoneNormalise: {
+      type: String,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, "Veuillez entrer un email valide"],
+    },
+    segment: {
+      type: String,
+      enum: CLIENT_SEGMENTS,
+      default: "particulier",
+    },
+    adresse: {
+      type: String,
+      trim: true,
+      maxlength: [200, "L'adresse ne peut pas dépasser 200 caractères"],
+    },
+    notes: {
+      type: String,
+      maxlength: [1000, "Les notes ne peuvent pas dépasser 1000 caractères"],
+    },
+    // Commercial en charge du client
+    commercial: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Commercial crédité de l'acquisition (compte dans ses nouveaux clients, inchangé en cas de réaffectation)
+    acquisPar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    dateAcquisition: {
+      type: Date,
+      required: [true, "La date d'acquisition est requise"],
+      default: Date.now,
+    },
+    // Événement commercial à l'origine du client (mesure du rendement des événements)
+    evenementOrigine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+    },
+    historiqueAffectations: [
+      {
+        commercial: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        ancienCommercial: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        par: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        date: { type: Date, default: Date.now },
+        motif: String,
+      },
+    ],
+    creePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+clientSchema.index({ commercial: 1, raisonSociale: 1 })
+clientSchema.index({ acquisPar: 1, dateAcquisition: 1 })
+clientSchema.index({ telephoneNormalise: 1 })
+clientSchema.index({ email: 1 })
+clientSchema.index({ evenementOrigine: 1 })
+
+// Un client doit pouvoir être recontacté
+clientSchema.pre("validate", function (next) {
+  if (!this.telephone && !this.email) {
+    this.invalidate("telephone", "Un téléphone ou un email est requis")
+  }
+  next()
+})
+
+clientSchema.pre("save", function (next) {
+  if (this.isModified("telephone")) {
+    this.telephoneNormalise = normalizePhone(this.telephone)
+  }
+  next()
+})
+
+// Méthode statique pour rechercher les doublons potentiels (même téléphone ou même email)
+clientSchema.statics.findDuplicates = function ({ telephone, email }, excludeId = null) {
+  const conditions = []
+  const telephoneNormalise = normalizePhone(telephone)
+  if (telephoneNormalise) conditions.push({ telephoneNormalise })
+  if (email) conditions.push({ email: String(email).trim().toLowerCase() })
+  if (conditions.length === 0) return Promise.resolve([])
+
+  return this.find({ $or: conditions, ...(excludeId && { _id: { $ne: excludeId } }) })
+    .select("raisonSociale telephone email commercial")
+    .populate("commercial", "nom prenom email")
+}
+
+// Méthode pour réaffecter le client à un autre commercial
+clientSchema.methods.reassign = function (commercial, par, motif) {
+  this.historiqueAffectations.push({ commercial, ancienCommercial: this.commercial, par, motif })
+  this.commercial = commercial
+  return this.save()
+}
+
+// Description des listes de clients pour la couche de requête commune (utils/listQuery)
+clientSchema.statics.LIST_QUERY = {
+  sorts: {
+    dateAcquisition: "dateAcquisition",
+    raisonSociale: "raisonSociale",
+    segment: "segment",
+    createdAt: "createdAt",
+    updatedAt: "updatedAt",
+  },
+  defaultSort: "-dateAcquisition",
+  fields: schemaFields(clientSchema),
+}
+
+clientSchema.statics.CLIENT_SEGMENTS = CLIENT_SEGMENTS
+
+module.exports = mongoose.model("Client", clientSchema)
@@ -0,0 +1,142 @@
+const mongoose = require("mongoose")
+
+const commissionPlanSchema = new mongoose.Schema(
+  {
+    nom: {
+      type: String,
+      required: [true, "Le nom du plan est requis"],
+      trim: true,
+      maxlength: [100, "Le nom ne peut pas dépasser 100 caractères"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "La description ne peut pas dépasser 500 caractères"],
+    },
+    actif: {
+      type: Boolean,
+      default: true,
+    },
+    // Affectation : utilisateurs nommément désignés (prioritaires) ou rôles
+    utilisateurs: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    roles: [
+      {
+        type: String,
+        enum: ["admin", "manager", "utilisateur"],
+      },
+    ],
+    // Paliers : le taux du palier atteint (selon le taux d'atteinte de l'objectif) s'applique au CA
+    paliers: {
+      type: [
+        {
+          _id: false,
+          seuil: {
+            type: Number,
+            required: true,
+            min: [0, "Le seuil d'un palier ne peut pas être négatif"],
+          },
+          taux: {
+            type: Number,
+            required: true,
+            min: [0, "Le taux d'un palier ne peut pas être négatif"],
+            max: [100, "Le taux d'un palier ne peut pas dépasser 100 %"],
+          },
+        },
+      ],
+      validate: {
+        validator: (paliers) => paliers.length > 0,
+        message: "Au moins un palier est requis",
+      },
+    },
+    // Accélérateur appliqué à la commission sur le CA réalisé au-delà de l'objectif
+    accelerateur: {
+      seuil: {
+        type: Number,
+        default: 100,
+        min: [0, "Le seuil de l'accélérateur ne peut pas être négatif"],
+      },
+      multiplicateur: {
+        type: Number,
+        default: 1,
+        min: [1, "Le multiplicateur de l'accélérateur doit être au moins 1"],
+      },
+    },
+    primeNouveauClient: {
+      type: Number,
+      default: 0,
+      min: [0, "La prime par nouveau client ne peut pas être négative"],
+    },
+    // Plafond du montant versé par période (null : pas de plafond)
+    plafond: {
+      type: Number,
+      default: null,
+      min: [0, "Le plafond ne peut pas être négatif"],
+    },
+    creePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+commissionPlanSchema.index({ actif: 1 })
+commissionPlanSchema.index({ utilisateurs: 1 })
+commissionPlanSchema.index({ roles: 1 })
+
+// Trier les paliers par seuil croissant
+commissionPlanSchema.pre("save", function (next) {
+  this.paliers.sort((a, b) => a.seuil - b.seuil)
+  next()
+})
+
+// Méthode statique pour trouver le plan applicable à un utilisateur
+commissionPlanSchema.statics.findForUser = async function (user) {
+  const planUtilisateur = await this.findOne({ actif: true, utilisateurs: user._id }).sort({ updatedAt: -1 })
+  if (planUtilisateur) return planUtilisateur
+
+  return this.findOne({ actif: true, roles: user.role }).sort({ updatedAt: -1 })
+}
+
+// Méthode pour calculer la commission d'une période
+commissionPlanSchema.methods.compute = function ({ chiffreAffaires, objectifCA, nouveauxClients }) {
+  const tauxObjectif = objectifCA > 0 ? (chiffreAffaires / objectifCA) * 100 : 0
+
+  // Palier le plus élevé atteint
+  const palier = [...this.paliers].sort((a, b) => b.seuil - a.seuil).find((p) => tauxObjectif >= p.seuil) || null
+  const tauxApplique = palier ? palier.taux : 0
+  const commissionBase = (chiffreAffaires * tauxApplique) / 100
+
+  // Accélérateur sur la part du CA au-delà du seuil
+  let bonusAccelerateur = 0
+  const { seuil, multiplicateur } = this.accelerateur || {}
+  if (objectifCA > 0 && multiplicateur > 1 && tauxObjectif > seuil) {
+    const caAuDela = chiffreAffaires - (objectifCA * seuil) / 100
+    bonusAccelerateur = (caAuDela * tauxApplique * (multiplicateur - 1)) / 100
+  }
+
+  const primeNouveauxClients = nouveauxClients * (this.primeNouveauClient || 0)
+  const totalAvantPlafond = commissionBase + bonusAccelerateur + primeNouveauxClients
+  const plafonne = this.plafond !== null && this.plafond !== undefined && totalAvantPlafond > this.plafond
+  const round = (value) => Math.round(value * 100) / 100
+
+  return {
+    tauxObjectif: Math.round(tauxObjectif),
+    palier: palier ? { seuil: palier.seuil, taux: palier.taux } : null,
+    tauxApplique,
+    commissionBase: round(commissionBase),
+    bonusAccelerateur: round(bonusAccelerateur),
+    primeNouveauxClients: round(primeNouveauxClients),
+    totalAvantPlafond: round(totalAvantPlafond),
+    plafonne,
+    montant: round(plafonne ? this.plafond : totalAvantPlafond),
+  }
+}
+
+module.exports = mongoose.model("CommissionPlan", commissionPlanSchema)
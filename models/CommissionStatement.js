@@ -0,0 +1,140 @@
+const mongoose = require("mongoose")
+
+// Relevé de commission : figé à sa création, seule l'approbation peut le faire évoluer
+const commissionStatementSchema = new mongoose.Schema(
+  {
+    utilisateur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CommissionPlan",
+      required: true,
+    },
+    // Copie du plan au moment du calcul
+    planApplique: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    periode: {
+      type: {
+        type: String,
+        enum: ["mois", "trimestre", "semestre", "annee", "exercice"],
+        required: true,
+      },
+      annee: { type: Number, required: true },
+      mois: Number,
+      trimestre: Number,
+      semestre: Number,
+      debutExercice: Number,
+      libelle: String,
+    },
+    // Identifiant unique de la période (ex. "mois-2024-03")
+    clePeriode: {
+      type: String,
+      required: true,
+    },
+    // Mois couverts par la période (ex. "2024-03") : un mois n'est commissionné qu'une fois par utilisateur
+    moisCouverts: [String],
+    base: {
+      chiffreAffaires: Number,
+      objectifCA: Number,
+      nouveauxClients: Number,
+      moisValides: Number,
+      performances: [{ type: mongoose.Schema.Types.ObjectId, ref: "Performance" }],
+    },
+    detail: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    montant: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    statut: {
+      type: String,
+      enum: ["calcule", "approuve"],
+      default: "calcule",
+    },
+    calculePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approuvePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    dateApprobation: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+commissionStatementSchema.index({ utilisateur: 1, clePeriode: 1 }, { unique: true })
+// Index multiclé : deux relevés d'un même utilisateur ne peuvent pas partager un mois (mois inclus dans un trimestre…)
+commissionStatementSchema.index(
+  { utilisateur: 1, moisCouverts: 1 },
+  { unique: true, partialFilterExpression: { moisCouverts: { $exists: true } } },
+)
+commissionStatementSchema.index({ statut: 1 })
+
+// Seuls les champs d'approbation peuvent être modifiés après la création
+const MUTABLE_FIELDS = ["statut", "approuvePar", "dateApprobation", "updatedAt"]
+
+commissionStatementSchema.pre("save", function (next) {
+  if (this.isNew) return next()
+
+  const forbidden = this.modifiedPaths().filter(
+    (path) => !MUTABLE_FIELDS.some((field) => path === field || path.startsWith(`${field}.`)),
+  )
+  if (forbidden.length > 0) {
+    return next(new Error("Un relevé de commission ne peut pas être modifié"))
+  }
+
+  next()
+})
+
+// Interdire les modifications et suppressions directes en base
+const rejectUpdate = function (next) {
+  next(new Error("Un relevé de commission ne peut pas être modifié"))
+}
+
+commissionStatementSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], rejectUpdate)
+commissionStatementSchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], rejectUpdate)
+
+// Clé unique d'une période
+commissionStatementSchema.statics.periodKey = function ({ type, annee, mois, trimestre, semestre, debutExercice }) {
+  switch (type) {
+    case "mois":
+      return `mois-${annee}-${String(mois).padStart(2, "0")}`
+    case "trimestre":
+      return `trimestre-${annee}-T${trimestre}-${debutExercice}`
+    case "semestre":
+      return `semestre-${annee}-S${semestre}-${debutExercice}`
+    case "exercice":
+      return `exercice-${annee}-${debutExercice}`
+    default:
+      return `annee-${annee}`
+  }
+}
+
+// Clés des mois couverts par une période (liste de { annee, mois })
+commissionStatementSchema.statics.monthKeys = function (months) {
+  return months.map(({ annee, mois }) => `${annee}-${String(mois).padStart(2, "0")}`)
+}
+
+// Méthode pour approuver le relevé
+commissionStatementSchema.methods.approve = function (approbateurId) {
+  this.statut = "approuve"
+  this.approuvePar = approbateurId
+  this.dateApprobation = new Date()
+  return this.save()
+}
+
+module.exports = mongoose.model("CommissionStatement", commissionStatementSchema)
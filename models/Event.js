@@ -0,0 +1,213 @@
+const mongoose = require("mongoose")
+const { schemaFields } = require("../utils/listQuery")
+
+const EVENT_TYPES = ["salon", "roadshow", "demonstration", "autre"]
+const EVENT_STATUSES = ["planifie", "termine", "annule"]
+
+const eventSchema = new mongoose.Schema(
+  {
+    nom: {
+      type: String,
+      required: [true, "Le nom de l'événement est requis"],
+      trim: true,
+      maxlength: [150, "Le nom ne peut pas dépasser 150 caractères"],
+    },
+    type: {
+      type: String,
+      enum: EVENT_TYPES,
+      required: [true, "Le type d'événement est requis"],
+    },
+    date: {
+      type: Date,
+      required: [true, "La date de l'événement est requise"],
+    },
+    lieu: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Le lieu ne peut pas dépasser 200 caractères"],
+    },
+    description: {
+      type: String,
+      maxlength: [1000, "La description ne peut pas dépasser 1000 caractères"],
+    },
+    organisateur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Commerciaux inscrits ; chaque participation compte dans leurs événements du mois
+    participants: [
+      {
+        utilisateur: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        dateInscription: { type: Date, default: Date.now },
+      },
+    ],
+    // Nombre maximum de participants (null : pas de limite)
+    capacite: {
+      type: Number,
+      default: null,
+      min: [1, "La capacité doit être au moins 1"],
+    },
+    leads: {
+      type: Number,
+      default: 0,
+      min: [0, "Le nombre de leads ne peut pas être négatif"],
+    },
+    cout: {
+      type: Number,
+      default: 0,
+      min: [0, "Le coût ne peut pas être négatif"],
+    },
+    statut: {
+      type: String,
+      enum: EVENT_STATUSES,
+      default: "planifie",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+eventSchema.index({ date: -1 })
+eventSchema.index({ "participants.utilisateur": 1, date: 1 })
+
+// Coût unitaire arrondi au centime (null s'il n'y a rien à répartir)
+const costPer = (cout, nombre) => (nombre > 0 ? Math.round((cout / nombre) * 100) / 100 : null)
+
+eventSchema.virtual("nombreParticipants").get(function () {
+  return this.participants ? this.participants.length : 0
+})
+
+eventSchema.virtual("coutParLead").get(function () {
+  return costPer(this.cout, this.leads)
+})
+
+eventSchema.pre("validate", function (next) {
+  if (this.capacite && this.participants.length > this.capacite) {
+    this.invalidate("participants", "La capacité de l'événement est atteinte")
+  }
+  next()
+})
+
+// Méthode pour vérifier si un utilisateur est inscrit
+eventSchema.methods.isRegistered = function (utilisateur) {
+  return this.participants.some((participant) => participant.utilisateur.toString() === utilisateur.toString())
+}
+
+// Participations non annulées d'un ou plusieurs commerciaux sur une période
+// utilisateurs : liste d'identifiants (ObjectId)
+const participationMatch = (utilisateurs, debut, fin) => ({
+  "participants.utilisateur": { $in: utilisateurs },
+  date: { $gte: debut, $lt: fin },
+  statut: { $ne: "annule" },
+})
+
+// Méthode statique pour compter les participations d'un mois
+eventSchema.statics.countParticipations = async function (utilisateurs, debut, fin) {
+  const [result] = await this.aggregate([
+    { $match: participationMatch(utilisateurs, debut, fin) },
+    { $unwind: "$participants" },
+    { $match: { "participants.utilisateur": { $in: utilisateurs } } },
+    { $count: "total" },
+  ])
+
+  return result ? result.total : 0
+}
+
+// Méthode statique pour détailler les participations d'un mois jour par jour
+eventSchema.statics.participationsByDay = function (utilisateurs, debut, fin) {
+  return this.aggregate([
+    { $match: participationMatch(utilisateurs, debut, fin) },
+    { $unwind: "$participants" },
+    { $match: { "participants.utilisateur": { $in: utilisateurs } } },
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format: "%Y-%m-%d",
+            date: "$date",
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          },
+        },
+        evenements: { $sum: 1 },
+      },
+    },
+    { $project: { _id: 0, jour: "$_id", evenements: 1 } },
+  ])
+}
+
+// Méthode statique pour mesurer le rendement des événements :
+// leads, clients acquis (fiches clients rattachées à l'événement), coût par lead et par client
+eventSchema.statics.getPerformanceReport = async function (filter = {}) {
+  const events = await this.aggregate([
+    { $match: filter },
+    { $lookup: { from: "clients", localField: "_id", foreignField: "evenementOrigine", as: "clients" } },
+    {
+      $project: {
+        nom: 1,
+        type: 1,
+        date: 1,
+        lieu: 1,
+        statut: 1,
+        leads: 1,
+        cout: 1,
+        participants: { $size: "$participants" },
+        clientsAcquis: { $size: "$clients" },
+      },
+    },
+    { $sort: { date: -1 } },
+  ])
+
+  const withRatios = (stats) => ({
+    ...stats,
+    coutParLead: costPer(stats.cout, stats.leads),
+    coutParClient: costPer(stats.cout, stats.clientsAcquis),
+    tauxConversion: stats.leads > 0 ? Math.round((stats.clientsAcquis / stats.leads) * 100) : null,
+  })
+
+  const totals = events.reduce(
+    (acc, event) => ({
+      evenements: acc.evenements + 1,
+      leads: acc.leads + event.leads,
+      cout: acc.cout + event.cout,
+      clientsAcquis: acc.clientsAcquis + event.clientsAcquis,
+    }),
+    { evenements: 0, leads: 0, cout: 0, clientsAcquis: 0 },
+  )
+
+  return {
+    evenements: events.map(withRatios),
+    totaux: withRatios(totals),
+  }
+}
+
+// Description des listes d'événements pour la couche de requête commune (utils/listQuery)
+eventSchema.statics.LIST_QUERY = {
+  computed: {
+    nombreParticipants: { $size: { $ifNull: ["$participants", []] } },
+  },
+  sorts: {
+    date: "date",
+    nom: "nom",
+    type: "type",
+    statut: "statut",
+    nombreParticipants: "nombreParticipants",
+    leads: "leads",
+    cout: "cout",
+  },
+  defaultSort: "date",
+  ranges: {
+    nombreParticipants: { path: "nombreParticipants", type: "number" },
+    leads: { path: "leads", type: "number" },
+    cout: { path: "cout", type: "number" },
+  },
+  fields: schemaFields(eventSchema),
+}
+
+eventSchema.statics.EVENT_TYPES = EVENT_TYPES
+eventSchema.statics.EVENT_STATUSES = EVENT_STATUSES
+
+module.exports = mongoose.model("Event", eventSchema)
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose")
+
+// Verrou d'exécution des tâches planifiées, partagé entre les instances du service
+const jobLockSchema = new mongoose.Schema(
+  {
+    nom: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Identifiant de l'instance qui détient le verrou
+    detenteur: {
+      type: String,
+      required: true,
+    },
+    dateExpiration: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Méthode statique pour acquérir le verrou ; retourne false s'il est détenu par une autre instance
+jobLockSchema.statics.acquire = async function (nom, detenteur, dureeMs) {
+  const now = new Date()
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { nom, $or: [{ dateExpiration: { $lte: now } }, { detenteur }] },
+      { detenteur, dateExpiration: new Date(now.getTime() + dureeMs) },
+      { upsert: true, new: true },
+    )
+    return Boolean(lock)
+  } catch (error) {
+    // Verrou actif détenu par une autre instance : l'upsert entre en conflit avec l'index unique
+    if (error.code === 11000) return false
+    throw error
+  }
+}
+
+// Méthode statique pour libérer le verrou
+jobLockSchema.statics.release = function (nom, detenteur) {
+  return this.updateOne({ nom, detenteur }, { dateExpiration: new Date() })
+}
+
+module.exports = mongoose.model("JobLock", jobLockSchema)
@@ -0,0 +1,98 @@
+const mongoose = require("mongoose")
+const { lockoutConfig } = require("../config/lockout")
+
+// Suivi des échecs de connexion par adresse IP
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    adresseIP: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    tentatives: {
+      type: Number,
+      default: 0,
+    },
+    premiereTentative: {
+      type: Date,
+      default: Date.now,
+    },
+    dateFinBlocage: {
+      type: Date,
+    },
+    // Date à partir de laquelle l'enregistrement peut être purgé
+    dateExpiration: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+loginAttemptSchema.index({ dateExpiration: 1 }, { expireAfterSeconds: 0 })
+
+// Méthode pour obtenir le temps de blocage restant (en ms)
+loginAttemptSchema.methods.getRemainingLockTime = function () {
+  if (!this.dateFinBlocage) return 0
+  return Math.max(this.dateFinBlocage.getTime() - Date.now(), 0)
+}
+
+// Méthode pour vérifier si la fenêtre d'observation est écoulée (hors blocage en cours)
+loginAttemptSchema.methods.isWindowExpired = function (now = Date.now()) {
+  return (
+    this.premiereTentative.getTime() + lockoutConfig.ip.fenetre * 60 * 1000 < now &&
+    (!this.dateFinBlocage || this.dateFinBlocage.getTime() < now)
+  )
+}
+
+// Méthode pour bloquer l'IP une fois le seuil atteint (retourne true si le blocage vient d'être posé)
+loginAttemptSchema.methods.applyLock = function (now = Date.now()) {
+  if (this.tentatives < lockoutConfig.ip.tentativesMax || this.dateFinBlocage) return false
+
+  this.dateFinBlocage = new Date(now + lockoutConfig.ip.duree * 60 * 1000)
+  this.dateExpiration = this.dateFinBlocage
+  return true
+}
+
+// Méthode statique pour obtenir les champs d'une nouvelle fenêtre d'observation
+loginAttemptSchema.statics.newWindow = function (now = Date.now()) {
+  return {
+    tentatives: 1,
+    premiereTentative: new Date(now),
+    dateExpiration: new Date(now + lockoutConfig.ip.fenetre * 60 * 1000),
+  }
+}
+
+// Méthode statique pour obtenir le temps de blocage restant d'une IP (en ms)
+loginAttemptSchema.statics.getRemainingLockTime = async function (adresseIP) {
+  const attempt = await this.findOne({ adresseIP })
+  return attempt ? attempt.getRemainingLockTime() : 0
+}
+
+// Méthode statique pour enregistrer un échec de connexion depuis une IP
+loginAttemptSchema.statics.recordFailure = async function (adresseIP) {
+  const now = Date.now()
+
+  let attempt = await this.findOne({ adresseIP })
+
+  // Nouvelle fenêtre d'observation si la précédente est écoulée
+  if (!attempt || attempt.isWindowExpired(now)) {
+    return this.findOneAndUpdate(
+      { adresseIP },
+      { ...this.newWindow(now), $unset: { dateFinBlocage: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    )
+  }
+
+  attempt = await this.findOneAndUpdate({ adresseIP }, { $inc: { tentatives: 1 } }, { new: true })
+
+  if (attempt.applyLock(now)) {
+    await attempt.save()
+  }
+
+  return attempt
+}
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema)
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose")
+
+const objectiveSchema = new mongoose.Schema(
+  {
+    utilisateur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    periode: {
+      annee: {
+        type: Number,
+        required: true,
+        min: 2020,
+        max: 2030,
+      },
+      mois: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 12,
+      },
+    },
+    objectifCA: {
+      type: Number,
+      default: 0,
+      min: [0, "L'objectif CA ne peut pas être négatif"],
+    },
+    objectifNouveauxClients: {
+      type: Number,
+      default: 0,
+      min: [0, "L'objectif de nouveaux clients ne peut pas être négatif"],
+    },
+    objectifRDV: {
+      type: Number,
+      default: 0,
+      min: [0, "L'objectif de RDV ne peut pas être négatif"],
+    },
+    objectifVentes: {
+      type: Number,
+      default: 0,
+      min: [0, "L'objectif de ventes ne peut pas être négatif"],
+    },
+    definiPar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Un seul objectif par utilisateur et par mois
+objectiveSchema.index({ utilisateur: 1, "periode.annee": 1, "periode.mois": 1 }, { unique: true })
+objectiveSchema.index({ "periode.annee": 1, "periode.mois": 1 })
+
+// Champs d'objectif recopiés sur les données de performance
+const OBJECTIVE_FIELDS = ["objectifCA", "objectifNouveauxClients", "objectifRDV", "objectifVentes"]
+
+// Méthode pour extraire les valeurs cibles
+objectiveSchema.methods.getTargets = function () {
+  return OBJECTIVE_FIELDS.reduce((targets, field) => {
+    targets[field] = this[field] || 0
+    return targets
+  }, {})
+}
+
+objectiveSchema.statics.OBJECTIVE_FIELDS = OBJECTIVE_FIELDS
+
+module.exports = mongoose.model("Objective", objectiveSchema)
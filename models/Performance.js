@@ -1,4 +1,6 @@
 const mongoose = require("mongoose")
+const { getPeriodMonths, buildPeriodMatch } = require("../utils/periods")
+const { schemaFields } = require("../utils/listQuery")
 
 const performanceSchema = new mongoose.Schema(
   {
@@ -26,11 +28,27 @@ const performanceSchema = new mongoose.Schema(
       required: [true, "Le chiffre d'affaires est requis"],
       min: [0, "Le chiffre d'affaires ne peut pas être négatif"],
     },
+    // Cibles recopiées depuis l'objectif fixé par le manager (modèle Objective)
     objectifCA: {
       type: Number,
       required: [true, "L'objectif CA est requis"],
       min: [0, "L'objectif CA ne peut pas être négatif"],
     },
+    objectifNouveauxClients: {
+      type: Number,
+      default: 0,
+      min: [0, "L'objectif de nouveaux clients ne peut pas être négatif"],
+    },
+    objectifRDV: {
+      type: Number,
+      default: 0,
+      min: [0, "L'objectif de RDV ne peut pas être négatif"],
+    },
+    objectifVentes: {
+      type: Number,
+      default: 0,
+      min: [0, "L'objectif de ventes ne peut pas être négatif"],
+    },
     nouveauxClients: {
       type: Number,
       required: [true, "Le nombre de nouveaux clients est requis"],
@@ -66,11 +84,19 @@ const performanceSchema = new mongoose.Schema(
       default: 0,
       min: [0, "Le nombre d'événements ne peut pas être négatif"],
     },
+    // Moyenne des réponses aux enquêtes de satisfaction (null : aucune donnée)
     satisfaction: {
       type: Number,
       min: [1, "La note de satisfaction doit être entre 1 et 5"],
       max: [5, "La note de satisfaction doit être entre 1 et 5"],
-      default: 4,
+      default: null,
+    },
+    // Part des clients sollicités ayant répondu à l'enquête (null : aucune enquête)
+    tauxReponseSatisfaction: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null,
     },
     commentaires: {
       type: String,
@@ -78,12 +104,39 @@ const performanceSchema = new mongoose.Schema(
     },
     statut: {
       type: String,
-      enum: ["brouillon", "valide"],
-      default: "valide",
+      enum: ["brouillon", "soumis", "valide", "rejete"],
+      default: "brouillon",
+    },
+    dateSoumission: {
+      type: Date,
     },
     dateValidation: {
       type: Date,
-      default: Date.now,
+    },
+    validePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    dateRejet: {
+      type: Date,
+    },
+    rejetePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    motifRejet: {
+      type: String,
+      maxlength: [500, "Le motif de rejet ne peut pas dépasser 500 caractères"],
+    },
+    // Indicateurs recalculés à partir du journal d'activités (modèle Activity)
+    calculeDepuisActivites: {
+      type: Boolean,
+      default: false,
+    },
+    // Indicateurs saisis manuellement, conservés lors des recalculs
+    valeursManuelles: {
+      type: [String],
+      default: [],
     },
   },
   {
@@ -119,6 +172,22 @@ performanceSchema.virtual("tauxObjectif").get(function () {
   return Math.round((this.chiffreAffaires / this.objectifCA) * 100)
 })
 
+// Virtuals pour le taux d'atteinte des autres objectifs
+performanceSchema.virtual("tauxObjectifClients").get(function () {
+  if (!this.objectifNouveauxClients) return 0
+  return Math.round((this.nouveauxClients / this.objectifNouveauxClients) * 100)
+})
+
+performanceSchema.virtual("tauxObjectifRDV").get(function () {
+  if (!this.objectifRDV) return 0
+  return Math.round((this.rdvRealises / this.objectifRDV) * 100)
+})
+
+performanceSchema.virtual("tauxObjectifVentes").get(function () {
+  if (!this.objectifVentes) return 0
+  return Math.round((this.ventesRealisees / this.objectifVentes) * 100)
+})
+
 // Virtual pour la période formatée
 performanceSchema.virtual("periodeFormatee").get(function () {
   const mois = [
@@ -138,44 +207,214 @@ performanceSchema.virtual("periodeFormatee").get(function () {
   return `${mois[this.periode.mois - 1]} ${this.periode.annee}`
 })
 
+// Cycle de vie : statuts de départ autorisés pour chaque action
+const TRANSITIONS = {
+  soumettre: ["brouillon", "rejete"],
+  valider: ["soumis"],
+  rejeter: ["soumis"],
+  rouvrir: ["valide", "rejete"],
+}
+
+// Champs gérés par le workflow, jamais modifiables directement
+performanceSchema.statics.WORKFLOW_FIELDS = [
+  "statut",
+  "dateSoumission",
+  "dateValidation",
+  "validePar",
+  "dateRejet",
+  "rejetePar",
+  "motifRejet",
+]
+
+// Méthode pour vérifier si une action du workflow est possible
+performanceSchema.methods.canTransition = function (action) {
+  return (TRANSITIONS[action] || []).includes(this.statut)
+}
+
+// Méthode pour vérifier si le commercial peut encore modifier ses données
+performanceSchema.methods.isEditable = function () {
+  return ["brouillon", "rejete"].includes(this.statut)
+}
+
+// Méthode pour soumettre les données au manager
+performanceSchema.methods.soumettre = function () {
+  this.statut = "soumis"
+  this.dateSoumission = new Date()
+  return this.save()
+}
+
+// Méthode pour valider les données
+performanceSchema.methods.valider = function (validateurId) {
+  this.statut = "valide"
+  this.dateValidation = new Date()
+  this.validePar = validateurId
+  this.dateRejet = undefined
+  this.rejetePar = undefined
+  this.motifRejet = undefined
+  return this.save()
+}
+
+// Méthode pour rejeter les données avec un motif
+performanceSchema.methods.rejeter = function (validateurId, motif) {
+  this.statut = "rejete"
+  this.dateRejet = new Date()
+  this.rejetePar = validateurId
+  this.motifRejet = motif
+  return this.save()
+}
+
+// Méthode pour rouvrir des données validées ou rejetées
+performanceSchema.methods.rouvrir = function () {
+  this.statut = "brouillon"
+  this.dateSoumission = undefined
+  this.dateValidation = undefined
+  this.validePar = undefined
+  return this.save()
+}
+
+// Règles de cohérence entre indicateurs ; retourne la liste des erreurs
+performanceSchema.statics.checkConsistency = function (data) {
+  const erreurs = []
+
+  if (data.ventesRealisees > data.rdvRealises) {
+    erreurs.push("Le nombre de ventes ne peut pas être supérieur au nombre de RDV")
+  }
+
+  if (data.dossiersMAJ > data.totalDossiers) {
+    erreurs.push("Le nombre de dossiers mis à jour ne peut pas être supérieur au total")
+  }
+
+  return erreurs
+}
+
 // Middleware pour valider automatiquement
 performanceSchema.pre("save", function (next) {
   // Validation des données cohérentes
-  if (this.ventesRealisees > this.rdvRealises) {
-    return next(new Error("Le nombre de ventes ne peut pas être supérieur au nombre de RDV"))
-  }
-
-  if (this.dossiersMAJ > this.totalDossiers) {
-    return next(new Error("Le nombre de dossiers mis à jour ne peut pas être supérieur au total"))
+  const [erreur] = this.constructor.checkConsistency(this)
+  if (erreur) {
+    return next(new Error(erreur))
   }
 
   next()
 })
 
-// Méthode statique pour obtenir les statistiques d'une période
-performanceSchema.statics.getStatsPeriode = function (annee, mois) {
-  return this.aggregate([
-    {
-      $match: {
-        "periode.annee": annee,
-        "periode.mois": mois,
-        statut: "valide",
-      },
-    },
-    {
-      $group: {
-        _id: null,
-        totalCA: { $sum: "$chiffreAffaires" },
-        totalObjectif: { $sum: "$objectifCA" },
-        totalClients: { $sum: "$nouveauxClients" },
-        totalRDV: { $sum: "$rdvRealises" },
-        totalVentes: { $sum: "$ventesRealisees" },
-        totalEvenements: { $sum: "$evenements" },
-        satisfactionMoyenne: { $avg: "$satisfaction" },
-        count: { $sum: 1 },
-      },
+// Évaluer les règles d'alerte une fois les données validées enregistrées
+// (sauf si l'appelant les évalue lui-même plus tard : $locals.differerAlertes)
+performanceSchema.post("save", function (doc) {
+  if (doc.$locals.differerAlertes) return
+
+  // Chargement différé : le module d'alertes dépend lui-même de ce modèle
+  const { evaluatePerformanceAlerts } = require("../utils/alerts")
+
+  evaluatePerformanceAlerts(doc).catch((error) => {
+    console.error("Erreur évaluation alertes:", error)
+  })
+})
+
+// Cumuls calculés pour chaque groupe de données de performance
+const STATS_GROUP = {
+  totalCA: { $sum: "$chiffreAffaires" },
+  totalObjectif: { $sum: "$objectifCA" },
+  totalObjectifClients: { $sum: "$objectifNouveauxClients" },
+  totalObjectifRDV: { $sum: "$objectifRDV" },
+  totalObjectifVentes: { $sum: "$objectifVentes" },
+  totalClients: { $sum: "$nouveauxClients" },
+  totalRDV: { $sum: "$rdvRealises" },
+  totalRDVPlanifies: { $sum: "$rdvPlanifies" },
+  totalVentes: { $sum: "$ventesRealisees" },
+  totalDossiersMAJ: { $sum: "$dossiersMAJ" },
+  totalDossiers: { $sum: "$totalDossiers" },
+  totalEvenements: { $sum: "$evenements" },
+  satisfactionMoyenne: { $avg: "$satisfaction" },
+  // Somme et nombre de notes renseignées, pour recalculer des moyennes pondérées
+  satisfactionSomme: { $sum: { $ifNull: ["$satisfaction", 0] } },
+  satisfactionNombre: { $sum: { $cond: [{ $gt: ["$satisfaction", null] }, 1, 0] } },
+  count: { $sum: 1 },
+}
+
+performanceSchema.statics.STATS_GROUP = STATS_GROUP
+
+// Taux arrondi comme les virtuals (Math.round), calculé dans un pipeline
+const roundedRate = (value, total) => ({
+  $cond: [{ $gt: [total, 0] }, { $floor: { $add: [{ $multiply: [{ $divide: [value, total] }, 100] }, 0.5] } }, 0],
+})
+
+// Description des listes de performances pour la couche de requête commune (utils/listQuery)
+performanceSchema.statics.LIST_QUERY = {
+  computed: {
+    periodeIndex: { $add: [{ $multiply: ["$periode.annee", 100] }, "$periode.mois"] },
+    tauxObjectif: roundedRate("$chiffreAffaires", "$objectifCA"),
+    tauxTransformation: roundedRate("$ventesRealisees", "$rdvRealises"),
+  },
+  sorts: {
+    periode: "periodeIndex",
+    chiffreAffaires: "chiffreAffaires",
+    nouveauxClients: "nouveauxClients",
+    rdvRealises: "rdvRealises",
+    ventesRealisees: "ventesRealisees",
+    tauxObjectif: "tauxObjectif",
+    tauxTransformation: "tauxTransformation",
+    statut: "statut",
+    createdAt: "createdAt",
+    updatedAt: "updatedAt",
+  },
+  defaultSort: "-periode",
+  ranges: {
+    periode: { path: "periodeIndex", type: "month" },
+    chiffreAffaires: { path: "chiffreAffaires", type: "number" },
+    tauxObjectif: { path: "tauxObjectif", type: "number" },
+  },
+  fields: schemaFields(performanceSchema),
+}
+
+// Regroupements possibles des cumuls de données validées
+const STATS_GROUP_KEYS = {
+  utilisateur: "$utilisateur",
+  mois: { annee: "$periode.annee", mois: "$periode.mois" },
+  utilisateurMois: { utilisateur: "$utilisateur", annee: "$periode.annee", mois: "$periode.mois" },
+}
+
+// Méthode statique pour cumuler les données validées correspondant à un filtre
+// groupBy : null (global), "utilisateur", "mois", "utilisateurMois" ou "departement" (de l'auteur)
+// Retourne une liste de { _id, ...STATS_GROUP }
+performanceSchema.statics.sumValidated = function (match, groupBy = null) {
+  const pipeline = [{ $match: { ...match, statut: "valide" } }]
+
+  if (groupBy === "departement") {
+    pipeline.push(
+      { $lookup: { from: "users", localField: "utilisateur", foreignField: "_id", as: "auteur" } },
+      { $unwind: "$auteur" },
+      { $group: { _id: { $ifNull: ["$auteur.departement", null] }, ...STATS_GROUP } },
+    )
+  } else {
+    pipeline.push({ $group: { _id: groupBy ? STATS_GROUP_KEYS[groupBy] : null, ...STATS_GROUP } })
+  }
+
+  return this.aggregate(pipeline)
+}
+
+// Filtre et regroupement des statistiques validées d'une période (voir getStatsPeriode)
+performanceSchema.statics.statsPeriodeQuery = function (...args) {
+  const [periode, options = {}] =
+    typeof args[0] === "object" ? args : [{ type: "mois", annee: args[0], mois: args[1] }, args[2]]
+  const { utilisateurs, groupBy = null } = options
+
+  return {
+    match: {
+      ...buildPeriodMatch(getPeriodMonths(periode)),
+      ...(utilisateurs && { utilisateur: { $in: utilisateurs } }),
     },
-  ])
+    groupBy,
+  }
+}
+
+// Méthode statique pour obtenir les statistiques validées d'une période
+// Accepte (annee, mois) ou une période { type, annee, mois, trimestre, semestre, debutExercice }
+// options.utilisateurs : restreindre à une liste d'utilisateurs
+// options.groupBy : null (global), "utilisateur" ou "departement"
+performanceSchema.statics.getStatsPeriode = function (...args) {
+  const { match, groupBy } = this.statsPeriodeQuery(...args)
+  return this.sumValidated(match, groupBy)
 }
 
 module.exports = mongoose.model("Performance", performanceSchema)
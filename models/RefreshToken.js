@@ -0,0 +1,92 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    utilisateur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Tous les tokens issus d'une même connexion partagent la même famille
+    famille: {
+      type: String,
+      required: true,
+    },
+    dateExpiration: {
+      type: Date,
+      required: true,
+    },
+    revoque: {
+      type: Boolean,
+      default: false,
+    },
+    dateRevocation: {
+      type: Date,
+    },
+    remplacePar: {
+      type: String,
+    },
+    adresseIP: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+refreshTokenSchema.index({ utilisateur: 1 })
+refreshTokenSchema.index({ famille: 1 })
+// Purge automatique des tokens expirés
+refreshTokenSchema.index({ dateExpiration: 1 }, { expireAfterSeconds: 0 })
+
+// Hash d'un refresh token brut
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+// Méthode statique pour générer un refresh token : token brut et données à enregistrer
+refreshTokenSchema.statics.generate = function (userId, { famille, adresseIP, userAgent } = {}) {
+  const token = crypto.randomBytes(48).toString("hex")
+  const dureeJours = Number.parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || "30")
+
+  return {
+    token,
+    data: {
+      utilisateur: userId,
+      tokenHash: this.hashToken(token),
+      famille: famille || crypto.randomUUID(),
+      dateExpiration: new Date(Date.now() + dureeJours * 24 * 60 * 60 * 1000),
+      adresseIP,
+      userAgent,
+    },
+  }
+}
+
+// Méthode statique pour émettre un nouveau refresh token (retourne le token brut)
+refreshTokenSchema.statics.issue = async function (userId, options) {
+  const { token, data } = this.generate(userId, options)
+  const refreshToken = await this.create(data)
+  return { token, refreshToken }
+}
+
+// Méthode statique pour révoquer toute une famille de tokens
+refreshTokenSchema.statics.revokeFamily = function (famille) {
+  return this.updateMany({ famille, revoque: false }, { revoque: true, dateRevocation: new Date() })
+}
+
+// Méthode statique pour révoquer tous les tokens d'un utilisateur
+refreshTokenSchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany({ utilisateur: userId, revoque: false }, { revoque: true, dateRevocation: new Date() })
+}
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema)
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose")
+
+// Rappel de saisie pour une période ; l'index unique garantit un seul envoi réussi par type, période et destinataire
+// (une escalade sans manager actif part vers chaque administrateur)
+const reminderSchema = new mongoose.Schema(
+  {
+    // "rappel" : email au commercial ; "escalade" : email à son manager
+    type: {
+      type: String,
+      enum: ["rappel", "escalade"],
+      required: true,
+    },
+    utilisateur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    destinataire: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    periode: {
+      annee: { type: Number, required: true },
+      mois: { type: Number, required: true },
+    },
+    emailEnvoye: {
+      type: Boolean,
+      default: false,
+    },
+    // Dernière tentative d'envoi (les envois échoués sont retentés)
+    dateTentative: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+reminderSchema.index(
+  { type: 1, utilisateur: 1, destinataire: 1, "periode.annee": 1, "periode.mois": 1 },
+  { unique: true },
+)
+
+module.exports = mongoose.model("Reminder", reminderSchema)
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose")
+
+const CAMPAIGN_STATUSES = ["ouverte", "cloturee"]
+
+const surveyCampaignSchema = new mongoose.Schema(
+  {
+    nom: {
+      type: String,
+      required: [true, "Le nom de la campagne est requis"],
+      trim: true,
+      maxlength: [150, "Le nom ne peut pas dépasser 150 caractères"],
+    },
+    // Mois évalué : les réponses alimentent la satisfaction de ce mois
+    periode: {
+      annee: {
+        type: Number,
+        required: [true, "L'année est requise"],
+        min: [2020, "L'année doit être supérieure à 2020"],
+        max: [2030, "L'année doit être inférieure à 2030"],
+      },
+      mois: {
+        type: Number,
+        required: [true, "Le mois est requis"],
+        min: [1, "Le mois doit être entre 1 et 12"],
+        max: [12, "Le mois doit être entre 1 et 12"],
+      },
+    },
+    question: {
+      type: String,
+      trim: true,
+      maxlength: [300, "La question ne peut pas dépasser 300 caractères"],
+      default: "Dans quelle mesure êtes-vous satisfait(e) de votre conseiller WAWTELECOM ?",
+    },
+    // Date au-delà de laquelle les réponses ne sont plus acceptées
+    dateCloture: {
+      type: Date,
+      required: [true, "La date de clôture est requise"],
+    },
+    statut: {
+      type: String,
+      enum: CAMPAIGN_STATUSES,
+      default: "ouverte",
+    },
+    creePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+surveyCampaignSchema.index({ "periode.annee": 1, "periode.mois": 1 })
+
+// Méthode pour vérifier si la campagne accepte encore des réponses
+surveyCampaignSchema.methods.isOpen = function () {
+  return this.statut === "ouverte" && this.dateCloture > new Date()
+}
+
+surveyCampaignSchema.statics.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES
+
+module.exports = mongoose.model("SurveyCampaign", surveyCampaignSchema)
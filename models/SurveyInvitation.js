@@ -0,0 +1,137 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+// Répartition de type NPS sur la note de 1 à 5 :
+// 5 = promoteur, 4 = passif, 1 à 3 = détracteur
+const PROMOTER_MIN = 5
+const DETRACTOR_MAX = 3
+
+const surveyInvitationSchema = new mongoose.Schema(
+  {
+    campagne: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SurveyCampaign",
+      required: true,
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    // Commercial évalué (celui en charge du client à l'envoi)
+    commercial: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Copie de la période de la campagne, pour les cumuls mensuels
+    periode: {
+      annee: { type: Number, required: true },
+      mois: { type: Number, required: true },
+    },
+    // Seul le hash du lien est stocké en base
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    emailEnvoye: {
+      type: Boolean,
+      default: false,
+    },
+    note: {
+      type: Number,
+      min: [1, "La note doit être entre 1 et 5"],
+      max: [5, "La note doit être entre 1 et 5"],
+    },
+    commentaire: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Le commentaire ne peut pas dépasser 1000 caractères"],
+    },
+    dateReponse: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Un client n'est sollicité qu'une fois par campagne
+surveyInvitationSchema.index({ campagne: 1, client: 1 }, { unique: true })
+surveyInvitationSchema.index({ commercial: 1, "periode.annee": 1, "periode.mois": 1 })
+
+// Hash d'un lien de questionnaire brut
+surveyInvitationSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+// Méthode statique pour créer une invitation (retourne le token brut, transmis une seule fois)
+surveyInvitationSchema.statics.issue = async function ({ campagne, client, commercial, periode }) {
+  const token = crypto.randomBytes(32).toString("hex")
+  const invitation = await this.create({ campagne, client, commercial, periode, tokenHash: this.hashToken(token) })
+  return { token, invitation }
+}
+
+// Méthode statique pour retrouver une invitation à partir du token brut
+surveyInvitationSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: this.hashToken(token) })
+}
+
+// Cumuls d'un groupe d'invitations : envois, réponses, somme des notes et répartition NPS
+const SURVEY_GROUP = {
+  envoyees: { $sum: 1 },
+  reponses: { $sum: { $cond: [{ $gt: ["$note", null] }, 1, 0] } },
+  sommeNotes: { $sum: { $ifNull: ["$note", 0] } },
+  promoteurs: { $sum: { $cond: [{ $gte: ["$note", PROMOTER_MIN] }, 1, 0] } },
+  passifs: { $sum: { $cond: [{ $and: [{ $gt: ["$note", DETRACTOR_MAX] }, { $lt: ["$note", PROMOTER_MIN] }] }, 1, 0] } },
+  detracteurs: { $sum: { $cond: [{ $and: [{ $gt: ["$note", null] }, { $lte: ["$note", DETRACTOR_MAX] }] }, 1, 0] } },
+}
+
+// Indicateurs dérivés : satisfaction moyenne, taux de réponse et score NPS (null sans réponse)
+const withSurveyRates = ({
+  envoyees = 0,
+  reponses = 0,
+  sommeNotes = 0,
+  promoteurs = 0,
+  passifs = 0,
+  detracteurs = 0,
+}) => {
+  const part = (value) => (reponses > 0 ? Math.round((value / reponses) * 100) : null)
+  return {
+    envoyees,
+    reponses,
+    tauxReponse: envoyees > 0 ? Math.round((reponses / envoyees) * 100) : null,
+    satisfaction: reponses > 0 ? Math.round((sommeNotes / reponses) * 100) / 100 : null,
+    nps: {
+      promoteurs,
+      passifs,
+      detracteurs,
+      pourcentagePromoteurs: part(promoteurs),
+      pourcentagePassifs: part(passifs),
+      pourcentageDetracteurs: part(detracteurs),
+      score: reponses > 0 ? part(promoteurs) - part(detracteurs) : null,
+    },
+  }
+}
+
+// Méthode statique pour obtenir les résultats d'enquête
+// groupBy : null (global), "commercial" ou "campagne"
+surveyInvitationSchema.statics.getResults = async function (match = {}, groupBy = null) {
+  const results = await this.aggregate([
+    { $match: match },
+    { $group: { _id: groupBy ? `$${groupBy}` : null, ...SURVEY_GROUP } },
+  ])
+
+  if (!groupBy) return withSurveyRates(results[0] || {})
+  return results.map(({ _id, ...totals }) => ({ [groupBy]: _id, ...withSurveyRates(totals) }))
+}
+
+// Méthode statique pour obtenir la satisfaction et le taux de réponse d'un mois
+// utilisateurs : liste d'identifiants (ObjectId)
+surveyInvitationSchema.statics.summarizeMonth = function (utilisateurs, annee, mois) {
+  return this.getResults({ commercial: { $in: utilisateurs }, "periode.annee": annee, "periode.mois": mois })
+}
+
+module.exports = mongoose.model("SurveyInvitation", surveyInvitationSchema)
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const crypto = require("crypto")
+const { lockoutConfig, getAccountLockDuration } = require("../config/lockout")
 
 const userSchema = new mongoose.Schema(
   {
@@ -38,6 +40,12 @@ const userSchema = new mongoose.Schema(
       enum: ["admin", "manager", "utilisateur"],
       default: "utilisateur",
     },
+    // Responsable hiérarchique direct
+    manager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     avatar: {
       type: String,
       default: null,
@@ -72,6 +80,17 @@ const userSchema = new mongoose.Schema(
     dateBlocage: {
       type: Date,
     },
+    dateFinBlocage: {
+      type: Date,
+    },
+    // Nombre de blocages successifs, pour allonger progressivement la durée
+    nombreBlocages: {
+      type: Number,
+      default: 0,
+    },
+    dateChangementMotDePasse: {
+      type: Date,
+    },
     tokenResetPassword: String,
     expireResetPassword: Date,
     emailVerifie: {
@@ -89,6 +108,7 @@ const userSchema = new mongoose.Schema(
 // Index pour les performances
 userSchema.index({ email: 1 })
 userSchema.index({ statut: 1 })
+userSchema.index({ manager: 1 })
 
 // Virtual pour le nom complet
 userSchema.virtual("nomComplet").get(function () {
@@ -107,6 +127,11 @@ userSchema.pre("save", async function (next) {
   try {
     const salt = await bcrypt.genSalt(12)
     this.password = await bcrypt.hash(this.password, salt)
+
+    // Les tokens émis avant ce changement deviennent invalides
+    if (!this.isNew) {
+      this.dateChangementMotDePasse = new Date()
+    }
     next()
   } catch (error) {
     next(error)
@@ -118,10 +143,17 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password)
 }
 
+// Méthode pour vérifier si le mot de passe a changé après l'émission d'un token
+userSchema.methods.changedPasswordAfter = function (jwtTimestamp) {
+  if (!this.dateChangementMotDePasse) return false
+  return Math.floor(this.dateChangementMotDePasse.getTime() / 1000) > jwtTimestamp
+}
+
 // Méthode pour mettre à jour la dernière connexion
 userSchema.methods.updateLastLogin = function () {
   this.derniereConnexion = new Date()
   this.tentativesConnexion = 0
+  this.nombreBlocages = 0
   return this.save({ validateBeforeSave: false })
 }
 
@@ -129,21 +161,81 @@ userSchema.methods.updateLastLogin = function () {
 userSchema.methods.incrementLoginAttempts = function () {
   this.tentativesConnexion += 1
 
-  // Bloquer le compte après 5 tentatives
-  if (this.tentativesConnexion >= 5) {
+  // Bloquer le compte après le nombre d'échecs autorisé, pour une durée croissante
+  if (this.tentativesConnexion >= lockoutConfig.compte.tentativesMax) {
     this.compteBloque = true
     this.dateBlocage = new Date()
+    this.dateFinBlocage = new Date(Date.now() + getAccountLockDuration(this.nombreBlocages || 0))
+    this.nombreBlocages = (this.nombreBlocages || 0) + 1
   }
 
   return this.save({ validateBeforeSave: false })
 }
 
+// Méthode pour obtenir le temps de blocage restant (en ms)
+userSchema.methods.getRemainingLockTime = function () {
+  if (!this.compteBloque) return 0
+
+  // Blocages antérieurs à la politique progressive : durée initiale depuis la date de blocage
+  const finBlocage =
+    this.dateFinBlocage ||
+    (this.dateBlocage ? new Date(this.dateBlocage.getTime() + getAccountLockDuration(0)) : new Date())
+
+  return Math.max(finBlocage.getTime() - Date.now(), 0)
+}
+
+// Méthode pour débloquer automatiquement le compte si la durée de blocage est écoulée
+userSchema.methods.checkLockExpiration = async function () {
+  if (this.compteBloque && this.getRemainingLockTime() === 0) {
+    this.compteBloque = false
+    this.tentativesConnexion = 0
+    this.dateBlocage = undefined
+    this.dateFinBlocage = undefined
+    await this.save({ validateBeforeSave: false })
+  }
+
+  return this.compteBloque
+}
+
 // Méthode pour débloquer le compte
 userSchema.methods.unlockAccount = function () {
   this.compteBloque = false
   this.tentativesConnexion = 0
+  this.nombreBlocages = 0
   this.dateBlocage = undefined
+  this.dateFinBlocage = undefined
   return this.save({ validateBeforeSave: false })
 }
 
+// Méthode pour générer un token de réinitialisation du mot de passe
+userSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex")
+
+  // Seul le hash du token est stocké en base
+  this.tokenResetPassword = crypto.createHash("sha256").update(resetToken).digest("hex")
+  this.expireResetPassword = Date.now() + 30 * 60 * 1000 // 30 minutes
+
+  return resetToken
+}
+
+// Méthode statique pour obtenir les identifiants de toute l'équipe d'un manager (équipes imbriquées comprises)
+userSchema.statics.getSubordinateIds = async function (managerId) {
+  const result = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(managerId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "manager",
+        as: "subordonnes",
+      },
+    },
+    { $project: { "subordonnes._id": 1 } },
+  ])
+
+  if (!result[0]) return []
+  return result[0].subordonnes.map((subordonne) => subordonne._id)
+}
+
 module.exports = mongoose.model("User", userSchema)
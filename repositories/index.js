@@ -0,0 +1,5 @@
+// Accès aux données selon le stockage configuré (config/storage) ; le journal d'activités (activités, clients,
+// rendez-vous, événements et enquêtes) n'existe qu'avec MongoDB (voir middleware/storageMiddleware)
+const { isMemoryStorage } = require("../config/storage")
+
+module.exports = isMemoryStorage() ? require("./memory").repositories : require("./mongo")
@@ -0,0 +1,188 @@
+// Stockage en mémoire : mêmes opérations que le stockage MongoDB, sans base de données
+const User = require("../models/User")
+const Performance = require("../models/Performance")
+const Objective = require("../models/Objective")
+const AuditLog = require("../models/AuditLog")
+const RefreshToken = require("../models/RefreshToken")
+const LoginAttempt = require("../models/LoginAttempt")
+const Alert = require("../models/Alert")
+const AlertRule = require("../models/AlertRule")
+const CommissionPlan = require("../models/CommissionPlan")
+const CommissionStatement = require("../models/CommissionStatement")
+const Reminder = require("../models/Reminder")
+const JobLock = require("../models/JobLock")
+const { storageConfig } = require("../config/storage")
+const { createMemoryCollection } = require("./memoryCollection")
+
+// Collections par nom de modèle (les références sont résolues entre elles)
+const MODELS = [
+  User,
+  Performance,
+  Objective,
+  AuditLog,
+  RefreshToken,
+  LoginAttempt,
+  Alert,
+  AlertRule,
+  CommissionPlan,
+  CommissionStatement,
+  Reminder,
+  JobLock,
+]
+const collections = {}
+MODELS.forEach((Model) => {
+  collections[Model.modelName] = createMemoryCollection(Model, collections)
+})
+
+const users = collections.User
+const performances = collections.Performance
+const auditLogs = collections.AuditLog
+const refreshTokens = collections.RefreshToken
+const loginAttempts = collections.LoginAttempt
+const commissionPlans = collections.CommissionPlan
+const jobLocks = collections.JobLock
+
+// Révocation d'un ensemble de refresh tokens encore actifs
+const revokeTokens = (filter) =>
+  refreshTokens.updateMany({ ...filter, revoque: false }, { revoque: true, dateRevocation: new Date() })
+
+// Clés de regroupement des cumuls (voir Performance.sumValidated)
+const STATS_GROUP_KEYS = {
+  utilisateur: (row) => row.utilisateur,
+  mois: (row) => ({ annee: row.periode.annee, mois: row.periode.mois }),
+  utilisateurMois: (row) => ({ utilisateur: row.utilisateur, annee: row.periode.annee, mois: row.periode.mois }),
+}
+
+// Cumuls des données validées, équivalent du pipeline de Performance.sumValidated
+const sumValidated = async (match, groupBy = null) => {
+  let groupKey = STATS_GROUP_KEYS[groupBy] || (() => null)
+
+  if (groupBy === "departement") {
+    // Les données d'un utilisateur supprimé sont écartées (comme avec $unwind)
+    const auteurs = await users.find({}, { select: "departement" })
+    const departements = new Map(auteurs.map((auteur) => [auteur._id.toString(), auteur.departement ?? null]))
+    groupKey = (row) => departements.get(row.utilisateur.toString())
+  }
+
+  return performances.group({ ...match, statut: "valide" }, groupKey, Performance.STATS_GROUP)
+}
+
+const repositories = {
+  users: {
+    ...users,
+    // Parcours de la hiérarchie niveau par niveau (équivalent du $graphLookup MongoDB)
+    getSubordinateIds: async (managerId) => {
+      const ids = []
+      const seen = new Set([managerId.toString()])
+      let managers = [managerId]
+
+      while (managers.length > 0) {
+        const members = await users.find({ manager: { $in: managers } }, { select: "_id" })
+        managers = members.map((member) => member._id).filter((id) => !seen.has(id.toString()))
+        managers.forEach((id) => seen.add(id.toString()))
+        ids.push(...managers)
+      }
+
+      return ids
+    },
+  },
+  performances: {
+    ...performances,
+    sumValidated,
+    getStatsPeriode: (...args) => {
+      const { match, groupBy } = Performance.statsPeriodeQuery(...args)
+      return sumValidated(match, groupBy)
+    },
+  },
+  objectives: collections.Objective,
+  auditLogs: {
+    ...auditLogs,
+    record: async (params) => {
+      const entry = AuditLog.prepare(params)
+      if (!entry) return null
+
+      return AuditLog.insertVersioned(entry, {
+        findLastVersion: ({ entite, entiteId }) =>
+          auditLogs.findOne({ entite, entiteId }, { sort: { version: -1 }, select: "version" }),
+        create: auditLogs.create,
+      })
+    },
+  },
+  refreshTokens: {
+    ...refreshTokens,
+    issue: async (userId, options) => {
+      const { token, data } = RefreshToken.generate(userId, options)
+      return { token, refreshToken: await refreshTokens.create(data) }
+    },
+    revokeFamily: (famille) => revokeTokens({ famille }),
+    revokeAllForUser: (userId) => revokeTokens({ utilisateur: userId }),
+  },
+  loginAttempts: {
+    getRemainingLockTime: async (adresseIP) => {
+      const attempt = await loginAttempts.findOne({ adresseIP })
+      return attempt ? attempt.getRemainingLockTime() : 0
+    },
+    recordFailure: async (adresseIP) => {
+      const now = Date.now()
+      const attempt = (await loginAttempts.findOne({ adresseIP })) || loginAttempts.build({ adresseIP })
+
+      // Nouvelle fenêtre d'observation si la précédente est écoulée
+      if (attempt.isNew || attempt.isWindowExpired(now)) {
+        attempt.set({ ...LoginAttempt.newWindow(now), dateFinBlocage: undefined })
+      } else {
+        attempt.tentatives += 1
+        attempt.applyLock(now)
+      }
+
+      return attempt.save()
+    },
+  },
+  alerts: collections.Alert,
+  alertRules: collections.AlertRule,
+  commissionPlans: {
+    ...commissionPlans,
+    // Plan affecté nommément à l'utilisateur, sinon plan de son rôle (voir CommissionPlan.findForUser)
+    findForUser: async (user) =>
+      (await commissionPlans.findOne({ actif: true, utilisateurs: user._id }, { sort: { updatedAt: -1 } })) ||
+      commissionPlans.findOne({ actif: true, roles: user.role }, { sort: { updatedAt: -1 } }),
+  },
+  commissionStatements: collections.CommissionStatement,
+  reminders: collections.Reminder,
+  jobLocks: {
+    // Voir JobLock.acquire : un verrou actif détenu par une autre instance fait échouer l'upsert sur l'index unique
+    acquire: async (nom, detenteur, dureeMs) => {
+      const now = new Date()
+
+      try {
+        const lock = await jobLocks.findOneAndUpdate(
+          { nom, $or: [{ dateExpiration: { $lte: now } }, { detenteur }] },
+          { detenteur, dateExpiration: new Date(now.getTime() + dureeMs) },
+          { upsert: true },
+        )
+        return Boolean(lock)
+      } catch (error) {
+        if (error.code === 11000) return false
+        throw error
+      }
+    },
+    release: (nom, detenteur) => jobLocks.updateMany({ nom, detenteur }, { dateExpiration: new Date() }),
+  },
+}
+
+// Création du compte administrateur initial (MEMORY_ADMIN_EMAIL / MEMORY_ADMIN_PASSWORD)
+const seed = async () => {
+  const { email, password, nom, prenom } = storageConfig.adminInitial
+  if (!email || !password) {
+    console.log("💾 Aucun compte initial : définissez MEMORY_ADMIN_EMAIL et MEMORY_ADMIN_PASSWORD")
+    return null
+  }
+
+  const admin = await users.create({ nom, prenom, email, password, role: "admin", emailVerifie: true })
+  console.log(`💾 Compte administrateur initial : ${admin.email}`)
+  return admin
+}
+
+module.exports = {
+  repositories,
+  seed,
+}
@@ -0,0 +1,405 @@
+// Collection en mémoire pour un modèle Mongoose.
+// Les documents restent des documents Mongoose (méthodes, virtuels) ; l'enregistrement applique les mêmes
+// règles que MongoDB : validation du schéma, middlewares pre("save") et post("save") du modèle et index uniques
+// (partiels et multiclés compris). Les middlewares de requête du modèle s'appliquent aux mises à jour
+// et suppressions directes.
+const mongoose = require("mongoose")
+const { getPath, setPath, planListQuery, finishListQuery } = require("../utils/listQuery")
+const { matches, sortRows, evaluate, accumulate } = require("./memoryQuery")
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && [Object.prototype, null].includes(Object.getPrototypeOf(value))
+
+// Copie profonde d'un objet brut (les ObjectId sont immuables et partagés)
+const cloneValue = (value) => {
+  if (value instanceof Date) return new Date(value.getTime())
+  if (Array.isArray(value)) return value.map(cloneValue)
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneValue(item)]))
+  }
+  return value
+}
+
+const unsetPath = (object, path) => {
+  const keys = path.split(".")
+  const last = keys.pop()
+  const target = getPath(object, keys.join("."))
+  if (keys.length === 0) delete object[last]
+  else if (target && typeof target === "object") delete target[last]
+}
+
+// Options de population : "chemin", { path, select } ou une liste
+const toPopulateList = (populate) =>
+  (Array.isArray(populate) ? populate : [populate]).map((item) => (typeof item === "string" ? { path: item } : item))
+
+// Middlewares internes de Mongoose (horodatage des requêtes de mise à jour…) : propres aux requêtes MongoDB,
+// ils sont écartés au profit des seuls middlewares déclarés par les modèles
+const BUILT_IN_MIDDLEWARE = Symbol.for("mongoose:built-in-middleware")
+
+// Opérateurs de mise à jour ; les champs sans opérateur sont modifiés comme avec $set
+const UPDATE_OPERATORS = {
+  $set: (document, fields) => document.set(fields),
+  $unset: (document, fields) => Object.keys(fields).forEach((path) => document.set(path, undefined)),
+  $inc: (document, fields) =>
+    Object.entries(fields).forEach(([path, value]) => document.set(path, (document.get(path) || 0) + value)),
+}
+
+// Champs d'un document créé par upsert : les égalités du filtre, comme MongoDB
+const upsertFields = (filter) => {
+  const fields = {}
+  Object.entries(filter).forEach(([path, condition]) => {
+    const isOperator = isPlainObject(condition) && Object.keys(condition).some((key) => key.startsWith("$"))
+    if (!path.startsWith("$") && !isOperator) setPath(fields, path, condition)
+  })
+  return fields
+}
+
+const castId = (id) => {
+  if (!mongoose.isValidObjectId(id)) throw new mongoose.Error.CastError("ObjectId", id, "_id")
+  return id.toString()
+}
+
+// collections : collections en mémoire par nom de modèle, pour résoudre les références (populate)
+const createMemoryCollection = (Model, collections) => {
+  const rows = new Map()
+  const { schema } = Model
+  const modelHooks = schema.s.hooks.filter((hook) => !hook.fn[BUILT_IN_MIDDLEWARE])
+
+  const uniqueIndexes = schema
+    .indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields, options]) => ({
+      fields: Object.keys(fields),
+      sparse: Boolean(options.sparse),
+      partial: options.partialFilterExpression,
+    }))
+
+  // Champs exclus par défaut des lectures (select: false), comme le mot de passe
+  const hiddenPaths = Object.keys(schema.paths).filter((path) => schema.paths[path].options.select === false)
+
+  const duplicateKeyError = (keyValue) =>
+    Object.assign(
+      new Error(`E11000 duplicate key error collection: ${Model.collection.name} dup key: ${JSON.stringify(keyValue)}`),
+      {
+        name: "MongoServerError",
+        code: 11000,
+        keyPattern: Object.fromEntries(Object.keys(keyValue).map((field) => [field, 1])),
+        keyValue,
+      },
+    )
+
+  // Contraintes d'unicité de l'identifiant et des index uniques du schéma
+  const checkUniqueness = (row, isNew) => {
+    const id = row._id.toString()
+    if (isNew && rows.has(id)) throw duplicateKeyError({ _id: id })
+
+    uniqueIndexes.forEach(({ fields, sparse, partial }) => {
+      // Un index partiel ne porte que sur les documents qui satisfont son filtre
+      if (partial && !matches(row, partial)) return
+
+      const keyValue = Object.fromEntries(fields.map((field) => [field, getPath(row, field) ?? null]))
+      if (sparse && Object.values(keyValue).every((value) => value === null)) return
+
+      // Index multiclé : chaque valeur d'un tableau est une clé de l'index
+      const keyFilter = Object.fromEntries(
+        Object.entries(keyValue).map(([field, value]) => [field, Array.isArray(value) ? { $in: value } : value]),
+      )
+      const conflict = [...rows.values()].some(
+        (other) => other._id.toString() !== id && (!partial || matches(other, partial)) && matches(other, keyFilter),
+      )
+      if (conflict) throw duplicateKeyError(keyValue)
+    })
+  }
+
+  const toRow = (document) =>
+    document.toObject({ depopulate: true, virtuals: false, getters: false, transform: false, versionKey: true })
+
+  // Reporter sur la ligne enregistrée les seuls champs modifiés (comme un $set / $unset)
+  const mergeChanges = (row, document) => {
+    const changes = toRow(document)
+    const merged = cloneValue(row)
+    document.directModifiedPaths().forEach((path) => {
+      const value = getPath(changes, path)
+      if (value === undefined) unsetPath(merged, path)
+      else setPath(merged, path, cloneValue(value))
+    })
+    return merged
+  }
+
+  // Sélection de champs : "a b" (inclusion), "-a" (exclusion), "+a" (champ masqué par défaut)
+  const applySelect = (row, select = "") => {
+    const tokens = select.split(/\s+/).filter(Boolean)
+    const added = tokens.filter((token) => token.startsWith("+")).map((token) => token.slice(1))
+    const included = tokens.filter((token) => !/^[+-]/.test(token))
+
+    if (included.length > 0) {
+      const paths = [...included, ...added]
+      const picked = { _id: row._id }
+      paths.forEach((path) => {
+        const value = getPath(row, path)
+        if (value !== undefined) setPath(picked, path, cloneValue(value))
+      })
+      return { row: picked, projection: Object.fromEntries(["_id", ...paths].map((path) => [path, 1])) }
+    }
+
+    const excluded = [
+      ...hiddenPaths.filter((path) => !added.includes(path)),
+      ...tokens.filter((token) => token.startsWith("-")).map((token) => token.slice(1)),
+    ]
+    const copy = cloneValue(row)
+    excluded.forEach((path) => unsetPath(copy, path))
+    return {
+      row: copy,
+      projection: excluded.length > 0 ? Object.fromEntries(excluded.map((path) => [path, 0])) : undefined,
+    }
+  }
+
+  // Modifications d'une requête de mise à jour ({ champ: valeur } ou opérateurs), avec l'horodatage
+  const applyUpdate = (document, changes) => {
+    Object.entries(changes).forEach(([key, value]) => {
+      if (!key.startsWith("$")) return document.set(key, value)
+      if (!UPDATE_OPERATORS[key]) throw new Error(`Opérateur de mise à jour non pris en charge en mémoire : ${key}`)
+      UPDATE_OPERATORS[key](document, value)
+    })
+
+    const now = new Date()
+    if (schema.path("updatedAt")) document.set("updatedAt", now)
+    if (document.isNew && schema.path("createdAt")) document.set("createdAt", now)
+  }
+
+  // Appliquer des modifications à une ligne enregistrée, sans validation
+  const applyChanges = (row, changes) => {
+    const document = Model.hydrate(cloneValue(row))
+    applyUpdate(document, changes)
+
+    const merged = mergeChanges(row, document)
+    rows.set(row._id.toString(), merged)
+    return merged
+  }
+
+  const runPreSave = (document, options) =>
+    new Promise((resolve, reject) => {
+      schema.s.hooks.execPre("save", document, [options], (error) => (error ? reject(error) : resolve()))
+    })
+
+  const runPostSave = (document) =>
+    new Promise((resolve, reject) => {
+      modelHooks.execPost("save", document, [document], (error) => (error ? reject(error) : resolve()))
+    })
+
+  // Middlewares de requête du modèle (un relevé de commission refuse toute modification directe, par exemple)
+  const runQueryHooks = (operation) =>
+    new Promise((resolve, reject) => {
+      modelHooks.execPre(operation, { model: Model, op: operation }, [], (error) => (error ? reject(error) : resolve()))
+    })
+
+  const markSaved = (document) => {
+    document.$isNew = false
+    document.modifiedPaths().forEach((path) => document.unmarkModified(path))
+    return document
+  }
+
+  // Enregistrer un document ; options comme Document#save (validateBeforeSave notamment)
+  const save = async (document, options = {}) => {
+    await runPreSave(document, options)
+
+    const id = document._id.toString()
+    const current = rows.get(id)
+    if (!document.isNew && !current) {
+      throw new mongoose.Error.DocumentNotFoundError({ _id: document._id }, Model.modelName)
+    }
+
+    const row = document.isNew ? { __v: 0, ...toRow(document) } : mergeChanges(current, document)
+    checkUniqueness(row, document.isNew)
+    rows.set(id, row)
+
+    markSaved(document)
+    await runPostSave(document)
+    return document
+  }
+
+  // Les documents de cette collection s'enregistrent dans cette collection (y compris via leurs méthodes)
+  const attach = (document) => {
+    document.save = (options) => save(document, options)
+    return document
+  }
+
+  const populate = async (documents, options) => {
+    const list = Array.isArray(documents) ? documents : [documents]
+
+    for (const { path, select } of toPopulateList(options)) {
+      // Référence simple ou liste de références
+      const schemaType = schema.path(path)
+      const related = collections[schemaType.options.ref || schemaType.caster.options.ref]
+      for (const document of list) {
+        const value = document.get(path)
+        if (!value) continue
+
+        const populated = Array.isArray(value)
+          ? (await Promise.all(value.map((id) => related.findById(id, { select })))).filter(Boolean)
+          : await related.findById(value, { select })
+        document.set(path, populated)
+        document.unmarkModified(path)
+      }
+    }
+    return documents
+  }
+
+  const hydrate = async (rowsToHydrate, { select, populate: populateOptions } = {}) => {
+    const documents = rowsToHydrate.map((row) => {
+      const selected = applySelect(row, select)
+      return attach(Model.hydrate(selected.row, selected.projection))
+    })
+    if (populateOptions) await populate(documents, populateOptions)
+    return documents
+  }
+
+  const find = (filter = {}, { sort, skip = 0, limit, ...options } = {}) => {
+    const found = sortRows(
+      [...rows.values()].filter((row) => matches(row, filter)),
+      sort,
+    )
+    return hydrate(found.slice(skip, limit ? skip + limit : undefined), options)
+  }
+
+  const findOne = async (filter, options = {}) => {
+    const [document] = await find(filter, { ...options, limit: 1 })
+    return document || null
+  }
+
+  const build = (data) => attach(new Model(data))
+
+  return {
+    findById: async (id, options) => findOne({ _id: castId(id) }, options),
+    findOne,
+    find,
+    count: async (filter = {}) => [...rows.values()].filter((row) => matches(row, filter)).length,
+    build,
+    create: (data) => save(build(data)),
+
+    // Mise à jour partielle, comme findByIdAndUpdate avec runValidators : seuls les champs modifiés
+    // sont validés et les middlewares pre("save") ne s'appliquent pas
+    updateById: async (id, changes, options) => {
+      await runQueryHooks("findOneAndUpdate")
+      const row = rows.get(castId(id))
+      if (!row) return null
+
+      const document = Model.hydrate(cloneValue(row))
+      applyUpdate(document, changes)
+      await document.validate(document.directModifiedPaths())
+
+      const merged = mergeChanges(row, document)
+      checkUniqueness(merged, false)
+      rows.set(row._id.toString(), merged)
+
+      const [updated] = await hydrate([merged], options)
+      return updated
+    },
+
+    // Mise à jour sans validation, comme Model.updateMany
+    updateMany: async (filter, changes) => {
+      await runQueryHooks("updateMany")
+      const targets = [...rows.values()].filter((row) => matches(row, filter))
+      targets.forEach((row) => applyChanges(row, changes))
+      return { matchedCount: targets.length, modifiedCount: targets.length }
+    },
+
+    // Mise à jour du premier document correspondant, comme findOneAndUpdate avec new: true
+    // (recherche et écriture sans interruption : deux appels concurrents ne peuvent pas modifier le même document)
+    // options.upsert : créer le document à partir des égalités du filtre s'il n'existe pas
+    // options.runValidators : valider les champs modifiés
+    findOneAndUpdate: async (filter, changes, { upsert = false, runValidators = false, ...options } = {}) => {
+      await runQueryHooks("findOneAndUpdate")
+      const row = [...rows.values()].find((candidate) => matches(candidate, filter))
+      if (!row && !upsert) return null
+
+      const document = row ? Model.hydrate(cloneValue(row)) : new Model(upsertFields(filter))
+      applyUpdate(document, changes)
+      if (runValidators) {
+        const error = document.validateSync(row ? document.directModifiedPaths() : undefined)
+        if (error) throw error
+      }
+
+      const stored = row ? mergeChanges(row, document) : { __v: 0, ...toRow(document) }
+      checkUniqueness(stored, !row)
+      rows.set(stored._id.toString(), stored)
+
+      const [updated] = await hydrate([stored], options)
+      return updated
+    },
+
+    // Remplacement complet d'un document, sans validation, comme Model.replaceOne
+    replaceById: async (id, data) => {
+      await runQueryHooks("replaceOne")
+      const row = rows.get(castId(id))
+      if (!row) return { matchedCount: 0, modifiedCount: 0 }
+
+      rows.set(row._id.toString(), { ...cloneValue(data), _id: row._id })
+      return { matchedCount: 1, modifiedCount: 1 }
+    },
+
+    deleteById: async (id) => {
+      await runQueryHooks("findOneAndDelete")
+      const row = rows.get(castId(id))
+      if (!row) return null
+
+      rows.delete(row._id.toString())
+      const [deleted] = await hydrate([row])
+      return deleted
+    },
+
+    // Lecture en flux (itérable asynchrone), comme un curseur MongoDB
+    stream: async function* (filter, options) {
+      yield* await find(filter, options)
+    },
+
+    populate,
+
+    // Regroupement, comme un $group : groupKey(ligne) donne la clé du groupe (undefined : ligne écartée)
+    // Retourne une liste de { _id, ...accumulateurs }
+    group: async (filter, groupKey, accumulators) => {
+      const groups = new Map()
+      for (const row of rows.values()) {
+        const key = matches(row, filter) ? groupKey(row) : undefined
+        if (key === undefined) continue
+
+        const id = JSON.stringify(key)
+        if (!groups.has(id)) groups.set(id, { key, rows: [] })
+        groups.get(id).rows.push(row)
+      }
+
+      return [...groups.values()].map(({ key, rows: groupRows }) => ({
+        _id: key,
+        ...accumulate(groupRows, accumulators),
+      }))
+    },
+
+    // Requête de liste (voir utils/listQuery) évaluée en mémoire
+    list: async (spec, { filter = {}, params = {}, populate: populateOptions, defaultLimit } = {}) => {
+      const plan = planListQuery(spec, params, defaultLimit)
+
+      const inScope = [...rows.values()]
+        .filter((row) => matches(row, filter))
+        .map((row) => {
+          const computed = Object.entries(plan.computed).map(([field, expression]) => [
+            field,
+            evaluate(row, expression),
+          ])
+          return { ...cloneValue(row), ...Object.fromEntries(computed) }
+        })
+        .filter((row) => matches(row, plan.rangeFilter))
+
+      const candidates = plan.cursorFilter ? inScope.filter((row) => matches(row, plan.cursorFilter)) : inScope
+      const start = plan.usesCursor ? 0 : (plan.page - 1) * plan.limit
+      const pageRows = sortRows(candidates, plan.sort).slice(start, start + plan.limit + 1)
+
+      return finishListQuery(plan, pageRows, inScope.length, (rowsToHydrate) =>
+        hydrate(rowsToHydrate, { populate: populateOptions }),
+      )
+    },
+  }
+}
+
+module.exports = {
+  createMemoryCollection,
+}
@@ -0,0 +1,162 @@
+// Évaluation en mémoire du sous-ensemble de filtres, tris et expressions MongoDB utilisé par l'application
+const mongoose = require("mongoose")
+const { getPath } = require("../utils/listQuery")
+
+// Ordre des types dans un tri, comme MongoDB (null < nombres < chaînes < ObjectId < booléens < dates)
+const TYPE_ORDER = ["null", "number", "string", "objectId", "boolean", "date"]
+
+const typeOf = (value) => {
+  if (value === null || value === undefined) return "null"
+  if (value instanceof Date) return "date"
+  if (value instanceof mongoose.Types.ObjectId) return "objectId"
+  return typeof value
+}
+
+// Valeur comparable : les ObjectId sont comparés par leur forme hexadécimale, les dates par leur horodatage
+const normalize = (value) => {
+  if (value === undefined) return null
+  if (value instanceof Date) return value.getTime()
+  if (value instanceof mongoose.Types.ObjectId) return value.toString()
+  if (value && value._id instanceof mongoose.Types.ObjectId) return value._id.toString()
+  return value
+}
+
+const compareValues = (a, b) => {
+  const typeA = TYPE_ORDER.indexOf(typeOf(a))
+  const typeB = TYPE_ORDER.indexOf(typeOf(b))
+  if (typeA !== typeB) return typeA - typeB
+
+  const [left, right] = [normalize(a), normalize(b)]
+  if (left === right) return 0
+  return left < right ? -1 : 1
+}
+
+const isEqual = (value, expected) => {
+  if (Array.isArray(value) && !Array.isArray(expected)) return value.some((item) => isEqual(item, expected))
+  if (expected instanceof RegExp) return typeof value === "string" && expected.test(value)
+  return normalize(value) === normalize(expected)
+}
+
+// Comparaison d'ordre entre valeurs de types compatibles (une date filtrée par un horodatage, par exemple) ;
+// NaN pour des valeurs non comparables, qui ne satisfont alors aucun opérateur
+const compareNormalized = (value, bound) => {
+  const [left, right] = [normalize(value), normalize(bound)]
+  if (left === null || right === null || typeof left !== typeof right) return Number.NaN
+  if (left === right) return 0
+  return left < right ? -1 : 1
+}
+
+const OPERATORS = {
+  $eq: (value, operand) => isEqual(value, operand),
+  $ne: (value, operand) => !isEqual(value, operand),
+  $in: (value, operand) => operand.some((item) => isEqual(value, item)),
+  $nin: (value, operand) => !operand.some((item) => isEqual(value, item)),
+  $gt: (value, operand) => compareNormalized(value, operand) > 0,
+  $gte: (value, operand) => compareNormalized(value, operand) >= 0,
+  $lt: (value, operand) => compareNormalized(value, operand) < 0,
+  $lte: (value, operand) => compareNormalized(value, operand) <= 0,
+  $exists: (value, operand) => (value !== undefined) === Boolean(operand),
+  $regex: (value, operand) => typeof value === "string" && new RegExp(operand).test(value),
+}
+
+const isOperatorObject = (condition) =>
+  condition !== null &&
+  typeof condition === "object" &&
+  !(condition instanceof Date) &&
+  !(condition instanceof RegExp) &&
+  !(condition instanceof mongoose.Types.ObjectId) &&
+  Object.keys(condition).length > 0 &&
+  Object.keys(condition).every((key) => key.startsWith("$"))
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) return isEqual(value, condition)
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (!OPERATORS[operator]) throw new Error(`Opérateur non pris en charge en mémoire : ${operator}`)
+    return OPERATORS[operator](value, operand)
+  })
+}
+
+// Valeur d'un chemin filtré ; à travers un tableau de sous-documents, la liste des valeurs de ses éléments
+// (comme MongoDB : { "changements.champ": "x" } est satisfait par un élément quelconque)
+const filteredValue = (row, path) =>
+  path.split(".").reduce((value, key) => {
+    if (value === null || value === undefined) return undefined
+    if (!Array.isArray(value) || /^\d+$/.test(key)) return value[key]
+
+    const values = value.filter((item) => item !== null && item !== undefined && item[key] !== undefined)
+    return values.length > 0 ? values.flatMap((item) => item[key]) : undefined
+  }, row)
+
+// Vérifier qu'un objet satisfait un filtre (égalités, opérateurs de comparaison, $or, $and)
+const matches = (row, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((subFilter) => matches(row, subFilter))
+    if (key === "$and") return condition.every((subFilter) => matches(row, subFilter))
+    if (key.startsWith("$")) throw new Error(`Opérateur non pris en charge en mémoire : ${key}`)
+    return matchesCondition(filteredValue(row, key), condition)
+  })
+
+// Trier selon une liste [chemin, sens] ou un objet { chemin: sens }
+const sortRows = (rows, sort) => {
+  const entries = Array.isArray(sort) ? sort : Object.entries(sort || {})
+  return [...rows].sort((a, b) => {
+    for (const [path, sens] of entries) {
+      const order = compareValues(getPath(a, path), getPath(b, path))
+      if (order !== 0) return sens < 0 ? -order : order
+    }
+    return 0
+  })
+}
+
+// Expressions d'agrégation utilisées par les champs calculés des listes
+const EXPRESSIONS = {
+  $add: (values) => values.reduce((sum, value) => sum + value, 0),
+  $multiply: (values) => values.reduce((product, value) => product * value, 1),
+  $divide: ([dividend, divisor]) => dividend / divisor,
+  $floor: ([value]) => Math.floor(value),
+  $gt: ([a, b]) => compareValues(a, b) > 0,
+  $cond: ([condition, ifTrue, ifFalse]) => (condition ? ifTrue : ifFalse),
+  $ifNull: ([value, replacement]) => (value === null || value === undefined ? replacement : value),
+}
+
+const evaluate = (row, expression) => {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    const value = getPath(row, expression.slice(1))
+    return value === undefined ? null : value
+  }
+  if (Array.isArray(expression)) return expression.map((item) => evaluate(row, item))
+  if (!isOperatorObject(expression)) return expression
+
+  const [[operator, operands]] = Object.entries(expression)
+  if (!EXPRESSIONS[operator]) throw new Error(`Expression non prise en charge en mémoire : ${operator}`)
+  return EXPRESSIONS[operator](evaluate(row, Array.isArray(operands) ? operands : [operands]))
+}
+
+// Accumulateurs de regroupement ($group) ; comme MongoDB, les valeurs non numériques sont ignorées
+const isNumber = (value) => typeof value === "number" && !Number.isNaN(value)
+
+const ACCUMULATORS = {
+  $sum: (values) => values.filter(isNumber).reduce((sum, value) => sum + value, 0),
+  $avg: (values) => {
+    const numbers = values.filter(isNumber)
+    return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null
+  },
+}
+
+// Valeurs accumulées d'un groupe de lignes ({ champ: { $sum: expression } }, comme dans un $group)
+const accumulate = (rows, accumulators) =>
+  Object.fromEntries(
+    Object.entries(accumulators).map(([field, accumulator]) => {
+      const [[operator, expression]] = Object.entries(accumulator)
+      if (!ACCUMULATORS[operator]) throw new Error(`Accumulateur non pris en charge en mémoire : ${operator}`)
+      return [field, ACCUMULATORS[operator](rows.map((row) => evaluate(row, expression)))]
+    }),
+  )
+
+module.exports = {
+  matches,
+  sortRows,
+  evaluate,
+  accumulate,
+}
@@ -0,0 +1,53 @@
+// Stockage MongoDB (par défaut)
+const User = require("../models/User")
+const Performance = require("../models/Performance")
+const Objective = require("../models/Objective")
+const AuditLog = require("../models/AuditLog")
+const RefreshToken = require("../models/RefreshToken")
+const LoginAttempt = require("../models/LoginAttempt")
+const Alert = require("../models/Alert")
+const AlertRule = require("../models/AlertRule")
+const CommissionPlan = require("../models/CommissionPlan")
+const CommissionStatement = require("../models/CommissionStatement")
+const Reminder = require("../models/Reminder")
+const JobLock = require("../models/JobLock")
+const { createMongoCollection } = require("./mongoCollection")
+
+module.exports = {
+  users: {
+    ...createMongoCollection(User),
+    getSubordinateIds: (managerId) => User.getSubordinateIds(managerId),
+  },
+  performances: {
+    ...createMongoCollection(Performance),
+    sumValidated: (match, groupBy) => Performance.sumValidated(match, groupBy),
+    getStatsPeriode: (...args) => Performance.getStatsPeriode(...args),
+  },
+  objectives: createMongoCollection(Objective),
+  auditLogs: {
+    ...createMongoCollection(AuditLog),
+    record: (params) => AuditLog.record(params),
+  },
+  refreshTokens: {
+    ...createMongoCollection(RefreshToken),
+    issue: (userId, options) => RefreshToken.issue(userId, options),
+    revokeFamily: (famille) => RefreshToken.revokeFamily(famille),
+    revokeAllForUser: (userId) => RefreshToken.revokeAllForUser(userId),
+  },
+  loginAttempts: {
+    getRemainingLockTime: (adresseIP) => LoginAttempt.getRemainingLockTime(adresseIP),
+    recordFailure: (adresseIP) => LoginAttempt.recordFailure(adresseIP),
+  },
+  alerts: createMongoCollection(Alert),
+  alertRules: createMongoCollection(AlertRule),
+  commissionPlans: {
+    ...createMongoCollection(CommissionPlan),
+    findForUser: (user) => CommissionPlan.findForUser(user),
+  },
+  commissionStatements: createMongoCollection(CommissionStatement),
+  reminders: createMongoCollection(Reminder),
+  jobLocks: {
+    acquire: (nom, detenteur, dureeMs) => JobLock.acquire(nom, detenteur, dureeMs),
+    release: (nom, detenteur) => JobLock.release(nom, detenteur),
+  },
+}
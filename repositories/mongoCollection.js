@@ -0,0 +1,38 @@
+// Collection MongoDB : accès direct au modèle Mongoose, avec la même interface que la collection en mémoire
+const { runListQuery } = require("../utils/listQuery")
+
+// Options de lecture : select, sort, skip, limit et populate ({ path, select })
+const withOptions = (query, { select, sort, skip, limit, populate } = {}) => {
+  if (select) query.select(select)
+  if (sort) query.sort(sort)
+  if (skip) query.skip(skip)
+  if (limit) query.limit(limit)
+  if (populate) query.populate(populate)
+  return query
+}
+
+const applyOptions = (query, options) => withOptions(query, options).exec()
+
+const createMongoCollection = (Model) => ({
+  findById: (id, options) => applyOptions(Model.findById(id), options),
+  findOne: (filter, options) => applyOptions(Model.findOne(filter), options),
+  find: (filter = {}, options) => applyOptions(Model.find(filter), options),
+  count: (filter = {}) => Model.countDocuments(filter),
+  build: (data) => new Model(data),
+  create: (data) => Model.create(data),
+  updateById: (id, changes, options) =>
+    applyOptions(Model.findByIdAndUpdate(id, changes, { new: true, runValidators: true }), options),
+  updateMany: (filter, changes) => Model.updateMany(filter, changes),
+  findOneAndUpdate: (filter, changes, { upsert = false, runValidators = false, ...options } = {}) =>
+    applyOptions(Model.findOneAndUpdate(filter, changes, { new: true, upsert, runValidators }), options),
+  replaceById: (id, data) => Model.replaceOne({ _id: id }, data),
+  deleteById: (id) => Model.findByIdAndDelete(id),
+  // Lecture en flux (curseur, itérable asynchrone)
+  stream: (filter = {}, options) => withOptions(Model.find(filter), options).cursor(),
+  populate: (documents, populate) => Model.populate(documents, populate),
+  list: (spec, options) => runListQuery(Model, spec, options),
+})
+
+module.exports = {
+  createMongoCollection,
+}
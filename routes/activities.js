@@ -0,0 +1,471 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const { body, param, query, validationResult } = require("express-validator")
+const Activity = require("../models/Activity")
+const Objective = require("../models/Objective")
+const { protect } = require("../middleware/authMiddleware")
+const { requireMongoStorage } = require("../middleware/storageMiddleware")
+const { canAccessUser, getScopedUserIds } = require("../utils/teamScope")
+const { isMonthLocked, syncMonthlyPerformance } = require("../utils/activityRollup")
+const { formatPeriod, periodOfDate } = require("../utils/periods")
+const { listQueryValidators, runListQuery } = require("../utils/listQuery")
+
+const router = express.Router()
+
+// Journal d'activités : MongoDB uniquement
+router.use(requireMongoStorage)
+
+// Toutes les routes nécessitent une authentification
+router.use(protect)
+
+// @desc    Enregistrer une activité
+// @route   POST /api/activities
+// @access  Private
+router.post(
+  "/",
+  [
+    body("type").isIn(Object.keys(Activity.ACTIVITY_FIELDS)).withMessage("Type d'activité invalide"),
+    body("date")
+      .optional()
+      .isISO8601()
+      .withMessage("Date invalide")
+      .custom((value) => new Date(value) <= new Date())
+      .withMessage("La date ne peut pas être dans le futur"),
+    body("quantite").optional().isInt({ min: 1 }).withMessage("Quantité invalide"),
+    body("montant").optional().isFloat({ min: 0 }).withMessage("Montant invalide"),
+    body("montant")
+      .if(body("type").equals("encaissement"))
+      .isFloat({ gt: 0 })
+      .withMessage("Le montant de l'encaissement est requis"),
+    body("description").optional().trim().isLength({ max: 300 }).withMessage("Description trop longue"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const date = req.body.date ? new Date(req.body.date) : new Date()
+      const periode = periodOfDate(date)
+
+      if (await isMonthLocked(req.user.id, periode)) {
+        return res.status(409).json({
+          success: false,
+          message: "Les données de ce mois ont été soumises ou validées et ne peuvent plus être modifiées",
+        })
+      }
+
+      const activity = await Activity.create({
+        utilisateur: req.user.id,
+        type: req.body.type,
+        date,
+        quantite: req.body.quantite,
+        montant: req.body.montant,
+        description: req.body.description,
+      })
+
+      // Recalcul des indicateurs du mois ; l'activité est annulée si elle les rend incohérents
+      const { performance, erreurs } = await syncMonthlyPerformance(req.user.id, periode, { acteur: req.user.id, req })
+
+      if (erreurs.length > 0) {
+        await activity.deleteOne()
+        return res.status(400).json({
+          success: false,
+          message: erreurs.join(", "),
+        })
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Activité enregistrée avec succès",
+        data: activity,
+        performance,
+      })
+    } catch (error) {
+      console.error("Erreur enregistrement activité:", error)
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((val) => val.message)
+            .join(", "),
+        })
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Lister les activités (les siennes ou celles d'un membre de son équipe)
+// @route   GET /api/activities
+// @access  Private
+router.get(
+  "/",
+  [
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("type")
+      .optional()
+      .isIn(Object.keys(Activity.RECORDED_ACTIVITY_FIELDS))
+      .withMessage("Type d'activité invalide"),
+    query("dateDebut").optional().isISO8601().withMessage("Date de début invalide"),
+    query("dateFin").optional().isISO8601().withMessage("Date de fin invalide"),
+    ...listQueryValidators(Activity.LIST_QUERY),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { type, dateDebut, dateFin } = req.query
+      const utilisateur = req.query.utilisateur || req.user.id
+
+      if (!(await canAccessUser(req.user, utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      const filter = { utilisateur: new mongoose.Types.ObjectId(utilisateur) }
+      if (type) filter.type = type
+      if (dateDebut || dateFin) {
+        filter.date = {}
+        if (dateDebut) filter.date.$gte = new Date(dateDebut)
+        if (dateFin) filter.date.$lte = new Date(dateFin)
+      }
+
+      const { data, pagination } = await runListQuery(Activity, Activity.LIST_QUERY, {
+        filter,
+        params: req.query,
+        defaultLimit: 50,
+      })
+
+      res.json({
+        success: true,
+        data,
+        pagination,
+      })
+    } catch (error) {
+      console.error("Erreur récupération activités:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Indicateurs du mois en cours (ou d'un mois donné) à partir du journal d'activités
+// @route   GET /api/activities/summary
+// @access  Private (soi-même, son équipe ou tous)
+router.get(
+  "/summary",
+  [
+    query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    query("mois").optional().isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const now = new Date()
+      const annee = Number.parseInt(req.query.annee) || now.getFullYear()
+      const mois = Number.parseInt(req.query.mois) || now.getMonth() + 1
+      const { equipe } = req.query
+      const utilisateur = equipe ? null : req.query.utilisateur || req.user.id
+
+      if (!(await canAccessUser(req.user, equipe || utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      const userIds = await getScopedUserIds(req.user, equipe ? { equipe } : { utilisateur })
+
+      const [totals, parJour, objectives] = await Promise.all([
+        Activity.summarizeMonth(userIds, annee, mois),
+        Activity.summarizeByDay(userIds, annee, mois),
+        Objective.find({ utilisateur: { $in: userIds }, "periode.annee": annee, "periode.mois": mois }),
+      ])
+
+      const objectifs = objectives.reduce(
+        (sum, objective) => {
+          Object.entries(objective.getTargets()).forEach(([field, value]) => (sum[field] += value))
+          return sum
+        },
+        { objectifCA: 0, objectifNouveauxClients: 0, objectifRDV: 0, objectifVentes: 0 },
+      )
+
+      const percent = (value, total) => (total > 0 ? Math.round((value / total) * 100) : 0)
+
+      // Avancement du mois et projection linéaire à fin de mois
+      const joursDuMois = new Date(annee, mois, 0).getDate()
+      const debutMois = new Date(annee, mois - 1, 1)
+      const joursEcoules = now < debutMois ? 0 : now >= new Date(annee, mois, 1) ? joursDuMois : now.getDate()
+      const enCours = joursEcoules > 0 && joursEcoules < joursDuMois
+      const projeter = (value) => (enCours ? Math.round((value / joursEcoules) * joursDuMois) : value)
+
+      res.json({
+        success: true,
+        data: {
+          periode: { annee, mois, libelle: formatPeriod({ type: "mois", annee, mois }) },
+          avancement: { joursEcoules, joursDuMois, enCours },
+          realise: {
+            ...totals,
+            tauxTransformation: percent(totals.ventesRealisees, totals.rdvRealises),
+            tauxObjectif: percent(totals.chiffreAffaires, objectifs.objectifCA),
+            tauxObjectifClients: percent(totals.nouveauxClients, objectifs.objectifNouveauxClients),
+            tauxObjectifRDV: percent(totals.rdvRealises, objectifs.objectifRDV),
+            tauxObjectifVentes: percent(totals.ventesRealisees, objectifs.objectifVentes),
+          },
+          objectifs,
+          projectionFinDeMois: {
+            chiffreAffaires: projeter(totals.chiffreAffaires),
+            nouveauxClients: projeter(totals.nouveauxClients),
+            rdvRealises: projeter(totals.rdvRealises),
+            ventesRealisees: projeter(totals.ventesRealisees),
+            tauxObjectif: percent(projeter(totals.chiffreAffaires), objectifs.objectifCA),
+          },
+          parJour,
+        },
+      })
+    } catch (error) {
+      console.error("Erreur indicateurs du mois:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Saisir manuellement des indicateurs du mois (conservés lors des recalculs)
+// @route   PUT /api/activities/overrides/:annee/:mois
+// @access  Private
+router.put(
+  "/overrides/:annee/:mois",
+  [
+    param("annee").isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    param("mois").isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    body("valeurs").isObject().withMessage("Valeurs invalides"),
+    body("valeurs")
+      .custom((valeurs) => Object.keys(valeurs).every((field) => Activity.COMPUTED_FIELDS.includes(field)))
+      .withMessage(`Indicateurs modifiables : ${Activity.COMPUTED_FIELDS.join(", ")}`),
+    body("valeurs.*").isFloat({ min: 0 }).withMessage("Les valeurs doivent être des nombres positifs"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const periode = { annee: Number.parseInt(req.params.annee), mois: Number.parseInt(req.params.mois) }
+      const surcharges = Object.fromEntries(
+        Object.entries(req.body.valeurs).map(([field, value]) => [field, Number(value)]),
+      )
+
+      const { performance, verrouille, erreurs } = await syncMonthlyPerformance(req.user.id, periode, {
+        surcharges,
+        acteur: req.user.id,
+        req,
+      })
+
+      if (verrouille) {
+        return res.status(409).json({
+          success: false,
+          message: "Les données de ce mois ont été soumises ou validées et ne peuvent plus être modifiées",
+        })
+      }
+
+      if (erreurs.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: erreurs.join(", "),
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Saisie manuelle enregistrée",
+        data: performance,
+      })
+    } catch (error) {
+      console.error("Erreur saisie manuelle:", error)
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((val) => val.message)
+            .join(", "),
+        })
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Revenir aux valeurs calculées depuis le journal d'activités
+// @route   DELETE /api/activities/overrides/:annee/:mois
+// @access  Private
+router.delete(
+  "/overrides/:annee/:mois",
+  [
+    param("annee").isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    param("mois").isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    query("champs").optional().isString().withMessage("Champs invalides"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const periode = { annee: Number.parseInt(req.params.annee), mois: Number.parseInt(req.params.mois) }
+      // Sans précision, toutes les saisies manuelles sont abandonnées
+      const liberer = req.query.champs
+        ? req.query.champs.split(",").map((field) => field.trim())
+        : Activity.COMPUTED_FIELDS
+
+      const { performance, verrouille, erreurs } = await syncMonthlyPerformance(req.user.id, periode, {
+        liberer,
+        acteur: req.user.id,
+        req,
+      })
+
+      if (verrouille) {
+        return res.status(409).json({
+          success: false,
+          message: "Les données de ce mois ont été soumises ou validées et ne peuvent plus être modifiées",
+        })
+      }
+
+      if (erreurs.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: erreurs.join(", "),
+        })
+      }
+
+      if (!performance) {
+        return res.status(404).json({
+          success: false,
+          message: "Aucune donnée de performance pour ce mois",
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Valeurs recalculées depuis le journal d'activités",
+        data: performance,
+      })
+    } catch (error) {
+      console.error("Erreur suppression saisie manuelle:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Supprimer une activité
+// @route   DELETE /api/activities/:id
+// @access  Private (propriétaire)
+router.delete("/:id", [param("id").isMongoId().withMessage("Identifiant invalide")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const activity = await Activity.findOne({ _id: req.params.id, utilisateur: req.user.id })
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: "Activité non trouvée",
+      })
+    }
+
+    const periode = periodOfDate(activity.date)
+
+    if (await isMonthLocked(req.user.id, periode)) {
+      return res.status(409).json({
+        success: false,
+        message: "Les données de ce mois ont été soumises ou validées et ne peuvent plus être modifiées",
+      })
+    }
+
+    await activity.deleteOne()
+
+    // Recalcul des indicateurs du mois ; la suppression est annulée si elle les rend incohérents
+    const { performance, erreurs } = await syncMonthlyPerformance(req.user.id, periode, { acteur: req.user.id, req })
+
+    if (erreurs.length > 0) {
+      await Activity.create(activity.toObject())
+      return res.status(400).json({
+        success: false,
+        message: erreurs.join(", "),
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Activité supprimée avec succès",
+      performance,
+    })
+  } catch (error) {
+    console.error("Erreur suppression activité:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+module.exports = router
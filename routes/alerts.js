@@ -0,0 +1,362 @@
+const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const AlertRule = require("../models/AlertRule")
+const { alerts, alertRules } = require("../repositories")
+const { protect, authorizeRoles } = require("../middleware/authMiddleware")
+const { canManageUser } = require("../utils/teamScope")
+
+const router = express.Router()
+
+// Toutes les routes nécessitent une authentification
+router.use(protect)
+
+// Un manager ne gère que les règles de son équipe (la sienne ou celle d'un manager de son équipe)
+const canManageRule = async (requester, equipe) => {
+  if (requester.role === "admin") return true
+  if (!equipe) return false
+  if (equipe.toString() === requester.id.toString()) return true
+  return canManageUser(requester, equipe)
+}
+
+// Validation d'une règle d'alerte
+const ruleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name))
+  return [
+    field("nom").trim().isLength({ min: 2, max: 100 }).withMessage("Le nom doit contenir entre 2 et 100 caractères"),
+    field("kpi").isIn(AlertRule.ALERT_KPIS).withMessage("Indicateur invalide"),
+    body("condition").optional().isIn(["seuil", "baisse"]).withMessage("Condition invalide"),
+    field("seuil").isFloat({ min: 0 }).withMessage("Seuil invalide"),
+    body("perimetre").optional().isIn(["entreprise", "equipe"]).withMessage("Périmètre invalide"),
+    body("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+    body("actif").optional().isBoolean().withMessage("Valeur invalide pour actif"),
+  ]
+}
+
+const RULE_FIELDS = ["nom", "kpi", "condition", "seuil", "perimetre", "equipe", "actif"]
+
+// @desc    Lister mes alertes
+// @route   GET /api/alerts
+// @access  Private
+router.get(
+  "/",
+  [
+    query("lue").optional().isBoolean().withMessage("Valeur invalide pour lue"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limite invalide"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { lue, limit = 20, page = 1 } = req.query
+      const filter = { destinataire: req.user.id }
+      if (lue !== undefined) filter.lue = lue === "true"
+
+      // Pagination
+      const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+      const data = await alerts.find(filter, {
+        populate: [
+          { path: "utilisateur", select: "nom prenom email" },
+          { path: "regle", select: "nom kpi condition" },
+        ],
+        sort: { createdAt: -1 },
+        limit: Number.parseInt(limit),
+        skip,
+      })
+
+      const total = await alerts.count(filter)
+      const nonLues = await alerts.count({ destinataire: req.user.id, lue: false })
+
+      res.json({
+        success: true,
+        data,
+        nonLues,
+        pagination: {
+          page: Number.parseInt(page),
+          limit: Number.parseInt(limit),
+          total,
+          pages: Math.ceil(total / Number.parseInt(limit)),
+        },
+      })
+    } catch (error) {
+      console.error("Erreur récupération alertes:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Marquer une alerte comme lue
+// @route   PATCH /api/alerts/:id/read
+// @access  Private (destinataire)
+router.patch("/:id/read", [param("id").isMongoId().withMessage("Identifiant invalide")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const alert = await alerts.findOne({ _id: req.params.id, destinataire: req.user.id })
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: "Alerte non trouvée",
+      })
+    }
+
+    if (!alert.lue) {
+      alert.lue = true
+      alert.dateLecture = new Date()
+      await alert.save()
+    }
+
+    res.json({
+      success: true,
+      data: alert,
+    })
+  } catch (error) {
+    console.error("Erreur lecture alerte:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Lister les règles d'alerte
+// @route   GET /api/alerts/rules
+// @access  Admin / Manager
+router.get("/rules", authorizeRoles("admin", "manager"), async (req, res) => {
+  try {
+    const rules = await alertRules.find(
+      {},
+      {
+        populate: [
+          { path: "equipe", select: "nom prenom email" },
+          { path: "creePar", select: "nom prenom email" },
+        ],
+        sort: { createdAt: -1 },
+      },
+    )
+
+    // Un manager voit les règles d'entreprise et celles de son équipe
+    const visible = []
+    for (const rule of rules) {
+      if (rule.perimetre === "entreprise" || (await canManageRule(req.user, rule.equipe?._id))) {
+        visible.push(rule)
+      }
+    }
+
+    res.json({
+      success: true,
+      data: visible,
+    })
+  } catch (error) {
+    console.error("Erreur récupération règles d'alerte:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Créer une règle d'alerte
+// @route   POST /api/alerts/rules
+// @access  Admin / Manager (règles de son équipe uniquement)
+router.post("/rules", authorizeRoles("admin", "manager"), ruleValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Données invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const ruleData = RULE_FIELDS.reduce((data, field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field]
+      return data
+    }, {})
+
+    // Par défaut, la règle d'un manager porte sur sa propre équipe
+    if (req.user.role === "manager") {
+      ruleData.perimetre = "equipe"
+      ruleData.equipe = ruleData.equipe || req.user.id
+    }
+
+    if (ruleData.perimetre === "equipe" && !(await canManageRule(req.user, ruleData.equipe))) {
+      return res.status(403).json({
+        success: false,
+        message: "Vous ne pouvez créer des règles que pour votre équipe",
+      })
+    }
+
+    const rule = await alertRules.create({ ...ruleData, creePar: req.user.id })
+
+    res.status(201).json({
+      success: true,
+      message: "Règle d'alerte créée avec succès",
+      data: rule,
+    })
+  } catch (error) {
+    console.error("Erreur création règle d'alerte:", error)
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Modifier une règle d'alerte
+// @route   PUT /api/alerts/rules/:id
+// @access  Admin / Manager (règles de son équipe uniquement)
+router.put(
+  "/rules/:id",
+  authorizeRoles("admin", "manager"),
+  [param("id").isMongoId().withMessage("Identifiant invalide"), ...ruleValidators(true)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const rule = await alertRules.findById(req.params.id)
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: "Règle d'alerte non trouvée",
+        })
+      }
+
+      if (!(await canManageRule(req.user, rule.equipe))) {
+        return res.status(403).json({
+          success: false,
+          message: "Vous ne pouvez modifier que les règles de votre équipe",
+        })
+      }
+
+      RULE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) rule.set(field, req.body[field])
+      })
+
+      // Un manager ne peut ni élargir la règle à l'entreprise ni la transférer hors de son équipe
+      if (
+        req.user.role === "manager" &&
+        (rule.perimetre !== "equipe" || !(await canManageRule(req.user, rule.equipe)))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Vous ne pouvez modifier que les règles de votre équipe",
+        })
+      }
+
+      await rule.save()
+
+      res.json({
+        success: true,
+        message: "Règle d'alerte mise à jour avec succès",
+        data: rule,
+      })
+    } catch (error) {
+      console.error("Erreur mise à jour règle d'alerte:", error)
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((val) => val.message)
+            .join(", "),
+        })
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Supprimer une règle d'alerte
+// @route   DELETE /api/alerts/rules/:id
+// @access  Admin / Manager (règles de son équipe uniquement)
+router.delete(
+  "/rules/:id",
+  authorizeRoles("admin", "manager"),
+  [param("id").isMongoId().withMessage("Identifiant invalide")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const rule = await alertRules.findById(req.params.id)
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: "Règle d'alerte non trouvée",
+        })
+      }
+
+      if (!(await canManageRule(req.user, rule.equipe))) {
+        return res.status(403).json({
+          success: false,
+          message: "Vous ne pouvez supprimer que les règles de votre équipe",
+        })
+      }
+
+      await alertRules.deleteById(rule._id)
+
+      res.json({
+        success: true,
+        message: "Règle d'alerte supprimée avec succès",
+      })
+    } catch (error) {
+      console.error("Erreur suppression règle d'alerte:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+module.exports = router
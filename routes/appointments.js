@@ -0,0 +1,712 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const jwt = require("jsonwebtoken")
+const { body, param, query, validationResult } = require("express-validator")
+const Appointment = require("../models/Appointment")
+const Client = require("../models/Client")
+const User = require("../models/User")
+const { protect } = require("../middleware/authMiddleware")
+const { requireMongoStorage } = require("../middleware/storageMiddleware")
+const { getAccessibleUserIds, canAccessUser } = require("../utils/teamScope")
+const { isMonthLocked, syncMonthlyPerformance } = require("../utils/activityRollup")
+const { periodOfDate } = require("../utils/periods")
+const { listQueryValidators, runListQuery } = require("../utils/listQuery")
+const { buildCalendar } = require("../utils/ical")
+
+const router = express.Router()
+
+// Journal d'activités : MongoDB uniquement
+router.use(requireMongoStorage)
+
+// Secret dédié aux liens d'abonnement calendrier, pour qu'ils ne puissent pas servir de token d'accès
+const calendarSecret = () =>
+  process.env.JWT_CALENDAR_SECRET || `${process.env.JWT_SECRET || "wawtelecom_secret_key"}_calendar`
+
+// Fenêtre couverte par le flux calendrier : 3 mois passés et 6 mois à venir
+const feedWindow = (now = new Date()) => ({
+  debut: new Date(now.getFullYear(), now.getMonth() - 3, 1),
+  fin: new Date(now.getFullYear(), now.getMonth() + 7, 1),
+})
+
+const APPOINTMENT_FIELDS = ["client", "commercial", "debut", "fin", "lieu", "objet", "notes"]
+
+const MONTH_LOCKED_MESSAGE =
+  "Les performances du mois du rendez-vous ont été soumises ou validées et ne peuvent plus être modifiées"
+
+// Rendez-vous d'un ou plusieurs commerciaux sur une période, prêts pour l'export calendrier
+const findForCalendar = (commerciaux, { debut, fin }) =>
+  Appointment.find({ commercial: { $in: commerciaux }, debut: { $gte: debut, $lt: fin } })
+    .populate("client", "raisonSociale telephone")
+    .populate("commercial", "nom prenom email")
+    .sort({ debut: 1 })
+
+const sendCalendar = (res, appointments, nom) => {
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": 'inline; filename="rendez-vous.ics"',
+    "Cache-Control": "private, max-age=300",
+  })
+  res.send(buildCalendar(appointments, { nom }))
+}
+
+// Mois { commercial, periode } touchés par un rendez-vous avant et après modification (sans doublon)
+const affectedMonths = (...etats) => {
+  const months = new Map()
+  etats.forEach(({ commercial, debut }) => {
+    const periode = periodOfDate(debut)
+    months.set(`${commercial}:${periode.annee}-${periode.mois}`, { commercial, periode })
+  })
+  return [...months.values()]
+}
+
+const anyMonthLocked = async (months) => {
+  for (const { commercial, periode } of months) {
+    if (await isMonthLocked(commercial, periode)) return true
+  }
+  return false
+}
+
+// Recalcul des indicateurs des mois touchés ; retourne les erreurs de cohérence éventuelles
+const syncMonths = async (months, req) => {
+  const erreurs = []
+  for (const { commercial, periode } of months) {
+    const resultat = await syncMonthlyPerformance(commercial, periode, { acteur: req.user.id, req })
+    erreurs.push(...resultat.erreurs)
+  }
+  return erreurs
+}
+
+const isForced = (req) => req.body.forcer === true || req.body.forcer === "true"
+
+// Validation d'un rendez-vous
+const appointmentValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name))
+  return [
+    field("client").isMongoId().withMessage("Client invalide"),
+    body("commercial").optional().isMongoId().withMessage("Commercial invalide"),
+    field("debut").isISO8601().withMessage("Date de début invalide"),
+    field("fin").isISO8601().withMessage("Date de fin invalide"),
+    body("lieu").optional().trim().isLength({ max: 200 }).withMessage("Lieu trop long"),
+    body("objet").optional().trim().isLength({ max: 150 }).withMessage("Objet trop long"),
+    body("notes").optional().isLength({ max: 1000 }).withMessage("Notes trop longues"),
+    body("forcer").optional().isBoolean().withMessage("Valeur invalide pour forcer"),
+  ]
+}
+
+// @desc    Flux iCalendar d'un commercial (abonnement depuis un agenda externe)
+// @route   GET /api/appointments/feed/:token
+// @access  Public (lien signé)
+router.get("/feed/:token", async (req, res) => {
+  try {
+    let decoded
+    try {
+      decoded = jwt.verify(req.params.token.replace(/\.ics$/, ""), calendarSecret())
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Lien de calendrier invalide",
+      })
+    }
+
+    const user = await User.findById(decoded.id)
+
+    // Le lien est révoqué par un changement de mot de passe ou la désactivation du compte
+    if (!user || user.statut !== "actif" || user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: "Lien de calendrier invalide",
+      })
+    }
+
+    const appointments = await findForCalendar([user._id], feedWindow())
+    sendCalendar(res, appointments, `Rendez-vous ${user.prenom} ${user.nom}`)
+  } catch (error) {
+    console.error("Erreur flux calendrier:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// Toutes les autres routes nécessitent une authentification
+router.use(protect)
+
+// @desc    Obtenir le lien d'abonnement à son calendrier de rendez-vous
+// @route   GET /api/appointments/feed-url
+// @access  Private
+router.get("/feed-url", (req, res) => {
+  const token = jwt.sign({ id: req.user.id }, calendarSecret())
+
+  res.json({
+    success: true,
+    data: {
+      token,
+      url: `${req.protocol}://${req.get("host")}/api/appointments/feed/${token}.ics`,
+    },
+  })
+})
+
+// @desc    Télécharger le calendrier de rendez-vous (le sien ou celui d'un membre de son équipe)
+// @route   GET /api/appointments/calendar.ics
+// @access  Private
+router.get(
+  "/calendar.ics",
+  [
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("dateDebut").optional().isISO8601().withMessage("Date de début invalide"),
+    query("dateFin").optional().isISO8601().withMessage("Date de fin invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const utilisateur = req.query.utilisateur || req.user.id
+
+      if (!(await canAccessUser(req.user, utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      const fenetre = feedWindow()
+      const appointments = await findForCalendar([utilisateur], {
+        debut: req.query.dateDebut ? new Date(req.query.dateDebut) : fenetre.debut,
+        fin: req.query.dateFin ? new Date(req.query.dateFin) : fenetre.fin,
+      })
+
+      sendCalendar(res, appointments, "Rendez-vous WAWTELECOM")
+    } catch (error) {
+      console.error("Erreur export calendrier:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Lister les rendez-vous (les siens, ceux de son équipe ou tous)
+// @route   GET /api/appointments
+// @access  Private
+router.get(
+  "/",
+  [
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("client").optional().isMongoId().withMessage("Client invalide"),
+    query("resultat").optional().isIn(Appointment.APPOINTMENT_OUTCOMES).withMessage("Résultat invalide"),
+    query("dateDebut").optional().isISO8601().withMessage("Date de début invalide"),
+    query("dateFin").optional().isISO8601().withMessage("Date de fin invalide"),
+    ...listQueryValidators(Appointment.LIST_QUERY),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { utilisateur, client, resultat, dateDebut, dateFin } = req.query
+      const filter = {}
+
+      if (utilisateur) {
+        if (!(await canAccessUser(req.user, utilisateur))) {
+          return res.status(403).json({
+            success: false,
+            message: "Accès non autorisé",
+          })
+        }
+        filter.commercial = new mongoose.Types.ObjectId(utilisateur)
+      } else {
+        const accessibleIds = await getAccessibleUserIds(req.user)
+        if (accessibleIds) filter.commercial = { $in: accessibleIds }
+      }
+
+      if (client) filter.client = new mongoose.Types.ObjectId(client)
+      if (resultat) filter.resultat = resultat
+      if (dateDebut || dateFin) {
+        filter.debut = {}
+        if (dateDebut) filter.debut.$gte = new Date(dateDebut)
+        if (dateFin) filter.debut.$lte = new Date(dateFin)
+      }
+
+      const { data, pagination } = await runListQuery(Appointment, Appointment.LIST_QUERY, {
+        filter,
+        params: req.query,
+        populate: [
+          { path: "client", select: "raisonSociale telephone" },
+          { path: "commercial", select: "nom prenom email" },
+        ],
+      })
+
+      res.json({
+        success: true,
+        data,
+        pagination,
+      })
+    } catch (error) {
+      console.error("Erreur récupération rendez-vous:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Obtenir un rendez-vous
+// @route   GET /api/appointments/:id
+// @access  Private (commercial concerné, manager de l'équipe ou admin)
+router.get("/:id", [param("id").isMongoId().withMessage("Identifiant invalide")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const appointment = await Appointment.findById(req.params.id)
+      .populate("client", "raisonSociale contact telephone email adresse")
+      .populate("commercial", "nom prenom email")
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: "Rendez-vous non trouvé",
+      })
+    }
+
+    if (!(await canAccessUser(req.user, appointment.commercial._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Accès non autorisé",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: appointment,
+    })
+  } catch (error) {
+    console.error("Erreur récupération rendez-vous:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Planifier un rendez-vous
+// @route   POST /api/appointments
+// @access  Private (pour soi-même, ou pour un membre de son équipe)
+router.post("/", appointmentValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Données invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const commercial = req.body.commercial || req.user.id
+
+    if (!(await canAccessUser(req.user, commercial))) {
+      return res.status(403).json({
+        success: false,
+        message: "Vous ne pouvez planifier des rendez-vous que pour vous-même ou votre équipe",
+      })
+    }
+
+    if (commercial !== req.user.id) {
+      const user = await User.findById(commercial)
+      if (!user || user.statut !== "actif") {
+        return res.status(400).json({
+          success: false,
+          message: "Le commercial doit être un utilisateur actif",
+        })
+      }
+    }
+
+    const client = await Client.findById(req.body.client)
+    if (!client || !(await canAccessUser(req.user, client.commercial))) {
+      return res.status(400).json({
+        success: false,
+        message: "Client introuvable ou hors de votre portefeuille",
+      })
+    }
+
+    const appointment = new Appointment({
+      ...APPOINTMENT_FIELDS.reduce((data, field) => {
+        if (req.body[field] !== undefined) data[field] = req.body[field]
+        return data
+      }, {}),
+      commercial,
+      creePar: req.user.id,
+    })
+    await appointment.validate()
+
+    const months = affectedMonths(appointment)
+    if (await anyMonthLocked(months)) {
+      return res.status(409).json({
+        success: false,
+        message: MONTH_LOCKED_MESSAGE,
+      })
+    }
+
+    if (!isForced(req)) {
+      const conflits = await Appointment.findConflicts(commercial, appointment.debut, appointment.fin)
+      if (conflits.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Ce créneau chevauche un autre rendez-vous du commercial",
+          conflits,
+        })
+      }
+    }
+
+    await appointment.save()
+
+    // Recalcul des RDV planifiés du mois ; le rendez-vous est annulé s'il les rend incohérents
+    const erreurs = await syncMonths(months, req)
+    if (erreurs.length > 0) {
+      await appointment.deleteOne()
+      await syncMonths(months, req)
+      return res.status(400).json({
+        success: false,
+        message: erreurs.join(", "),
+      })
+    }
+
+    await appointment.populate("client", "raisonSociale telephone")
+
+    res.status(201).json({
+      success: true,
+      message: "Rendez-vous planifié avec succès",
+      data: appointment,
+    })
+  } catch (error) {
+    console.error("Erreur planification rendez-vous:", error)
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Modifier un rendez-vous (client, commercial, créneau, lieu, objet, notes)
+// @route   PUT /api/appointments/:id
+// @access  Private (commercial concerné, manager de l'équipe ou admin)
+router.put(
+  "/:id",
+  [param("id").isMongoId().withMessage("Identifiant invalide"), ...appointmentValidators(true)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const appointment = await Appointment.findById(req.params.id)
+
+      if (!appointment) {
+        return res.status(404).json({
+          success: false,
+          message: "Rendez-vous non trouvé",
+        })
+      }
+
+      if (!(await canAccessUser(req.user, appointment.commercial))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      if (req.body.commercial && !(await canAccessUser(req.user, req.body.commercial))) {
+        return res.status(403).json({
+          success: false,
+          message: "Vous ne pouvez confier des rendez-vous qu'à un membre de votre équipe",
+        })
+      }
+
+      if (req.body.client) {
+        const client = await Client.findById(req.body.client)
+        if (!client || !(await canAccessUser(req.user, client.commercial))) {
+          return res.status(400).json({
+            success: false,
+            message: "Client introuvable ou hors de votre portefeuille",
+          })
+        }
+      }
+
+      const before = appointment.toObject()
+      APPOINTMENT_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) appointment.set(field, req.body[field])
+      })
+      await appointment.validate()
+
+      const months = affectedMonths(before, appointment)
+      if (await anyMonthLocked(months)) {
+        return res.status(409).json({
+          success: false,
+          message: MONTH_LOCKED_MESSAGE,
+        })
+      }
+
+      if (!isForced(req) && appointment.resultat !== "annule") {
+        const conflits = await Appointment.findConflicts(
+          appointment.commercial,
+          appointment.debut,
+          appointment.fin,
+          appointment._id,
+        )
+        if (conflits.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: "Ce créneau chevauche un autre rendez-vous du commercial",
+            conflits,
+          })
+        }
+      }
+
+      await appointment.save()
+
+      const erreurs = await syncMonths(months, req)
+      if (erreurs.length > 0) {
+        APPOINTMENT_FIELDS.forEach((field) => appointment.set(field, before[field]))
+        await appointment.save()
+        await syncMonths(months, req)
+        return res.status(400).json({
+          success: false,
+          message: erreurs.join(", "),
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Rendez-vous mis à jour avec succès",
+        data: appointment,
+      })
+    } catch (error) {
+      console.error("Erreur mise à jour rendez-vous:", error)
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((val) => val.message)
+            .join(", "),
+        })
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Enregistrer l'issue d'un rendez-vous (réalisé, absent, annulé, vente)
+// @route   PATCH /api/appointments/:id/outcome
+// @access  Private (commercial concerné, manager de l'équipe ou admin)
+router.patch(
+  "/:id/outcome",
+  [
+    param("id").isMongoId().withMessage("Identifiant invalide"),
+    body("resultat").isIn(Appointment.APPOINTMENT_OUTCOMES).withMessage("Résultat invalide"),
+    body("montantVente")
+      .if(body("resultat").equals("vente"))
+      .isFloat({ min: 0 })
+      .withMessage("Le montant de la vente est requis"),
+    body("notes").optional().isLength({ max: 1000 }).withMessage("Notes trop longues"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const appointment = await Appointment.findById(req.params.id)
+
+      if (!appointment) {
+        return res.status(404).json({
+          success: false,
+          message: "Rendez-vous non trouvé",
+        })
+      }
+
+      if (!(await canAccessUser(req.user, appointment.commercial))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      const { resultat } = req.body
+
+      // Un rendez-vous ne peut être réalisé (ou manqué) qu'une fois son heure passée
+      if (["realise", "vente", "absent"].includes(resultat) && appointment.debut > new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "Ce rendez-vous n'a pas encore eu lieu",
+        })
+      }
+
+      const months = affectedMonths(appointment)
+      if (await anyMonthLocked(months)) {
+        return res.status(409).json({
+          success: false,
+          message: MONTH_LOCKED_MESSAGE,
+        })
+      }
+
+      const before = appointment.toObject()
+      appointment.resultat = resultat
+      appointment.montantVente = resultat === "vente" ? req.body.montantVente : 0
+      appointment.dateResultat = resultat === "planifie" ? undefined : new Date()
+      if (req.body.notes !== undefined) appointment.notes = req.body.notes
+      await appointment.save()
+
+      // Recalcul des RDV réalisés, ventes et chiffre d'affaires du mois
+      const erreurs = await syncMonths(months, req)
+      if (erreurs.length > 0) {
+        appointment.set({
+          resultat: before.resultat,
+          montantVente: before.montantVente,
+          dateResultat: before.dateResultat,
+          notes: before.notes,
+        })
+        await appointment.save()
+        await syncMonths(months, req)
+        return res.status(400).json({
+          success: false,
+          message: erreurs.join(", "),
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Issue du rendez-vous enregistrée avec succès",
+        data: appointment,
+      })
+    } catch (error) {
+      console.error("Erreur issue rendez-vous:", error)
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((val) => val.message)
+            .join(", "),
+        })
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Supprimer un rendez-vous
+// @route   DELETE /api/appointments/:id
+// @access  Private (commercial concerné, manager de l'équipe ou admin)
+router.delete("/:id", [param("id").isMongoId().withMessage("Identifiant invalide")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const appointment = await Appointment.findById(req.params.id)
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: "Rendez-vous non trouvé",
+      })
+    }
+
+    if (!(await canAccessUser(req.user, appointment.commercial))) {
+      return res.status(403).json({
+        success: false,
+        message: "Accès non autorisé",
+      })
+    }
+
+    const months = affectedMonths(appointment)
+    if (await anyMonthLocked(months)) {
+      return res.status(409).json({
+        success: false,
+        message: MONTH_LOCKED_MESSAGE,
+      })
+    }
+
+    await appointment.deleteOne()
+
+    const erreurs = await syncMonths(months, req)
+    if (erreurs.length > 0) {
+      await Appointment.create(appointment.toObject())
+      await syncMonths(months, req)
+      return res.status(400).json({
+        success: false,
+        message: erreurs.join(", "),
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Rendez-vous supprimé avec succès",
+    })
+  } catch (error) {
+    console.error("Erreur suppression rendez-vous:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+module.exports = router
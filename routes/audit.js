@@ -0,0 +1,95 @@
+const express = require("express")
+const { query, validationResult } = require("express-validator")
+const { auditLogs } = require("../repositories")
+const { protect, authorizeRoles } = require("../middleware/authMiddleware")
+
+const router = express.Router()
+
+// Toutes les routes sont réservées aux administrateurs
+router.use(protect, authorizeRoles("admin"))
+
+// @desc    Rechercher dans le journal d'audit
+// @route   GET /api/audit
+// @access  Admin uniquement
+router.get(
+  "/",
+  [
+    query("entite").optional().isIn(["Performance"]).withMessage("Entité invalide"),
+    query("entiteId").optional().isMongoId().withMessage("Identifiant d'entité invalide"),
+    query("action")
+      .optional()
+      .isIn(["creation", "modification", "suppression", "soumission", "validation", "rejet", "reouverture"])
+      .withMessage("Action invalide"),
+    query("acteur").optional().isMongoId().withMessage("Acteur invalide"),
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("champ").optional().trim(),
+    query("dateDebut").optional().isISO8601().withMessage("Date de début invalide"),
+    query("dateFin").optional().isISO8601().withMessage("Date de fin invalide"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limite invalide"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { entite, entiteId, action, acteur, utilisateur, champ, dateDebut, dateFin, limit = 50, page = 1 } =
+        req.query
+
+      // Construction du filtre
+      const filter = {}
+
+      if (entite) filter.entite = entite
+      if (entiteId) filter.entiteId = entiteId
+      if (action) filter.action = action
+      if (acteur) filter.acteur = acteur
+      if (utilisateur) filter.utilisateurConcerne = utilisateur
+      if (champ) filter["changements.champ"] = champ
+      if (dateDebut || dateFin) {
+        filter.createdAt = {}
+        if (dateDebut) filter.createdAt.$gte = new Date(dateDebut)
+        if (dateFin) filter.createdAt.$lte = new Date(dateFin)
+      }
+
+      // Pagination
+      const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+      const entries = await auditLogs.find(filter, {
+        populate: [
+          { path: "acteur", select: "nom prenom email" },
+          { path: "utilisateurConcerne", select: "nom prenom email" },
+        ],
+        sort: { createdAt: -1 },
+        limit: Number.parseInt(limit),
+        skip,
+      })
+
+      const total = await auditLogs.count(filter)
+
+      res.json({
+        success: true,
+        data: entries,
+        pagination: {
+          page: Number.parseInt(page),
+          limit: Number.parseInt(limit),
+          total,
+          pages: Math.ceil(total / Number.parseInt(limit)),
+        },
+      })
+    } catch (error) {
+      console.error("Erreur recherche audit:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+module.exports = router
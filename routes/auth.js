@@ -1,15 +1,56 @@
 const express = require("express")
 const jwt = require("jsonwebtoken")
+const crypto = require("crypto")
 const { body, validationResult } = require("express-validator")
-const User = require("../models/User")
+const RefreshToken = require("../models/RefreshToken")
+const { users, refreshTokens, loginAttempts } = require("../repositories")
 const { protect } = require("../middleware/authMiddleware")
+const sendEmail = require("../utils/sendEmail")
 
 const router = express.Router()
 
-// Génération du token JWT
+// Génération du token JWT (courte durée)
 const generateToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET || "wawtelecom_secret_key", {
-    expiresIn: process.env.JWT_EXPIRE || "30d",
+    expiresIn: process.env.JWT_EXPIRE || "15m",
+  })
+}
+
+// Génération d'une paire token d'accès / refresh token
+const issueTokens = async (user, req, famille) => {
+  const { token: refreshToken, refreshToken: refreshTokenDoc } = await refreshTokens.issue(user._id, {
+    famille,
+    adresseIP: req.ip,
+    userAgent: req.get("user-agent"),
+  })
+
+  return {
+    token: generateToken(user._id),
+    refreshToken,
+    refreshTokenDoc,
+  }
+}
+
+// Secret dédié aux liens de vérification, pour qu'ils ne puissent pas servir de token d'accès
+const emailVerificationSecret = () =>
+  process.env.JWT_EMAIL_SECRET || `${process.env.JWT_SECRET || "wawtelecom_secret_key"}_email_verification`
+
+// Envoi de l'email de vérification avec un lien signé
+const sendVerificationEmail = async (user) => {
+  const verificationToken = jwt.sign({ id: user._id, email: user.email }, emailVerificationSecret(), {
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || "24h",
+  })
+
+  const verificationUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/verify-email/${verificationToken}`
+
+  await sendEmail({
+    to: user.email,
+    subject: "WAWTELECOM - Vérification de votre adresse email",
+    text:
+      `Bonjour ${user.prenom},\n\n` +
+      `Merci de confirmer votre adresse email en cliquant sur le lien suivant (valable 24 heures) :\n\n` +
+      `${verificationUrl}\n\n` +
+      `Si vous n'êtes pas à l'origine de cette inscription, ignorez cet email.`,
   })
 }
 
@@ -36,10 +77,11 @@ router.post(
         })
       }
 
-      const { nom, prenom, email, password, telephone, poste, departement, role } = req.body
+      // Le rôle n'est jamais choisi à l'inscription : rôle par défaut, modifiable ensuite par un administrateur
+      const { nom, prenom, email, password, telephone, poste, departement } = req.body
 
       // Vérifier si l'utilisateur existe déjà
-      const existingUser = await User.findOne({ email })
+      const existingUser = await users.findOne({ email })
       if (existingUser) {
         return res.status(400).json({
           success: false,
@@ -48,7 +90,7 @@ router.post(
       }
 
       // Créer l'utilisateur
-      const user = await User.create({
+      const user = await users.create({
         nom,
         prenom,
         email,
@@ -57,16 +99,19 @@ router.post(
         poste,
         departement,
         dateEmbauche: new Date(),
-        role,
+        emailVerifie: false,
       })
 
-      // Générer le token
-      const token = generateToken(user._id)
+      // Envoyer l'email de vérification
+      try {
+        await sendVerificationEmail(user)
+      } catch (emailError) {
+        console.error("Erreur envoi email vérification:", emailError)
+      }
 
       res.status(201).json({
         success: true,
-        message: "Utilisateur créé avec succès",
-        token,
+        message: "Utilisateur créé avec succès. Vérifiez votre email pour activer votre compte.",
         user: {
           id: user._id,
           nom: user.nom,
@@ -75,6 +120,7 @@ router.post(
           nomComplet: user.nomComplet,
           initiales: user.initiales,
           role: user.role,
+          emailVerifie: user.emailVerifie,
         },
       })
     } catch (error) {
@@ -110,21 +156,35 @@ router.post(
 
       const { email, password } = req.body
 
+      // Vérifier si l'adresse IP est bloquée
+      const ipLockTime = await loginAttempts.getRemainingLockTime(req.ip)
+      if (ipLockTime > 0) {
+        return res.status(429).json({
+          success: false,
+          message: "Trop d'échecs de connexion depuis cette adresse. Réessayez plus tard.",
+          tempsRestant: Math.ceil(ipLockTime / 1000),
+        })
+      }
+
       // Trouver l'utilisateur avec le mot de passe
-      const user = await User.findOne({ email }).select("+password")
+      const user = await users.findOne({ email }, { select: "+password" })
 
       if (!user) {
+        await loginAttempts.recordFailure(req.ip)
+
         return res.status(401).json({
           success: false,
           message: "Identifiants invalides",
         })
       }
 
-      // Vérifier si le compte est bloqué
-      if (user.compteBloque) {
+      // Vérifier si le compte est bloqué (déblocage automatique si le délai est écoulé)
+      if (await user.checkLockExpiration()) {
         return res.status(423).json({
           success: false,
-          message: "Compte bloqué. Contactez l'administrateur.",
+          message: "Compte temporairement bloqué suite à de trop nombreux échecs de connexion.",
+          dateFinBlocage: new Date(Date.now() + user.getRemainingLockTime()),
+          tempsRestant: Math.ceil(user.getRemainingLockTime() / 1000),
         })
       }
 
@@ -140,8 +200,18 @@ router.post(
       const isPasswordValid = await user.comparePassword(password)
 
       if (!isPasswordValid) {
-        // Incrémenter les tentatives de connexion
+        // Incrémenter les tentatives de connexion (compte et IP)
         await user.incrementLoginAttempts()
+        await loginAttempts.recordFailure(req.ip)
+
+        if (user.compteBloque) {
+          return res.status(423).json({
+            success: false,
+            message: "Compte temporairement bloqué suite à de trop nombreux échecs de connexion.",
+            dateFinBlocage: user.dateFinBlocage,
+            tempsRestant: Math.ceil(user.getRemainingLockTime() / 1000),
+          })
+        }
 
         return res.status(401).json({
           success: false,
@@ -149,16 +219,26 @@ router.post(
         })
       }
 
+      // Vérifier que l'email a été confirmé
+      if (!user.emailVerifie) {
+        return res.status(403).json({
+          success: false,
+          code: "EMAIL_NON_VERIFIE",
+          message: "Adresse email non vérifiée. Consultez votre boîte de réception.",
+        })
+      }
+
       // Mettre à jour la dernière connexion
       await user.updateLastLogin()
 
-      // Générer le token
-      const token = generateToken(user._id)
+      // Générer les tokens
+      const { token, refreshToken } = await issueTokens(user, req)
 
       res.json({
         success: true,
         message: "Connexion réussie",
         token,
+        refreshToken,
         user: {
           id: user._id,
           nom: user.nom,
@@ -185,7 +265,7 @@ router.post(
 // @access  Private
 router.get("/me", protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id)
+    const user = await users.findById(req.user.id)
 
     res.json({
       success: true,
@@ -239,17 +319,13 @@ router.put(
 
       const { nom, prenom, telephone, poste, departement } = req.body
 
-      const user = await User.findByIdAndUpdate(
-        req.user.id,
-        {
-          ...(nom && { nom }),
-          ...(prenom && { prenom }),
-          ...(telephone && { telephone }),
-          ...(poste && { poste }),
-          ...(departement && { departement }),
-        },
-        { new: true, runValidators: true },
-      )
+      const user = await users.updateById(req.user.id, {
+        ...(nom && { nom }),
+        ...(prenom && { prenom }),
+        ...(telephone && { telephone }),
+        ...(poste && { poste }),
+        ...(departement && { departement }),
+      })
 
       res.json({
         success: true,
@@ -300,7 +376,7 @@ router.put(
       const { currentPassword, newPassword } = req.body
 
       // Récupérer l'utilisateur avec le mot de passe
-      const user = await User.findById(req.user.id).select("+password")
+      const user = await users.findById(req.user.id, { select: "+password" })
 
       // Vérifier le mot de passe actuel
       const isCurrentPasswordValid = await user.comparePassword(currentPassword)
@@ -315,9 +391,15 @@ router.put(
       user.password = newPassword
       await user.save()
 
+      // Révoquer toutes les sessions existantes puis en ouvrir une nouvelle
+      await refreshTokens.revokeAllForUser(user._id)
+      const { token, refreshToken } = await issueTokens(user, req)
+
       res.json({
         success: true,
         message: "Mot de passe changé avec succès",
+        token,
+        refreshToken,
       })
     } catch (error) {
       console.error("Erreur changement mot de passe:", error)
@@ -329,14 +411,316 @@ router.put(
   },
 )
 
-// @desc    Déconnexion (côté client principalement)
+// @desc    Vérifier l'adresse email
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+router.get("/verify-email/:token", async (req, res) => {
+  try {
+    let decoded
+    try {
+      decoded = jwt.verify(req.params.token, emailVerificationSecret())
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: "Lien de vérification invalide ou expiré",
+      })
+    }
+
+    const user = await users.findById(decoded.id)
+
+    // Le lien n'est valable que pour l'adresse à laquelle il a été envoyé
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: "Lien de vérification invalide ou expiré",
+      })
+    }
+
+    if (!user.emailVerifie) {
+      user.emailVerifie = true
+      await user.save({ validateBeforeSave: false })
+    }
+
+    res.json({
+      success: true,
+      message: "Adresse email vérifiée avec succès",
+    })
+  } catch (error) {
+    console.error("Erreur vérification email:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Renvoyer l'email de vérification
+// @route   POST /api/auth/resend-verification
+// @access  Public
+router.post(
+  "/resend-verification",
+  [body("email").isEmail().normalizeEmail().withMessage("Email invalide")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const user = await users.findOne({ email: req.body.email })
+
+      // Réponse identique que le compte existe, soit déjà vérifié ou non
+      if (user && !user.emailVerifie) {
+        await sendVerificationEmail(user)
+      }
+
+      res.json({
+        success: true,
+        message: "Si un compte non vérifié existe avec cet email, un nouveau lien a été envoyé",
+      })
+    } catch (error) {
+      console.error("Erreur renvoi vérification:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Demander la réinitialisation du mot de passe
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post(
+  "/forgot-password",
+  [body("email").isEmail().normalizeEmail().withMessage("Email invalide")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      // Réponse identique que l'email existe ou non
+      const genericResponse = {
+        success: true,
+        message: "Si un compte existe avec cet email, un lien de réinitialisation a été envoyé",
+      }
+
+      const user = await users.findOne({ email: req.body.email })
+      if (!user) {
+        return res.json(genericResponse)
+      }
+
+      const resetToken = user.getResetPasswordToken()
+      await user.save({ validateBeforeSave: false })
+
+      const resetUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/reset-password/${resetToken}`
+
+      try {
+        await sendEmail({
+          to: user.email,
+          subject: "WAWTELECOM - Réinitialisation de votre mot de passe",
+          text:
+            `Bonjour ${user.prenom},\n\n` +
+            `Vous avez demandé la réinitialisation de votre mot de passe. ` +
+            `Cliquez sur le lien suivant (valable 30 minutes) :\n\n${resetUrl}\n\n` +
+            `Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.`,
+        })
+      } catch (emailError) {
+        // Lien jamais reçu : il est invalidé, sans révéler l'existence du compte dans la réponse
+        console.error("Erreur envoi email réinitialisation:", emailError)
+
+        user.tokenResetPassword = undefined
+        user.expireResetPassword = undefined
+        await user.save({ validateBeforeSave: false })
+      }
+
+      res.json(genericResponse)
+    } catch (error) {
+      console.error("Erreur mot de passe oublié:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Réinitialiser le mot de passe
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post(
+  "/reset-password/:token",
+  [body("password").isLength({ min: 6 }).withMessage("Le mot de passe doit contenir au moins 6 caractères")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const hashedToken = crypto.createHash("sha256").update(req.params.token).digest("hex")
+
+      const user = await users.findOne({
+        tokenResetPassword: hashedToken,
+        expireResetPassword: { $gt: Date.now() },
+      })
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: "Lien de réinitialisation invalide ou expiré",
+        })
+      }
+
+      // Nouveau mot de passe, token à usage unique et déblocage du compte
+      user.password = req.body.password
+      user.tokenResetPassword = undefined
+      user.expireResetPassword = undefined
+      user.tentativesConnexion = 0
+      user.nombreBlocages = 0
+      user.compteBloque = false
+      user.dateBlocage = undefined
+      user.dateFinBlocage = undefined
+      // Le lien reçu par email prouve la possession de l'adresse
+      user.emailVerifie = true
+      await user.save()
+
+      // Fermer toutes les sessions existantes
+      await refreshTokens.revokeAllForUser(user._id)
+
+      res.json({
+        success: true,
+        message: "Mot de passe réinitialisé avec succès",
+      })
+    } catch (error) {
+      console.error("Erreur réinitialisation mot de passe:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Renouveler le token d'accès
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post(
+  "/refresh",
+  [body("refreshToken").isString().notEmpty().withMessage("Refresh token requis")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const tokenHash = RefreshToken.hashToken(req.body.refreshToken)
+      const now = new Date()
+
+      // Le token présenté est consommé de façon atomique : deux rotations concurrentes ne peuvent pas
+      // réussir avec le même token
+      const storedToken = await refreshTokens.findOneAndUpdate(
+        { tokenHash, revoque: false, dateExpiration: { $gt: now } },
+        { revoque: true, dateRevocation: now },
+      )
+
+      if (!storedToken) {
+        const knownToken = await refreshTokens.findOne({ tokenHash })
+
+        // Réutilisation d'un token déjà consommé : toute la famille est révoquée
+        if (knownToken && knownToken.revoque) {
+          await refreshTokens.revokeFamily(knownToken.famille)
+          return res.status(401).json({
+            success: false,
+            message: "Refresh token révoqué",
+          })
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: "Refresh token invalide ou expiré",
+        })
+      }
+
+      const user = await users.findById(storedToken.utilisateur)
+
+      if (!user || user.statut !== "actif" || user.compteBloque || !user.emailVerifie) {
+        await refreshTokens.revokeFamily(storedToken.famille)
+        return res.status(401).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      // Rotation : le token consommé est remplacé par un nouveau token de la même famille
+      const { token, refreshToken, refreshTokenDoc } = await issueTokens(user, req, storedToken.famille)
+
+      storedToken.remplacePar = refreshTokenDoc.tokenHash
+      await storedToken.save()
+
+      res.json({
+        success: true,
+        token,
+        refreshToken,
+      })
+    } catch (error) {
+      console.error("Erreur renouvellement token:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Déconnexion (révocation de la session)
 // @route   POST /api/auth/logout
 // @access  Private
-router.post("/logout", protect, (req, res) => {
-  res.json({
-    success: true,
-    message: "Déconnexion réussie",
-  })
+router.post("/logout", protect, async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (refreshToken) {
+      const storedToken = await refreshTokens.findOne({
+        tokenHash: RefreshToken.hashToken(refreshToken),
+        utilisateur: req.user.id,
+      })
+
+      if (storedToken) {
+        await refreshTokens.revokeFamily(storedToken.famille)
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "Déconnexion réussie",
+    })
+  } catch (error) {
+    console.error("Erreur déconnexion:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
 })
 
 module.exports = router
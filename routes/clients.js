@@ -0,0 +1,593 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const { body, param, query, validationResult } = require("express-validator")
+const Client = require("../models/Client")
+const User = require("../models/User")
+const Event = require("../models/Event")
+const { protect, authorizeRoles } = require("../middleware/authMiddleware")
+const { requireMongoStorage } = require("../middleware/storageMiddleware")
+const { getAccessibleUserIds, canAccessUser } = require("../utils/teamScope")
+const { isMonthLocked, syncMonthlyPerformance } = require("../utils/activityRollup")
+const { periodOfDate } = require("../utils/periods")
+const { listQueryValidators, runListQuery } = require("../utils/listQuery")
+
+const router = express.Router()
+
+// Journal d'activités : MongoDB uniquement
+router.use(requireMongoStorage)
+
+// Toutes les routes nécessitent une authentification
+router.use(protect)
+
+// Échapper une chaîne pour l'utiliser dans une expression régulière
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const CLIENT_FIELDS = [
+  "raisonSociale",
+  "contact",
+  "telephone",
+  "email",
+  "segment",
+  "adresse",
+  "notes",
+  "dateAcquisition",
+  "evenementOrigine",
+]
+
+// Validation d'une fiche client
+const clientValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name))
+  return [
+    field("raisonSociale")
+      .trim()
+      .isLength({ min: 2, max: 150 })
+      .withMessage("La raison sociale doit contenir entre 2 et 150 caractères"),
+    body("contact.nom").optional().trim().isLength({ max: 50 }).withMessage("Nom du contact trop long"),
+    body("contact.prenom").optional().trim().isLength({ max: 50 }).withMessage("Prénom du contact trop long"),
+    body("contact.fonction").optional().trim().isLength({ max: 100 }).withMessage("Fonction du contact trop longue"),
+    body("telephone")
+      .optional()
+      .matches(/^[+\d\s().-]{6,20}$/)
+      .withMessage("Numéro de téléphone invalide"),
+    body("email").optional().isEmail().normalizeEmail().withMessage("Email invalide"),
+    body("segment").optional().isIn(Client.CLIENT_SEGMENTS).withMessage("Segment invalide"),
+    body("adresse").optional().trim().isLength({ max: 200 }).withMessage("Adresse trop longue"),
+    body("notes").optional().isLength({ max: 1000 }).withMessage("Notes trop longues"),
+    body("dateAcquisition")
+      .optional()
+      .isISO8601()
+      .withMessage("Date d'acquisition invalide")
+      .custom((value) => new Date(value) <= new Date())
+      .withMessage("La date d'acquisition ne peut pas être dans le futur"),
+    body("evenementOrigine")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Événement invalide")
+      .bail()
+      .custom(async (value) => {
+        if (!(await Event.exists({ _id: value }))) throw new Error("Événement non trouvé")
+      }),
+    body("forcer").optional().isBoolean().withMessage("Valeur invalide pour forcer"),
+  ]
+}
+
+// Doublons communiqués au demandeur : le détail des clients hors de son périmètre n'est pas divulgué,
+// seule leur existence est signalée (horsPerimetre)
+const scopeDuplicates = async (requester, doublons) => {
+  const accessibleIds = await getAccessibleUserIds(requester)
+  if (!accessibleIds) return { doublons, horsPerimetre: false }
+
+  const accessible = new Set(accessibleIds.map((id) => id.toString()))
+  const visibles = doublons.filter((client) => client.commercial && accessible.has(client.commercial._id.toString()))
+  return { doublons: visibles, horsPerimetre: visibles.length < doublons.length }
+}
+
+const MONTH_LOCKED_MESSAGE =
+  "Les performances du mois d'acquisition ont été soumises ou validées et ne peuvent plus être modifiées"
+
+// @desc    Lister les clients (les siens, ceux de son équipe ou tous)
+// @route   GET /api/clients
+// @access  Private
+router.get(
+  "/",
+  [
+    query("search").optional().trim(),
+    query("segment").optional().isIn(Client.CLIENT_SEGMENTS).withMessage("Segment invalide"),
+    query("commercial").optional().isMongoId().withMessage("Commercial invalide"),
+    query("evenement").optional().isMongoId().withMessage("Événement invalide"),
+    query("dateDebut").optional().isISO8601().withMessage("Date de début invalide"),
+    query("dateFin").optional().isISO8601().withMessage("Date de fin invalide"),
+    ...listQueryValidators(Client.LIST_QUERY),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { search, segment, commercial, evenement, dateDebut, dateFin } = req.query
+      const filter = {}
+
+      if (commercial) {
+        if (!(await canAccessUser(req.user, commercial))) {
+          return res.status(403).json({
+            success: false,
+            message: "Accès non autorisé",
+          })
+        }
+        filter.commercial = new mongoose.Types.ObjectId(commercial)
+      } else {
+        const accessibleIds = await getAccessibleUserIds(req.user)
+        if (accessibleIds) filter.commercial = { $in: accessibleIds }
+      }
+
+      if (segment) filter.segment = segment
+      if (evenement) filter.evenementOrigine = new mongoose.Types.ObjectId(evenement)
+      if (dateDebut || dateFin) {
+        filter.dateAcquisition = {}
+        if (dateDebut) filter.dateAcquisition.$gte = new Date(dateDebut)
+        if (dateFin) filter.dateAcquisition.$lte = new Date(dateFin)
+      }
+      if (search) {
+        const regex = new RegExp(escapeRegex(search), "i")
+        filter.$or = [
+          { raisonSociale: regex },
+          { "contact.nom": regex },
+          { "contact.prenom": regex },
+          { email: regex },
+          { telephone: regex },
+        ]
+      }
+
+      const { data, pagination } = await runListQuery(Client, Client.LIST_QUERY, {
+        filter,
+        params: req.query,
+        populate: { path: "commercial", select: "nom prenom email" },
+      })
+
+      res.json({
+        success: true,
+        data,
+        pagination,
+      })
+    } catch (error) {
+      console.error("Erreur récupération clients:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Rechercher les doublons potentiels d'un client (même téléphone ou même email)
+// @route   GET /api/clients/duplicates
+// @access  Private
+router.get(
+  "/duplicates",
+  [
+    query("telephone").optional().trim(),
+    query("email").optional().trim(),
+    query("exclure").optional().isMongoId().withMessage("Identifiant invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { doublons, horsPerimetre } = await scopeDuplicates(
+        req.user,
+        await Client.findDuplicates(req.query, req.query.exclure),
+      )
+
+      res.json({
+        success: true,
+        data: doublons,
+        horsPerimetre,
+      })
+    } catch (error) {
+      console.error("Erreur recherche doublons clients:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Obtenir une fiche client
+// @route   GET /api/clients/:id
+// @access  Private (commercial en charge, manager de l'équipe ou admin)
+router.get("/:id", [param("id").isMongoId().withMessage("Identifiant invalide")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const client = await Client.findById(req.params.id)
+      .populate("commercial", "nom prenom email")
+      .populate("acquisPar", "nom prenom email")
+      .populate("historiqueAffectations.commercial", "nom prenom email")
+      .populate("historiqueAffectations.ancienCommercial", "nom prenom email")
+      .populate("historiqueAffectations.par", "nom prenom email")
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client non trouvé",
+      })
+    }
+
+    if (!(await canAccessUser(req.user, client.commercial._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Accès non autorisé",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: client,
+    })
+  } catch (error) {
+    console.error("Erreur récupération client:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Créer une fiche client
+// @route   POST /api/clients
+// @access  Private (pour soi-même, ou pour un membre de son équipe)
+router.post(
+  "/",
+  [...clientValidators(false), body("commercial").optional().isMongoId().withMessage("Commercial invalide")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const commercial = req.body.commercial || req.user.id
+
+      if (!(await canAccessUser(req.user, commercial))) {
+        return res.status(403).json({
+          success: false,
+          message: "Vous ne pouvez créer des clients que pour vous-même ou votre équipe",
+        })
+      }
+
+      const clientData = CLIENT_FIELDS.reduce((data, field) => {
+        if (req.body[field] !== undefined) data[field] = req.body[field]
+        return data
+      }, {})
+      const dateAcquisition = clientData.dateAcquisition ? new Date(clientData.dateAcquisition) : new Date()
+      const periode = periodOfDate(dateAcquisition)
+
+      if (await isMonthLocked(commercial, periode)) {
+        return res.status(409).json({
+          success: false,
+          message: MONTH_LOCKED_MESSAGE,
+        })
+      }
+
+      if (req.body.forcer !== true && req.body.forcer !== "true") {
+        const doublons = await Client.findDuplicates(req.body)
+        if (doublons.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: "Un client avec ce téléphone ou cet email existe déjà",
+            ...(await scopeDuplicates(req.user, doublons)),
+          })
+        }
+      }
+
+      const client = await Client.create({
+        ...clientData,
+        dateAcquisition,
+        commercial,
+        acquisPar: commercial,
+        creePar: req.user.id,
+      })
+
+      // Les nouveaux clients du mois sont recalculés à partir des fiches ;
+      // la création est annulée si elle rend les indicateurs incohérents
+      const { erreurs } = await syncMonthlyPerformance(commercial, periode, { acteur: req.user.id, req })
+
+      if (erreurs.length > 0) {
+        await client.deleteOne()
+        return res.status(400).json({
+          success: false,
+          message: erreurs.join(", "),
+        })
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Client créé avec succès",
+        data: client,
+      })
+    } catch (error) {
+      console.error("Erreur création client:", error)
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((val) => val.message)
+            .join(", "),
+        })
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Modifier une fiche client
+// @route   PUT /api/clients/:id
+// @access  Private (commercial en charge, manager de l'équipe ou admin)
+router.put(
+  "/:id",
+  [param("id").isMongoId().withMessage("Identifiant invalide"), ...clientValidators(true)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const client = await Client.findById(req.params.id)
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: "Client non trouvé",
+        })
+      }
+
+      if (!(await canAccessUser(req.user, client.commercial))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      const anciennePeriode = periodOfDate(client.dateAcquisition)
+      const nouvellePeriode = req.body.dateAcquisition
+        ? periodOfDate(new Date(req.body.dateAcquisition))
+        : anciennePeriode
+      const changementMois =
+        anciennePeriode.annee !== nouvellePeriode.annee || anciennePeriode.mois !== nouvellePeriode.mois
+
+      if (
+        changementMois &&
+        ((await isMonthLocked(client.acquisPar, anciennePeriode)) ||
+          (await isMonthLocked(client.acquisPar, nouvellePeriode)))
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: MONTH_LOCKED_MESSAGE,
+        })
+      }
+
+      if (req.body.forcer !== true && req.body.forcer !== "true" && (req.body.telephone || req.body.email)) {
+        const doublons = await Client.findDuplicates(
+          { telephone: req.body.telephone, email: req.body.email },
+          client._id,
+        )
+        if (doublons.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: "Un client avec ce téléphone ou cet email existe déjà",
+            ...(await scopeDuplicates(req.user, doublons)),
+          })
+        }
+      }
+
+      CLIENT_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) client.set(field, req.body[field])
+      })
+      await client.save()
+
+      if (changementMois) {
+        await syncMonthlyPerformance(client.acquisPar, anciennePeriode, { acteur: req.user.id, req })
+        await syncMonthlyPerformance(client.acquisPar, nouvellePeriode, { acteur: req.user.id, req })
+      }
+
+      res.json({
+        success: true,
+        message: "Client mis à jour avec succès",
+        data: client,
+      })
+    } catch (error) {
+      console.error("Erreur mise à jour client:", error)
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((val) => val.message)
+            .join(", "),
+        })
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Réaffecter un client à un autre commercial
+// @route   PATCH /api/clients/:id/assign
+// @access  Admin / Manager (au sein de son équipe)
+router.patch(
+  "/:id/assign",
+  authorizeRoles("admin", "manager"),
+  [
+    param("id").isMongoId().withMessage("Identifiant invalide"),
+    body("commercial").isMongoId().withMessage("Commercial invalide"),
+    body("motif").optional().trim().isLength({ max: 300 }).withMessage("Motif trop long"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const client = await Client.findById(req.params.id)
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: "Client non trouvé",
+        })
+      }
+
+      if (
+        !(await canAccessUser(req.user, client.commercial)) ||
+        !(await canAccessUser(req.user, req.body.commercial))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Vous ne pouvez réaffecter des clients qu'au sein de votre équipe",
+        })
+      }
+
+      if (client.commercial.toString() === req.body.commercial) {
+        return res.status(400).json({
+          success: false,
+          message: "Le client est déjà affecté à ce commercial",
+        })
+      }
+
+      const commercial = await User.findById(req.body.commercial)
+      if (!commercial || commercial.statut !== "actif") {
+        return res.status(400).json({
+          success: false,
+          message: "Le commercial doit être un utilisateur actif",
+        })
+      }
+
+      // Le commercial crédité de l'acquisition reste inchangé
+      await client.reassign(commercial._id, req.user.id, req.body.motif)
+      await client.populate("commercial", "nom prenom email")
+
+      res.json({
+        success: true,
+        message: "Client réaffecté avec succès",
+        data: client,
+      })
+    } catch (error) {
+      console.error("Erreur réaffectation client:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Supprimer une fiche client
+// @route   DELETE /api/clients/:id
+// @access  Private (commercial en charge, manager de l'équipe ou admin)
+router.delete("/:id", [param("id").isMongoId().withMessage("Identifiant invalide")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const client = await Client.findById(req.params.id)
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client non trouvé",
+      })
+    }
+
+    if (!(await canAccessUser(req.user, client.commercial))) {
+      return res.status(403).json({
+        success: false,
+        message: "Accès non autorisé",
+      })
+    }
+
+    const periode = periodOfDate(client.dateAcquisition)
+
+    if (await isMonthLocked(client.acquisPar, periode)) {
+      return res.status(409).json({
+        success: false,
+        message: MONTH_LOCKED_MESSAGE,
+      })
+    }
+
+    await client.deleteOne()
+
+    // Recalcul des nouveaux clients du mois ; la suppression est annulée si elle rend les indicateurs incohérents
+    const { erreurs } = await syncMonthlyPerformance(client.acquisPar, periode, { acteur: req.user.id, req })
+
+    if (erreurs.length > 0) {
+      await Client.create(client.toObject())
+      return res.status(400).json({
+        success: false,
+        message: erreurs.join(", "),
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Client supprimé avec succès",
+    })
+  } catch (error) {
+    console.error("Erreur suppression client:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,482 @@
+const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const CommissionStatement = require("../models/CommissionStatement")
+const { commissionPlans, commissionStatements, performances, users } = require("../repositories")
+const { protect, authorizeRoles } = require("../middleware/authMiddleware")
+const { getAccessibleUserIds, canAccessUser, canManageUser } = require("../utils/teamScope")
+const { PERIOD_TYPES, getPeriodMonths, buildPeriodMatch, formatPeriod, parsePeriodQuery } = require("../utils/periods")
+
+const router = express.Router()
+
+// Toutes les routes nécessitent une authentification
+router.use(protect)
+
+// Validation d'un plan de commission
+const planValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name))
+  return [
+    field("nom").trim().isLength({ min: 2, max: 100 }).withMessage("Le nom doit contenir entre 2 et 100 caractères"),
+    body("description").optional().trim().isLength({ max: 500 }).withMessage("Description trop longue"),
+    field("paliers").isArray({ min: 1 }).withMessage("Au moins un palier est requis"),
+    body("paliers.*.seuil").isFloat({ min: 0 }).withMessage("Seuil de palier invalide"),
+    body("paliers.*.taux").isFloat({ min: 0, max: 100 }).withMessage("Taux de palier invalide"),
+    body("accelerateur.seuil").optional().isFloat({ min: 0 }).withMessage("Seuil d'accélérateur invalide"),
+    body("accelerateur.multiplicateur").optional().isFloat({ min: 1 }).withMessage("Multiplicateur invalide"),
+    body("primeNouveauClient").optional().isFloat({ min: 0 }).withMessage("Prime par nouveau client invalide"),
+    body("plafond").optional({ values: "null" }).isFloat({ min: 0 }).withMessage("Plafond invalide"),
+    body("utilisateurs").optional().isArray().withMessage("Liste d'utilisateurs invalide"),
+    body("utilisateurs.*").isMongoId().withMessage("Utilisateur invalide"),
+    body("roles").optional().isArray().withMessage("Liste de rôles invalide"),
+    body("roles.*").isIn(["admin", "manager", "utilisateur"]).withMessage("Rôle invalide"),
+    body("actif").optional().isBoolean().withMessage("Valeur invalide pour actif"),
+  ]
+}
+
+// Références affichées avec un relevé de commission
+const statementPopulate = [
+  { path: "utilisateur", select: "nom prenom email" },
+  { path: "approuvePar", select: "nom prenom email" },
+]
+
+const PLAN_FIELDS = [
+  "nom",
+  "description",
+  "paliers",
+  "accelerateur",
+  "primeNouveauClient",
+  "plafond",
+  "utilisateurs",
+  "roles",
+  "actif",
+]
+
+// @desc    Lister les plans de commission
+// @route   GET /api/commissions/plans
+// @access  Admin / Manager
+router.get("/plans", authorizeRoles("admin", "manager"), async (req, res) => {
+  try {
+    const filter = {}
+    if (req.query.actif !== undefined) filter.actif = req.query.actif === "true"
+
+    const plans = await commissionPlans.find(filter, {
+      populate: { path: "utilisateurs", select: "nom prenom email" },
+      sort: { nom: 1 },
+    })
+
+    res.json({
+      success: true,
+      data: plans,
+    })
+  } catch (error) {
+    console.error("Erreur récupération plans de commission:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Créer un plan de commission
+// @route   POST /api/commissions/plans
+// @access  Admin uniquement
+router.post("/plans", authorizeRoles("admin"), planValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Données invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const planData = PLAN_FIELDS.reduce((data, field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field]
+      return data
+    }, {})
+
+    const plan = await commissionPlans.create({ ...planData, creePar: req.user.id })
+
+    res.status(201).json({
+      success: true,
+      message: "Plan de commission créé avec succès",
+      data: plan,
+    })
+  } catch (error) {
+    console.error("Erreur création plan de commission:", error)
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Modifier un plan de commission (les relevés existants ne sont pas affectés)
+// @route   PUT /api/commissions/plans/:id
+// @access  Admin uniquement
+router.put(
+  "/plans/:id",
+  authorizeRoles("admin"),
+  [param("id").isMongoId().withMessage("Identifiant invalide"), ...planValidators(true)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const plan = await commissionPlans.findById(req.params.id)
+
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: "Plan de commission non trouvé",
+        })
+      }
+
+      PLAN_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) plan.set(field, req.body[field])
+      })
+      await plan.save()
+
+      res.json({
+        success: true,
+        message: "Plan de commission mis à jour avec succès",
+        data: plan,
+      })
+    } catch (error) {
+      console.error("Erreur mise à jour plan de commission:", error)
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((val) => val.message)
+            .join(", "),
+        })
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Calculer les relevés de commission d'une période
+// @route   POST /api/commissions/compute
+// @access  Admin / Manager (pour son équipe)
+router.post(
+  "/compute",
+  authorizeRoles("admin", "manager"),
+  [
+    body("periode").optional().isIn(PERIOD_TYPES).withMessage("Type de période invalide"),
+    body("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    body("mois").optional().isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    body("trimestre").optional().isInt({ min: 1, max: 4 }).withMessage("Trimestre invalide"),
+    body("semestre").optional().isInt({ min: 1, max: 2 }).withMessage("Semestre invalide"),
+    body("debutExercice").optional().isInt({ min: 1, max: 12 }).withMessage("Mois de début d'exercice invalide"),
+    body("utilisateurs").optional().isArray({ min: 1 }).withMessage("Liste d'utilisateurs invalide"),
+    body("utilisateurs.*").isMongoId().withMessage("Utilisateur invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const period = parsePeriodQuery(req.body)
+      const clePeriode = CommissionStatement.periodKey(period)
+
+      // Utilisateurs concernés : liste explicite ou toute l'équipe encadrée
+      let targets
+      if (req.body.utilisateurs) {
+        for (const userId of req.body.utilisateurs) {
+          if (!(await canManageUser(req.user, userId))) {
+            return res.status(403).json({
+              success: false,
+              message: "Vous ne pouvez calculer que les commissions de votre équipe",
+            })
+          }
+        }
+        targets = await users.find({ _id: { $in: req.body.utilisateurs } })
+      } else if (req.user.role === "admin") {
+        targets = await users.find({ statut: "actif" })
+      } else {
+        targets = await users.find({ _id: { $in: await users.getSubordinateIds(req.user.id) }, statut: "actif" })
+      }
+
+      const months = getPeriodMonths(period)
+      const periodMatch = buildPeriodMatch(months)
+      const moisCouverts = CommissionStatement.monthKeys(months)
+      const crees = []
+      const ignores = []
+
+      for (const user of targets) {
+        // Un relevé existant est définitif, y compris sur une période qui chevauche celle-ci
+        const existing = await commissionStatements.findOne({
+          utilisateur: user._id,
+          $or: [{ clePeriode }, { moisCouverts: { $in: moisCouverts } }],
+        })
+        if (existing) {
+          ignores.push({
+            utilisateur: user._id,
+            motif:
+              existing.clePeriode === clePeriode
+                ? "Relevé déjà calculé"
+                : `Période chevauchant un relevé existant (${existing.periode.libelle})`,
+            releve: existing._id,
+          })
+          continue
+        }
+
+        const plan = await commissionPlans.findForUser(user)
+        if (!plan) {
+          ignores.push({ utilisateur: user._id, motif: "Aucun plan de commission applicable" })
+          continue
+        }
+
+        // Seules les données validées sont prises en compte
+        const validated = await performances.find({ ...periodMatch, utilisateur: user._id, statut: "valide" })
+        if (validated.length === 0) {
+          ignores.push({ utilisateur: user._id, motif: "Aucune donnée validée sur la période" })
+          continue
+        }
+
+        const base = validated.reduce(
+          (acc, performance) => ({
+            chiffreAffaires: acc.chiffreAffaires + performance.chiffreAffaires,
+            objectifCA: acc.objectifCA + performance.objectifCA,
+            nouveauxClients: acc.nouveauxClients + performance.nouveauxClients,
+          }),
+          { chiffreAffaires: 0, objectifCA: 0, nouveauxClients: 0 },
+        )
+
+        const detail = plan.compute(base)
+
+        // Un calcul concurrent peut avoir créé le relevé entre-temps : l'index unique le refuse
+        try {
+          const statement = await commissionStatements.create({
+            utilisateur: user._id,
+            plan: plan._id,
+            planApplique: plan.toObject(),
+            periode: { ...period, libelle: formatPeriod(period) },
+            clePeriode,
+            moisCouverts,
+            base: {
+              ...base,
+              moisValides: validated.length,
+              performances: validated.map((performance) => performance._id),
+            },
+            detail,
+            montant: detail.montant,
+            calculePar: req.user.id,
+          })
+
+          crees.push(statement)
+        } catch (error) {
+          if (error.code !== 11000) throw error
+          ignores.push({ utilisateur: user._id, motif: "Relevé déjà calculé" })
+        }
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `${crees.length} relevé(s) calculé(s)`,
+        data: {
+          periode: { ...period, libelle: formatPeriod(period) },
+          releves: crees,
+          ignores,
+        },
+      })
+    } catch (error) {
+      console.error("Erreur calcul commissions:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Lister les relevés de commission (les siens, ceux de son équipe ou tous)
+// @route   GET /api/commissions/statements
+// @access  Private
+router.get(
+  "/statements",
+  [
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("statut").optional().isIn(["calcule", "approuve"]).withMessage("Statut invalide"),
+    query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { utilisateur, statut, annee } = req.query
+      const accessibleIds = await getAccessibleUserIds(req.user)
+      const filter = {}
+
+      if (utilisateur) {
+        if (!(await canAccessUser(req.user, utilisateur))) {
+          return res.status(403).json({
+            success: false,
+            message: "Accès non autorisé",
+          })
+        }
+        filter.utilisateur = utilisateur
+      } else if (accessibleIds) {
+        filter.utilisateur = { $in: accessibleIds }
+      }
+
+      if (statut) filter.statut = statut
+      if (annee) filter["periode.annee"] = Number.parseInt(annee)
+
+      const statements = await commissionStatements.find(filter, {
+        populate: statementPopulate,
+        sort: { createdAt: -1 },
+      })
+
+      res.json({
+        success: true,
+        data: statements,
+      })
+    } catch (error) {
+      console.error("Erreur récupération relevés de commission:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Obtenir un relevé de commission
+// @route   GET /api/commissions/statements/:id
+// @access  Private (bénéficiaire, manager de l'équipe ou admin)
+router.get("/statements/:id", [param("id").isMongoId().withMessage("Identifiant invalide")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const statement = await commissionStatements.findById(req.params.id, { populate: statementPopulate })
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: "Relevé de commission non trouvé",
+      })
+    }
+
+    if (!(await canAccessUser(req.user, statement.utilisateur._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Accès non autorisé",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: statement,
+    })
+  } catch (error) {
+    console.error("Erreur récupération relevé de commission:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Approuver un relevé de commission
+// @route   POST /api/commissions/statements/:id/approve
+// @access  Admin / Manager de l'équipe
+router.post(
+  "/statements/:id/approve",
+  authorizeRoles("admin", "manager"),
+  [param("id").isMongoId().withMessage("Identifiant invalide")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const statement = await commissionStatements.findById(req.params.id)
+
+      if (!statement) {
+        return res.status(404).json({
+          success: false,
+          message: "Relevé de commission non trouvé",
+        })
+      }
+
+      if (!(await canManageUser(req.user, statement.utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Vous ne pouvez approuver que les relevés de votre équipe",
+        })
+      }
+
+      if (statement.statut === "approuve") {
+        return res.status(409).json({
+          success: false,
+          message: "Ce relevé est déjà approuvé",
+        })
+      }
+
+      await statement.approve(req.user.id)
+
+      res.json({
+        success: true,
+        message: "Relevé de commission approuvé",
+        data: statement,
+      })
+    } catch (error) {
+      console.error("Erreur approbation relevé de commission:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+module.exports = router
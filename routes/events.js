@@ -0,0 +1,623 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const { body, param, query, validationResult } = require("express-validator")
+const Event = require("../models/Event")
+const Client = require("../models/Client")
+const User = require("../models/User")
+const { protect, authorizeRoles } = require("../middleware/authMiddleware")
+const { requireMongoStorage } = require("../middleware/storageMiddleware")
+const { canAccessUser } = require("../utils/teamScope")
+const { isMonthLocked, syncMonthlyPerformance } = require("../utils/activityRollup")
+const { periodOfDate } = require("../utils/periods")
+const { listQueryValidators, runListQuery } = require("../utils/listQuery")
+
+const router = express.Router()
+
+// Journal d'activités : MongoDB uniquement
+router.use(requireMongoStorage)
+
+// Toutes les routes nécessitent une authentification
+router.use(protect)
+
+const EVENT_FIELDS = ["nom", "type", "date", "lieu", "description", "capacite", "leads", "cout", "statut"]
+
+const MONTH_LOCKED_MESSAGE =
+  "Les performances du mois de l'événement ont été soumises ou validées et ne peuvent plus être modifiées"
+
+// Seuls l'organisateur et les administrateurs modifient un événement
+const canEditEvent = (requester, event) => requester.role === "admin" || event.organisateur.toString() === requester.id
+
+// Vérifier si l'un des participants a des performances verrouillées sur l'un des mois donnés
+const anyParticipantLocked = async (event, periodes) => {
+  for (const { utilisateur } of event.participants) {
+    for (const periode of periodes) {
+      if (await isMonthLocked(utilisateur, periode)) return true
+    }
+  }
+  return false
+}
+
+// Recalcul des événements du mois pour les participants
+const syncParticipants = async (utilisateurs, periodes, req) => {
+  for (const utilisateur of utilisateurs) {
+    for (const periode of periodes) {
+      await syncMonthlyPerformance(utilisateur, periode, { acteur: req.user.id, req })
+    }
+  }
+}
+
+// Validation d'un événement
+const eventValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name))
+  return [
+    field("nom").trim().isLength({ min: 2, max: 150 }).withMessage("Le nom doit contenir entre 2 et 150 caractères"),
+    field("type").isIn(Event.EVENT_TYPES).withMessage("Type d'événement invalide"),
+    field("date").isISO8601().withMessage("Date invalide"),
+    body("lieu").optional().trim().isLength({ max: 200 }).withMessage("Lieu trop long"),
+    body("description").optional().isLength({ max: 1000 }).withMessage("Description trop longue"),
+    body("capacite").optional({ values: "null" }).isInt({ min: 1 }).withMessage("Capacité invalide"),
+    body("leads").optional().isInt({ min: 0 }).withMessage("Nombre de leads invalide"),
+    body("cout").optional().isFloat({ min: 0 }).withMessage("Coût invalide"),
+    body("statut").optional().isIn(Event.EVENT_STATUSES).withMessage("Statut invalide"),
+  ]
+}
+
+// Utilisateur visé par une inscription : soi-même, ou un membre de son équipe
+const registrationTarget = async (req, utilisateur) => {
+  if (!utilisateur || utilisateur === req.user.id) return { utilisateur: req.user.id }
+
+  if (!(await canAccessUser(req.user, utilisateur))) {
+    return { status: 403, message: "Vous ne pouvez inscrire que vous-même ou un membre de votre équipe" }
+  }
+
+  const user = await User.findById(utilisateur)
+  if (!user || user.statut !== "actif") {
+    return { status: 400, message: "Le participant doit être un utilisateur actif" }
+  }
+
+  return { utilisateur }
+}
+
+// @desc    Lister les événements commerciaux
+// @route   GET /api/events
+// @access  Private
+router.get(
+  "/",
+  [
+    query("type").optional().isIn(Event.EVENT_TYPES).withMessage("Type d'événement invalide"),
+    query("statut").optional().isIn(Event.EVENT_STATUSES).withMessage("Statut invalide"),
+    query("dateDebut").optional().isISO8601().withMessage("Date de début invalide"),
+    query("dateFin").optional().isISO8601().withMessage("Date de fin invalide"),
+    query("inscrit").optional().isBoolean().withMessage("Valeur invalide pour inscrit"),
+    ...listQueryValidators(Event.LIST_QUERY),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { type, statut, dateDebut, dateFin, inscrit } = req.query
+      const filter = {}
+
+      if (type) filter.type = type
+      if (statut) filter.statut = statut
+      if (inscrit === "true") filter["participants.utilisateur"] = new mongoose.Types.ObjectId(req.user.id)
+      if (dateDebut || dateFin) {
+        filter.date = {}
+        if (dateDebut) filter.date.$gte = new Date(dateDebut)
+        if (dateFin) filter.date.$lte = new Date(dateFin)
+      }
+
+      const { data, pagination } = await runListQuery(Event, Event.LIST_QUERY, {
+        filter,
+        params: req.query,
+        populate: { path: "organisateur", select: "nom prenom email" },
+      })
+
+      res.json({
+        success: true,
+        data,
+        pagination,
+      })
+    } catch (error) {
+      console.error("Erreur récupération événements:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Rendement des événements (leads, clients acquis, coût par lead et par client)
+// @route   GET /api/events/stats
+// @access  Admin / Manager
+router.get(
+  "/stats",
+  authorizeRoles("admin", "manager"),
+  [
+    query("type").optional().isIn(Event.EVENT_TYPES).withMessage("Type d'événement invalide"),
+    query("dateDebut").optional().isISO8601().withMessage("Date de début invalide"),
+    query("dateFin").optional().isISO8601().withMessage("Date de fin invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { type, dateDebut, dateFin } = req.query
+      const filter = { statut: { $ne: "annule" } }
+
+      if (type) filter.type = type
+      if (dateDebut || dateFin) {
+        filter.date = {}
+        if (dateDebut) filter.date.$gte = new Date(dateDebut)
+        if (dateFin) filter.date.$lte = new Date(dateFin)
+      }
+
+      const rapport = await Event.getPerformanceReport(filter)
+
+      res.json({
+        success: true,
+        data: rapport,
+      })
+    } catch (error) {
+      console.error("Erreur statistiques événements:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Obtenir un événement
+// @route   GET /api/events/:id
+// @access  Private
+router.get("/:id", [param("id").isMongoId().withMessage("Identifiant invalide")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const event = await Event.findById(req.params.id)
+      .populate("organisateur", "nom prenom email")
+      .populate("participants.utilisateur", "nom prenom email")
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Événement non trouvé",
+      })
+    }
+
+    const clientsAcquis = await Client.countDocuments({ evenementOrigine: event._id })
+
+    res.json({
+      success: true,
+      data: {
+        ...event.toJSON(),
+        clientsAcquis,
+      },
+    })
+  } catch (error) {
+    console.error("Erreur récupération événement:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Créer un événement commercial
+// @route   POST /api/events
+// @access  Admin / Manager
+router.post("/", authorizeRoles("admin", "manager"), eventValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Données invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const event = await Event.create({
+      ...EVENT_FIELDS.reduce((data, field) => {
+        if (req.body[field] !== undefined) data[field] = req.body[field]
+        return data
+      }, {}),
+      organisateur: req.user.id,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Événement créé avec succès",
+      data: event,
+    })
+  } catch (error) {
+    console.error("Erreur création événement:", error)
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Modifier un événement (dont leads générés et coût)
+// @route   PUT /api/events/:id
+// @access  Private (organisateur ou admin)
+router.put(
+  "/:id",
+  [param("id").isMongoId().withMessage("Identifiant invalide"), ...eventValidators(true)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const event = await Event.findById(req.params.id)
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: "Événement non trouvé",
+        })
+      }
+
+      if (!canEditEvent(req.user, event)) {
+        return res.status(403).json({
+          success: false,
+          message: "Seuls l'organisateur et les administrateurs peuvent modifier cet événement",
+        })
+      }
+
+      const anciennePeriode = periodOfDate(event.date)
+      const ancienStatut = event.statut
+
+      EVENT_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) event.set(field, req.body[field])
+      })
+
+      // Un changement de date ou une annulation modifie les événements du mois des participants
+      const nouvellePeriode = periodOfDate(event.date)
+      const impacteParticipants =
+        event.isModified("date") || (event.statut === "annule") !== (ancienStatut === "annule")
+      const periodes = [anciennePeriode]
+      if (anciennePeriode.annee !== nouvellePeriode.annee || anciennePeriode.mois !== nouvellePeriode.mois) {
+        periodes.push(nouvellePeriode)
+      }
+
+      if (impacteParticipants && (await anyParticipantLocked(event, periodes))) {
+        return res.status(409).json({
+          success: false,
+          message: MONTH_LOCKED_MESSAGE,
+        })
+      }
+
+      await event.save()
+
+      if (impacteParticipants) {
+        const participants = event.participants.map((participant) => participant.utilisateur)
+        await syncParticipants(participants, periodes, req)
+      }
+
+      res.json({
+        success: true,
+        message: "Événement mis à jour avec succès",
+        data: event,
+      })
+    } catch (error) {
+      console.error("Erreur mise à jour événement:", error)
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((val) => val.message)
+            .join(", "),
+        })
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    S'inscrire à un événement (ou y inscrire un membre de son équipe)
+// @route   POST /api/events/:id/register
+// @access  Private
+router.post(
+  "/:id/register",
+  [
+    param("id").isMongoId().withMessage("Identifiant invalide"),
+    body("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const event = await Event.findById(req.params.id)
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: "Événement non trouvé",
+        })
+      }
+
+      const cible = await registrationTarget(req, req.body.utilisateur)
+      if (cible.status) {
+        return res.status(cible.status).json({
+          success: false,
+          message: cible.message,
+        })
+      }
+
+      if (event.statut === "annule") {
+        return res.status(400).json({
+          success: false,
+          message: "Cet événement a été annulé",
+        })
+      }
+
+      if (event.isRegistered(cible.utilisateur)) {
+        return res.status(400).json({
+          success: false,
+          message: "Déjà inscrit à cet événement",
+        })
+      }
+
+      if (event.capacite && event.participants.length >= event.capacite) {
+        return res.status(409).json({
+          success: false,
+          message: "L'événement est complet",
+        })
+      }
+
+      const periode = periodOfDate(event.date)
+      if (await isMonthLocked(cible.utilisateur, periode)) {
+        return res.status(409).json({
+          success: false,
+          message: MONTH_LOCKED_MESSAGE,
+        })
+      }
+
+      // Inscription en une seule écriture : deux inscriptions simultanées ne peuvent ni dépasser
+      // la capacité ni inscrire deux fois le même participant
+      const registered = await Event.findOneAndUpdate(
+        {
+          _id: event._id,
+          statut: { $ne: "annule" },
+          "participants.utilisateur": { $ne: cible.utilisateur },
+          $or: [{ capacite: null }, { $expr: { $lt: [{ $size: "$participants" }, "$capacite"] } }],
+        },
+        { $push: { participants: { utilisateur: cible.utilisateur } } },
+        { new: true },
+      )
+
+      if (!registered) {
+        const current = await Event.findById(event._id)
+        if (current && current.isRegistered(cible.utilisateur)) {
+          return res.status(400).json({
+            success: false,
+            message: "Déjà inscrit à cet événement",
+          })
+        }
+
+        return res.status(409).json({
+          success: false,
+          message: "L'événement est complet",
+        })
+      }
+
+      await syncParticipants([cible.utilisateur], [periode], req)
+
+      res.status(201).json({
+        success: true,
+        message: "Inscription enregistrée avec succès",
+        data: registered,
+      })
+    } catch (error) {
+      console.error("Erreur inscription événement:", error)
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((val) => val.message)
+            .join(", "),
+        })
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Se désinscrire d'un événement (ou en désinscrire un membre de son équipe)
+// @route   DELETE /api/events/:id/register
+// @access  Private
+router.delete(
+  "/:id/register",
+  [
+    param("id").isMongoId().withMessage("Identifiant invalide"),
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const event = await Event.findById(req.params.id)
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: "Événement non trouvé",
+        })
+      }
+
+      const utilisateur = req.query.utilisateur || req.user.id
+
+      if (!(await canAccessUser(req.user, utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      if (!event.isRegistered(utilisateur)) {
+        return res.status(400).json({
+          success: false,
+          message: "Aucune inscription à cet événement",
+        })
+      }
+
+      const periode = periodOfDate(event.date)
+      if (await isMonthLocked(utilisateur, periode)) {
+        return res.status(409).json({
+          success: false,
+          message: MONTH_LOCKED_MESSAGE,
+        })
+      }
+
+      event.participants = event.participants.filter(
+        (participant) => participant.utilisateur.toString() !== utilisateur,
+      )
+      await event.save()
+
+      await syncParticipants([utilisateur], [periode], req)
+
+      res.json({
+        success: true,
+        message: "Inscription annulée avec succès",
+        data: event,
+      })
+    } catch (error) {
+      console.error("Erreur désinscription événement:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Supprimer un événement
+// @route   DELETE /api/events/:id
+// @access  Private (organisateur ou admin)
+router.delete("/:id", [param("id").isMongoId().withMessage("Identifiant invalide")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const event = await Event.findById(req.params.id)
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Événement non trouvé",
+      })
+    }
+
+    if (!canEditEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: "Seuls l'organisateur et les administrateurs peuvent supprimer cet événement",
+      })
+    }
+
+    // Les clients rattachés perdraient leur origine : l'événement doit être annulé plutôt que supprimé
+    if (await Client.exists({ evenementOrigine: event._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "Des clients sont rattachés à cet événement, annulez-le plutôt que de le supprimer",
+      })
+    }
+
+    const periode = periodOfDate(event.date)
+    if (await anyParticipantLocked(event, [periode])) {
+      return res.status(409).json({
+        success: false,
+        message: MONTH_LOCKED_MESSAGE,
+      })
+    }
+
+    await event.deleteOne()
+
+    const participants = event.participants.map((participant) => participant.utilisateur)
+    await syncParticipants(participants, [periode], req)
+
+    res.json({
+      success: true,
+      message: "Événement supprimé avec succès",
+    })
+  } catch (error) {
+    console.error("Erreur suppression événement:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,280 @@
+const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const { objectives, performances, users } = require("../repositories")
+const { protect, authorizeRoles } = require("../middleware/authMiddleware")
+const { getAccessibleUserIds, canManageUser } = require("../utils/teamScope")
+const { monthFilter, applyTargets, assignObjective } = require("../utils/objectives")
+
+const router = express.Router()
+
+// Toutes les routes nécessitent une authentification
+router.use(protect)
+
+// Validation des valeurs cibles
+const objectiveValidators = [
+  body("objectifCA").optional().isFloat({ min: 0 }).withMessage("Objectif CA invalide"),
+  body("objectifNouveauxClients").optional().isInt({ min: 0 }).withMessage("Objectif de nouveaux clients invalide"),
+  body("objectifRDV").optional().isInt({ min: 0 }).withMessage("Objectif de RDV invalide"),
+  body("objectifVentes").optional().isInt({ min: 0 }).withMessage("Objectif de ventes invalide"),
+]
+
+// @desc    Lister les objectifs (les siens, ceux de son équipe ou tous pour un admin)
+// @route   GET /api/objectives
+// @access  Private
+router.get(
+  "/",
+  [
+    query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    query("mois").optional().isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { annee, mois, utilisateur } = req.query
+
+      // Construction du filtre limité au périmètre du demandeur
+      const accessibleIds = await getAccessibleUserIds(req.user)
+      const filter = {}
+
+      if (utilisateur) {
+        if (accessibleIds && !accessibleIds.some((id) => id.toString() === utilisateur)) {
+          return res.status(403).json({
+            success: false,
+            message: "Accès non autorisé",
+          })
+        }
+        filter.utilisateur = utilisateur
+      } else if (accessibleIds) {
+        filter.utilisateur = { $in: accessibleIds }
+      }
+
+      if (annee) filter["periode.annee"] = Number.parseInt(annee)
+      if (mois) filter["periode.mois"] = Number.parseInt(mois)
+
+      const data = await objectives.find(filter, {
+        populate: [
+          { path: "utilisateur", select: "nom prenom email" },
+          { path: "definiPar", select: "nom prenom email" },
+        ],
+        sort: { "periode.annee": -1, "periode.mois": -1 },
+      })
+
+      res.json({
+        success: true,
+        data,
+      })
+    } catch (error) {
+      console.error("Erreur récupération objectifs:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Définir l'objectif mensuel d'un commercial
+// @route   PUT /api/objectives/:utilisateur/:annee/:mois
+// @access  Admin / Manager de l'équipe
+router.put(
+  "/:utilisateur/:annee/:mois",
+  authorizeRoles("admin", "manager"),
+  [
+    param("utilisateur").isMongoId().withMessage("Utilisateur invalide"),
+    param("annee").isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    param("mois").isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    ...objectiveValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const user = await users.findById(req.params.utilisateur)
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "Utilisateur non trouvé",
+        })
+      }
+
+      if (!(await canManageUser(req.user, user._id))) {
+        return res.status(403).json({
+          success: false,
+          message: "Vous ne pouvez fixer des objectifs qu'aux membres de votre équipe",
+        })
+      }
+
+      const periode = {
+        annee: Number.parseInt(req.params.annee),
+        mois: Number.parseInt(req.params.mois),
+      }
+
+      const objective = await assignObjective(user._id, periode, req.body, req)
+
+      res.json({
+        success: true,
+        message: "Objectif enregistré avec succès",
+        data: objective,
+      })
+    } catch (error) {
+      console.error("Erreur définition objectif:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Affecter le même objectif à plusieurs commerciaux ou à toute une équipe
+// @route   POST /api/objectives/bulk
+// @access  Admin / Manager de l'équipe
+router.post(
+  "/bulk",
+  authorizeRoles("admin", "manager"),
+  [
+    body("periode.annee").isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    body("periode.mois").isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    body("utilisateurs").optional().isArray({ min: 1 }).withMessage("Liste d'utilisateurs invalide"),
+    body("utilisateurs.*").isMongoId().withMessage("Utilisateur invalide"),
+    body("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+    ...objectiveValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { utilisateurs, equipe } = req.body
+
+      // Cibles : liste explicite, équipe d'un manager donné, ou toute l'équipe du demandeur
+      let targetIds
+      if (utilisateurs) {
+        targetIds = utilisateurs
+      } else {
+        const managerId = equipe || req.user.id
+        targetIds = (await users.getSubordinateIds(managerId)).map((id) => id.toString())
+      }
+
+      if (targetIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Aucun utilisateur à qui affecter l'objectif",
+        })
+      }
+
+      // Tous les utilisateurs visés doivent être encadrés par le demandeur
+      for (const userId of targetIds) {
+        if (!(await canManageUser(req.user, userId))) {
+          return res.status(403).json({
+            success: false,
+            message: "Vous ne pouvez fixer des objectifs qu'aux membres de votre équipe",
+          })
+        }
+      }
+
+      const periode = {
+        annee: Number.parseInt(req.body.periode.annee),
+        mois: Number.parseInt(req.body.periode.mois),
+      }
+
+      const assigned = []
+      for (const userId of targetIds) {
+        assigned.push(await assignObjective(userId, periode, req.body, req))
+      }
+
+      res.json({
+        success: true,
+        message: `${assigned.length} objectif(s) enregistré(s) avec succès`,
+        data: assigned,
+      })
+    } catch (error) {
+      console.error("Erreur affectation objectifs:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Supprimer un objectif
+// @route   DELETE /api/objectives/:id
+// @access  Admin / Manager de l'équipe
+router.delete(
+  "/:id",
+  authorizeRoles("admin", "manager"),
+  [param("id").isMongoId().withMessage("Identifiant invalide")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const objective = await objectives.findById(req.params.id)
+
+      if (!objective) {
+        return res.status(404).json({
+          success: false,
+          message: "Objectif non trouvé",
+        })
+      }
+
+      if (!(await canManageUser(req.user, objective.utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      await objectives.deleteById(req.params.id)
+
+      // Les données de performance du mois n'ont plus de cible
+      const performance = await performances.findOne(monthFilter(objective.utilisateur, objective.periode))
+      if (performance) {
+        const targets = { objectifCA: 0, objectifNouveauxClients: 0, objectifRDV: 0, objectifVentes: 0 }
+        await applyTargets(performance, targets, req)
+      }
+
+      res.json({
+        success: true,
+        message: "Objectif supprimé avec succès",
+      })
+    } catch (error) {
+      console.error("Erreur suppression objectif:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+module.exports = router
@@ -1,13 +1,72 @@
 const express = require("express")
-const { body, validationResult, query } = require("express-validator")
+const path = require("path")
+const mongoose = require("mongoose")
+const multer = require("multer")
+const { body, param, validationResult, query } = require("express-validator")
 const Performance = require("../models/Performance")
+const Objective = require("../models/Objective")
+const Activity = require("../models/Activity")
+const { performances, objectives, auditLogs, users } = require("../repositories")
 const { protect, authorizeRoles } = require("../middleware/authMiddleware")
+const { getAccessibleUserIds, canAccessUser, canManageUser, getScopedUserIds } = require("../utils/teamScope")
+const {
+  PERIOD_TYPES,
+  getPeriodMonths,
+  getPreviousPeriod,
+  buildPeriodMatch,
+  formatPeriod,
+  parsePeriodQuery,
+} = require("../utils/periods")
+const {
+  KPIS,
+  withRates,
+  sumTotals,
+  aggregateByUser,
+  aggregateByMonth,
+  buildTrends,
+  rankBy,
+} = require("../utils/performanceStats")
+const { SEASONALITY_YEARS, forecastYearEnd, combineForecasts } = require("../utils/forecast")
+const { listQueryValidators } = require("../utils/listQuery")
+const {
+  IMPORT_EXTENSIONS,
+  parseSpreadsheet,
+  prepareImport,
+  executeImport,
+  summarizeImport,
+} = require("../utils/performanceImport")
+const { streamCsv, streamXlsx, writeReportPdf } = require("../utils/performanceExport")
+const { syncMonthlyPerformance } = require("../utils/activityRollup")
 
 const router = express.Router()
 
 // Toutes les routes nécessitent une authentification
 router.use(protect)
 
+// Téléversement des fichiers d'import, conservés en mémoire
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, callback) => {
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return callback(null, true)
+    }
+    callback(new Error("Format de fichier non supporté (CSV ou XLSX attendu)"))
+  },
+})
+
+const uploadImportFile = (req, res, next) => {
+  upload.single("fichier")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === "LIMIT_FILE_SIZE" ? "Fichier trop volumineux (5 Mo maximum)" : error.message,
+      })
+    }
+    next()
+  })
+}
+
 // @desc    Créer ou mettre à jour les données de performance
 // @route   POST /api/performance
 // @access  Private
@@ -17,7 +76,6 @@ router.post(
     body("periode.annee").isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
     body("periode.mois").isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
     body("chiffreAffaires").isNumeric().withMessage("Chiffre d'affaires invalide"),
-    body("objectifCA").isNumeric().withMessage("Objectif CA invalide"),
     body("nouveauxClients").isInt({ min: 0 }).withMessage("Nombre de nouveaux clients invalide"),
     body("rdvRealises").isInt({ min: 0 }).withMessage("Nombre de RDV invalide"),
     body("ventesRealisees").isInt({ min: 0 }).withMessage("Nombre de ventes invalide"),
@@ -37,32 +95,96 @@ router.post(
         })
       }
 
+      // Les objectifs sont fixés par le manager : les valeurs envoyées par le commercial sont ignorées
+      // Le statut ne change que via les actions du workflow
+      const submittedData = { ...req.body }
+      Objective.OBJECTIVE_FIELDS.forEach((field) => delete submittedData[field])
+      Performance.WORKFLOW_FIELDS.forEach((field) => delete submittedData[field])
+      delete submittedData.calculeDepuisActivites
+      delete submittedData.valeursManuelles
+      delete submittedData.tauxReponseSatisfaction
+
+      const objective = await objectives.findOne({
+        utilisateur: req.user.id,
+        "periode.annee": req.body.periode.annee,
+        "periode.mois": req.body.periode.mois,
+      })
+
       const performanceData = {
-        ...req.body,
+        ...submittedData,
+        ...(objective
+          ? objective.getTargets()
+          : { objectifCA: 0, objectifNouveauxClients: 0, objectifRDV: 0, objectifVentes: 0 }),
         utilisateur: req.user.id,
       }
 
       // Vérifier si des données existent déjà pour cette période
-      const existingPerformance = await Performance.findOne({
+      const existingPerformance = await performances.findOne({
         utilisateur: req.user.id,
         "periode.annee": req.body.periode.annee,
         "periode.mois": req.body.periode.mois,
       })
 
+      // Seules les données en brouillon ou rejetées peuvent être modifiées
+      if (existingPerformance && !existingPerformance.isEditable()) {
+        return res.status(409).json({
+          success: false,
+          message: "Ces données ont été soumises ou validées et ne peuvent plus être modifiées",
+        })
+      }
+
+      // Les indicateurs saisis ici priment sur les valeurs calculées depuis le journal d'activités.
+      // Le formulaire renvoie tous les indicateurs : sur un mois calculé, seuls ceux qui s'écartent
+      // de la valeur calculée deviennent des saisies manuelles (les autres suivent toujours le journal)
+      const computed = existingPerformance && existingPerformance.calculeDepuisActivites ? existingPerformance : null
+      performanceData.valeursManuelles = [
+        ...new Set([
+          ...(existingPerformance ? existingPerformance.valeursManuelles : []),
+          ...Activity.COMPUTED_FIELDS.filter(
+            (field) =>
+              submittedData[field] !== undefined && (!computed || Number(submittedData[field]) !== computed[field]),
+          ),
+        ]),
+      ]
+
+      // Règles de cohérence sur les données complètes après modification
+      // (la mise à jour partielle n'exécute pas le middleware pre("save"))
+      const erreurs = Performance.checkConsistency({
+        ...(existingPerformance ? existingPerformance.toObject({ virtuals: false }) : {}),
+        ...performanceData,
+      })
+      if (erreurs.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: erreurs.join(", "),
+          errors: erreurs,
+        })
+      }
+
       let performance
 
       if (existingPerformance) {
         // Mettre à jour les données existantes
-        performance = await Performance.findByIdAndUpdate(existingPerformance._id, performanceData, {
-          new: true,
-          runValidators: true,
-        }).populate("utilisateur", "nom prenom email")
+        performance = await performances.updateById(existingPerformance._id, performanceData, {
+          populate: { path: "utilisateur", select: "nom prenom email" },
+        })
       } else {
         // Créer de nouvelles données
-        performance = await Performance.create(performanceData)
-        await performance.populate("utilisateur", "nom prenom email")
+        performance = await performances.create(performanceData)
+        await performances.populate(performance, { path: "utilisateur", select: "nom prenom email" })
       }
 
+      // Traçabilité de la création ou de la modification
+      await auditLogs.record({
+        entite: "Performance",
+        entiteId: performance._id,
+        action: existingPerformance ? "modification" : "creation",
+        acteur: req.user.id,
+        before: existingPerformance,
+        after: performance,
+        req,
+      })
+
       res.status(existingPerformance ? 200 : 201).json({
         success: true,
         message: existingPerformance ? "Données mises à jour avec succès" : "Données créées avec succès",
@@ -86,17 +208,222 @@ router.post(
   },
 )
 
+// @desc    Importer des données de performance depuis un fichier CSV ou XLSX
+// @route   POST /api/performance/import
+// @access  Admin / Manager (son équipe)
+router.post(
+  "/import",
+  authorizeRoles("admin", "manager"),
+  uploadImportFile,
+  [
+    body("dryRun").optional().isBoolean().withMessage("Valeur invalide pour dryRun"),
+    body("mode").optional().isIn(["atomique", "partiel"]).withMessage("Mode d'import invalide"),
+    body("conflits").optional().isIn(["ecraser", "ignorer"]).withMessage("Gestion des conflits invalide"),
+    body("valider").optional().isBoolean().withMessage("Valeur invalide pour valider"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Fichier requis (champ fichier)",
+        })
+      }
+
+      // Simulation par défaut : rien n'est enregistré sans dryRun=false explicite
+      const dryRun = req.body.dryRun !== "false" && req.body.dryRun !== false
+      const { mode = "atomique", conflits = "ignorer" } = req.body
+      const valider = req.body.valider === "true" || req.body.valider === true
+
+      let rows
+      try {
+        rows = await parseSpreadsheet(req.file)
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: `Fichier illisible : ${parseError.message}`,
+        })
+      }
+
+      const lignes = await prepareImport(rows, req.user, { conflits, valider })
+      const result = dryRun ? { annule: false } : await executeImport(lignes, req.user, { mode, req })
+
+      const rapport = {
+        dryRun,
+        mode,
+        conflits,
+        resume: summarizeImport(lignes),
+        lignes: lignes.map(({ ligne, email, periode, action, erreurs }) => ({
+          ligne,
+          email,
+          periode,
+          action,
+          erreurs,
+        })),
+      }
+
+      if (result.annule) {
+        return res.status(422).json({
+          success: false,
+          message: "Import annulé : aucune donnée n'a été enregistrée",
+          data: rapport,
+        })
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun ? "Simulation d'import terminée" : "Import terminé",
+        data: rapport,
+      })
+    } catch (error) {
+      console.error("Erreur import performances:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// Filtres communs aux listes de performances (en plus des paramètres de utils/listQuery)
+const performanceListValidators = [
+  query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+  query("mois").optional().isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+  query("statut").optional().isIn(["brouillon", "soumis", "valide", "rejete"]).withMessage("Statut invalide"),
+  query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+  query("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+  query("departement").optional().trim(),
+  query("role").optional().isIn(["admin", "manager", "utilisateur"]).withMessage("Rôle invalide"),
+  ...listQueryValidators(Performance.LIST_QUERY),
+]
+
+// Filtre de base d'une liste : utilisateurs visés et filtres simples sur la période et le statut
+const buildPerformanceListFilter = (userIds, { annee, mois, statut }) => {
+  const filter = userIds ? { utilisateur: { $in: userIds } } : {}
+  if (annee) filter["periode.annee"] = Number.parseInt(annee)
+  if (mois) filter["periode.mois"] = Number.parseInt(mois)
+  if (statut) filter.statut = statut
+  return filter
+}
+
 // @desc    Obtenir les données de performance de l'utilisateur
+// (avec un filtre utilisateur / équipe / département / rôle : celles de son périmètre)
 // @route   GET /api/performance
 // @access  Private
+router.get("/", performanceListValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const { utilisateur, equipe, departement, role } = req.query
+
+    if ((utilisateur || equipe) && !(await canAccessUser(req.user, equipe || utilisateur))) {
+      return res.status(403).json({
+        success: false,
+        message: "Accès non autorisé",
+      })
+    }
+
+    const userIds =
+      utilisateur || equipe || departement || role
+        ? await getScopedUserIds(req.user, { utilisateur, equipe, departement, role })
+        : [new mongoose.Types.ObjectId(req.user.id)]
+
+    const { data, pagination } = await performances.list(Performance.LIST_QUERY, {
+      filter: buildPerformanceListFilter(userIds, req.query),
+      params: req.query,
+      populate: { path: "utilisateur", select: "nom prenom email" },
+      defaultLimit: 12,
+    })
+
+    res.json({
+      success: true,
+      data,
+      pagination,
+    })
+  } catch (error) {
+    console.error("Erreur récupération performances:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Obtenir toutes les performances (vue d'ensemble)
+// @route   GET /api/performance/all
+// @access  Admin (toute l'entreprise) / Manager (son équipe)
+router.get("/all", authorizeRoles("admin", "manager"), performanceListValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const { utilisateur, equipe, departement, role } = req.query
+
+    if ((utilisateur || equipe) && !(await canAccessUser(req.user, equipe || utilisateur))) {
+      return res.status(403).json({
+        success: false,
+        message: "Accès non autorisé",
+      })
+    }
+
+    const userIds = await getScopedUserIds(req.user, { utilisateur, equipe, departement, role })
+
+    const { data, pagination } = await performances.list(Performance.LIST_QUERY, {
+      filter: buildPerformanceListFilter(userIds, req.query),
+      params: req.query,
+      populate: { path: "utilisateur", select: "nom prenom email role departement" },
+      defaultLimit: 50,
+    })
+
+    res.json({
+      success: true,
+      data,
+      pagination,
+    })
+  } catch (error) {
+    console.error("Erreur récupération performances (all):", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Exporter les données de performance filtrées (CSV ou XLSX)
+// @route   GET /api/performance/export
+// @access  Private (ses données, celles de son équipe ou toutes)
 router.get(
-  "/",
+  "/export",
   [
+    query("format").isIn(["csv", "xlsx"]).withMessage("Format d'export invalide (csv ou xlsx)"),
     query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
     query("mois").optional().isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
-    query("statut").optional().isIn(["brouillon", "valide"]).withMessage("Statut invalide"),
-    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limite invalide"),
-    query("page").optional().isInt({ min: 1 }).withMessage("Page invalide"),
+    query("statut").optional().isIn(["brouillon", "soumis", "valide", "rejete"]).withMessage("Statut invalide"),
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+    query("departement").optional().trim(),
   ],
   async (req, res) => {
     try {
@@ -109,40 +436,44 @@ router.get(
         })
       }
 
-      const { annee, mois, statut, limit = 12, page = 1 } = req.query
+      const { format, annee, mois, statut, utilisateur, equipe, departement } = req.query
 
-      // Construction du filtre
-      const filter = { utilisateur: req.user.id }
+      if (utilisateur && !(await canAccessUser(req.user, utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
 
+      const userIds = await getScopedUserIds(req.user, { utilisateur, equipe, departement })
+      const filter = userIds ? { utilisateur: { $in: userIds } } : {}
       if (annee) filter["periode.annee"] = Number.parseInt(annee)
       if (mois) filter["periode.mois"] = Number.parseInt(mois)
       if (statut) filter.statut = statut
 
-      // Pagination
-      const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+      const cursor = performances.stream(filter, {
+        populate: { path: "utilisateur", select: "nom prenom email departement" },
+        sort: { "periode.annee": -1, "periode.mois": -1 },
+      })
 
-      // Requête avec pagination
-      const performances = await Performance.find(filter)
-        .populate("utilisateur", "nom prenom email")
-        .sort({ "periode.annee": -1, "periode.mois": -1 })
-        .limit(Number.parseInt(limit))
-        .skip(skip)
+      const suffix = [annee, mois && String(mois).padStart(2, "0")].filter(Boolean).join("-")
+      const filename = `performances${suffix ? `-${suffix}` : ""}.${format}`
 
-      // Compter le total pour la pagination
-      const total = await Performance.countDocuments(filter)
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
 
-      res.json({
-        success: true,
-        data: performances,
-        pagination: {
-          page: Number.parseInt(page),
-          limit: Number.parseInt(limit),
-          total,
-          pages: Math.ceil(total / Number.parseInt(limit)),
-        },
-      })
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8")
+        await streamCsv(cursor, res)
+      } else {
+        res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+        await streamXlsx(cursor, res)
+      }
     } catch (error) {
-      console.error("Erreur récupération performances:", error)
+      console.error("Erreur export performances:", error)
+
+      // Le fichier est déjà en cours d'envoi : interrompre la réponse
+      if (res.headersSent) return res.destroy(error)
+
       res.status(500).json({
         success: false,
         message: "Erreur serveur",
@@ -151,23 +482,80 @@ router.get(
   },
 )
 
-// @desc    Obtenir toutes les performances (vue d'ensemble)
-// @route   GET /api/performance/all
-// @access  Admin/Manager uniquement
+// @desc    Rapport PDF d'une page pour un commercial ou une équipe sur une période
+// @route   GET /api/performance/report
+// @access  Private (soi-même, son équipe ou tous)
 router.get(
-  "/all",
-  authorizeRoles("admin", "manager"),
+  "/report",
+  [
+    query("periode").optional().isIn(PERIOD_TYPES).withMessage("Type de période invalide"),
+    query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    query("mois").optional().isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    query("trimestre").optional().isInt({ min: 1, max: 4 }).withMessage("Trimestre invalide"),
+    query("semestre").optional().isInt({ min: 1, max: 2 }).withMessage("Semestre invalide"),
+    query("debutExercice").optional().isInt({ min: 1, max: 12 }).withMessage("Mois de début d'exercice invalide"),
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+  ],
   async (req, res) => {
     try {
-      const performances = await Performance.find()
-        .populate("utilisateur", "nom prenom email role")
-        .sort({ "periode.annee": -1, "periode.mois": -1 })
-      res.json({
-        success: true,
-        data: performances,
-      })
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { equipe } = req.query
+      const utilisateur = equipe ? null : req.query.utilisateur || req.user.id
+      const period = parsePeriodQuery(req.query)
+
+      if (!(await canAccessUser(req.user, equipe || utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      const sujet = await users.findById(equipe || utilisateur, { select: "nom prenom" })
+      if (!sujet) {
+        return res.status(404).json({
+          success: false,
+          message: "Utilisateur non trouvé",
+        })
+      }
+
+      const userIds = await getScopedUserIds(req.user, equipe ? { equipe } : { utilisateur })
+      const results = await performances.getStatsPeriode(period, { utilisateurs: userIds, groupBy: "utilisateur" })
+      const totalsByUser = new Map(results.map(({ _id, ...totals }) => [_id.toString(), totals]))
+
+      const rapport = {
+        titre: equipe
+          ? `Rapport d'équipe - ${sujet.prenom} ${sujet.nom}`
+          : `Rapport de performance - ${sujet.prenom} ${sujet.nom}`,
+        periode: formatPeriod(period),
+        totaux: withRates(sumTotals(results)),
+      }
+
+      if (equipe) {
+        const membres = await users.find(
+          { _id: { $in: userIds } },
+          { select: "nom prenom", sort: { nom: 1, prenom: 1 } },
+        )
+        rapport.membres = membres.map((membre) => {
+          const totals = totalsByUser.get(membre._id.toString())
+          return { nom: `${membre.prenom} ${membre.nom}`, totaux: totals ? withRates(totals) : null }
+        })
+      }
+
+      const filename = `rapport-${equipe ? "equipe" : "performance"}-${formatPeriod(period).replace(/[^\w]+/g, "-")}.pdf`
+      res.setHeader("Content-Type", "application/pdf")
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+      writeReportPdf(rapport, res)
     } catch (error) {
-      console.error("Erreur récupération performances (all):", error)
+      console.error("Erreur rapport PDF performance:", error)
       res.status(500).json({
         success: false,
         message: "Erreur serveur",
@@ -176,12 +564,26 @@ router.get(
   },
 )
 
+// Identifiant des données de performance visées (routes /:id)
+const idValidator = param("id").isMongoId().withMessage("Identifiant invalide")
+
 // @desc    Obtenir une donnée de performance spécifique
 // @route   GET /api/performance/:id
-// @access  Private
-router.get("/:id", async (req, res) => {
+// @access  Private (propriétaire, manager de l'équipe ou admin)
+router.get("/:id", [idValidator], async (req, res) => {
   try {
-    const performance = await Performance.findById(req.params.id).populate("utilisateur", "nom prenom email")
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const performance = await performances.findById(req.params.id, {
+      populate: { path: "utilisateur", select: "nom prenom email" },
+    })
 
     if (!performance) {
       return res.status(404).json({
@@ -190,8 +592,8 @@ router.get("/:id", async (req, res) => {
       })
     }
 
-    // Vérifier que l'utilisateur peut accéder à ces données
-    if (performance.utilisateur._id.toString() !== req.user.id) {
+    // Vérifier que l'utilisateur peut accéder à ces données (propriétaire, manager de l'équipe ou admin)
+    if (!(await canAccessUser(req.user, performance.utilisateur._id))) {
       return res.status(403).json({
         success: false,
         message: "Accès non autorisé",
@@ -211,12 +613,324 @@ router.get("/:id", async (req, res) => {
   }
 })
 
+// @desc    Historique des modifications d'une donnée de performance
+// @route   GET /api/performance/:id/history
+// @access  Private (propriétaire, manager de l'équipe ou admin)
+router.get("/:id/history", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Données de performance non trouvées",
+      })
+    }
+
+    const history = await auditLogs.find(
+      { entite: "Performance", entiteId: req.params.id },
+      { populate: { path: "acteur", select: "nom prenom email" }, sort: { version: 1 } },
+    )
+
+    // L'historique reste consultable après suppression des données ; des données sans entrée d'audit
+    // (antérieures à l'historique) ont un historique vide
+    const performance =
+      history.length === 0 ? await performances.findById(req.params.id, { select: "utilisateur" }) : null
+
+    if (history.length === 0 && !performance) {
+      return res.status(404).json({
+        success: false,
+        message: "Données de performance non trouvées",
+      })
+    }
+
+    const owner = performance ? performance.utilisateur : history[0].utilisateurConcerne
+    if (!(await canAccessUser(req.user, owner))) {
+      return res.status(403).json({
+        success: false,
+        message: "Accès non autorisé",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: history,
+    })
+  } catch (error) {
+    console.error("Erreur historique performance:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// Chargement des données de performance pour une action du workflow
+const loadForTransition = async (req, res, action) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: "Paramètres invalides",
+      errors: errors.array(),
+    })
+    return null
+  }
+
+  const performance = await performances.findById(req.params.id)
+
+  if (!performance) {
+    res.status(404).json({
+      success: false,
+      message: "Données de performance non trouvées",
+    })
+    return null
+  }
+
+  if (!performance.canTransition(action)) {
+    res.status(409).json({
+      success: false,
+      message: `Action impossible pour des données au statut "${performance.statut}"`,
+    })
+    return null
+  }
+
+  return performance
+}
+
+// Des données dont les indicateurs ne respectent pas les règles de cohérence ne changent pas de statut
+// (l'enregistrement serait refusé) : les erreurs sont renvoyées pour correction
+const rejectInconsistent = (res, performance) => {
+  const erreurs = Performance.checkConsistency(performance)
+  if (erreurs.length === 0) return false
+
+  res.status(400).json({
+    success: false,
+    message: erreurs.join(", "),
+    errors: erreurs,
+  })
+  return true
+}
+
+// @desc    Soumettre ses données au manager
+// @route   POST /api/performance/:id/submit
+// @access  Private (propriétaire)
+router.post("/:id/submit", [idValidator], async (req, res) => {
+  try {
+    const performance = await loadForTransition(req, res, "soumettre")
+    if (!performance) return
+
+    if (performance.utilisateur.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Accès non autorisé",
+      })
+    }
+
+    if (rejectInconsistent(res, performance)) return
+
+    const before = performance.toObject({ virtuals: false })
+    await performance.soumettre()
+    await auditLogs.record({
+      entite: "Performance",
+      entiteId: performance._id,
+      action: "soumission",
+      acteur: req.user.id,
+      before,
+      after: performance,
+      req,
+    })
+
+    res.json({
+      success: true,
+      message: "Données soumises pour validation",
+      data: performance,
+    })
+  } catch (error) {
+    console.error("Erreur soumission performance:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Valider des données soumises
+// @route   POST /api/performance/:id/validate
+// @access  Admin / Manager de l'équipe
+router.post("/:id/validate", authorizeRoles("admin", "manager"), [idValidator], async (req, res) => {
+  try {
+    const performance = await loadForTransition(req, res, "valider")
+    if (!performance) return
+
+    if (!(await canManageUser(req.user, performance.utilisateur))) {
+      return res.status(403).json({
+        success: false,
+        message: "Vous ne pouvez valider que les données de votre équipe",
+      })
+    }
+
+    if (rejectInconsistent(res, performance)) return
+
+    const before = performance.toObject({ virtuals: false })
+    await performance.valider(req.user.id)
+    await auditLogs.record({
+      entite: "Performance",
+      entiteId: performance._id,
+      action: "validation",
+      acteur: req.user.id,
+      before,
+      after: performance,
+      req,
+    })
+
+    res.json({
+      success: true,
+      message: "Données validées avec succès",
+      data: performance,
+    })
+  } catch (error) {
+    console.error("Erreur validation performance:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Rejeter des données soumises
+// @route   POST /api/performance/:id/reject
+// @access  Admin / Manager de l'équipe
+router.post(
+  "/:id/reject",
+  authorizeRoles("admin", "manager"),
+  [
+    idValidator,
+    body("motif")
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage("Le motif de rejet doit contenir entre 3 et 500 caractères"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const performance = await loadForTransition(req, res, "rejeter")
+      if (!performance) return
+
+      if (!(await canManageUser(req.user, performance.utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Vous ne pouvez rejeter que les données de votre équipe",
+        })
+      }
+
+      if (rejectInconsistent(res, performance)) return
+
+      const before = performance.toObject({ virtuals: false })
+      await performance.rejeter(req.user.id, req.body.motif)
+      await auditLogs.record({
+        entite: "Performance",
+        entiteId: performance._id,
+        action: "rejet",
+        acteur: req.user.id,
+        before,
+        after: performance,
+        req,
+      })
+
+      res.json({
+        success: true,
+        message: "Données rejetées",
+        data: performance,
+      })
+    } catch (error) {
+      console.error("Erreur rejet performance:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Rouvrir des données validées ou rejetées
+// @route   POST /api/performance/:id/reopen
+// @access  Admin / Manager de l'équipe
+router.post("/:id/reopen", authorizeRoles("admin", "manager"), [idValidator], async (req, res) => {
+  try {
+    const performance = await loadForTransition(req, res, "rouvrir")
+    if (!performance) return
+
+    if (!(await canManageUser(req.user, performance.utilisateur))) {
+      return res.status(403).json({
+        success: false,
+        message: "Vous ne pouvez rouvrir que les données de votre équipe",
+      })
+    }
+
+    if (rejectInconsistent(res, performance)) return
+
+    const before = performance.toObject({ virtuals: false })
+    await performance.rouvrir()
+    await auditLogs.record({
+      entite: "Performance",
+      entiteId: performance._id,
+      action: "reouverture",
+      acteur: req.user.id,
+      before,
+      after: performance,
+      req,
+    })
+
+    // Rattraper ce qui a été journalisé pendant le verrouillage (réponses aux enquêtes notamment)
+    let data = performance
+    if (performance.calculeDepuisActivites) {
+      const resync = await syncMonthlyPerformance(performance.utilisateur, performance.periode, {
+        acteur: req.user.id,
+        req,
+      })
+      if (resync.erreurs.length > 0) {
+        console.error("Recalcul après réouverture impossible:", resync.erreurs.join(", "))
+      } else if (resync.performance) {
+        data = resync.performance
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "Données rouvertes",
+      data,
+    })
+  } catch (error) {
+    console.error("Erreur réouverture performance:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
 // @desc    Supprimer des données de performance
 // @route   DELETE /api/performance/:id
 // @access  Private
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", [idValidator], async (req, res) => {
   try {
-    const performance = await Performance.findById(req.params.id)
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Paramètres invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const performance = await performances.findById(req.params.id)
 
     if (!performance) {
       return res.status(404).json({
@@ -233,7 +947,25 @@ router.delete("/:id", async (req, res) => {
       })
     }
 
-    await Performance.findByIdAndDelete(req.params.id)
+    if (!performance.isEditable()) {
+      return res.status(409).json({
+        success: false,
+        message: "Des données soumises ou validées ne peuvent pas être supprimées",
+      })
+    }
+
+    await performances.deleteById(req.params.id)
+
+    // L'état complet est conservé dans l'historique
+    await auditLogs.record({
+      entite: "Performance",
+      entiteId: performance._id,
+      action: "suppression",
+      acteur: req.user.id,
+      before: performance,
+      after: null,
+      req,
+    })
 
     res.json({
       success: true,
@@ -257,7 +989,7 @@ router.get("/stats/summary", async (req, res) => {
 
     // Filtre de base
     const matchFilter = {
-      utilisateur: req.user.id,
+      utilisateur: new mongoose.Types.ObjectId(req.user.id),
       "periode.annee": Number.parseInt(annee),
       statut: "valide",
     }
@@ -266,37 +998,30 @@ router.get("/stats/summary", async (req, res) => {
       matchFilter["periode.mois"] = Number.parseInt(mois)
     }
 
-    const stats = await Performance.aggregate([
-      { $match: matchFilter },
-      {
-        $group: {
-          _id: null,
-          totalCA: { $sum: "$chiffreAffaires" },
-          totalObjectif: { $sum: "$objectifCA" },
-          totalClients: { $sum: "$nouveauxClients" },
-          totalRDV: { $sum: "$rdvRealises" },
-          totalVentes: { $sum: "$ventesRealisees" },
-          totalEvenements: { $sum: "$evenements" },
-          satisfactionMoyenne: { $avg: "$satisfaction" },
-          count: { $sum: 1 },
-        },
-      },
-    ])
+    const stats = await performances.sumValidated(matchFilter)
 
     const result = stats[0] || {
       totalCA: 0,
       totalObjectif: 0,
+      totalObjectifClients: 0,
+      totalObjectifRDV: 0,
+      totalObjectifVentes: 0,
       totalClients: 0,
       totalRDV: 0,
       totalVentes: 0,
       totalEvenements: 0,
-      satisfactionMoyenne: 0,
+      satisfactionMoyenne: null,
       count: 0,
     }
 
     // Calculer les taux
     result.tauxTransformation = result.totalRDV > 0 ? Math.round((result.totalVentes / result.totalRDV) * 100) : 0
     result.tauxObjectif = result.totalObjectif > 0 ? Math.round((result.totalCA / result.totalObjectif) * 100) : 0
+    result.tauxObjectifClients =
+      result.totalObjectifClients > 0 ? Math.round((result.totalClients / result.totalObjectifClients) * 100) : 0
+    result.tauxObjectifRDV = result.totalObjectifRDV > 0 ? Math.round((result.totalRDV / result.totalObjectifRDV) * 100) : 0
+    result.tauxObjectifVentes =
+      result.totalObjectifVentes > 0 ? Math.round((result.totalVentes / result.totalObjectifVentes) * 100) : 0
 
     res.json({
       success: true,
@@ -311,4 +1036,364 @@ router.get("/stats/summary", async (req, res) => {
   }
 })
 
+// @desc    Classement des commerciaux sur une période
+// @route   GET /api/performance/stats/ranking
+// @access  Private (commercial : sa position ; manager : son équipe ; admin : toute l'entreprise)
+router.get(
+  "/stats/ranking",
+  [
+    query("periode").optional().isIn(PERIOD_TYPES).withMessage("Type de période invalide"),
+    query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    query("mois").optional().isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    query("trimestre").optional().isInt({ min: 1, max: 4 }).withMessage("Trimestre invalide"),
+    query("semestre").optional().isInt({ min: 1, max: 2 }).withMessage("Semestre invalide"),
+    query("debutExercice").optional().isInt({ min: 1, max: 12 }).withMessage("Mois de début d'exercice invalide"),
+    query("kpi").optional().isIn(Object.keys(KPIS)).withMessage("Indicateur invalide"),
+    query("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+    query("departement").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const period = parsePeriodQuery(req.query)
+      const kpi = req.query.kpi || "ca"
+      const field = KPIS[kpi]
+      const filters = { equipe: req.query.equipe, departement: req.query.departement }
+
+      // Un commercial est classé parmi toute la population filtrée mais ne voit que sa propre position
+      const isRep = req.user.role === "utilisateur"
+      const userIds = await getScopedUserIds(isRep ? null : req.user, filters)
+      const userMatch = userIds ? { utilisateur: { $in: userIds } } : {}
+
+      const previousPeriod = getPreviousPeriod(period)
+      const current = rankBy(
+        await aggregateByUser({ ...buildPeriodMatch(getPeriodMonths(period)), ...userMatch }),
+        field,
+      )
+      const previous = rankBy(
+        await aggregateByUser({ ...buildPeriodMatch(getPeriodMonths(previousPeriod)), ...userMatch }),
+        field,
+      )
+
+      // Évolution de position par rapport à la période précédente (positif = progression)
+      const previousRanks = new Map(previous.map((entry) => [entry.utilisateur._id.toString(), entry.rang]))
+      const classement = current.map((entry) => {
+        const rangPrecedent = previousRanks.get(entry.utilisateur._id.toString()) || null
+        return {
+          ...entry,
+          rangPrecedent,
+          evolution: rangPrecedent ? rangPrecedent - entry.rang : null,
+        }
+      })
+
+      const monClassement = classement.find((entry) => entry.utilisateur._id.toString() === req.user.id) || null
+
+      res.json({
+        success: true,
+        data: {
+          periode: { ...period, libelle: formatPeriod(period) },
+          periodePrecedente: { ...previousPeriod, libelle: formatPeriod(previousPeriod) },
+          kpi,
+          participants: classement.length,
+          monClassement,
+          classement: isRep ? [] : classement,
+        },
+      })
+    } catch (error) {
+      console.error("Erreur classement performance:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Tendances mensuelles : variations M-1 et N-1, moyenne mobile 3 mois, cumul annuel
+// @route   GET /api/performance/stats/trends
+// @access  Private (ses données, son équipe pour un manager, tout pour un admin)
+router.get(
+  "/stats/trends",
+  [
+    query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+    query("departement").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { utilisateur, equipe, departement } = req.query
+      const now = new Date()
+      const annee = req.query.annee ? Number.parseInt(req.query.annee) : now.getFullYear()
+
+      if (utilisateur && !(await canAccessUser(req.user, utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      const userIds = await getScopedUserIds(req.user, { utilisateur, equipe, departement })
+
+      // L'année précédente sert aux comparaisons N-1 et à la moyenne mobile de janvier-février
+      const byMonth = await aggregateByMonth({
+        "periode.annee": { $in: [annee - 1, annee] },
+        ...(userIds && { utilisateur: { $in: userIds } }),
+      })
+
+      // Pour l'année en cours, la série s'arrête au mois courant
+      const moisFin = annee === now.getFullYear() ? now.getMonth() + 1 : annee < now.getFullYear() ? 12 : 0
+
+      res.json({
+        success: true,
+        data: {
+          annee,
+          perimetre: { utilisateur: utilisateur || null, equipe: equipe || null, departement: departement || null },
+          series: buildTrends(annee, byMonth, moisFin),
+        },
+      })
+    } catch (error) {
+      console.error("Erreur tendances performance:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Prévision de fin d'année du CA et du taux d'atteinte de l'objectif
+// @route   GET /api/performance/stats/forecast
+// @access  Private (ses données, son équipe pour un manager, tout pour un admin)
+router.get(
+  "/stats/forecast",
+  [
+    query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+    query("departement").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { utilisateur, equipe, departement } = req.query
+      const annee = req.query.annee ? Number.parseInt(req.query.annee) : new Date().getFullYear()
+
+      if (utilisateur && !(await canAccessUser(req.user, utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      const userIds = await getScopedUserIds(req.user, { utilisateur, equipe, departement })
+      const userMatch = userIds ? { utilisateur: { $in: userIds } } : {}
+
+      // Historique mensuel validé de l'année et des années précédentes (saisonnalité)
+      const monthly = await performances.sumValidated(
+        { ...userMatch, "periode.annee": { $gte: annee - SEASONALITY_YEARS, $lte: annee } },
+        "utilisateurMois",
+      )
+
+      const annualObjectives = await objectives.find({ ...userMatch, "periode.annee": annee })
+
+      // Regroupement par utilisateur
+      const byUser = new Map()
+      const entryFor = (userId) => {
+        const key = userId.toString()
+        if (!byUser.has(key)) {
+          byUser.set(key, { actuals: new Map(), history: new Map(), objectifsSaisis: new Map(), objectifs: new Map() })
+        }
+        return byUser.get(key)
+      }
+
+      monthly.forEach(({ _id, totalCA, totalObjectif }) => {
+        const entry = entryFor(_id.utilisateur)
+        if (_id.annee === annee) {
+          entry.actuals.set(_id.mois, totalCA)
+          entry.objectifsSaisis.set(_id.mois, totalObjectif)
+        } else {
+          if (!entry.history.has(_id.annee)) entry.history.set(_id.annee, new Map())
+          entry.history.get(_id.annee).set(_id.mois, totalCA)
+        }
+      })
+
+      annualObjectives.forEach((objective) => {
+        entryFor(objective.utilisateur).objectifs.set(objective.periode.mois, objective.objectifCA)
+      })
+
+      const forecastUsers = await users.find(
+        { _id: { $in: [...byUser.keys()] } },
+        { select: "nom prenom email departement" },
+      )
+      const usersById = new Map(forecastUsers.map((user) => [user._id.toString(), user]))
+
+      const previsions = [...byUser.entries()]
+        .filter(([userId]) => usersById.has(userId))
+        .map(([userId, { actuals, history, objectifsSaisis, objectifs }]) => {
+          // Objectif annuel : objectifs fixés, complétés par la moyenne mensuelle connue pour les mois sans objectif
+          const known = new Map([...objectifsSaisis, ...objectifs])
+          const knownValues = [...known.values()]
+          const moyenne = knownValues.length ? knownValues.reduce((a, b) => a + b, 0) / knownValues.length : 0
+          const objectifAnnuel = Array.from({ length: 12 }, (_, index) =>
+            known.has(index + 1) ? known.get(index + 1) : moyenne,
+          ).reduce((a, b) => a + b, 0)
+
+          const user = usersById.get(userId)
+          return {
+            utilisateur: { _id: user._id, nom: user.nom, prenom: user.prenom, email: user.email },
+            ...forecastYearEnd({ actuals, history, objectifAnnuel }),
+          }
+        })
+        .sort((a, b) => (a.tauxObjectifProjete ?? Infinity) - (b.tauxObjectifProjete ?? Infinity))
+
+      res.json({
+        success: true,
+        data: {
+          annee,
+          equipe: combineForecasts(previsions),
+          utilisateurs: previsions.map(({ variance, ...prevision }) => prevision),
+        },
+      })
+    } catch (error) {
+      console.error("Erreur prévision performance:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Cumuls d'une période (mois, trimestre, semestre, année, exercice) par utilisateur, équipe,
+//          département ou pour l'entreprise
+// @route   GET /api/performance/stats/rollup
+// @access  Private (ses données, son équipe pour un manager, tout pour un admin)
+router.get(
+  "/stats/rollup",
+  [
+    query("periode").optional().isIn(PERIOD_TYPES).withMessage("Type de période invalide"),
+    query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    query("mois").optional().isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    query("trimestre").optional().isInt({ min: 1, max: 4 }).withMessage("Trimestre invalide"),
+    query("semestre").optional().isInt({ min: 1, max: 2 }).withMessage("Semestre invalide"),
+    query("debutExercice").optional().isInt({ min: 1, max: 12 }).withMessage("Mois de début d'exercice invalide"),
+    query("niveau")
+      .optional()
+      .isIn(["utilisateur", "equipe", "departement", "entreprise"])
+      .withMessage("Niveau d'agrégation invalide"),
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+    query("departement").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { utilisateur, equipe, departement } = req.query
+      const niveau = req.query.niveau || "entreprise"
+      const period = parsePeriodQuery({ periode: "annee", ...req.query })
+
+      if (utilisateur && !(await canAccessUser(req.user, utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      const userIds = await getScopedUserIds(req.user, { utilisateur, equipe, departement })
+      const options = userIds ? { utilisateurs: userIds } : {}
+
+      let data
+
+      if (niveau === "entreprise") {
+        const [totals] = await performances.getStatsPeriode(period, options)
+        data = withRates(totals ? sumTotals([totals]) : sumTotals([]))
+      } else if (niveau === "departement") {
+        const results = await performances.getStatsPeriode(period, { ...options, groupBy: "departement" })
+        data = results.map(({ _id, ...totals }) => ({ departement: _id, ...withRates(totals) }))
+      } else {
+        const results = await performances.getStatsPeriode(period, { ...options, groupBy: "utilisateur" })
+        const totalsByUser = new Map(results.map(({ _id, ...totals }) => [_id.toString(), totals]))
+        const rollupUsers = await users.find(
+          { _id: { $in: [...totalsByUser.keys()] } },
+          { select: "nom prenom email departement manager role" },
+        )
+
+        if (niveau === "utilisateur") {
+          data = rollupUsers.map((user) => ({
+            utilisateur: { _id: user._id, nom: user.nom, prenom: user.prenom, email: user.email },
+            ...withRates(totalsByUser.get(user._id.toString())),
+          }))
+        } else {
+          // Une équipe regroupe un manager et toute sa hiérarchie (équipes imbriquées comprises)
+          const managerFilter = { role: { $in: ["manager", "admin"] } }
+          if (userIds) managerFilter._id = { $in: userIds }
+          const managers = await users.find(managerFilter, { select: "nom prenom email" })
+
+          data = []
+          for (const manager of managers) {
+            const memberIds = [manager._id, ...(await users.getSubordinateIds(manager._id))]
+            const memberTotals = memberIds.map((id) => totalsByUser.get(id.toString())).filter(Boolean)
+            if (memberTotals.length === 0) continue
+
+            data.push({
+              equipe: { manager: { _id: manager._id, nom: manager.nom, prenom: manager.prenom, email: manager.email } },
+              effectif: memberIds.length,
+              ...withRates(sumTotals(memberTotals)),
+            })
+          }
+        }
+      }
+
+      res.json({
+        success: true,
+        data: {
+          periode: { ...period, libelle: formatPeriod(period) },
+          niveau,
+          resultats: data,
+        },
+      })
+    } catch (error) {
+      console.error("Erreur cumuls performance:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
 module.exports = router
@@ -0,0 +1,118 @@
+const express = require("express")
+const { query, validationResult } = require("express-validator")
+const { reminders } = require("../repositories")
+const { protect, authorizeRoles } = require("../middleware/authMiddleware")
+const { getScopedUserIds } = require("../utils/teamScope")
+const { findMissingSubmissions } = require("../utils/reminders")
+const { triggerJob } = require("../utils/scheduler")
+const { formatPeriod } = require("../utils/periods")
+
+const router = express.Router()
+
+// Toutes les routes sont réservées à l'encadrement
+router.use(protect, authorizeRoles("admin", "manager"))
+
+// @desc    Lister les saisies de performances manquantes d'une période
+// @route   GET /api/reminders/missing
+// @access  Admin / Manager (son équipe)
+router.get(
+  "/missing",
+  [
+    query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    query("mois").optional().isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    query("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+    query("departement").optional().trim().notEmpty().withMessage("Département invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const now = new Date()
+      const periode = {
+        annee: Number.parseInt(req.query.annee) || now.getFullYear(),
+        mois: Number.parseInt(req.query.mois) || now.getMonth() + 1,
+      }
+
+      const utilisateurs = await getScopedUserIds(req.user, {
+        equipe: req.query.equipe,
+        departement: req.query.departement,
+      })
+
+      const missing = await findMissingSubmissions(periode, utilisateurs)
+
+      // Rappels et escalades déjà envoyés pour la période
+      const envoyes = await reminders.find(
+        {
+          utilisateur: { $in: missing.map(({ utilisateur }) => utilisateur._id) },
+          emailEnvoye: true,
+          "periode.annee": periode.annee,
+          "periode.mois": periode.mois,
+        },
+        { sort: { createdAt: 1 } },
+      )
+
+      const data = missing.map(({ utilisateur, saisie }) => {
+        const envois = envoyes.filter((reminder) => reminder.utilisateur.toString() === utilisateur._id.toString())
+        const rappel = envois.find((reminder) => reminder.type === "rappel")
+        const escalade = envois.find((reminder) => reminder.type === "escalade")
+
+        return {
+          utilisateur,
+          saisie,
+          dateRappel: rappel ? rappel.createdAt : null,
+          dateEscalade: escalade ? escalade.createdAt : null,
+        }
+      })
+
+      res.json({
+        success: true,
+        periode: { ...periode, libelle: formatPeriod({ type: "mois", ...periode }) },
+        total: data.length,
+        data,
+      })
+    } catch (error) {
+      console.error("Erreur récupération saisies manquantes:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Déclencher immédiatement l'envoi des rappels
+// @route   POST /api/reminders/run
+// @access  Admin uniquement
+router.post("/run", authorizeRoles("admin"), async (req, res) => {
+  try {
+    const resultat = await triggerJob("rappels-saisie")
+
+    if (!resultat) {
+      return res.status(409).json({
+        success: false,
+        message: "L'envoi des rappels est déjà en cours",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Rappels traités",
+      data: resultat,
+    })
+  } catch (error) {
+    console.error("Erreur envoi des rappels:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,540 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const { body, param, query, validationResult } = require("express-validator")
+const SurveyCampaign = require("../models/SurveyCampaign")
+const SurveyInvitation = require("../models/SurveyInvitation")
+const Client = require("../models/Client")
+const User = require("../models/User")
+const { protect, authorizeRoles } = require("../middleware/authMiddleware")
+const { requireMongoStorage } = require("../middleware/storageMiddleware")
+const { getAccessibleUserIds, canAccessUser, getScopedUserIds } = require("../utils/teamScope")
+const { syncMonthlyPerformance } = require("../utils/activityRollup")
+const { formatPeriod } = require("../utils/periods")
+const sendEmail = require("../utils/sendEmail")
+
+const router = express.Router()
+
+// Journal d'activités : MongoDB uniquement
+router.use(requireMongoStorage)
+
+// Lien public de réponse à une enquête
+const surveyUrl = (token) => `${process.env.FRONTEND_URL || "http://localhost:3000"}/survey/${token}`
+
+// Recalcul de la satisfaction du mois pour les commerciaux concernés
+const syncCommercials = async (commerciaux, periode, req, acteur) => {
+  const uniques = [...new Set(commerciaux.map((id) => id.toString()))]
+  for (const commercial of uniques) {
+    await syncMonthlyPerformance(commercial, periode, { acteur, req })
+  }
+}
+
+// Envoi de l'invitation par email au client
+const sendSurveyEmail = async (client, campagne, commercial, token) => {
+  await sendEmail({
+    to: client.email,
+    subject: "WAWTELECOM - Votre avis nous intéresse",
+    text:
+      `Bonjour${client.contact && client.contact.prenom ? ` ${client.contact.prenom}` : ""},\n\n` +
+      `${campagne.question}\n\n` +
+      `Votre conseiller : ${commercial.prenom} ${commercial.nom}\n\n` +
+      `Donnez votre note en quelques secondes (jusqu'au ${campagne.dateCloture.toLocaleDateString("fr-FR")}) :\n\n` +
+      `${surveyUrl(token)}\n\n` +
+      `Merci pour votre confiance.`,
+  })
+}
+
+// @desc    Consulter une enquête à partir de son lien
+// @route   GET /api/surveys/respond/:token
+// @access  Public (lien personnel)
+router.get("/respond/:token", async (req, res) => {
+  try {
+    const invitation = await SurveyInvitation.findByToken(req.params.token)
+      .populate("campagne", "nom question dateCloture statut")
+      .populate("client", "raisonSociale")
+      .populate("commercial", "prenom nom")
+
+    if (!invitation || !invitation.campagne) {
+      return res.status(404).json({
+        success: false,
+        message: "Enquête introuvable",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        campagne: invitation.campagne.nom,
+        question: invitation.campagne.question,
+        client: invitation.client ? invitation.client.raisonSociale : null,
+        conseiller: invitation.commercial ? `${invitation.commercial.prenom} ${invitation.commercial.nom}` : null,
+        dejaRepondu: Boolean(invitation.dateReponse),
+        ouverte: invitation.campagne.isOpen(),
+      },
+    })
+  } catch (error) {
+    console.error("Erreur consultation enquête:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Répondre à une enquête de satisfaction
+// @route   POST /api/surveys/respond/:token
+// @access  Public (lien personnel)
+router.post(
+  "/respond/:token",
+  [
+    body("note").isInt({ min: 1, max: 5 }).withMessage("La note doit être entre 1 et 5"),
+    body("commentaire").optional().trim().isLength({ max: 1000 }).withMessage("Commentaire trop long"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const invitation = await SurveyInvitation.findByToken(req.params.token).populate("campagne")
+
+      if (!invitation || !invitation.campagne) {
+        return res.status(404).json({
+          success: false,
+          message: "Enquête introuvable",
+        })
+      }
+
+      if (!invitation.campagne.isOpen()) {
+        return res.status(410).json({
+          success: false,
+          message: "Cette enquête est clôturée",
+        })
+      }
+
+      // Une seule réponse par lien, y compris en cas d'envois simultanés
+      const result = await SurveyInvitation.updateOne(
+        { _id: invitation._id, dateReponse: { $exists: false } },
+        { $set: { note: Number(req.body.note), commentaire: req.body.commentaire, dateReponse: new Date() } },
+        { runValidators: true },
+      )
+
+      if (result.modifiedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Vous avez déjà répondu à cette enquête",
+        })
+      }
+
+      await syncCommercials([invitation.commercial], invitation.periode, req)
+
+      res.status(201).json({
+        success: true,
+        message: "Merci pour votre réponse",
+      })
+    } catch (error) {
+      console.error("Erreur réponse enquête:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// Toutes les autres routes nécessitent une authentification
+router.use(protect)
+
+// @desc    Satisfaction, taux de réponse et répartition NPS d'un mois, par commercial
+// @route   GET /api/surveys/stats
+// @access  Private
+router.get(
+  "/stats",
+  [
+    query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    query("mois").optional().isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    query("utilisateur").optional().isMongoId().withMessage("Utilisateur invalide"),
+    query("equipe").optional().isMongoId().withMessage("Équipe invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const now = new Date()
+      const annee = Number.parseInt(req.query.annee) || now.getFullYear()
+      const mois = Number.parseInt(req.query.mois) || now.getMonth() + 1
+      const { utilisateur, equipe } = req.query
+
+      if ((utilisateur || equipe) && !(await canAccessUser(req.user, equipe || utilisateur))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      const userIds = await getScopedUserIds(req.user, { utilisateur, equipe })
+      const match = { "periode.annee": annee, "periode.mois": mois }
+      if (userIds) match.commercial = { $in: userIds }
+
+      const [global, parCommercial] = await Promise.all([
+        SurveyInvitation.getResults(match),
+        SurveyInvitation.getResults(match, "commercial"),
+      ])
+
+      const users = await User.find({ _id: { $in: parCommercial.map((entry) => entry.commercial) } }).select(
+        "nom prenom email departement",
+      )
+      const usersById = new Map(users.map((user) => [user._id.toString(), user]))
+
+      res.json({
+        success: true,
+        data: {
+          periode: { annee, mois, libelle: formatPeriod({ type: "mois", annee, mois }) },
+          global,
+          parCommercial: parCommercial
+            .map((entry) => ({ ...entry, commercial: usersById.get(entry.commercial.toString()) || entry.commercial }))
+            .sort((a, b) => (b.satisfaction ?? -Infinity) - (a.satisfaction ?? -Infinity)),
+        },
+      })
+    } catch (error) {
+      console.error("Erreur statistiques satisfaction:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Lister les campagnes d'enquête (résultats limités à son périmètre)
+// @route   GET /api/surveys/campaigns
+// @access  Admin / Manager
+router.get(
+  "/campaigns",
+  authorizeRoles("admin", "manager"),
+  [
+    query("annee").optional().isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    query("statut").optional().isIn(SurveyCampaign.CAMPAIGN_STATUSES).withMessage("Statut invalide"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limite invalide"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { annee, statut, limit = 20, page = 1 } = req.query
+      const filter = {}
+      if (annee) filter["periode.annee"] = Number.parseInt(annee)
+      if (statut) filter.statut = statut
+
+      // Pagination
+      const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+      const campaigns = await SurveyCampaign.find(filter)
+        .populate("creePar", "nom prenom email")
+        .sort({ "periode.annee": -1, "periode.mois": -1, createdAt: -1 })
+        .limit(Number.parseInt(limit))
+        .skip(skip)
+
+      const total = await SurveyCampaign.countDocuments(filter)
+
+      const accessibleIds = await getAccessibleUserIds(req.user)
+      const match = { campagne: { $in: campaigns.map((campaign) => campaign._id) } }
+      if (accessibleIds) match.commercial = { $in: accessibleIds }
+      const results = await SurveyInvitation.getResults(match, "campagne")
+      const resultsById = new Map(results.map((result) => [result.campagne.toString(), result]))
+
+      res.json({
+        success: true,
+        data: campaigns.map((campaign) => ({
+          ...campaign.toJSON(),
+          resultats: resultsById.get(campaign._id.toString()) || null,
+        })),
+        pagination: {
+          page: Number.parseInt(page),
+          limit: Number.parseInt(limit),
+          total,
+          pages: Math.ceil(total / Number.parseInt(limit)),
+        },
+      })
+    } catch (error) {
+      console.error("Erreur récupération campagnes:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Détail d'une campagne : résultats, répartition par commercial et commentaires
+// @route   GET /api/surveys/campaigns/:id
+// @access  Admin / Manager
+router.get(
+  "/campaigns/:id",
+  authorizeRoles("admin", "manager"),
+  [param("id").isMongoId().withMessage("Identifiant invalide")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const campaign = await SurveyCampaign.findById(req.params.id).populate("creePar", "nom prenom email")
+
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: "Campagne non trouvée",
+        })
+      }
+
+      const accessibleIds = await getAccessibleUserIds(req.user)
+      const match = { campagne: campaign._id }
+      if (accessibleIds) match.commercial = { $in: accessibleIds }
+
+      const [resultats, parCommercial, commentaires] = await Promise.all([
+        SurveyInvitation.getResults(match),
+        SurveyInvitation.getResults(match, "commercial"),
+        SurveyInvitation.find({ ...match, commentaire: { $nin: [null, ""] } })
+          .select("note commentaire dateReponse client commercial")
+          .populate("client", "raisonSociale")
+          .populate("commercial", "nom prenom")
+          .sort({ dateReponse: -1 })
+          .limit(50),
+      ])
+
+      res.json({
+        success: true,
+        data: {
+          campagne: campaign,
+          resultats,
+          parCommercial,
+          commentaires,
+        },
+      })
+    } catch (error) {
+      console.error("Erreur récupération campagne:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Lancer une campagne : génère un lien personnel par client et l'envoie par email
+// @route   POST /api/surveys/campaigns
+// @access  Admin / Manager (clients de son équipe)
+router.post(
+  "/campaigns",
+  authorizeRoles("admin", "manager"),
+  [
+    body("nom").trim().isLength({ min: 2, max: 150 }).withMessage("Le nom doit contenir entre 2 et 150 caractères"),
+    body("periode.annee").isInt({ min: 2020, max: 2030 }).withMessage("Année invalide"),
+    body("periode.mois").isInt({ min: 1, max: 12 }).withMessage("Mois invalide"),
+    body("question").optional().trim().isLength({ max: 300 }).withMessage("Question trop longue"),
+    body("dateCloture")
+      .isISO8601()
+      .withMessage("Date de clôture invalide")
+      .custom((value) => new Date(value) > new Date())
+      .withMessage("La date de clôture doit être dans le futur"),
+    body("clients").optional().isArray({ min: 1 }).withMessage("Liste de clients invalide"),
+    body("clients.*").isMongoId().withMessage("Client invalide"),
+    body("segment").optional().isIn(Client.CLIENT_SEGMENTS).withMessage("Segment invalide"),
+    body("commercial").optional().isMongoId().withMessage("Commercial invalide"),
+    body("envoyerEmails").optional().isBoolean().withMessage("Valeur invalide pour envoyerEmails"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const periode = { annee: Number.parseInt(req.body.periode.annee), mois: Number.parseInt(req.body.periode.mois) }
+      const now = new Date()
+      if (new Date(periode.annee, periode.mois - 1, 1) > now) {
+        return res.status(400).json({
+          success: false,
+          message: "Une campagne ne peut porter que sur un mois écoulé ou en cours",
+        })
+      }
+
+      if (req.body.commercial && !(await canAccessUser(req.user, req.body.commercial))) {
+        return res.status(403).json({
+          success: false,
+          message: "Accès non autorisé",
+        })
+      }
+
+      // Clients sollicités : ceux du périmètre du demandeur, éventuellement filtrés
+      const userIds = await getScopedUserIds(req.user, { utilisateur: req.body.commercial })
+      const filter = {}
+      if (userIds) filter.commercial = { $in: userIds }
+      if (req.body.clients) filter._id = { $in: req.body.clients.map((id) => new mongoose.Types.ObjectId(id)) }
+      if (req.body.segment) filter.segment = req.body.segment
+
+      const clients = (await Client.find(filter).populate("commercial", "nom prenom")).filter(
+        (client) => client.commercial,
+      )
+      if (clients.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Aucun client ne correspond aux critères de la campagne",
+        })
+      }
+
+      const campaign = await SurveyCampaign.create({
+        nom: req.body.nom,
+        periode,
+        question: req.body.question,
+        dateCloture: new Date(req.body.dateCloture),
+        creePar: req.user.id,
+      })
+
+      const envoyerEmails = req.body.envoyerEmails !== false && req.body.envoyerEmails !== "false"
+      const invitations = []
+
+      for (const client of clients) {
+        const { token, invitation } = await SurveyInvitation.issue({
+          campagne: campaign._id,
+          client: client._id,
+          commercial: client.commercial._id,
+          periode,
+        })
+
+        if (envoyerEmails && client.email) {
+          try {
+            await sendSurveyEmail(client, campaign, client.commercial, token)
+            invitation.emailEnvoye = true
+            await invitation.save()
+          } catch (error) {
+            console.error("Erreur envoi enquête:", error)
+          }
+        }
+
+        // Le lien brut n'est communiqué qu'ici (envoi manuel aux clients sans email)
+        invitations.push({
+          client: { _id: client._id, raisonSociale: client.raisonSociale },
+          commercial: client.commercial._id,
+          lien: surveyUrl(token),
+          emailEnvoye: invitation.emailEnvoye,
+        })
+      }
+
+      await syncCommercials(
+        clients.map((client) => client.commercial._id),
+        periode,
+        req,
+        req.user.id,
+      )
+
+      res.status(201).json({
+        success: true,
+        message: `Campagne lancée : ${invitations.length} client(s) sollicité(s)`,
+        data: {
+          campagne: campaign,
+          invitations,
+        },
+      })
+    } catch (error) {
+      console.error("Erreur création campagne:", error)
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((val) => val.message)
+            .join(", "),
+        })
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Clôturer une campagne (plus aucune réponse acceptée)
+// @route   PATCH /api/surveys/campaigns/:id/close
+// @access  Admin / créateur de la campagne
+router.patch(
+  "/campaigns/:id/close",
+  authorizeRoles("admin", "manager"),
+  [param("id").isMongoId().withMessage("Identifiant invalide")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Paramètres invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const campaign = await SurveyCampaign.findById(req.params.id)
+
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: "Campagne non trouvée",
+        })
+      }
+
+      if (req.user.role !== "admin" && campaign.creePar.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: "Seuls le créateur de la campagne et les administrateurs peuvent la clôturer",
+        })
+      }
+
+      campaign.statut = "cloturee"
+      await campaign.save()
+
+      res.json({
+        success: true,
+        message: "Campagne clôturée avec succès",
+        data: campaign,
+      })
+    } catch (error) {
+      console.error("Erreur clôture campagne:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+module.exports = router
@@ -0,0 +1,510 @@
+const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const { users, refreshTokens } = require("../repositories")
+const { protect, authorizeRoles } = require("../middleware/authMiddleware")
+
+const router = express.Router()
+
+// Toutes les routes sont réservées aux administrateurs
+router.use(protect, authorizeRoles("admin"))
+
+// Format de réponse d'un utilisateur (sans les champs sensibles)
+const formatUser = (user) => ({
+  id: user._id,
+  nom: user.nom,
+  prenom: user.prenom,
+  email: user.email,
+  nomComplet: user.nomComplet,
+  initiales: user.initiales,
+  role: user.role,
+  statut: user.statut,
+  manager: user.manager,
+  telephone: user.telephone,
+  poste: user.poste,
+  departement: user.departement,
+  dateEmbauche: user.dateEmbauche,
+  derniereConnexion: user.derniereConnexion,
+  tentativesConnexion: user.tentativesConnexion,
+  compteBloque: user.compteBloque,
+  dateBlocage: user.dateBlocage,
+  dateFinBlocage: user.dateFinBlocage,
+  nombreBlocages: user.nombreBlocages,
+  emailVerifie: user.emailVerifie,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+})
+
+// Échapper une chaîne pour l'utiliser dans une expression régulière
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Vérifier qu'un manager peut être rattaché à un utilisateur (retourne un message d'erreur ou null)
+const checkManagerAssignment = async (userId, managerId) => {
+  if (userId && managerId === userId) {
+    return "Un utilisateur ne peut pas être son propre manager"
+  }
+
+  const manager = await users.findById(managerId)
+  if (!manager) {
+    return "Manager non trouvé"
+  }
+  if (!["admin", "manager"].includes(manager.role)) {
+    return "Le responsable doit avoir le rôle manager ou admin"
+  }
+
+  // Éviter les cycles : le manager ne peut pas faire partie de l'équipe de l'utilisateur
+  if (userId) {
+    const subordinateIds = await users.getSubordinateIds(userId)
+    if (subordinateIds.some((id) => id.toString() === managerId)) {
+      return "Ce rattachement créerait une boucle dans la hiérarchie"
+    }
+  }
+
+  return null
+}
+
+const validateId = param("id").isMongoId().withMessage("Identifiant invalide")
+
+// @desc    Lister et rechercher les utilisateurs
+// @route   GET /api/users
+// @access  Admin uniquement
+router.get(
+  "/",
+  [
+    query("search").optional().trim(),
+    query("role").optional().isIn(["admin", "manager", "utilisateur"]).withMessage("Rôle invalide"),
+    query("statut").optional().isIn(["actif", "inactif"]).withMessage("Statut invalide"),
+    query("departement").optional().trim(),
+    query("manager").optional().isMongoId().withMessage("Manager invalide"),
+    query("compteBloque").optional().isBoolean().withMessage("Valeur invalide pour compteBloque"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limite invalide"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { search, role, statut, departement, manager, compteBloque, limit = 20, page = 1 } = req.query
+
+      // Construction du filtre
+      const filter = {}
+
+      if (search) {
+        const regex = new RegExp(escapeRegex(search), "i")
+        filter.$or = [{ nom: regex }, { prenom: regex }, { email: regex }]
+      }
+      if (role) filter.role = role
+      if (statut) filter.statut = statut
+      if (departement) filter.departement = departement
+      if (manager) filter.manager = manager
+      if (compteBloque !== undefined) filter.compteBloque = compteBloque === "true"
+
+      // Pagination
+      const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+      const list = await users.find(filter, { sort: { nom: 1, prenom: 1 }, limit: Number.parseInt(limit), skip })
+
+      const total = await users.count(filter)
+
+      res.json({
+        success: true,
+        data: list.map(formatUser),
+        pagination: {
+          page: Number.parseInt(page),
+          limit: Number.parseInt(limit),
+          total,
+          pages: Math.ceil(total / Number.parseInt(limit)),
+        },
+      })
+    } catch (error) {
+      console.error("Erreur liste utilisateurs:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Obtenir un utilisateur
+// @route   GET /api/users/:id
+// @access  Admin uniquement
+router.get("/:id", [validateId], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Données invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const user = await users.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Utilisateur non trouvé",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: formatUser(user),
+    })
+  } catch (error) {
+    console.error("Erreur récupération utilisateur:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Obtenir l'équipe d'un manager (équipes imbriquées comprises)
+// @route   GET /api/users/:id/team
+// @access  Admin uniquement
+router.get("/:id/team", [validateId], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Données invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const subordinateIds = await users.getSubordinateIds(req.params.id)
+    const members = await users.find({ _id: { $in: subordinateIds } }, { sort: { nom: 1, prenom: 1 } })
+
+    res.json({
+      success: true,
+      data: members.map(formatUser),
+    })
+  } catch (error) {
+    console.error("Erreur récupération équipe:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+// @desc    Créer un utilisateur avec un rôle choisi
+// @route   POST /api/users
+// @access  Admin uniquement
+router.post(
+  "/",
+  [
+    body("nom").trim().isLength({ min: 2 }).withMessage("Le nom doit contenir au moins 2 caractères"),
+    body("prenom").trim().isLength({ min: 2 }).withMessage("Le prénom doit contenir au moins 2 caractères"),
+    body("email").isEmail().normalizeEmail().withMessage("Email invalide"),
+    body("password").isLength({ min: 6 }).withMessage("Le mot de passe doit contenir au moins 6 caractères"),
+    body("role").optional().isIn(["admin", "manager", "utilisateur"]).withMessage("Rôle invalide"),
+    body("statut").optional().isIn(["actif", "inactif"]).withMessage("Statut invalide"),
+    body("telephone").optional().trim(),
+    body("poste").optional().trim(),
+    body("departement").optional().trim(),
+    body("dateEmbauche").optional().isISO8601().withMessage("Date d'embauche invalide"),
+    body("manager").optional({ values: "null" }).isMongoId().withMessage("Manager invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { nom, prenom, email, password, role, statut, telephone, poste, departement, dateEmbauche, manager } =
+        req.body
+
+      if (manager) {
+        const managerError = await checkManagerAssignment(null, manager)
+        if (managerError) {
+          return res.status(400).json({
+            success: false,
+            message: managerError,
+          })
+        }
+      }
+
+      const existingUser = await users.findOne({ email })
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: "Un utilisateur avec cet email existe déjà",
+        })
+      }
+
+      // Les comptes créés par un administrateur sont considérés comme vérifiés
+      const user = await users.create({
+        nom,
+        prenom,
+        email,
+        password,
+        role,
+        statut,
+        telephone,
+        poste,
+        departement,
+        dateEmbauche: dateEmbauche || new Date(),
+        manager: manager || null,
+        emailVerifie: true,
+      })
+
+      res.status(201).json({
+        success: true,
+        message: "Utilisateur créé avec succès",
+        data: formatUser(user),
+      })
+    } catch (error) {
+      console.error("Erreur création utilisateur:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Modifier le profil d'un utilisateur
+// @route   PUT /api/users/:id
+// @access  Admin uniquement
+router.put(
+  "/:id",
+  [
+    validateId,
+    body("nom").optional().trim().isLength({ min: 2 }).withMessage("Le nom doit contenir au moins 2 caractères"),
+    body("prenom").optional().trim().isLength({ min: 2 }).withMessage("Le prénom doit contenir au moins 2 caractères"),
+    body("email").optional().isEmail().normalizeEmail().withMessage("Email invalide"),
+    body("telephone").optional().trim(),
+    body("poste").optional().trim(),
+    body("departement").optional().trim(),
+    body("dateEmbauche").optional().isISO8601().withMessage("Date d'embauche invalide"),
+    body("manager").optional({ values: "null" }).isMongoId().withMessage("Manager invalide"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      const { nom, prenom, email, telephone, poste, departement, dateEmbauche, manager } = req.body
+
+      if (manager) {
+        const managerError = await checkManagerAssignment(req.params.id, manager)
+        if (managerError) {
+          return res.status(400).json({
+            success: false,
+            message: managerError,
+          })
+        }
+      }
+
+      if (email) {
+        const existingUser = await users.findOne({ email, _id: { $ne: req.params.id } })
+        if (existingUser) {
+          return res.status(400).json({
+            success: false,
+            message: "Un utilisateur avec cet email existe déjà",
+          })
+        }
+      }
+
+      const user = await users.updateById(req.params.id, {
+        ...(nom && { nom }),
+        ...(prenom && { prenom }),
+        ...(email && { email }),
+        ...(telephone !== undefined && { telephone }),
+        ...(poste !== undefined && { poste }),
+        ...(departement !== undefined && { departement }),
+        ...(dateEmbauche && { dateEmbauche }),
+        ...(manager !== undefined && { manager: manager || null }),
+      })
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "Utilisateur non trouvé",
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Utilisateur mis à jour avec succès",
+        data: formatUser(user),
+      })
+    } catch (error) {
+      console.error("Erreur mise à jour utilisateur:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Activer ou désactiver un utilisateur
+// @route   PATCH /api/users/:id/statut
+// @access  Admin uniquement
+router.patch(
+  "/:id/statut",
+  [validateId, body("statut").isIn(["actif", "inactif"]).withMessage("Statut invalide")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      if (req.params.id === req.user.id && req.body.statut === "inactif") {
+        return res.status(400).json({
+          success: false,
+          message: "Vous ne pouvez pas désactiver votre propre compte",
+        })
+      }
+
+      const user = await users.findById(req.params.id)
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "Utilisateur non trouvé",
+        })
+      }
+
+      user.statut = req.body.statut
+      await user.save({ validateBeforeSave: false })
+
+      // Un compte désactivé perd toutes ses sessions
+      if (user.statut === "inactif") {
+        await refreshTokens.revokeAllForUser(user._id)
+      }
+
+      res.json({
+        success: true,
+        message: user.statut === "actif" ? "Utilisateur activé" : "Utilisateur désactivé",
+        data: formatUser(user),
+      })
+    } catch (error) {
+      console.error("Erreur changement statut utilisateur:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Changer le rôle d'un utilisateur
+// @route   PATCH /api/users/:id/role
+// @access  Admin uniquement
+router.patch(
+  "/:id/role",
+  [validateId, body("role").isIn(["admin", "manager", "utilisateur"]).withMessage("Rôle invalide")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Données invalides",
+          errors: errors.array(),
+        })
+      }
+
+      if (req.params.id === req.user.id && req.body.role !== "admin") {
+        return res.status(400).json({
+          success: false,
+          message: "Vous ne pouvez pas retirer votre propre rôle d'administrateur",
+        })
+      }
+
+      const user = await users.findById(req.params.id)
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "Utilisateur non trouvé",
+        })
+      }
+
+      user.role = req.body.role
+      await user.save({ validateBeforeSave: false })
+
+      res.json({
+        success: true,
+        message: "Rôle mis à jour avec succès",
+        data: formatUser(user),
+      })
+    } catch (error) {
+      console.error("Erreur changement rôle utilisateur:", error)
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur",
+      })
+    }
+  },
+)
+
+// @desc    Débloquer le compte d'un utilisateur
+// @route   PATCH /api/users/:id/unlock
+// @access  Admin uniquement
+router.patch("/:id/unlock", [validateId], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Données invalides",
+        errors: errors.array(),
+      })
+    }
+
+    const user = await users.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Utilisateur non trouvé",
+      })
+    }
+
+    await user.unlockAccount()
+
+    res.json({
+      success: true,
+      message: "Compte débloqué avec succès",
+      data: formatUser(user),
+    })
+  } catch (error) {
+    console.error("Erreur déblocage utilisateur:", error)
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur",
+    })
+  }
+})
+
+module.exports = router
@@ -4,6 +4,7 @@ require("dotenv").config()
 
 const User = require("../models/User")
 const Performance = require("../models/Performance")
+const Objective = require("../models/Objective")
 
 // Connexion à la base de données
 const connectDB = async () => {
@@ -89,6 +90,7 @@ const seedDatabase = async () => {
     // Supprimer les données existantes
     await User.deleteMany({})
     await Performance.deleteMany({})
+    await Objective.deleteMany({})
     console.log("🗑️  Données existantes supprimées")
 
     // Créer les utilisateurs
@@ -99,10 +101,27 @@ const seedDatabase = async () => {
       console.log(`👤 Utilisateur créé: ${user.nomComplet} (${user.email})`)
     }
 
+    // Hiérarchie : Marie dirige Bourama, qui encadre Binta
+    const [directrice, manager, commerciale] = createdUsers
+    directrice.role = "manager"
+    manager.role = "manager"
+    manager.manager = directrice._id
+    commerciale.manager = manager._id
+    await Promise.all(createdUsers.map((user) => user.save({ validateBeforeSave: false })))
+    console.log("🧭 Hiérarchie commerciale définie")
+
     // Créer les données de performance pour chaque utilisateur
     for (const user of createdUsers) {
       const performanceData = generatePerformanceData(user._id)
       await Performance.insertMany(performanceData)
+      await Objective.insertMany(
+        performanceData.map((performance) => ({
+          utilisateur: performance.utilisateur,
+          periode: performance.periode,
+          objectifCA: performance.objectifCA,
+          definiPar: user.manager || user._id,
+        })),
+      )
       console.log(`📊 ${performanceData.length} enregistrements de performance créés pour ${user.nomComplet}`)
     }
 
@@ -11,6 +11,18 @@ require("dotenv").config()
 const connectDB = require("./config/database")
 const authRoutes = require("./routes/auth")
 const performanceRoutes = require("./routes/performance")
+const userRoutes = require("./routes/users")
+const objectiveRoutes = require("./routes/objectives")
+const auditRoutes = require("./routes/audit")
+const commissionRoutes = require("./routes/commissions")
+const alertRoutes = require("./routes/alerts")
+const reminderRoutes = require("./routes/reminders")
+const activityRoutes = require("./routes/activities")
+const clientRoutes = require("./routes/clients")
+const appointmentRoutes = require("./routes/appointments")
+const eventRoutes = require("./routes/events")
+const surveyRoutes = require("./routes/surveys")
+const { startScheduler, stopScheduler } = require("./utils/scheduler")
 const { errorHandler, notFound } = require("./middleware/errorMiddleware")
 
 const app = express()
@@ -70,6 +82,8 @@ if (process.env.NODE_ENV !== "development") {
     },
   })
   app.use("/api/auth/login", authLimiter)
+  app.use("/api/auth/forgot-password", authLimiter)
+  app.use("/api/auth/resend-verification", authLimiter)
 }
 
 // Middleware de parsing
@@ -111,6 +125,17 @@ app.get("/api/test", (req, res) => {
 // Routes API
 app.use("/api/auth", authRoutes)
 app.use("/api/performance", performanceRoutes)
+app.use("/api/users", userRoutes)
+app.use("/api/objectives", objectiveRoutes)
+app.use("/api/audit", auditRoutes)
+app.use("/api/commissions", commissionRoutes)
+app.use("/api/alerts", alertRoutes)
+app.use("/api/reminders", reminderRoutes)
+app.use("/api/activities", activityRoutes)
+app.use("/api/clients", clientRoutes)
+app.use("/api/appointments", appointmentRoutes)
+app.use("/api/events", eventRoutes)
+app.use("/api/surveys", surveyRoutes)
 
 // Middleware de gestion d'erreurs
 app.use(notFound)
@@ -123,11 +148,15 @@ const server = app.listen(PORT, () => {
   console.log(`🌐 URL: http://localhost:${PORT}`)
   console.log(`🔗 API: http://localhost:${PORT}/api`)
   console.log(`❤️  Health check: http://localhost:${PORT}/health`)
+
+  // Tâches planifiées (rappels de saisie)
+  startScheduler()
 })
 
 // Gestion gracieuse de l'arrêt
 process.on("SIGTERM", () => {
   console.log("👋 SIGTERM reçu, arrêt gracieux du serveur...")
+  stopScheduler()
   server.close(() => {
     console.log("✅ Serveur fermé")
     process.exit(0)
@@ -136,6 +165,7 @@ process.on("SIGTERM", () => {
 
 process.on("SIGINT", () => {
   console.log("👋 SIGINT reçu, arrêt gracieux du serveur...")
+  stopScheduler()
   server.close(() => {
     console.log("✅ Serveur fermé")
     process.exit(0)
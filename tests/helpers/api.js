@@ -0,0 +1,65 @@
+// Outils communs aux tests des routes (stockage en mémoire, voir tests/setup.js)
+const express = require("express")
+const jwt = require("jsonwebtoken")
+const { users } = require("../../repositories")
+
+const PASSWORD = "Secret123"
+
+// Application réduite aux routes testées (server.js se connecte à MongoDB au chargement)
+// routes : { "/api/chemin": router }
+const createApp = (routes) => {
+  const app = express()
+  app.use(express.json())
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router))
+  return app
+}
+
+let sequence = 0
+
+// Utilisateur actif, email vérifié, avec une adresse unique
+const createUser = (data = {}) => {
+  sequence += 1
+  return users.create({
+    nom: "Fall",
+    prenom: "Moussa",
+    email: `utilisateur${sequence}@wawtelecom.sn`,
+    password: PASSWORD,
+    emailVerifie: true,
+    ...data,
+  })
+}
+
+// En-tête d'authentification d'un utilisateur (jeton signé comme à la connexion)
+const authHeader = (user) => `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "15m" })}`
+
+// Indicateurs mensuels cohérents, à compléter ou surcharger
+const performanceData = (utilisateur, data = {}) => ({
+  utilisateur,
+  periode: { annee: 2026, mois: 1 },
+  chiffreAffaires: 1000,
+  objectifCA: 1000,
+  nouveauxClients: 1,
+  rdvRealises: 2,
+  ventesRealisees: 1,
+  dossiersMAJ: 1,
+  totalDossiers: 2,
+  ...data,
+})
+
+// Les envois d'emails (sans serveur SMTP) et les erreurs attendues restent silencieux
+const silenceConsole = () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {})
+    jest.spyOn(console, "error").mockImplementation(() => {})
+  })
+  afterAll(() => jest.restoreAllMocks())
+}
+
+module.exports = {
+  PASSWORD,
+  createApp,
+  createUser,
+  authHeader,
+  performanceData,
+  silenceConsole,
+}
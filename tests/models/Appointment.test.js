@@ -0,0 +1,48 @@
+const mongoose = require("mongoose")
+const Appointment = require("../../models/Appointment")
+
+const commercial = new mongoose.Types.ObjectId()
+
+describe("Appointment", () => {
+  test("la fin du rendez-vous doit suivre son début", async () => {
+    const appointment = (fin) =>
+      new Appointment({
+        client: new mongoose.Types.ObjectId(),
+        commercial,
+        debut: new Date("2026-03-10T09:00:00Z"),
+        fin: new Date(fin),
+      })
+
+    await expect(appointment("2026-03-10T10:00:00Z").validate()).resolves.toBeUndefined()
+    await expect(appointment("2026-03-10T09:00:00Z").validate()).rejects.toMatchObject({
+      errors: { fin: { message: "La fin du rendez-vous doit être postérieure à son début" } },
+    })
+  })
+
+  test("conflits : créneaux qui se chevauchent dans l'agenda du commercial, hors rendez-vous annulés", () => {
+    const debut = new Date("2026-03-10T09:00:00Z")
+    const fin = new Date("2026-03-10T10:00:00Z")
+    const id = new mongoose.Types.ObjectId()
+
+    expect(Appointment.findConflicts(commercial, debut, fin, id).getFilter()).toEqual({
+      commercial,
+      resultat: { $ne: "annule" },
+      debut: { $lt: fin },
+      fin: { $gt: debut },
+      _id: { $ne: id },
+    })
+  })
+
+  test("compteurs du mois : zéro sans rendez-vous", async () => {
+    jest.spyOn(Appointment, "aggregate").mockResolvedValue([])
+
+    const totals = await Appointment.summarizeMonth([commercial], new Date(2026, 2, 1), new Date(2026, 3, 1))
+    expect(totals).toEqual({ rdvPlanifies: 0, rdvRealises: 0, ventesRealisees: 0, chiffreAffaires: 0 })
+
+    // Les rendez-vous annulés ne comptent pas
+    const [{ $match }] = Appointment.aggregate.mock.calls[0][0]
+    expect($match.resultat).toEqual({ $ne: "annule" })
+
+    Appointment.aggregate.mockRestore()
+  })
+})
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose")
+const AuditLog = require("../../models/AuditLog")
+
+describe("AuditLog.diff", () => {
+  test("compare les chemins imbriqués et ignore les champs techniques", () => {
+    const utilisateur = new mongoose.Types.ObjectId()
+    const before = {
+      _id: 1,
+      utilisateur,
+      periode: { annee: 2026, mois: 1 },
+      updatedAt: new Date(0),
+      statut: "brouillon",
+    }
+    const after = { _id: 1, utilisateur, periode: { annee: 2026, mois: 2 }, updatedAt: new Date(), statut: "brouillon" }
+
+    expect(AuditLog.diff(before, after)).toEqual([{ champ: "periode.mois", ancienneValeur: 1, nouvelleValeur: 2 }])
+  })
+
+  test("normalise les identifiants, dates et valeurs absentes", () => {
+    const validePar = new mongoose.Types.ObjectId()
+    const date = new Date("2026-01-31T10:00:00Z")
+
+    expect(AuditLog.diff({ satisfaction: null }, { validePar, dateValidation: date })).toEqual([
+      { champ: "validePar", ancienneValeur: null, nouvelleValeur: validePar.toString() },
+      { champ: "dateValidation", ancienneValeur: null, nouvelleValeur: "2026-01-31T10:00:00.000Z" },
+    ])
+  })
+})
+
+describe("AuditLog.prepare", () => {
+  const utilisateur = new mongoose.Types.ObjectId()
+
+  test("une modification sans changement n'est pas tracée", () => {
+    const state = { utilisateur, chiffreAffaires: 1000 }
+    expect(AuditLog.prepare({ entite: "Performance", action: "modification", before: state, after: state })).toBeNull()
+  })
+
+  test("une suppression conserve l'état complet et le propriétaire", () => {
+    const before = { utilisateur, chiffreAffaires: 1000 }
+    const entry = AuditLog.prepare({ entite: "Performance", action: "suppression", before, after: null })
+
+    expect(entry.instantane).toEqual(before)
+    expect(entry.utilisateurConcerne).toBe(utilisateur.toString())
+    expect(entry.changements).toEqual([
+      { champ: "utilisateur", ancienneValeur: utilisateur.toString(), nouvelleValeur: null },
+      { champ: "chiffreAffaires", ancienneValeur: 1000, nouvelleValeur: null },
+    ])
+  })
+})
+
+describe("AuditLog.insertVersioned", () => {
+  const duplicateKey = () => Object.assign(new Error("E11000"), { code: 11000 })
+
+  test("recalcule la version après un conflit d'écriture", async () => {
+    const versions = []
+    let last = { version: 3 }
+    const create = async (data) => {
+      versions.push(data.version)
+      if (versions.length === 1) {
+        last = { version: 4 }
+        throw duplicateKey()
+      }
+      return data
+    }
+
+    const entry = await AuditLog.insertVersioned(
+      { action: "modification" },
+      { findLastVersion: async () => last, create },
+    )
+    expect(versions).toEqual([4, 5])
+    expect(entry.version).toBe(5)
+  })
+
+  test("abandonne après plusieurs conflits, et ne réessaie pas les autres erreurs", async () => {
+    const conflicts = jest.fn(async () => {
+      throw duplicateKey()
+    })
+    await expect(
+      AuditLog.insertVersioned({}, { findLastVersion: async () => null, create: conflicts }),
+    ).rejects.toMatchObject({ code: 11000 })
+    expect(conflicts).toHaveBeenCalledTimes(5)
+
+    const failure = jest.fn(async () => {
+      throw new Error("Base indisponible")
+    })
+    await expect(AuditLog.insertVersioned({}, { findLastVersion: async () => null, create: failure })).rejects.toThrow(
+      "Base indisponible",
+    )
+    expect(failure).toHaveBeenCalledTimes(1)
+  })
+})
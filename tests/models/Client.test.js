@@ -0,0 +1,54 @@
+const mongoose = require("mongoose")
+const Client = require("../../models/Client")
+
+const commercial = new mongoose.Types.ObjectId()
+
+const client = (data = {}) =>
+  new Client({ raisonSociale: "Sonatel", commercial, acquisPar: commercial, telephone: "77 123 45 67", ...data })
+
+describe("Client", () => {
+  test("un téléphone ou un email est requis pour recontacter le client", async () => {
+    await expect(client().validate()).resolves.toBeUndefined()
+    await expect(client({ telephone: undefined, email: "contact@sonatel.sn" }).validate()).resolves.toBeUndefined()
+
+    await expect(client({ telephone: undefined }).validate()).rejects.toMatchObject({
+      errors: { telephone: { message: "Un téléphone ou un email est requis" } },
+    })
+  })
+
+  test("doublons : même numéro quel que soit le format, ou même email", () => {
+    const filter = Client.findDuplicates({ telephone: "+221 77-123-45-67", email: " Contact@Sonatel.SN " }).getFilter()
+    expect(filter).toEqual({
+      $or: [{ telephoneNormalise: "771234567" }, { email: "contact@sonatel.sn" }],
+    })
+
+    const id = new mongoose.Types.ObjectId()
+    expect(Client.findDuplicates({ telephone: "771234567" }, id).getFilter()).toEqual({
+      $or: [{ telephoneNormalise: "771234567" }],
+      _id: { $ne: id },
+    })
+  })
+
+  test("doublons : rien à rechercher sans téléphone ni email", async () => {
+    await expect(Client.findDuplicates({})).resolves.toEqual([])
+  })
+
+  test("réaffectation : historique conservé, acquisition inchangée", async () => {
+    const doc = client()
+    jest.spyOn(doc, "save").mockResolvedValue(doc)
+    const nouveau = new mongoose.Types.ObjectId()
+    const manager = new mongoose.Types.ObjectId()
+
+    await doc.reassign(nouveau, manager, "Changement de secteur")
+
+    expect(doc.commercial).toEqual(nouveau)
+    expect(doc.acquisPar).toEqual(commercial)
+    expect(doc.historiqueAffectations[0]).toMatchObject({
+      commercial: nouveau,
+      ancienCommercial: commercial,
+      par: manager,
+      motif: "Changement de secteur",
+    })
+    expect(doc.save).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,63 @@
+const CommissionPlan = require("../../models/CommissionPlan")
+
+const plan = (data = {}) =>
+  new CommissionPlan({
+    nom: "Standard",
+    paliers: [
+      { seuil: 100, taux: 8 },
+      { seuil: 0, taux: 2 },
+      { seuil: 80, taux: 5 },
+    ],
+    ...data,
+  })
+
+describe("CommissionPlan.compute", () => {
+  test("le taux du palier atteint s'applique à tout le CA", () => {
+    expect(plan().compute({ chiffreAffaires: 700, objectifCA: 1000, nouveauxClients: 0 })).toMatchObject({
+      tauxObjectif: 70,
+      palier: { seuil: 0, taux: 2 },
+      commissionBase: 14,
+      montant: 14,
+    })
+    expect(plan().compute({ chiffreAffaires: 900, objectifCA: 1000, nouveauxClients: 0 }).tauxApplique).toBe(5)
+  })
+
+  test("accélérateur sur le CA au-delà du seuil et prime par nouveau client", () => {
+    const detail = plan({ accelerateur: { seuil: 100, multiplicateur: 1.5 }, primeNouveauClient: 50 }).compute({
+      chiffreAffaires: 1200,
+      objectifCA: 1000,
+      nouveauxClients: 2,
+    })
+
+    expect(detail).toMatchObject({
+      tauxObjectif: 120,
+      tauxApplique: 8,
+      commissionBase: 96,
+      bonusAccelerateur: 8,
+      primeNouveauxClients: 100,
+      totalAvantPlafond: 204,
+      plafonne: false,
+      montant: 204,
+    })
+  })
+
+  test("le plafond limite le montant versé", () => {
+    const detail = plan({ plafond: 50 }).compute({ chiffreAffaires: 1200, objectifCA: 1000, nouveauxClients: 0 })
+    expect(detail).toMatchObject({ totalAvantPlafond: 96, plafonne: true, montant: 50 })
+  })
+
+  test("sans objectif, seul le palier de seuil nul peut s'appliquer, sans accélérateur", () => {
+    const detail = plan({ accelerateur: { seuil: 100, multiplicateur: 2 } }).compute({
+      chiffreAffaires: 1000,
+      objectifCA: 0,
+      nouveauxClients: 0,
+    })
+    expect(detail).toMatchObject({ tauxObjectif: 0, tauxApplique: 2, bonusAccelerateur: 0, montant: 20 })
+
+    const sansPalierNul = plan({ paliers: [{ seuil: 50, taux: 4 }] })
+    expect(sansPalierNul.compute({ chiffreAffaires: 1000, objectifCA: 0, nouveauxClients: 0 })).toMatchObject({
+      palier: null,
+      montant: 0,
+    })
+  })
+})
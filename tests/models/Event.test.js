@@ -0,0 +1,68 @@
+const mongoose = require("mongoose")
+const Event = require("../../models/Event")
+
+const organisateur = new mongoose.Types.ObjectId()
+
+const event = (data = {}) =>
+  new Event({ nom: "Salon Dakar Digital", type: "salon", date: new Date(2026, 4, 12), organisateur, ...data })
+
+describe("Event", () => {
+  test("participants, inscription et coût par lead", () => {
+    const inscrit = new mongoose.Types.ObjectId()
+    const doc = event({ participants: [{ utilisateur: inscrit }], leads: 3, cout: 100000 })
+
+    expect(doc.nombreParticipants).toBe(1)
+    expect(doc.isRegistered(inscrit)).toBe(true)
+    expect(doc.isRegistered(new mongoose.Types.ObjectId())).toBe(false)
+    expect(doc.coutParLead).toBe(33333.33)
+    expect(event({ cout: 100000 }).coutParLead).toBeNull()
+  })
+
+  test("les inscriptions ne dépassent pas la capacité", async () => {
+    const participants = [
+      { utilisateur: new mongoose.Types.ObjectId() },
+      { utilisateur: new mongoose.Types.ObjectId() },
+    ]
+
+    await expect(event({ participants, capacite: 2 }).validate()).resolves.toBeUndefined()
+    await expect(event({ participants, capacite: 1 }).validate()).rejects.toMatchObject({
+      errors: { participants: { message: "La capacité de l'événement est atteinte" } },
+    })
+  })
+
+  test("rendement : clients acquis, coût par client et taux de conversion, par événement et au total", async () => {
+    jest.spyOn(Event, "aggregate").mockResolvedValue([
+      { nom: "Salon", leads: 10, cout: 500000, participants: 3, clientsAcquis: 4 },
+      { nom: "Démonstration", leads: 0, cout: 0, participants: 1, clientsAcquis: 0 },
+    ])
+
+    const report = await Event.getPerformanceReport()
+
+    expect(report.evenements).toEqual([
+      expect.objectContaining({ nom: "Salon", coutParLead: 50000, coutParClient: 125000, tauxConversion: 40 }),
+      expect.objectContaining({ nom: "Démonstration", coutParLead: null, coutParClient: null, tauxConversion: null }),
+    ])
+    expect(report.totaux).toEqual({
+      evenements: 2,
+      leads: 10,
+      cout: 500000,
+      clientsAcquis: 4,
+      coutParLead: 50000,
+      coutParClient: 125000,
+      tauxConversion: 40,
+    })
+
+    Event.aggregate.mockRestore()
+  })
+
+  test("événements du mois : participations hors événements annulés", async () => {
+    jest.spyOn(Event, "aggregate").mockResolvedValue([])
+    const utilisateurs = [organisateur]
+
+    expect(await Event.countParticipations(utilisateurs, new Date(2026, 4, 1), new Date(2026, 5, 1))).toBe(0)
+    const [{ $match }] = Event.aggregate.mock.calls[0][0]
+    expect($match).toMatchObject({ "participants.utilisateur": { $in: utilisateurs }, statut: { $ne: "annule" } })
+
+    Event.aggregate.mockRestore()
+  })
+})
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose")
+const Performance = require("../../models/Performance")
+const SurveyCampaign = require("../../models/SurveyCampaign")
+const SurveyInvitation = require("../../models/SurveyInvitation")
+const { performanceData } = require("../helpers/api")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+describe("enquêtes de satisfaction", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  test("lien de questionnaire : seul son hash sert à retrouver l'invitation", () => {
+    const token = "a".repeat(64)
+    const hash = SurveyInvitation.hashToken(token)
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/)
+    expect(hash).not.toBe(token)
+    expect(SurveyInvitation.findByToken(token).getFilter()).toEqual({ tokenHash: hash })
+  })
+
+  test("une campagne n'accepte des réponses que tant qu'elle est ouverte et avant sa clôture", () => {
+    const campaign = (data) =>
+      new SurveyCampaign({
+        nom: "Mars",
+        periode: { annee: 2026, mois: 3 },
+        creePar: new mongoose.Types.ObjectId(),
+        ...data,
+      })
+
+    expect(campaign({ dateCloture: new Date(Date.now() + DAY_MS) }).isOpen()).toBe(true)
+    expect(campaign({ dateCloture: new Date(Date.now() - DAY_MS) }).isOpen()).toBe(false)
+    expect(campaign({ dateCloture: new Date(Date.now() + DAY_MS), statut: "cloturee" }).isOpen()).toBe(false)
+  })
+
+  test("résultats : satisfaction moyenne, taux de réponse et répartition NPS", async () => {
+    jest
+      .spyOn(SurveyInvitation, "aggregate")
+      .mockResolvedValue([
+        { _id: null, envoyees: 5, reponses: 4, sommeNotes: 17, promoteurs: 2, passifs: 1, detracteurs: 1 },
+      ])
+
+    expect(await SurveyInvitation.getResults()).toEqual({
+      envoyees: 5,
+      reponses: 4,
+      tauxReponse: 80,
+      satisfaction: 4.25,
+      nps: {
+        promoteurs: 2,
+        passifs: 1,
+        detracteurs: 1,
+        pourcentagePromoteurs: 50,
+        pourcentagePassifs: 25,
+        pourcentageDetracteurs: 25,
+        score: 25,
+      },
+    })
+  })
+
+  test("sans réponse : aucune donnée plutôt qu'une note par défaut", async () => {
+    const commercial = new mongoose.Types.ObjectId()
+    jest
+      .spyOn(SurveyInvitation, "aggregate")
+      .mockResolvedValue([
+        { _id: commercial, envoyees: 2, reponses: 0, sommeNotes: 0, promoteurs: 0, passifs: 0, detracteurs: 0 },
+      ])
+
+    const [result] = await SurveyInvitation.getResults({}, "commercial")
+    expect(result).toMatchObject({ commercial, tauxReponse: 0, satisfaction: null, nps: { score: null } })
+
+    SurveyInvitation.aggregate.mockResolvedValue([])
+    expect(await SurveyInvitation.summarizeMonth([commercial], 2026, 3)).toMatchObject({
+      tauxReponse: null,
+      satisfaction: null,
+    })
+
+    expect(new Performance(performanceData(commercial)).satisfaction).toBeNull()
+  })
+})
@@ -0,0 +1,217 @@
+const mongoose = require("mongoose")
+const Performance = require("../../models/Performance")
+const { users, performances, objectives, commissionStatements, jobLocks } = require("../../repositories")
+
+const userData = (email, extra = {}) => ({ nom: "Diop", prenom: "Awa", email, password: "Secret123", ...extra })
+
+const performanceData = (utilisateur, mois, chiffreAffaires) => ({
+  utilisateur,
+  periode: { annee: 2026, mois },
+  chiffreAffaires,
+  objectifCA: 1000,
+  nouveauxClients: 1,
+  rdvRealises: 2,
+  ventesRealisees: 1,
+  dossiersMAJ: 1,
+  totalDossiers: 2,
+})
+
+describe("users (stockage en mémoire)", () => {
+  test("l'email est unique, comme l'index MongoDB", async () => {
+    await users.create(userData("unique@wawtelecom.sn"))
+
+    await expect(users.create(userData("unique@wawtelecom.sn", { nom: "Ndiaye" }))).rejects.toMatchObject({
+      code: 11000,
+      keyValue: { email: "unique@wawtelecom.sn" },
+    })
+    expect(await users.count({ email: "unique@wawtelecom.sn" })).toBe(1)
+  })
+
+  test("le mot de passe est haché par le middleware pre('save') et masqué par défaut", async () => {
+    const created = await users.create(userData("hachage@wawtelecom.sn"))
+    expect(created.password).not.toBe("Secret123")
+
+    const stored = await users.findById(created._id, { select: "+password" })
+    expect(stored.password).toBe(created.password)
+    expect(await stored.comparePassword("Secret123")).toBe(true)
+    expect(await stored.comparePassword("Mauvais123")).toBe(false)
+
+    const withoutPassword = await users.findById(created._id)
+    expect(withoutPassword.password).toBeUndefined()
+  })
+
+  test("le mot de passe n'est haché à nouveau que s'il change", async () => {
+    const created = await users.create(userData("resave@wawtelecom.sn"))
+    const hash = created.password
+
+    const user = await users.findById(created._id, { select: "+password" })
+    user.telephone = "771234567"
+    await user.save()
+    expect((await users.findById(created._id, { select: "+password" })).password).toBe(hash)
+
+    user.password = "Nouveau456"
+    await user.save()
+    const updated = await users.findById(created._id, { select: "+password" })
+    expect(updated.password).not.toBe(hash)
+    expect(await updated.comparePassword("Nouveau456")).toBe(true)
+    expect(updated.dateChangementMotDePasse).toBeInstanceOf(Date)
+  })
+
+  test("updateById valide les champs modifiés et l'unicité", async () => {
+    const user = await users.create(userData("maj@wawtelecom.sn"))
+    await users.create(userData("pris@wawtelecom.sn"))
+
+    await expect(users.updateById(user._id, { email: "pas-un-email" })).rejects.toBeInstanceOf(
+      mongoose.Error.ValidationError,
+    )
+    await expect(users.updateById(user._id, { email: "pris@wawtelecom.sn" })).rejects.toMatchObject({ code: 11000 })
+    expect((await users.findById(user._id)).email).toBe("maj@wawtelecom.sn")
+
+    const updated = await users.updateById(user._id, { poste: "Commercial" })
+    expect(updated.poste).toBe("Commercial")
+    expect(await users.updateById(new mongoose.Types.ObjectId(), { poste: "Commercial" })).toBeNull()
+  })
+
+  test("un identifiant invalide est rejeté comme par Mongoose", async () => {
+    await expect(users.findById("abc")).rejects.toBeInstanceOf(mongoose.Error.CastError)
+  })
+})
+
+describe("performances.list (stockage en mémoire)", () => {
+  let utilisateur
+
+  beforeAll(async () => {
+    utilisateur = (await users.create(userData("liste@wawtelecom.sn")))._id
+    // Chiffres d'affaires en partie égaux : le curseur doit départager les lignes
+    const chiffres = [500, 1200, 500, 800, 1200, 300, 500]
+    for (const [index, chiffreAffaires] of chiffres.entries()) {
+      await performances.create(performanceData(utilisateur, index + 1, chiffreAffaires))
+    }
+  })
+
+  const list = (params) => performances.list(Performance.LIST_QUERY, { filter: { utilisateur }, params })
+
+  test("pagination par curseur : toutes les lignes, sans doublon, dans l'ordre demandé", async () => {
+    const seen = []
+    let cursor
+    do {
+      const { data, pagination } = await list({ sort: "-chiffreAffaires", limit: "3", ...(cursor && { cursor }) })
+      seen.push(...data)
+      expect(data.length).toBeLessThanOrEqual(3)
+      expect(pagination.total).toBe(7)
+      cursor = pagination.nextCursor
+      expect(pagination.hasMore).toBe(Boolean(cursor))
+    } while (cursor)
+
+    expect(new Set(seen.map((performance) => performance._id.toString())).size).toBe(7)
+    expect(seen.map((performance) => performance.chiffreAffaires)).toEqual([1200, 1200, 800, 500, 500, 500, 300])
+  })
+
+  test("pagination par page et tri sur un champ calculé", async () => {
+    const { data, pagination } = await list({ sort: "periode", limit: "5", page: "2" })
+    expect(data.map((performance) => performance.periode.mois)).toEqual([6, 7])
+    expect(pagination).toMatchObject({ page: 2, pages: 2, total: 7, hasMore: false, nextCursor: null })
+    // Les champs calculés pour la requête ne sont pas renvoyés
+    expect(data[0].toObject().periodeIndex).toBeUndefined()
+  })
+
+  test("plages de valeurs et sélection de champs", async () => {
+    const { data } = await list({ chiffreAffairesMin: "800", periodeMax: "2026-04", fields: "chiffreAffaires" })
+    expect(data).toEqual([
+      { _id: expect.anything(), chiffreAffaires: 800 },
+      { _id: expect.anything(), chiffreAffaires: 1200 },
+    ])
+  })
+})
+
+describe("findOneAndUpdate (stockage en mémoire)", () => {
+  const utilisateur = new mongoose.Types.ObjectId()
+  const filter = { utilisateur, "periode.annee": 2026, "periode.mois": 5 }
+
+  test("upsert : document créé à partir des égalités du filtre, puis mis à jour", async () => {
+    const definiPar = new mongoose.Types.ObjectId()
+    const created = await objectives.findOneAndUpdate(
+      filter,
+      { $set: { objectifCA: 5000, definiPar } },
+      { upsert: true, runValidators: true },
+    )
+    expect(created.toObject()).toMatchObject({ periode: { annee: 2026, mois: 5 }, objectifCA: 5000, objectifRDV: 0 })
+    expect(created.createdAt).toBeInstanceOf(Date)
+
+    const updated = await objectives.findOneAndUpdate(
+      filter,
+      { $set: { objectifRDV: 10 }, $inc: { objectifCA: 500 } },
+      { upsert: true },
+    )
+    expect(updated._id).toEqual(created._id)
+    expect(updated.toObject()).toMatchObject({ objectifCA: 5500, objectifRDV: 10 })
+    expect(await objectives.count({ utilisateur })).toBe(1)
+  })
+
+  test("sans upsert, rien n'est créé ; runValidators refuse une valeur invalide", async () => {
+    const absent = { ...filter, utilisateur: new mongoose.Types.ObjectId() }
+    expect(await objectives.findOneAndUpdate(absent, { objectifCA: 1 })).toBeNull()
+    expect(await objectives.count({ utilisateur: absent.utilisateur })).toBe(0)
+
+    await expect(
+      objectives.findOneAndUpdate(filter, { objectifCA: -1 }, { runValidators: true }),
+    ).rejects.toBeInstanceOf(mongoose.Error.ValidationError)
+  })
+})
+
+describe("jobLocks (stockage en mémoire)", () => {
+  test("un verrou actif n'est acquis que par son détenteur, jusqu'à sa libération", async () => {
+    expect(await jobLocks.acquire("tache", "instance-a", 60000)).toBe(true)
+    expect(await jobLocks.acquire("tache", "instance-b", 60000)).toBe(false)
+    expect(await jobLocks.acquire("tache", "instance-a", 60000)).toBe(true)
+
+    await jobLocks.release("tache", "instance-a")
+    expect(await jobLocks.acquire("tache", "instance-b", 60000)).toBe(true)
+  })
+})
+
+describe("commissionStatements (stockage en mémoire)", () => {
+  const statementData = (utilisateur, clePeriode, moisCouverts) => ({
+    utilisateur,
+    plan: new mongoose.Types.ObjectId(),
+    planApplique: { nom: "Standard" },
+    periode: { type: "mois", annee: 2026, mois: 1 },
+    clePeriode,
+    moisCouverts,
+    detail: { montant: 100 },
+    montant: 100,
+  })
+
+  test("index unique multiclé : un mois n'est couvert que par un relevé par utilisateur", async () => {
+    const utilisateur = new mongoose.Types.ObjectId()
+    await commissionStatements.create(statementData(utilisateur, "mois-2026-01", ["2026-01"]))
+
+    const trimestre = statementData(utilisateur, "trimestre-2026-T1-1", ["2026-01", "2026-02", "2026-03"])
+    await expect(commissionStatements.create(trimestre)).rejects.toMatchObject({ code: 11000 })
+
+    await commissionStatements.create(statementData(utilisateur, "mois-2026-02", ["2026-02"]))
+    await commissionStatements.create(statementData(new mongoose.Types.ObjectId(), "mois-2026-01", ["2026-01"]))
+    expect(await commissionStatements.count({ utilisateur })).toBe(2)
+  })
+
+  test("les middlewares du modèle refusent toute modification hors approbation", async () => {
+    const statement = await commissionStatements.create(
+      statementData(new mongoose.Types.ObjectId(), "mois-2026-03", ["2026-03"]),
+    )
+    const refus = "Un relevé de commission ne peut pas être modifié"
+
+    await expect(commissionStatements.updateById(statement._id, { montant: 0 })).rejects.toThrow(refus)
+    await expect(commissionStatements.updateMany({ _id: statement._id }, { montant: 0 })).rejects.toThrow(refus)
+    await expect(commissionStatements.deleteById(statement._id)).rejects.toThrow(refus)
+
+    statement.montant = 0
+    await expect(statement.save()).rejects.toThrow(refus)
+
+    const stored = await commissionStatements.findById(statement._id)
+    await stored.approve(new mongoose.Types.ObjectId())
+    expect((await commissionStatements.findById(statement._id)).toObject()).toMatchObject({
+      statut: "approuve",
+      montant: 100,
+    })
+  })
+})
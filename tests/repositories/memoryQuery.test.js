@@ -0,0 +1,123 @@
+const mongoose = require("mongoose")
+const { matches, sortRows, evaluate, accumulate } = require("../../repositories/memoryQuery")
+
+const idA = new mongoose.Types.ObjectId()
+const idB = new mongoose.Types.ObjectId()
+
+const row = {
+  utilisateur: idA,
+  statut: "valide",
+  periode: { annee: 2026, mois: 3 },
+  chiffreAffaires: 1500,
+  date: new Date("2026-03-15T00:00:00Z"),
+  tags: ["fibre", "mobile"],
+}
+
+describe("matches", () => {
+  test("égalités sur les chemins imbriqués, les ObjectId et les tableaux", () => {
+    expect(matches(row, { "periode.annee": 2026, statut: "valide" })).toBe(true)
+    expect(matches(row, { utilisateur: idA.toString() })).toBe(true)
+    expect(matches(row, { utilisateur: idB })).toBe(false)
+    expect(matches(row, { tags: "mobile" })).toBe(true)
+    expect(matches(row, { statut: /^val/ })).toBe(true)
+  })
+
+  test("opérateurs de comparaison et d'appartenance", () => {
+    expect(matches(row, { chiffreAffaires: { $gte: 1000, $lt: 2000 } })).toBe(true)
+    expect(matches(row, { chiffreAffaires: { $gt: 1500 } })).toBe(false)
+    expect(matches(row, { date: { $gte: new Date("2026-03-01"), $lte: new Date("2026-03-31") } })).toBe(true)
+    expect(matches(row, { statut: { $in: ["soumis", "valide"] } })).toBe(true)
+    expect(matches(row, { statut: { $nin: ["valide"] } })).toBe(false)
+    expect(matches(row, { statut: { $ne: "brouillon" } })).toBe(true)
+    expect(matches(row, { manager: { $exists: false } })).toBe(true)
+  })
+
+  test("les valeurs absentes ou de types différents ne satisfont pas les comparaisons", () => {
+    expect(matches(row, { objectifCA: { $gte: 0 } })).toBe(false)
+    expect(matches(row, { statut: { $gt: 10 } })).toBe(false)
+    expect(matches(row, { objectifCA: null })).toBe(true)
+  })
+
+  test("chemins à travers un tableau de sous-documents", () => {
+    const entry = { changements: [{ champ: "chiffreAffaires" }, { champ: "statut" }], tags: [] }
+    expect(matches(entry, { "changements.champ": "statut" })).toBe(true)
+    expect(matches(entry, { "changements.champ": { $in: ["objectifCA", "chiffreAffaires"] } })).toBe(true)
+    expect(matches(entry, { "changements.champ": "objectifCA" })).toBe(false)
+    expect(matches(entry, { "tags.nom": { $exists: true } })).toBe(false)
+  })
+
+  test("$or et $and", () => {
+    expect(matches(row, { $or: [{ statut: "soumis" }, { chiffreAffaires: 1500 }] })).toBe(true)
+    expect(matches(row, { $and: [{ statut: "valide" }, { "periode.mois": 4 }] })).toBe(false)
+  })
+
+  test("un opérateur non pris en charge est signalé", () => {
+    expect(() => matches(row, { statut: { $elemMatch: {} } })).toThrow("$elemMatch")
+    expect(() => matches(row, { $nor: [] })).toThrow("$nor")
+  })
+})
+
+describe("sortRows", () => {
+  test("tri sur plusieurs clés, dans les deux sens", () => {
+    const rows = [
+      { nom: "b", rang: 1 },
+      { nom: "a", rang: 2 },
+      { nom: "a", rang: 1 },
+    ]
+    expect(
+      sortRows(rows, [
+        ["nom", 1],
+        ["rang", -1],
+      ]),
+    ).toEqual([
+      { nom: "a", rang: 2 },
+      { nom: "a", rang: 1 },
+      { nom: "b", rang: 1 },
+    ])
+    expect(sortRows(rows, { rang: 1, nom: -1 }).map(({ nom, rang }) => `${nom}${rang}`)).toEqual(["b1", "a1", "a2"])
+  })
+
+  test("ordre des types comme MongoDB : valeurs absentes en premier", () => {
+    const rows = [{ valeur: "texte" }, { valeur: 3 }, {}, { valeur: new Date(0) }, { valeur: null }]
+    const sorted = sortRows(rows, { valeur: 1 }).map((item) => item.valeur)
+    expect(sorted.slice(0, 2).every((value) => value == null)).toBe(true)
+    expect(sorted.slice(2)).toEqual([3, "texte", new Date(0)])
+  })
+
+  test("ne modifie pas la liste d'origine", () => {
+    const rows = [{ rang: 2 }, { rang: 1 }]
+    sortRows(rows, { rang: 1 })
+    expect(rows).toEqual([{ rang: 2 }, { rang: 1 }])
+  })
+})
+
+describe("evaluate", () => {
+  test("expressions des champs calculés", () => {
+    const periodeIndex = { $add: [{ $multiply: ["$periode.annee", 100] }, "$periode.mois"] }
+    expect(evaluate(row, periodeIndex)).toBe(202603)
+
+    const taux = {
+      $cond: [{ $gt: ["$objectifCA", 0] }, { $divide: ["$chiffreAffaires", "$objectifCA"] }, null],
+    }
+    expect(evaluate({ ...row, objectifCA: 3000 }, taux)).toBe(0.5)
+    expect(evaluate(row, taux)).toBeNull()
+    expect(evaluate(row, { $ifNull: ["$objectifCA", 0] })).toBe(0)
+    expect(evaluate(row, { $floor: { $divide: ["$chiffreAffaires", 1000] } })).toBe(1)
+  })
+
+  test("une expression non prise en charge est signalée", () => {
+    expect(() => evaluate(row, { $concat: ["$statut"] })).toThrow("$concat")
+  })
+})
+
+describe("accumulate", () => {
+  test("$sum et $avg ignorent les valeurs non numériques", () => {
+    const rows = [{ ca: 100 }, { ca: 300 }, { ca: null }, {}]
+    expect(accumulate(rows, { total: { $sum: "$ca" }, moyenne: { $avg: "$ca" }, nombre: { $sum: 1 } })).toEqual({
+      total: 400,
+      moyenne: 200,
+      nombre: 4,
+    })
+    expect(accumulate([{}], { moyenne: { $avg: "$ca" } })).toEqual({ moyenne: null })
+  })
+})
@@ -0,0 +1,120 @@
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const { users, performances } = require("../../repositories")
+
+// Application réduite aux routes testées (server.js se connecte à MongoDB au chargement)
+const app = express()
+app.use(express.json())
+app.use("/api/auth", require("../../routes/auth"))
+app.use("/api/performance", require("../../routes/performance"))
+
+const PASSWORD = "Secret123"
+
+const login = async (email, password = PASSWORD) => {
+  const res = await request(app).post("/api/auth/login").send({ email, password })
+  return res.body.token
+}
+
+const createUser = (email, extra = {}) =>
+  users.create({ nom: "Fall", prenom: "Moussa", email, password: PASSWORD, emailVerifie: true, ...extra })
+
+beforeAll(() => {
+  // Pas de serveur SMTP : les envois d'emails et les erreurs attendues restent silencieux
+  jest.spyOn(console, "log").mockImplementation(() => {})
+  jest.spyOn(console, "error").mockImplementation(() => {})
+})
+
+afterAll(() => jest.restoreAllMocks())
+
+describe("authentification", () => {
+  test("l'inscription ignore le rôle demandé et refuse un email déjà utilisé", async () => {
+    const inscription = {
+      nom: "Sarr",
+      prenom: "Fatou",
+      email: "inscription@wawtelecom.sn",
+      password: PASSWORD,
+      role: "admin",
+    }
+
+    const res = await request(app).post("/api/auth/register").send(inscription)
+    expect(res.status).toBe(201)
+    expect(res.body.user.role).toBe("utilisateur")
+
+    const stored = await users.findOne({ email: "inscription@wawtelecom.sn" }, { select: "+password" })
+    expect(stored.password).not.toBe(PASSWORD)
+
+    const duplicate = await request(app).post("/api/auth/register").send(inscription)
+    expect(duplicate.status).toBe(400)
+    expect(await users.count({ email: "inscription@wawtelecom.sn" })).toBe(1)
+  })
+
+  test("connexion avec le mot de passe haché, refus d'un mot de passe erroné", async () => {
+    await createUser("connexion@wawtelecom.sn")
+
+    const ok = await request(app).post("/api/auth/login").send({ email: "connexion@wawtelecom.sn", password: PASSWORD })
+    expect(ok.status).toBe(200)
+    expect(ok.body.token).toEqual(expect.any(String))
+    expect(ok.body.refreshToken).toEqual(expect.any(String))
+
+    const refused = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "connexion@wawtelecom.sn", password: "Mauvais123" })
+    expect(refused.status).toBe(401)
+  })
+
+  test("le changement de mot de passe est haché à l'enregistrement", async () => {
+    await createUser("changement@wawtelecom.sn")
+    const token = await login("changement@wawtelecom.sn")
+
+    const res = await request(app)
+      .put("/api/auth/change-password")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ currentPassword: PASSWORD, newPassword: "Nouveau456" })
+    expect(res.status).toBe(200)
+
+    expect(await login("changement@wawtelecom.sn")).toBeUndefined()
+    expect(await login("changement@wawtelecom.sn", "Nouveau456")).toEqual(expect.any(String))
+  })
+})
+
+describe("données de performance", () => {
+  let owner
+  let token
+
+  beforeAll(async () => {
+    owner = await createUser("performance@wawtelecom.sn")
+    token = await login("performance@wawtelecom.sn")
+  })
+
+  test("un identifiant invalide est refusé par les actions du workflow", async () => {
+    const res = await request(app).post("/api/performance/abc/submit").set("Authorization", `Bearer ${token}`)
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("Paramètres invalides")
+  })
+
+  test("des données sans entrée d'audit ont un historique vide", async () => {
+    const performance = await performances.create({
+      utilisateur: owner._id,
+      periode: { annee: 2026, mois: 1 },
+      chiffreAffaires: 1000,
+      objectifCA: 1000,
+      nouveauxClients: 1,
+      rdvRealises: 2,
+      ventesRealisees: 1,
+      dossiersMAJ: 1,
+      totalDossiers: 2,
+    })
+
+    const res = await request(app)
+      .get(`/api/performance/${performance._id}/history`)
+      .set("Authorization", `Bearer ${token}`)
+    expect(res.status).toBe(200)
+    expect(res.body.data).toEqual([])
+
+    const missing = await request(app)
+      .get(`/api/performance/${new mongoose.Types.ObjectId()}/history`)
+      .set("Authorization", `Bearer ${token}`)
+    expect(missing.status).toBe(404)
+  })
+})
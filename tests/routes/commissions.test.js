@@ -0,0 +1,109 @@
+const request = require("supertest")
+const { performances, commissionStatements } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/commissions": require("../../routes/commissions") })
+
+silenceConsole()
+
+describe("calcul et approbation des commissions", () => {
+  let admin
+  let manager
+  let commercial
+  let vedette
+  let autreManager
+  let planRole
+
+  const createPlan = async (data) =>
+    (await request(app).post("/api/commissions/plans").set("Authorization", authHeader(admin)).send(data)).body.data
+
+  beforeAll(async () => {
+    admin = await createUser({ role: "admin" })
+    manager = await createUser({ role: "manager" })
+    commercial = await createUser({ manager: manager._id })
+    vedette = await createUser({ manager: manager._id })
+    autreManager = await createUser({ role: "manager" })
+
+    for (const user of [commercial, vedette]) {
+      for (const mois of [1, 2, 3]) {
+        await performances.create(
+          performanceData(user._id, { periode: { annee: 2026, mois }, chiffreAffaires: 1000, statut: "valide" }),
+        )
+      }
+    }
+
+    planRole = await createPlan({ nom: "Commerciaux", roles: ["utilisateur"], paliers: [{ seuil: 0, taux: 5 }] })
+    // Plan nominatif : prioritaire sur le plan du rôle
+    await createPlan({ nom: "Vedette", utilisateurs: [vedette._id.toString()], paliers: [{ seuil: 0, taux: 10 }] })
+  })
+
+  const compute = (user, data) =>
+    request(app)
+      .post("/api/commissions/compute")
+      .set("Authorization", authHeader(user))
+      .send({ annee: 2026, ...data })
+
+  const montants = (res) =>
+    Object.fromEntries(res.body.data.releves.map(({ utilisateur, montant }) => [utilisateur.toString(), montant]))
+
+  test("chaque commercial reçoit le plan qui lui est affecté, à défaut celui de son rôle", async () => {
+    const res = await compute(manager, { periode: "mois", mois: 1 })
+    expect(res.status).toBe(201)
+    expect(montants(res)).toEqual({ [commercial._id.toString()]: 50, [vedette._id.toString()]: 100 })
+  })
+
+  test("un relevé est définitif : pas de recalcul ni de période qui le chevauche", async () => {
+    const again = await compute(manager, { periode: "mois", mois: 1 })
+    expect(again.body.data.releves).toHaveLength(0)
+    expect(again.body.data.ignores.map(({ motif }) => motif)).toEqual(["Relevé déjà calculé", "Relevé déjà calculé"])
+
+    const trimestre = await compute(manager, { periode: "trimestre", trimestre: 1 })
+    expect(trimestre.body.data.releves).toHaveLength(0)
+    expect(trimestre.body.data.ignores[0].motif).toBe("Période chevauchant un relevé existant (01/2026)")
+  })
+
+  test("le relevé conserve le plan appliqué même si le plan change ensuite", async () => {
+    await compute(manager, { periode: "mois", mois: 2, utilisateurs: [commercial._id.toString()] })
+
+    const update = await request(app)
+      .put(`/api/commissions/plans/${planRole._id}`)
+      .set("Authorization", authHeader(admin))
+      .send({ paliers: [{ seuil: 0, taux: 20 }] })
+    expect(update.status).toBe(200)
+
+    const statement = await commissionStatements.findOne({ utilisateur: commercial._id, clePeriode: "mois-2026-02" })
+    expect(statement.montant).toBe(50)
+    expect(statement.planApplique.paliers).toEqual([{ seuil: 0, taux: 5 }])
+
+    // Le nouveau barème ne vaut que pour les calculs suivants
+    const mars = await compute(manager, { periode: "mois", mois: 3, utilisateurs: [commercial._id.toString()] })
+    expect(montants(mars)).toEqual({ [commercial._id.toString()]: 200 })
+  })
+
+  test("approbation unique, par un manager de l'équipe", async () => {
+    const statement = await commissionStatements.findOne({ utilisateur: vedette._id })
+    const approve = (user) =>
+      request(app).post(`/api/commissions/statements/${statement._id}/approve`).set("Authorization", authHeader(user))
+
+    expect((await approve(autreManager)).status).toBe(403)
+
+    const res = await approve(manager)
+    expect(res.status).toBe(200)
+    expect(res.body.data).toMatchObject({ statut: "approuve", montant: 100 })
+
+    expect((await approve(manager)).status).toBe(409)
+  })
+
+  test("un manager ne calcule pas les commissions d'une autre équipe ; un commercial voit ses relevés", async () => {
+    const res = await compute(autreManager, { periode: "mois", mois: 1, utilisateurs: [commercial._id.toString()] })
+    expect(res.status).toBe(403)
+
+    const list = await request(app).get("/api/commissions/statements").set("Authorization", authHeader(commercial))
+    expect(list.status).toBe(200)
+    expect(list.body.data.map(({ clePeriode }) => clePeriode).sort()).toEqual([
+      "mois-2026-01",
+      "mois-2026-02",
+      "mois-2026-03",
+    ])
+  })
+})
@@ -0,0 +1,69 @@
+const request = require("supertest")
+const sendEmail = require("../../utils/sendEmail")
+const { users } = require("../../repositories")
+const { PASSWORD, createApp, createUser, silenceConsole } = require("../helpers/api")
+
+jest.mock("../../utils/sendEmail", () => jest.fn(async () => ({})))
+
+const app = createApp({ "/api/auth": require("../../routes/auth") })
+
+silenceConsole()
+
+// Jeton du dernier lien de vérification envoyé
+const lastVerificationToken = () => {
+  const [{ text }] = sendEmail.mock.calls[sendEmail.mock.calls.length - 1]
+  return /verify-email\/([\w.-]+)/.exec(text)[1]
+}
+
+const register = (email) =>
+  request(app).post("/api/auth/register").send({ nom: "Sarr", prenom: "Fatou", email, password: PASSWORD })
+const verify = (token) => request(app).get(`/api/auth/verify-email/${token}`)
+const resend = (email) => request(app).post("/api/auth/resend-verification").send({ email })
+const login = (email) => request(app).post("/api/auth/login").send({ email, password: PASSWORD })
+
+beforeEach(() => sendEmail.mockClear())
+
+describe("vérification de l'adresse email", () => {
+  test("la connexion est refusée jusqu'à la vérification par le lien envoyé", async () => {
+    const email = "verification@wawtelecom.sn"
+    expect((await register(email)).status).toBe(201)
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: email }))
+
+    const refused = await login(email)
+    expect(refused.status).toBe(403)
+    expect(refused.body.code).toBe("EMAIL_NON_VERIFIE")
+
+    const res = await verify(lastVerificationToken())
+    expect(res.status).toBe(200)
+    expect((await users.findOne({ email })).emailVerifie).toBe(true)
+    expect((await login(email)).status).toBe(200)
+  })
+
+  test("un lien falsifié ou émis pour une ancienne adresse est refusé", async () => {
+    expect((await verify("pas-un-jeton")).status).toBe(400)
+
+    await register("ancienne@wawtelecom.sn")
+    const token = lastVerificationToken()
+    const user = await users.findOne({ email: "ancienne@wawtelecom.sn" })
+    await users.updateById(user._id, { email: "nouvelle@wawtelecom.sn" })
+
+    const res = await verify(token)
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("Lien de vérification invalide ou expiré")
+    expect((await users.findById(user._id)).emailVerifie).toBe(false)
+  })
+
+  test("un nouveau lien n'est envoyé qu'aux comptes non vérifiés, avec la même réponse", async () => {
+    await register("renvoi@wawtelecom.sn")
+    const verified = await createUser()
+    sendEmail.mockClear()
+
+    const pending = await resend("renvoi@wawtelecom.sn")
+    const done = await resend(verified.email)
+    const unknown = await resend("inconnu@wawtelecom.sn")
+
+    expect(sendEmail).toHaveBeenCalledTimes(1)
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: "renvoi@wawtelecom.sn" }))
+    expect(new Set([pending, done, unknown].map((res) => res.body.message)).size).toBe(1)
+  })
+})
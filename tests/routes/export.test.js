@@ -0,0 +1,109 @@
+const request = require("supertest")
+const ExcelJS = require("exceljs")
+const { performances } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/performance": require("../../routes/performance") })
+
+silenceConsole()
+
+// Réponse binaire (XLSX, PDF) reçue dans un Buffer
+const binaryParser = (res, callback) => {
+  const chunks = []
+  res.on("data", (chunk) => chunks.push(chunk))
+  res.on("end", () => callback(null, Buffer.concat(chunks)))
+}
+
+describe("exports et rapport PDF", () => {
+  let manager
+  let commercial
+  let autre
+
+  beforeAll(async () => {
+    manager = await createUser({ role: "manager", nom: "Diop", prenom: "Awa" })
+    commercial = await createUser({ manager: manager._id, nom: "Ndiaye", prenom: "Ibrahima" })
+    autre = await createUser({ nom: "Sarr" })
+
+    await performances.create(
+      performanceData(commercial._id, { periode: { annee: 2026, mois: 1 }, commentaires: "Salon; relances" }),
+    )
+    await performances.create(
+      performanceData(commercial._id, { periode: { annee: 2026, mois: 2 }, chiffreAffaires: 800, satisfaction: 4 }),
+    )
+    await performances.create(performanceData(autre._id, { periode: { annee: 2026, mois: 1 } }))
+  })
+
+  const exportAs = (user, query) =>
+    request(app).get("/api/performance/export").set("Authorization", authHeader(user)).query(query)
+
+  // Lignes du CSV sans le BOM, découpées sur le séparateur ";" (valeurs sans séparateur)
+  const csvRows = (res) =>
+    res.text
+      .replace(/^\uFEFF/, "")
+      .trim()
+      .split("\r\n")
+      .map((line) => line.split(";"))
+
+  test("CSV : périmètre de l'équipe, filtres, échappement et satisfaction non renseignée", async () => {
+    const res = await exportAs(manager, { format: "csv", annee: 2026, mois: 1 })
+
+    expect(res.status).toBe(200)
+    expect(res.headers["content-type"]).toBe("text/csv; charset=utf-8")
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="performances-2026-01.csv"')
+
+    const [header, ...rows] = csvRows(res)
+    expect(header.slice(0, 3)).toEqual(["Nom", "Prénom", "Email"])
+    expect(rows).toHaveLength(1)
+
+    const row = Object.fromEntries(header.map((column, index) => [column, rows[0][index]]))
+    expect(row).toMatchObject({
+      Nom: "Ndiaye",
+      "Taux objectif (%)": "100",
+      Satisfaction: "Aucune donnée",
+    })
+    // Valeur contenant le séparateur : entre guillemets
+    expect(res.text).toContain(';"Salon; relances"\r\n')
+  })
+
+  test("XLSX : une ligne par mois, du plus récent au plus ancien", async () => {
+    const res = await exportAs(commercial, { format: "xlsx" }).buffer(true).parse(binaryParser)
+    expect(res.status).toBe(200)
+
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.load(res.body)
+    const worksheet = workbook.getWorksheet("Performances")
+
+    expect(worksheet.rowCount).toBe(3)
+    expect(worksheet.getRow(2).getCell("F").value).toBe(2)
+    expect(worksheet.getRow(2).getCell("I").value).toBe(800)
+    expect(worksheet.getRow(3).getCell("F").value).toBe(1)
+  })
+
+  test("export : format requis, données d'un autre commercial refusées", async () => {
+    expect((await exportAs(manager, { format: "pdf" })).status).toBe(400)
+    expect((await exportAs(commercial, { format: "csv", utilisateur: autre._id.toString() })).status).toBe(403)
+  })
+
+  test("rapport PDF d'une équipe sur un trimestre", async () => {
+    const res = await request(app)
+      .get("/api/performance/report")
+      .set("Authorization", authHeader(manager))
+      .query({ periode: "trimestre", annee: 2026, trimestre: 1, equipe: manager._id.toString() })
+      .buffer(true)
+      .parse(binaryParser)
+
+    expect(res.status).toBe(200)
+    expect(res.headers["content-type"]).toBe("application/pdf")
+    expect(res.headers["content-disposition"]).toMatch(/^attachment; filename="rapport-equipe-.+\.pdf"$/)
+    expect(res.body.subarray(0, 5).toString()).toBe("%PDF-")
+  })
+
+  test("rapport PDF : accès limité à soi-même et à son équipe", async () => {
+    const res = await request(app)
+      .get("/api/performance/report")
+      .set("Authorization", authHeader(autre))
+      .query({ utilisateur: commercial._id.toString() })
+
+    expect(res.status).toBe(403)
+  })
+})
@@ -0,0 +1,58 @@
+const request = require("supertest")
+const { performances, objectives } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/performance": require("../../routes/performance") })
+
+silenceConsole()
+
+describe("prévision de fin d'année", () => {
+  let manager
+  let commercial
+
+  beforeAll(async () => {
+    manager = await createUser({ role: "manager" })
+    commercial = await createUser({ manager: manager._id })
+
+    for (const mois of [1, 2, 3]) {
+      await performances.create(performanceData(commercial._id, { periode: { annee: 2025, mois }, statut: "valide" }))
+    }
+    // Objectif relevé en fin d'année
+    await objectives.create({
+      utilisateur: commercial._id,
+      periode: { annee: 2025, mois: 12 },
+      objectifCA: 3000,
+      definiPar: manager._id,
+    })
+  })
+
+  const forecast = (user, query) =>
+    request(app).get("/api/performance/stats/forecast").query(query).set("Authorization", authHeader(user))
+
+  test("projection au rythme moyen et objectif annuel complété par la moyenne des objectifs connus", async () => {
+    const res = await forecast(manager, { annee: 2025 })
+    expect(res.status).toBe(200)
+
+    const [prevision] = res.body.data.utilisateurs
+    expect(prevision).toMatchObject({
+      utilisateur: { email: commercial.email },
+      methode: "rythme",
+      caRealise: 3000,
+      caProjete: 12000,
+      objectifAnnuel: 18000,
+      tauxObjectifProjete: 67,
+      risqueNonAtteinte: "eleve",
+    })
+    expect(prevision.variance).toBeUndefined()
+    expect(res.body.data.equipe).toMatchObject({ effectif: 1, caProjete: 12000, enRisque: 1 })
+  })
+
+  test("un commercial ne consulte pas la prévision d'un autre", async () => {
+    const autre = await createUser()
+    const res = await forecast(autre, { annee: 2025, utilisateur: commercial._id.toString() })
+    expect(res.status).toBe(403)
+
+    const own = await forecast(autre, { annee: 2025 })
+    expect(own.body.data.utilisateurs).toEqual([])
+  })
+})
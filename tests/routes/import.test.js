@@ -0,0 +1,155 @@
+const request = require("supertest")
+const ExcelJS = require("exceljs")
+const { performances } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/performance": require("../../routes/performance") })
+
+silenceConsole()
+
+const HEADER = "email;annee;mois;chiffreAffaires;nouveauxClients;rdvRealises;ventesRealisees;dossiersMAJ;totalDossiers"
+
+describe("import de données de performance", () => {
+  let admin
+  let manager
+  let commercial
+  let horsEquipe
+
+  beforeAll(async () => {
+    admin = await createUser({ role: "admin" })
+    manager = await createUser({ role: "manager" })
+    commercial = await createUser({ manager: manager._id })
+    horsEquipe = await createUser()
+  })
+
+  // Fichier CSV (séparateur ";") envoyé dans le champ fichier, options en champs de formulaire
+  const upload = (user, lines, options = {}, filename = "import.csv") => {
+    const req = request(app).post("/api/performance/import").set("Authorization", authHeader(user))
+    Object.entries(options).forEach(([name, value]) => req.field(name, String(value)))
+    const content = Buffer.isBuffer(lines) ? lines : Buffer.from([HEADER, ...lines].join("\n"))
+    return req.attach("fichier", content, filename)
+  }
+
+  const actions = (res) => res.body.data.lignes.map(({ action }) => action)
+
+  test("simulation par défaut : rapport ligne par ligne, rien n'est enregistré", async () => {
+    const res = await upload(manager, [
+      `${commercial.email};2026;1;1 234,5;1;4;2;1;2`,
+      `${commercial.email};2026;2;abc;1;4;2;1;2`,
+      `${commercial.email};2026;3;1000;1;1;2;1;2`,
+      `${horsEquipe.email};2026;1;1000;1;4;2;1;2`,
+      "inconnu@wawtelecom.sn;2026;1;1000;1;4;2;1;2",
+    ])
+
+    expect(res.status).toBe(200)
+    expect(res.body.data).toMatchObject({
+      dryRun: true,
+      resume: { total: 5, erreurs: 4, creations: 1 },
+    })
+    expect(res.body.data.lignes.map(({ ligne, erreurs }) => [ligne, erreurs])).toEqual([
+      [2, []],
+      [3, ["Valeur numérique invalide pour chiffreAffaires : abc"]],
+      [4, ["Le nombre de ventes ne peut pas être supérieur au nombre de RDV"]],
+      [5, [`Utilisateur hors de votre périmètre : ${horsEquipe.email}`]],
+      [6, ["Utilisateur inconnu : inconnu@wawtelecom.sn"]],
+    ])
+    expect(await performances.count({ utilisateur: commercial._id })).toBe(0)
+  })
+
+  test("import atomique : une ligne en erreur annule tout le fichier", async () => {
+    const res = await upload(
+      manager,
+      [`${commercial.email};2026;1;1000;1;4;2;1;2`, `${commercial.email};2026;1;900;1;4;2;1;2`],
+      { dryRun: false },
+    )
+
+    expect(res.status).toBe(422)
+    expect(res.body.data.lignes[1].erreurs).toEqual(["Période en double dans le fichier (ligne 2)"])
+    expect(await performances.count({ utilisateur: commercial._id })).toBe(0)
+  })
+
+  test("import partiel : seules les lignes valides sont enregistrées", async () => {
+    const res = await upload(
+      manager,
+      [`${commercial.email};2026;1;1000;1;4;2;1;2`, `${commercial.email};2026;2;abc;1;4;2;1;2`],
+      { dryRun: false, mode: "partiel" },
+    )
+
+    expect(res.status).toBe(201)
+    expect(res.body.data.resume).toMatchObject({ creations: 1, erreurs: 1 })
+
+    const [performance] = await performances.find({ utilisateur: commercial._id })
+    expect(performance).toMatchObject({ chiffreAffaires: 1000, statut: "brouillon" })
+    // Indicateurs présents dans le fichier : ils priment sur le journal d'activités
+    expect(performance.valeursManuelles.sort()).toEqual([
+      "chiffreAffaires",
+      "dossiersMAJ",
+      "nouveauxClients",
+      "rdvRealises",
+      "totalDossiers",
+      "ventesRealisees",
+    ])
+  })
+
+  test("conflits : ignorés par défaut, écrasés sur demande tant que les données sont modifiables", async () => {
+    await performances.create(performanceData(commercial._id, { periode: { annee: 2026, mois: 4 }, statut: "soumis" }))
+    const lines = [`${commercial.email};2026;1;1500;1;4;2;1;2`, `${commercial.email};2026;4;1500;1;4;2;1;2`]
+
+    const ignorer = await upload(manager, lines)
+    expect(actions(ignorer)).toEqual(["ignoree", "ignoree"])
+
+    const ecraser = await upload(manager, lines, { dryRun: false, mode: "partiel", conflits: "ecraser" })
+    expect(ecraser.status).toBe(201)
+    expect(actions(ecraser)).toEqual(["mise_a_jour", null])
+    expect(ecraser.body.data.lignes[1].erreurs).toEqual([
+      "Données existantes soumises ou validées : elles ne peuvent plus être modifiées",
+    ])
+
+    const janvier = await performances.findOne({ utilisateur: commercial._id, "periode.mois": 1 })
+    expect(janvier.chiffreAffaires).toBe(1500)
+  })
+
+  test("validation à l'import réservée aux données de l'équipe gérée", async () => {
+    const res = await upload(
+      manager,
+      [`${commercial.email};2026;5;1000;1;4;2;1;2`, `${manager.email};2026;5;1000;1;4;2;1;2`],
+      { valider: true },
+    )
+
+    expect(res.body.data.lignes[1].erreurs).toEqual(["Vous ne pouvez pas valider vos propres données"])
+    expect(actions(res)).toEqual(["creation", null])
+  })
+
+  test("fichier XLSX : en-têtes reconnus sans tenir compte des accents ni de la casse", async () => {
+    const workbook = new ExcelJS.Workbook()
+    const worksheet = workbook.addWorksheet("Performances")
+    worksheet.addRow([
+      "Email",
+      "Année",
+      "Mois",
+      "Chiffre d'affaires",
+      "Nouveaux clients",
+      "RDV réalisés",
+      "Ventes réalisées",
+      "Dossiers MAJ",
+      "Total dossiers",
+    ])
+    worksheet.addRow([horsEquipe.email, 2026, 6, 750, 0, 2, 1, 1, 1])
+
+    const res = await upload(admin, Buffer.from(await workbook.xlsx.writeBuffer()), { dryRun: false }, "import.xlsx")
+
+    expect(res.status).toBe(201)
+    const performance = await performances.findOne({ utilisateur: horsEquipe._id })
+    expect(performance).toMatchObject({ periode: { annee: 2026, mois: 6 }, chiffreAffaires: 750 })
+  })
+
+  test("fichier refusé : format, colonnes obligatoires, rôle", async () => {
+    expect((await upload(manager, [], {}, "import.txt")).status).toBe(400)
+
+    const sansMois = await upload(manager, Buffer.from(`email;annee\n${commercial.email};2026`))
+    expect(sansMois.status).toBe(400)
+    expect(sansMois.body.message).toBe("Fichier illisible : Colonnes obligatoires manquantes : mois")
+
+    expect((await upload(commercial, [`${commercial.email};2026;7;1000;1;4;2;1;2`])).status).toBe(403)
+  })
+})
@@ -0,0 +1,102 @@
+const request = require("supertest")
+const { users, loginAttempts } = require("../../repositories")
+const { lockoutConfig, getAccountLockDuration } = require("../../config/lockout")
+const { PASSWORD, createApp, createUser, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/auth": require("../../routes/auth") })
+// Une adresse par compte testé : les échecs cumulés ne bloquent pas l'adresse IP des autres tests
+app.set("trust proxy", true)
+
+silenceConsole()
+
+const MINUTE = 60 * 1000
+
+const addresses = new Map()
+const addressOf = (email) => {
+  if (!addresses.has(email)) addresses.set(email, `192.0.2.${addresses.size + 1}`)
+  return addresses.get(email)
+}
+
+const login = (email, password = PASSWORD) =>
+  request(app).post("/api/auth/login").set("X-Forwarded-For", addressOf(email)).send({ email, password })
+
+// Échecs successifs jusqu'au blocage du compte, réponse du dernier essai
+const failUntilLocked = async (email) => {
+  let res
+  for (let attempt = 0; attempt < lockoutConfig.compte.tentativesMax; attempt++) {
+    res = await login(email, "Mauvais123")
+  }
+  return res
+}
+
+// Premier blocage arrivé à échéance
+const expiredLock = () => ({
+  compteBloque: true,
+  tentativesConnexion: lockoutConfig.compte.tentativesMax,
+  nombreBlocages: 1,
+  dateBlocage: new Date(Date.now() - 16 * MINUTE),
+  dateFinBlocage: new Date(Date.now() - MINUTE),
+})
+
+describe("blocage progressif des comptes", () => {
+  test("durée croissante d'un blocage à l'autre, plafonnée", () => {
+    expect(getAccountLockDuration(0)).toBe(15 * MINUTE)
+    expect(getAccountLockDuration(1)).toBe(30 * MINUTE)
+    expect(getAccountLockDuration(20)).toBe(24 * 60 * MINUTE)
+  })
+
+  test("le compte est bloqué après trop d'échecs, même avec le bon mot de passe", async () => {
+    const user = await createUser()
+
+    const locked = await failUntilLocked(user.email)
+    expect(locked.status).toBe(423)
+    expect(locked.body.tempsRestant).toBeGreaterThan(14 * 60)
+    expect(locked.body.tempsRestant).toBeLessThanOrEqual(15 * 60)
+
+    expect((await login(user.email)).status).toBe(423)
+  })
+
+  test("déblocage automatique à l'échéance ; les échecs qui suivent bloquent plus longtemps", async () => {
+    const user = await createUser(expiredLock())
+
+    const relocked = await failUntilLocked(user.email)
+    expect(relocked.status).toBe(423)
+    expect(relocked.body.tempsRestant).toBeGreaterThan(29 * 60)
+    expect((await users.findById(user._id)).nombreBlocages).toBe(2)
+  })
+
+  test("une connexion réussie après le déblocage remet la progression à zéro", async () => {
+    const user = await createUser(expiredLock())
+
+    expect((await login(user.email)).status).toBe(200)
+    expect((await users.findById(user._id)).toObject()).toMatchObject({ compteBloque: false, nombreBlocages: 0 })
+  })
+})
+
+describe("blocage des adresses IP", () => {
+  test("l'adresse est bloquée au seuil d'échecs, sur la fenêtre d'observation", async () => {
+    const adresseIP = "10.0.0.1"
+
+    for (let attempt = 1; attempt < lockoutConfig.ip.tentativesMax; attempt++) {
+      await loginAttempts.recordFailure(adresseIP)
+    }
+    expect(await loginAttempts.getRemainingLockTime(adresseIP)).toBe(0)
+
+    await loginAttempts.recordFailure(adresseIP)
+    const remaining = await loginAttempts.getRemainingLockTime(adresseIP)
+    expect(remaining).toBeGreaterThan((lockoutConfig.ip.duree - 1) * MINUTE)
+    expect(remaining).toBeLessThanOrEqual(lockoutConfig.ip.duree * MINUTE)
+  })
+
+  test("une fenêtre écoulée repart de zéro", async () => {
+    const adresseIP = "10.0.0.2"
+    await loginAttempts.recordFailure(adresseIP)
+    await loginAttempts.recordFailure(adresseIP)
+
+    const attempt = await loginAttempts.recordFailure(adresseIP)
+    attempt.premiereTentative = new Date(Date.now() - (lockoutConfig.ip.fenetre + 1) * MINUTE)
+    await attempt.save()
+
+    expect((await loginAttempts.recordFailure(adresseIP)).tentatives).toBe(1)
+  })
+})
@@ -0,0 +1,46 @@
+const request = require("supertest")
+const { performances } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/performance": require("../../routes/performance") })
+
+silenceConsole()
+
+describe("saisie manuelle sur un mois calculé depuis le journal d'activités", () => {
+  let commercial
+
+  beforeAll(async () => {
+    commercial = await createUser()
+  })
+
+  const save = (data) =>
+    request(app)
+      .post("/api/performance")
+      .set("Authorization", authHeader(commercial))
+      .send(performanceData(commercial._id, data))
+
+  test("seuls les indicateurs différents des valeurs calculées deviennent manuels", async () => {
+    const periode = { annee: 2026, mois: 5 }
+    const performance = await performances.create(
+      performanceData(commercial._id, { periode, calculeDepuisActivites: true }),
+    )
+
+    // Le formulaire renvoie tous les indicateurs, un seul a été corrigé
+    const res = await save({ periode, chiffreAffaires: 1500 })
+    expect(res.status).toBe(200)
+    expect(res.body.data.valeursManuelles).toEqual(["chiffreAffaires"])
+
+    // Une nouvelle saisie conserve les corrections précédentes
+    const again = await save({ periode, chiffreAffaires: 1500, rdvRealises: 3 })
+    expect(again.status).toBe(200)
+    expect((await performances.findById(performance._id)).valeursManuelles).toEqual(["chiffreAffaires", "rdvRealises"])
+  })
+
+  test("sur un mois saisi à la main, tous les indicateurs envoyés restent manuels", async () => {
+    const res = await save({ periode: { annee: 2026, mois: 6 } })
+    expect(res.status).toBe(201)
+    expect(res.body.data.valeursManuelles).toEqual(
+      expect.arrayContaining(["chiffreAffaires", "nouveauxClients", "rdvRealises", "ventesRealisees"]),
+    )
+  })
+})
@@ -0,0 +1,145 @@
+const request = require("supertest")
+const { performances, alerts, alertRules, auditLogs } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+// Fonctionnalités qui reposaient directement sur MongoDB, désormais servies par le stockage en mémoire
+const app = createApp({
+  "/api/performance": require("../../routes/performance"),
+  "/api/objectives": require("../../routes/objectives"),
+  "/api/alerts": require("../../routes/alerts"),
+  "/api/audit": require("../../routes/audit"),
+  "/api/commissions": require("../../routes/commissions"),
+  "/api/reminders": require("../../routes/reminders"),
+  "/api/activities": require("../../routes/activities"),
+  "/api/clients": require("../../routes/clients"),
+})
+
+silenceConsole()
+
+// Les alertes sont évaluées après l'enregistrement, sans bloquer l'appelant
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (await condition()) return true
+    await new Promise((resolve) => setTimeout(resolve, 10))
+  }
+  return false
+}
+
+let admin
+let manager
+let commercial
+
+beforeAll(async () => {
+  admin = await createUser({ role: "admin" })
+  manager = await createUser({ role: "manager" })
+  commercial = await createUser({ manager: manager._id })
+})
+
+test("un objectif est enregistré et répercuté sur les données du mois", async () => {
+  const performance = await performances.create(performanceData(commercial._id, { periode: { annee: 2026, mois: 2 } }))
+
+  const res = await request(app)
+    .put(`/api/objectives/${commercial._id}/2026/2`)
+    .set("Authorization", authHeader(manager))
+    .send({ objectifCA: 2000, objectifRDV: 4 })
+  expect(res.status).toBe(200)
+  expect(res.body.data).toMatchObject({ objectifCA: 2000, objectifRDV: 4, objectifVentes: 0 })
+
+  expect((await performances.findById(performance._id)).toObject()).toMatchObject({ objectifCA: 2000, objectifRDV: 4 })
+  expect(await auditLogs.count({ entiteId: performance._id, action: "modification" })).toBe(1)
+
+  const liste = await request(app)
+    .get("/api/objectives")
+    .query({ utilisateur: commercial._id.toString() })
+    .set("Authorization", authHeader(commercial))
+  expect(liste.body.data).toHaveLength(1)
+  expect(liste.body.data[0].definiPar.email).toBe(manager.email)
+})
+
+test("un import de fichier crée les données et les trace dans le journal d'audit", async () => {
+  const csv = [
+    "email;annee;mois;chiffreAffaires;nouveauxClients;rdvRealises;ventesRealisees;dossiersMAJ;totalDossiers",
+    `${commercial.email};2026;3;1500;2;4;2;3;5`,
+  ].join("\n")
+
+  const res = await request(app)
+    .post("/api/performance/import")
+    .set("Authorization", authHeader(manager))
+    .field("dryRun", "false")
+    .attach("fichier", Buffer.from(csv), "import.csv")
+  expect(res.status).toBe(201)
+  expect(res.body.data.resume).toMatchObject({ creations: 1, erreurs: 0 })
+
+  const created = await performances.findOne({ utilisateur: commercial._id, "periode.mois": 3 })
+  expect(created.chiffreAffaires).toBe(1500)
+
+  const audit = await request(app)
+    .get("/api/audit")
+    .query({ entiteId: created._id.toString(), champ: "chiffreAffaires" })
+    .set("Authorization", authHeader(admin))
+  expect(audit.status).toBe(200)
+  expect(audit.body.data).toHaveLength(1)
+  expect(audit.body.data[0].acteur.email).toBe(manager.email)
+})
+
+test("l'enregistrement de données validées déclenche les règles d'alerte", async () => {
+  await alertRules.create({ nom: "Objectif CA", kpi: "tauxObjectif", seuil: 80, creePar: admin._id })
+
+  const performance = await performances.create(
+    performanceData(commercial._id, { periode: { annee: 2026, mois: 4 }, chiffreAffaires: 500, statut: "valide" }),
+  )
+  expect(await waitFor(async () => (await alerts.count({ performance: performance._id })) > 0)).toBe(true)
+
+  const res = await request(app).get("/api/alerts").set("Authorization", authHeader(manager))
+  expect(res.status).toBe(200)
+  expect(res.body.nonLues).toBe(1)
+  expect(res.body.data[0]).toMatchObject({ kpi: "tauxObjectif", valeur: 50, regle: { nom: "Objectif CA" } })
+})
+
+test("calcul des commissions sur les données validées", async () => {
+  await performances.create(
+    performanceData(commercial._id, { periode: { annee: 2025, mois: 6 }, chiffreAffaires: 2000, statut: "valide" }),
+  )
+  const plan = await request(app)
+    .post("/api/commissions/plans")
+    .set("Authorization", authHeader(admin))
+    .send({ nom: "Standard", paliers: [{ seuil: 0, taux: 5 }], roles: ["utilisateur"] })
+  expect(plan.status).toBe(201)
+
+  const compute = () =>
+    request(app)
+      .post("/api/commissions/compute")
+      .set("Authorization", authHeader(admin))
+      .send({ periode: "mois", annee: 2025, mois: 6, utilisateurs: [commercial._id.toString()] })
+
+  const res = await compute()
+  expect(res.status).toBe(201)
+  expect(res.body.data.releves).toHaveLength(1)
+  expect(res.body.data.releves[0].montant).toBe(100)
+
+  const again = await compute()
+  expect(again.body.data.releves).toHaveLength(0)
+  expect(again.body.data.ignores[0].motif).toBe("Relevé déjà calculé")
+})
+
+test("envoi des rappels et liste des saisies manquantes", async () => {
+  const run = await request(app).post("/api/reminders/run").set("Authorization", authHeader(admin))
+  expect(run.status).toBe(200)
+  expect(run.body.data).toEqual({ rappels: expect.any(Number), escalades: expect.any(Number) })
+
+  // Mois en cours : les comptes créés par le test sont concernés
+  const now = new Date()
+  const missing = await request(app)
+    .get("/api/reminders/missing")
+    .query({ annee: now.getFullYear(), mois: now.getMonth() + 1 })
+    .set("Authorization", authHeader(manager))
+  expect(missing.status).toBe(200)
+  expect(missing.body.data.map(({ utilisateur }) => utilisateur.email)).toContain(commercial.email)
+})
+
+test("le journal d'activités est refusé avec le stockage en mémoire", async () => {
+  for (const path of ["/api/activities", "/api/clients"]) {
+    const res = await request(app).get(path).set("Authorization", authHeader(commercial))
+    expect(res.status).toBe(503)
+  }
+})
@@ -0,0 +1,80 @@
+const request = require("supertest")
+const { performances, objectives, auditLogs } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/objectives": require("../../routes/objectives") })
+
+silenceConsole()
+
+describe("objectifs mensuels et données de performance", () => {
+  let manager
+  let commercial
+  let autreCommercial
+
+  beforeAll(async () => {
+    manager = await createUser({ role: "manager" })
+    commercial = await createUser({ manager: manager._id })
+    autreCommercial = await createUser({ manager: manager._id })
+  })
+
+  const assign = (user, mois, cibles) =>
+    request(app).put(`/api/objectives/${user._id}/2026/${mois}`).set("Authorization", authHeader(manager)).send(cibles)
+
+  const remove = (objective) =>
+    request(app).delete(`/api/objectives/${objective._id}`).set("Authorization", authHeader(manager))
+
+  test("les cibles d'un brouillon sont mises à jour et tracées avec l'état précédent", async () => {
+    const performance = await performances.create(
+      performanceData(commercial._id, { periode: { annee: 2026, mois: 7 } }),
+    )
+
+    const res = await assign(commercial, 7, { objectifCA: 2000 })
+    expect(res.status).toBe(200)
+    expect((await performances.findById(performance._id)).objectifCA).toBe(2000)
+
+    const [entry] = await auditLogs.find({ entiteId: performance._id })
+    expect(entry.acteur.toString()).toBe(manager._id.toString())
+    expect(entry.adresseIP).toEqual(expect.any(String))
+    expect(entry.changements).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ champ: "objectifCA", ancienneValeur: 1000, nouvelleValeur: 2000 }),
+      ]),
+    )
+  })
+
+  test("les données soumises ou validées gardent leurs cibles", async () => {
+    const periode = { annee: 2026, mois: 8 }
+    const soumis = await performances.create(performanceData(commercial._id, { periode, statut: "soumis" }))
+    const valide = await performances.create(performanceData(autreCommercial._id, { periode, statut: "valide" }))
+
+    const res = await request(app)
+      .post("/api/objectives/bulk")
+      .set("Authorization", authHeader(manager))
+      .send({ periode, utilisateurs: [commercial._id, autreCommercial._id], objectifCA: 3000 })
+    expect(res.status).toBe(200)
+    expect(res.body.data).toHaveLength(2)
+
+    for (const performance of [soumis, valide]) {
+      expect((await performances.findById(performance._id)).objectifCA).toBe(1000)
+      expect(await auditLogs.count({ entiteId: performance._id })).toBe(0)
+    }
+  })
+
+  test("la suppression remet à zéro les cibles d'un brouillon, pas celles d'un mois validé", async () => {
+    const brouillon = await performances.create(performanceData(commercial._id, { periode: { annee: 2026, mois: 9 } }))
+    const valide = await performances.create(
+      performanceData(commercial._id, { periode: { annee: 2026, mois: 10 }, statut: "valide" }),
+    )
+    await assign(commercial, 9, { objectifCA: 1500 })
+    await assign(commercial, 10, { objectifCA: 1500 })
+
+    for (const mois of [9, 10]) {
+      const objective = await objectives.findOne({ utilisateur: commercial._id, "periode.mois": mois })
+      expect((await remove(objective)).status).toBe(200)
+      expect(await objectives.findById(objective._id)).toBeNull()
+    }
+
+    expect((await performances.findById(brouillon._id)).objectifCA).toBe(0)
+    expect((await performances.findById(valide._id)).objectifCA).toBe(1000)
+  })
+})
@@ -0,0 +1,87 @@
+const request = require("supertest")
+const sendEmail = require("../../utils/sendEmail")
+const { users } = require("../../repositories")
+const { PASSWORD, createApp, createUser, silenceConsole } = require("../helpers/api")
+
+jest.mock("../../utils/sendEmail", () => jest.fn(async () => ({})))
+
+const app = createApp({ "/api/auth": require("../../routes/auth") })
+
+silenceConsole()
+
+const GENERIC_MESSAGE = "Si un compte existe avec cet email, un lien de réinitialisation a été envoyé"
+
+// Jeton du dernier lien de réinitialisation envoyé
+const lastResetToken = () => {
+  const [{ text }] = sendEmail.mock.calls[sendEmail.mock.calls.length - 1]
+  return /reset-password\/([a-f0-9]+)/.exec(text)[1]
+}
+
+const forgot = (email) => request(app).post("/api/auth/forgot-password").send({ email })
+const reset = (token, password) => request(app).post(`/api/auth/reset-password/${token}`).send({ password })
+const login = (email, password) => request(app).post("/api/auth/login").send({ email, password })
+
+beforeEach(() => sendEmail.mockClear())
+
+describe("mot de passe oublié", () => {
+  test("réponse identique pour un email inconnu, sans envoi", async () => {
+    const res = await forgot("inconnu@wawtelecom.sn")
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(GENERIC_MESSAGE)
+    expect(sendEmail).not.toHaveBeenCalled()
+  })
+
+  test("un lien à usage unique permet de choisir un nouveau mot de passe", async () => {
+    const user = await createUser()
+
+    const res = await forgot(user.email)
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(GENERIC_MESSAGE)
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: user.email }))
+
+    const token = lastResetToken()
+    // Seule l'empreinte du jeton est enregistrée
+    const stored = await users.findById(user._id)
+    expect(stored.tokenResetPassword).toBeDefined()
+    expect(stored.tokenResetPassword).not.toBe(token)
+
+    expect((await reset(token, "Nouveau456")).status).toBe(200)
+    expect((await login(user.email, PASSWORD)).status).toBe(401)
+    expect((await login(user.email, "Nouveau456")).status).toBe(200)
+
+    const reuse = await reset(token, "Autre789")
+    expect(reuse.status).toBe(400)
+    expect(reuse.body.message).toBe("Lien de réinitialisation invalide ou expiré")
+  })
+
+  test("un lien expiré est refusé", async () => {
+    const user = await createUser()
+    await forgot(user.email)
+    await users.updateById(user._id, { expireResetPassword: new Date(Date.now() - 1000) })
+
+    expect((await reset(lastResetToken(), "Nouveau456")).status).toBe(400)
+  })
+
+  test("la réinitialisation débloque le compte", async () => {
+    const user = await createUser({ compteBloque: true, dateFinBlocage: new Date(Date.now() + 60 * 60 * 1000) })
+    await forgot(user.email)
+
+    expect((await reset(lastResetToken(), "Nouveau456")).status).toBe(200)
+    const stored = await users.findById(user._id)
+    expect(stored.compteBloque).toBe(false)
+    expect((await login(user.email, "Nouveau456")).status).toBe(200)
+  })
+
+  test("un échec d'envoi ne révèle pas l'existence du compte et invalide le lien", async () => {
+    const user = await createUser()
+    sendEmail.mockRejectedValueOnce(new Error("SMTP indisponible"))
+
+    const res = await forgot(user.email)
+    expect(res.status).toBe(200)
+    expect(res.body.message).toBe(GENERIC_MESSAGE)
+
+    const stored = await users.findById(user._id)
+    expect(stored.tokenResetPassword).toBeUndefined()
+    expect(stored.expireResetPassword).toBeUndefined()
+  })
+})
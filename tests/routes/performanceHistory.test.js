@@ -0,0 +1,120 @@
+const request = require("supertest")
+const { performances, auditLogs } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/performance": require("../../routes/performance") })
+
+silenceConsole()
+
+describe("historique des données de performance", () => {
+  let commercial
+  let autreCommercial
+
+  beforeAll(async () => {
+    commercial = await createUser()
+    autreCommercial = await createUser()
+  })
+
+  const save = (data) =>
+    request(app)
+      .post("/api/performance")
+      .set("Authorization", authHeader(commercial))
+      .send(performanceData(commercial._id, data))
+
+  const history = (id, user = commercial) =>
+    request(app).get(`/api/performance/${id}/history`).set("Authorization", authHeader(user))
+
+  test("création puis modification : versions successives et différentiel champ par champ", async () => {
+    const creation = await save({ periode: { annee: 2026, mois: 2 } })
+    expect(creation.status).toBe(201)
+    const id = creation.body.data._id
+
+    const modification = await save({ periode: { annee: 2026, mois: 2 }, chiffreAffaires: 1500 })
+    expect(modification.status).toBe(200)
+
+    // Une modification sans changement effectif n'est pas tracée
+    await save({ periode: { annee: 2026, mois: 2 }, chiffreAffaires: 1500 })
+
+    const res = await history(id)
+    expect(res.status).toBe(200)
+    expect(res.body.data.map(({ version, action }) => [version, action])).toEqual([
+      [1, "creation"],
+      [2, "modification"],
+    ])
+    expect(res.body.data[1].changements).toEqual([
+      { champ: "chiffreAffaires", ancienneValeur: 1000, nouvelleValeur: 1500 },
+    ])
+    expect(res.body.data[0].changements).toEqual(
+      expect.arrayContaining([{ champ: "periode.mois", ancienneValeur: null, nouvelleValeur: 2 }]),
+    )
+    expect(res.body.data[1].acteur.email).toBe(commercial.email)
+  })
+
+  test("une modification qui enfreint les règles de cohérence est refusée et n'est pas tracée", async () => {
+    const creation = await save({ periode: { annee: 2026, mois: 3 } })
+    const id = creation.body.data._id
+
+    const res = await save({ periode: { annee: 2026, mois: 3 }, rdvRealises: 3, ventesRealisees: 5 })
+    expect(res.status).toBe(400)
+    expect(res.body.errors).toEqual(["Le nombre de ventes ne peut pas être supérieur au nombre de RDV"])
+
+    const stored = await performances.findById(id)
+    expect(stored.ventesRealisees).toBe(1)
+    expect((await history(id)).body.data).toHaveLength(1)
+
+    const incoherent = await save({ periode: { annee: 2026, mois: 4 }, dossiersMAJ: 5, totalDossiers: 2 })
+    expect(incoherent.status).toBe(400)
+    expect(await performances.count({ utilisateur: commercial._id, "periode.mois": 4 })).toBe(0)
+  })
+
+  test("les actions du workflow sont tracées", async () => {
+    const creation = await save({ periode: { annee: 2026, mois: 5 } })
+    const id = creation.body.data._id
+
+    await request(app).post(`/api/performance/${id}/submit`).set("Authorization", authHeader(commercial))
+
+    const [, soumission] = (await history(id)).body.data
+    expect(soumission).toMatchObject({ version: 2, action: "soumission" })
+    expect(soumission.changements).toEqual(
+      expect.arrayContaining([{ champ: "statut", ancienneValeur: "brouillon", nouvelleValeur: "soumis" }]),
+    )
+  })
+
+  test("l'historique reste consultable après suppression, avec l'état complet", async () => {
+    const creation = await save({ periode: { annee: 2026, mois: 6 } })
+    const id = creation.body.data._id
+
+    const suppression = await request(app).delete(`/api/performance/${id}`).set("Authorization", authHeader(commercial))
+    expect(suppression.status).toBe(200)
+
+    const entries = (await history(id)).body.data
+    expect(entries.map((entry) => entry.action)).toEqual(["creation", "suppression"])
+    expect(entries[1].instantane).toMatchObject({ chiffreAffaires: 1000, periode: { annee: 2026, mois: 6 } })
+  })
+
+  test("l'historique n'est consultable que dans son périmètre", async () => {
+    const creation = await save({ periode: { annee: 2026, mois: 7 } })
+    expect((await history(creation.body.data._id, autreCommercial)).status).toBe(403)
+  })
+
+  test("des écritures concurrentes reçoivent des versions distinctes", async () => {
+    const performance = await performances.create(
+      performanceData(commercial._id, { periode: { annee: 2025, mois: 1 } }),
+    )
+
+    const entries = await Promise.all(
+      [1100, 1200, 1300, 1400].map((chiffreAffaires) =>
+        auditLogs.record({
+          entite: "Performance",
+          entiteId: performance._id,
+          action: "modification",
+          acteur: commercial._id,
+          before: performance,
+          after: { ...performance.toObject(), chiffreAffaires },
+        }),
+      ),
+    )
+
+    expect(entries.map((entry) => entry.version).sort()).toEqual([1, 2, 3, 4])
+  })
+})
@@ -0,0 +1,75 @@
+const request = require("supertest")
+const { performances } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/performance": require("../../routes/performance") })
+
+silenceConsole()
+
+describe("listes de performances : tri, champs et pagination par curseur", () => {
+  let manager
+  let commercial
+  let autre
+
+  beforeAll(async () => {
+    manager = await createUser({ role: "manager" })
+    commercial = await createUser({ manager: manager._id })
+    autre = await createUser({ manager: manager._id })
+
+    for (const [mois, chiffreAffaires] of [900, 400, 1500, 400].entries()) {
+      await performances.create(
+        performanceData(commercial._id, { periode: { annee: 2026, mois: mois + 1 }, chiffreAffaires }),
+      )
+    }
+    await performances.create(performanceData(autre._id, { chiffreAffaires: 2000 }))
+  })
+
+  const list = (user, query, path = "/api/performance") =>
+    request(app).get(path).set("Authorization", authHeader(user)).query(query)
+
+  test("parcours complet par curseur, sans doublon, avec les seuls champs demandés", async () => {
+    const pages = []
+    let cursor
+    do {
+      const res = await list(
+        manager,
+        { sort: "-chiffreAffaires", limit: 2, fields: "chiffreAffaires", cursor },
+        "/api/performance/all",
+      )
+      expect(res.status).toBe(200)
+      pages.push(res.body.data)
+      cursor = res.body.pagination.nextCursor
+    } while (cursor)
+
+    expect(pages.map((page) => page.map(({ chiffreAffaires }) => chiffreAffaires))).toEqual([
+      [2000, 1500],
+      [900, 400],
+      [400],
+    ])
+    expect(Object.keys(pages[0][0]).sort()).toEqual(["_id", "chiffreAffaires"])
+  })
+
+  test("un commercial ne liste que ses données, par défaut du mois le plus récent au plus ancien", async () => {
+    const res = await list(commercial, { limit: 3 })
+
+    expect(res.body.data.map(({ periode }) => periode.mois)).toEqual([4, 3, 2])
+    expect(res.body.pagination).toMatchObject({ page: 1, pages: 2, total: 4, hasMore: true })
+  })
+
+  test("paramètres refusés : tri ou champ inconnu, curseur d'un autre tri, limite trop grande", async () => {
+    const first = await list(commercial, { sort: "chiffreAffaires", limit: 1 })
+    const { nextCursor } = first.body.pagination
+
+    const invalid = [
+      { sort: "password" },
+      { fields: "password" },
+      { sort: "-chiffreAffaires", cursor: nextCursor },
+      { limit: 500 },
+    ]
+    for (const query of invalid) {
+      const res = await list(commercial, query)
+      expect(res.status).toBe(400)
+      expect(res.body.message).toBe("Paramètres invalides")
+    }
+  })
+})
@@ -0,0 +1,134 @@
+const request = require("supertest")
+const { performances } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({
+  "/api/performance": require("../../routes/performance"),
+  "/api/commissions": require("../../routes/commissions"),
+})
+
+silenceConsole()
+
+describe("workflow de soumission et de validation", () => {
+  let manager
+  let commercial
+  let autreManager
+  let mois = 0
+
+  beforeAll(async () => {
+    manager = await createUser({ role: "manager" })
+    commercial = await createUser({ manager: manager._id })
+    autreManager = await createUser({ role: "manager" })
+  })
+
+  // Données en brouillon d'un nouveau mois du commercial
+  const createDraft = (data = {}) => {
+    mois += 1
+    return performances.create(performanceData(commercial._id, { periode: { annee: 2026, mois }, ...data }))
+  }
+
+  const post = (user, path, body = {}) =>
+    request(app).post(`/api/performance${path}`).set("Authorization", authHeader(user)).send(body)
+
+  test("soumission par le commercial puis validation par son manager", async () => {
+    const performance = await createDraft()
+
+    const soumission = await post(commercial, `/${performance._id}/submit`)
+    expect(soumission.status).toBe(200)
+    expect(soumission.body.data.statut).toBe("soumis")
+    expect(soumission.body.data.dateSoumission).toBeDefined()
+
+    const validation = await post(manager, `/${performance._id}/validate`)
+    expect(validation.status).toBe(200)
+    expect(validation.body.data.statut).toBe("valide")
+    expect(validation.body.data.validePar).toBe(manager._id.toString())
+  })
+
+  test("rejet motivé, correction puis nouvelle soumission", async () => {
+    const performance = await createDraft()
+    await post(commercial, `/${performance._id}/submit`)
+
+    expect((await post(manager, `/${performance._id}/reject`, { motif: "" })).status).toBe(400)
+
+    const rejet = await post(manager, `/${performance._id}/reject`, { motif: "Chiffre d'affaires à justifier" })
+    expect(rejet.status).toBe(200)
+    expect(rejet.body.data).toMatchObject({ statut: "rejete", motifRejet: "Chiffre d'affaires à justifier" })
+
+    const correction = await post(
+      commercial,
+      "/",
+      performanceData(commercial._id, { periode: performance.periode, chiffreAffaires: 800 }),
+    )
+    expect(correction.status).toBe(200)
+
+    expect((await post(commercial, `/${performance._id}/submit`)).body.data.statut).toBe("soumis")
+  })
+
+  test("des données soumises ou validées ne sont plus modifiables ; la réouverture les rend éditables", async () => {
+    const performance = await createDraft()
+    await post(commercial, `/${performance._id}/submit`)
+    await post(manager, `/${performance._id}/validate`)
+
+    const modification = await post(commercial, "/", performanceData(commercial._id, { periode: performance.periode }))
+    expect(modification.status).toBe(409)
+
+    const reouverture = await post(manager, `/${performance._id}/reopen`)
+    expect(reouverture.status).toBe(200)
+    expect(reouverture.body.data.statut).toBe("brouillon")
+    expect(reouverture.body.data.validePar).toBeUndefined()
+  })
+
+  test("transitions impossibles selon le statut", async () => {
+    const performance = await createDraft()
+
+    expect((await post(manager, `/${performance._id}/validate`)).status).toBe(409)
+    expect((await post(manager, `/${performance._id}/reopen`)).status).toBe(409)
+
+    await post(commercial, `/${performance._id}/submit`)
+    const resoumission = await post(commercial, `/${performance._id}/submit`)
+    expect(resoumission.status).toBe(409)
+    expect(resoumission.body.message).toContain("soumis")
+  })
+
+  test("seul le propriétaire soumet, seul un manager de l'équipe valide", async () => {
+    const performance = await createDraft()
+
+    expect((await post(manager, `/${performance._id}/submit`)).status).toBe(403)
+    await post(commercial, `/${performance._id}/submit`)
+
+    expect((await post(commercial, `/${performance._id}/validate`)).status).toBe(403)
+    expect((await post(autreManager, `/${performance._id}/validate`)).status).toBe(403)
+    expect((await performances.findById(performance._id)).statut).toBe("soumis")
+  })
+
+  test("des indicateurs incohérents enregistrés sont refusés à la soumission, sans erreur serveur", async () => {
+    const performance = await createDraft()
+    // Données enregistrées sans le contrôle de cohérence (saisies antérieures aux règles)
+    await performances.updateById(performance._id, { rdvRealises: 3, ventesRealisees: 5 })
+
+    const res = await post(commercial, `/${performance._id}/submit`)
+    expect(res.status).toBe(400)
+    expect(res.body.errors).toEqual(["Le nombre de ventes ne peut pas être supérieur au nombre de RDV"])
+    expect((await performances.findById(performance._id)).statut).toBe("brouillon")
+  })
+
+  test("un identifiant invalide est refusé avec une erreur 400", async () => {
+    for (const path of ["/abc/submit", "/abc/validate", "/abc/reopen"]) {
+      const res = await post(manager, path)
+      expect(res.status).toBe(400)
+      expect(res.body.message).toBe("Paramètres invalides")
+    }
+
+    const lecture = await request(app).get("/api/performance/abc").set("Authorization", authHeader(manager))
+    expect(lecture.status).toBe(400)
+    const suppression = await request(app).delete("/api/performance/abc").set("Authorization", authHeader(commercial))
+    expect(suppression.status).toBe(400)
+
+    const releve = await request(app).get("/api/commissions/statements/abc").set("Authorization", authHeader(manager))
+    expect(releve.status).toBe(400)
+    const approbation = await request(app)
+      .post("/api/commissions/statements/abc/approve")
+      .set("Authorization", authHeader(manager))
+    expect(approbation.status).toBe(400)
+  })
+})
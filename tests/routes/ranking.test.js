@@ -0,0 +1,87 @@
+const request = require("supertest")
+const { performances } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/performance": require("../../routes/performance") })
+
+silenceConsole()
+
+describe("classement des commerciaux", () => {
+  let admin
+  let manager
+  let premier
+  let second
+  let externe
+
+  // Données validées d'un commercial pour un mois de 2026
+  const validated = (user, mois, chiffreAffaires) =>
+    performances.create(
+      performanceData(user._id, { periode: { annee: 2026, mois }, chiffreAffaires, statut: "valide" }),
+    )
+
+  beforeAll(async () => {
+    admin = await createUser({ role: "admin" })
+    manager = await createUser({ role: "manager" })
+    premier = await createUser({ manager: manager._id })
+    second = await createUser({ manager: manager._id })
+    externe = await createUser()
+
+    // Février : premier devant ; mars : second passe devant, l'externe domine l'entreprise
+    await validated(premier, 2, 2000)
+    await validated(second, 2, 1000)
+    await validated(premier, 3, 1500)
+    await validated(second, 3, 2500)
+    await validated(externe, 3, 4000)
+
+    // Les données non validées ne comptent pas
+    await performances.create(
+      performanceData(premier._id, { periode: { annee: 2026, mois: 4 }, chiffreAffaires: 9000 }),
+    )
+  })
+
+  const ranking = (user, query) =>
+    request(app)
+      .get("/api/performance/stats/ranking")
+      .query({ annee: 2026, ...query })
+      .set("Authorization", authHeader(user))
+
+  test("un manager classe son équipe, avec l'évolution depuis la période précédente", async () => {
+    const res = await ranking(manager, { mois: 3 })
+    expect(res.status).toBe(200)
+
+    const { classement, participants, periodePrecedente } = res.body.data
+    expect(participants).toBe(2)
+    expect(periodePrecedente.libelle).toBe("02/2026")
+    expect(classement).toMatchObject([
+      { utilisateur: { email: second.email }, rang: 1, rangPrecedent: 2, evolution: 1 },
+      { utilisateur: { email: premier.email }, rang: 2, rangPrecedent: 1, evolution: -1 },
+    ])
+  })
+
+  test("un commercial ne voit que sa position dans toute l'entreprise", async () => {
+    const res = await ranking(premier, { mois: 3 })
+    expect(res.status).toBe(200)
+    expect(res.body.data.classement).toEqual([])
+    expect(res.body.data.participants).toBe(3)
+    expect(res.body.data.monClassement).toMatchObject({ rang: 3, valeur: 1500 })
+  })
+
+  test("cumul sur un trimestre et sur un autre indicateur", async () => {
+    const trimestre = await ranking(admin, { periode: "trimestre", trimestre: 1 })
+    expect(trimestre.body.data.periode.libelle).toBe("T1 2026")
+    expect(trimestre.body.data.classement.map(({ valeur }) => valeur)).toEqual([4000, 3500, 3500])
+    expect(trimestre.body.data.classement[1].exAequo).toBe(true)
+
+    const taux = await ranking(admin, { mois: 3, kpi: "tauxObjectif" })
+    expect(taux.body.data.kpi).toBe("tauxObjectif")
+    expect(taux.body.data.classement[0].valeur).toBe(400)
+
+    expect((await ranking(admin, { kpi: "inconnu" })).status).toBe(400)
+  })
+
+  test("aucune donnée validée sur la période : classement vide, pas d'erreur", async () => {
+    const res = await ranking(manager, { mois: 4 })
+    expect(res.status).toBe(200)
+    expect(res.body.data).toMatchObject({ participants: 0, classement: [], monClassement: null })
+  })
+})
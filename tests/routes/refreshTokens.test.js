@@ -0,0 +1,56 @@
+const request = require("supertest")
+const { PASSWORD, createApp, createUser, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/auth": require("../../routes/auth") })
+
+silenceConsole()
+
+const login = async (user) =>
+  (await request(app).post("/api/auth/login").send({ email: user.email, password: PASSWORD })).body
+const refresh = (refreshToken) => request(app).post("/api/auth/refresh").send({ refreshToken })
+
+describe("refresh tokens", () => {
+  test("rotation : chaque refresh token ne sert qu'une fois", async () => {
+    const session = await login(await createUser())
+
+    const rotated = await refresh(session.refreshToken)
+    expect(rotated.status).toBe(200)
+    expect(rotated.body.token).toEqual(expect.any(String))
+    expect(rotated.body.refreshToken).not.toBe(session.refreshToken)
+
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(200)
+  })
+
+  test("la réutilisation d'un token consommé révoque toute la session", async () => {
+    const session = await login(await createUser())
+    const rotated = await refresh(session.refreshToken)
+
+    const reuse = await refresh(session.refreshToken)
+    expect(reuse.status).toBe(401)
+    expect(reuse.body.message).toBe("Refresh token révoqué")
+
+    // Le token obtenu par la rotation légitime appartient à la même famille
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401)
+  })
+
+  test("la déconnexion révoque la session côté serveur, sans toucher aux autres", async () => {
+    const user = await createUser()
+    const session = await login(user)
+    const otherSession = await login(user)
+
+    const res = await request(app)
+      .post("/api/auth/logout")
+      .set("Authorization", `Bearer ${session.token}`)
+      .send({ refreshToken: session.refreshToken })
+    expect(res.status).toBe(200)
+
+    expect((await refresh(session.refreshToken)).status).toBe(401)
+    expect((await refresh(otherSession.refreshToken)).status).toBe(200)
+  })
+
+  test("un token inconnu est refusé", async () => {
+    const res = await refresh("inconnu")
+    expect(res.status).toBe(401)
+    expect(res.body.message).toBe("Refresh token invalide ou expiré")
+  })
+})
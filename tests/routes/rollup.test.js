@@ -0,0 +1,79 @@
+const request = require("supertest")
+const { performances } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/performance": require("../../routes/performance") })
+
+silenceConsole()
+
+describe("cumuls par période et par niveau", () => {
+  let admin
+  let manager
+  let dakar
+  let thies
+
+  beforeAll(async () => {
+    admin = await createUser({ role: "admin" })
+    manager = await createUser({ role: "manager", departement: "Dakar" })
+    dakar = await createUser({ manager: manager._id, departement: "Dakar" })
+    thies = await createUser({ manager: manager._id, departement: "Thiès" })
+
+    const validated = (user, annee, mois, chiffreAffaires) =>
+      performances.create(performanceData(user._id, { periode: { annee, mois }, chiffreAffaires, statut: "valide" }))
+
+    await validated(dakar, 2025, 1, 1000)
+    await validated(dakar, 2025, 2, 1000)
+    await validated(thies, 2025, 4, 500)
+    await validated(manager, 2025, 7, 300)
+    await validated(thies, 2026, 2, 700)
+    // Non validé : exclu des cumuls
+    await performances.create(performanceData(dakar._id, { periode: { annee: 2025, mois: 3 }, chiffreAffaires: 9000 }))
+  })
+
+  const rollup = (user, query) =>
+    request(app).get("/api/performance/stats/rollup").query(query).set("Authorization", authHeader(user))
+
+  test("cumul de l'entreprise sur l'année, un trimestre et un exercice décalé", async () => {
+    const annee = await rollup(admin, { annee: 2025 })
+    expect(annee.status).toBe(200)
+    expect(annee.body.data.periode.libelle).toBe("2025")
+    expect(annee.body.data.resultats).toMatchObject({ totalCA: 2800, count: 4, tauxObjectif: 70 })
+
+    const trimestre = await rollup(admin, { periode: "trimestre", annee: 2025, trimestre: 1 })
+    expect(trimestre.body.data.resultats.totalCA).toBe(2000)
+
+    const exercice = await rollup(admin, { periode: "exercice", annee: 2025, debutExercice: 4 })
+    expect(exercice.body.data.periode.libelle).toBe("Exercice 2025/2026")
+    expect(exercice.body.data.resultats.totalCA).toBe(1500)
+  })
+
+  test("regroupements par utilisateur, département et équipe", async () => {
+    const parUtilisateur = await rollup(admin, { annee: 2025, niveau: "utilisateur" })
+    const caParEmail = Object.fromEntries(
+      parUtilisateur.body.data.resultats.map(({ utilisateur, totalCA }) => [utilisateur.email, totalCA]),
+    )
+    expect(caParEmail).toEqual({ [manager.email]: 300, [dakar.email]: 2000, [thies.email]: 500 })
+
+    const parDepartement = await rollup(admin, { annee: 2025, niveau: "departement" })
+    const caParDepartement = Object.fromEntries(
+      parDepartement.body.data.resultats.map(({ departement, totalCA }) => [departement, totalCA]),
+    )
+    expect(caParDepartement).toEqual({ Dakar: 2300, Thiès: 500 })
+
+    const parEquipe = await rollup(admin, { annee: 2025, niveau: "equipe" })
+    expect(parEquipe.body.data.resultats).toHaveLength(1)
+    expect(parEquipe.body.data.resultats[0]).toMatchObject({
+      equipe: { manager: { email: manager.email } },
+      effectif: 3,
+      totalCA: 2800,
+    })
+  })
+
+  test("un commercial n'obtient que ses propres cumuls", async () => {
+    const res = await rollup(thies, { annee: 2025 })
+    expect(res.body.data.resultats.totalCA).toBe(500)
+
+    expect((await rollup(thies, { annee: 2025, utilisateur: dakar._id.toString() })).status).toBe(403)
+    expect((await rollup(thies, { niveau: "pays" })).status).toBe(400)
+  })
+})
@@ -0,0 +1,90 @@
+const request = require("supertest")
+const { users, performances } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({
+  "/api/users": require("../../routes/users"),
+  "/api/performance": require("../../routes/performance"),
+})
+
+silenceConsole()
+
+describe("hiérarchie manager / équipe", () => {
+  let admin
+  let directeur
+  let chefEquipe
+  let commercial
+  let autreManager
+  let autreCommercial
+
+  beforeAll(async () => {
+    admin = await createUser({ role: "admin" })
+    directeur = await createUser({ role: "manager" })
+    chefEquipe = await createUser({ role: "manager", manager: directeur._id })
+    commercial = await createUser({ manager: chefEquipe._id })
+    autreManager = await createUser({ role: "manager" })
+    autreCommercial = await createUser({ manager: autreManager._id })
+
+    for (const user of [directeur, chefEquipe, commercial, autreCommercial]) {
+      await performances.create(performanceData(user._id, { periode: { annee: 2026, mois: 3 } }))
+    }
+  })
+
+  const listAll = (user, query = {}) =>
+    request(app).get("/api/performance/all").query(query).set("Authorization", authHeader(user))
+  const owners = (res) => res.body.data.map((performance) => performance.utilisateur.email).sort()
+
+  test("l'équipe d'un manager comprend les équipes imbriquées", async () => {
+    const ids = (await users.getSubordinateIds(directeur._id)).map((id) => id.toString())
+    expect(ids.sort()).toEqual([chefEquipe._id.toString(), commercial._id.toString()].sort())
+    expect(await users.getSubordinateIds(commercial._id)).toEqual([])
+  })
+
+  test("un manager ne voit que ses données et celles de son équipe", async () => {
+    const res = await listAll(directeur)
+    expect(res.status).toBe(200)
+    expect(owners(res)).toEqual([directeur.email, chefEquipe.email, commercial.email].sort())
+
+    const other = await listAll(autreManager)
+    expect(owners(other)).toEqual([autreCommercial.email])
+
+    expect((await listAll(admin)).body.data.length).toBeGreaterThanOrEqual(4)
+  })
+
+  test("les données hors de l'équipe sont refusées", async () => {
+    expect((await listAll(autreManager, { utilisateur: commercial._id.toString() })).status).toBe(403)
+    expect((await listAll(chefEquipe, { equipe: directeur._id.toString() })).status).toBe(403)
+
+    const performance = await performances.findOne({ utilisateur: commercial._id })
+    const res = await request(app)
+      .get(`/api/performance/${performance._id}`)
+      .set("Authorization", authHeader(autreManager))
+    expect(res.status).toBe(403)
+  })
+
+  test("un commercial n'a pas accès à la vue d'équipe", async () => {
+    expect((await listAll(commercial)).status).toBe(403)
+  })
+
+  test("un rattachement qui créerait une boucle est refusé", async () => {
+    const res = await request(app)
+      .put(`/api/users/${directeur._id}`)
+      .set("Authorization", authHeader(admin))
+      .send({ manager: chefEquipe._id.toString() })
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("Ce rattachement créerait une boucle dans la hiérarchie")
+
+    const self = await request(app)
+      .put(`/api/users/${chefEquipe._id}`)
+      .set("Authorization", authHeader(admin))
+      .send({ manager: chefEquipe._id.toString() })
+    expect(self.status).toBe(400)
+
+    // Un simple commercial ne peut pas encadrer une équipe
+    const notManager = await request(app)
+      .put(`/api/users/${autreCommercial._id}`)
+      .set("Authorization", authHeader(admin))
+      .send({ manager: commercial._id.toString() })
+    expect(notManager.status).toBe(400)
+  })
+})
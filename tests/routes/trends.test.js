@@ -0,0 +1,52 @@
+const request = require("supertest")
+const { performances } = require("../../repositories")
+const { createApp, createUser, authHeader, performanceData, silenceConsole } = require("../helpers/api")
+
+const app = createApp({ "/api/performance": require("../../routes/performance") })
+
+silenceConsole()
+
+describe("tendances mensuelles", () => {
+  let manager
+  let commercial
+  let autreCommercial
+
+  beforeAll(async () => {
+    manager = await createUser({ role: "manager" })
+    commercial = await createUser({ manager: manager._id })
+    autreCommercial = await createUser({ manager: manager._id })
+
+    const validated = (user, annee, mois, chiffreAffaires) =>
+      performances.create(performanceData(user._id, { periode: { annee, mois }, chiffreAffaires, statut: "valide" }))
+
+    await validated(commercial, 2024, 6, 800)
+    await validated(commercial, 2025, 5, 1000)
+    await validated(commercial, 2025, 6, 1500)
+    await validated(autreCommercial, 2025, 6, 500)
+  })
+
+  const trends = (user, query) =>
+    request(app).get("/api/performance/stats/trends").query(query).set("Authorization", authHeader(user))
+
+  test("série complète d'une année passée, calculée sur les données validées", async () => {
+    const res = await trends(commercial, { annee: 2025 })
+    expect(res.status).toBe(200)
+
+    const { series } = res.body.data
+    expect(series).toHaveLength(12)
+    expect(series[5].valeurs.totalCA).toBe(1500)
+    expect(series[5].variationMensuelle.totalCA).toEqual({ valeur: 500, pourcentage: 50 })
+    expect(series[5].variationAnnuelle.totalCA).toEqual({ valeur: 700, pourcentage: 87.5 })
+    expect(series[11].cumulAnnuel.totalCA).toBe(2500)
+  })
+
+  test("un manager agrège son équipe ou consulte un membre ; un commercial reste sur ses données", async () => {
+    const equipe = await trends(manager, { annee: 2025 })
+    expect(equipe.body.data.series[5].valeurs.totalCA).toBe(2000)
+
+    const membre = await trends(manager, { annee: 2025, utilisateur: autreCommercial._id.toString() })
+    expect(membre.body.data.series[5].valeurs.totalCA).toBe(500)
+
+    expect((await trends(commercial, { annee: 2025, utilisateur: autreCommercial._id.toString() })).status).toBe(403)
+  })
+})
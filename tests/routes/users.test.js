@@ -0,0 +1,97 @@
+const request = require("supertest")
+const mongoose = require("mongoose")
+const { users } = require("../../repositories")
+const { PASSWORD, createApp, createUser, authHeader, silenceConsole } = require("../helpers/api")
+
+const app = createApp({
+  "/api/auth": require("../../routes/auth"),
+  "/api/users": require("../../routes/users"),
+})
+
+silenceConsole()
+
+describe("gestion des utilisateurs par un administrateur", () => {
+  let admin
+
+  beforeAll(async () => {
+    admin = await createUser({ role: "admin" })
+  })
+
+  const asAdmin = (method, path) => request(app)[method](`/api/users${path}`).set("Authorization", authHeader(admin))
+  const login = (email) => request(app).post("/api/auth/login").send({ email, password: PASSWORD })
+
+  test("réservée aux administrateurs", async () => {
+    const manager = await createUser({ role: "manager" })
+    const res = await request(app).get("/api/users").set("Authorization", authHeader(manager))
+    expect(res.status).toBe(403)
+  })
+
+  test("création avec un rôle choisi, compte vérifié d'office, sans champ sensible", async () => {
+    const res = await asAdmin("post", "").send({
+      nom: "Ndiaye",
+      prenom: "Aminata",
+      email: "creation.admin@wawtelecom.sn",
+      password: PASSWORD,
+      role: "manager",
+    })
+    expect(res.status).toBe(201)
+    expect(res.body.data).toMatchObject({ role: "manager", emailVerifie: true })
+    expect(res.body.data.password).toBeUndefined()
+    expect((await login("creation.admin@wawtelecom.sn")).status).toBe(200)
+
+    const duplicate = await asAdmin("post", "").send({
+      nom: "Ndiaye",
+      prenom: "Aminata",
+      email: "creation.admin@wawtelecom.sn",
+      password: PASSWORD,
+    })
+    expect(duplicate.status).toBe(400)
+  })
+
+  test("recherche et filtres de la liste", async () => {
+    await createUser({ nom: "Recherche", departement: "Ventes Dakar" })
+    await createUser({ nom: "Recherche", departement: "Ventes Thiès", statut: "inactif" })
+
+    const res = await asAdmin("get", "?search=recher&statut=actif")
+    expect(res.status).toBe(200)
+    expect(res.body.data).toHaveLength(1)
+    expect(res.body.data[0].departement).toBe("Ventes Dakar")
+    expect(res.body.pagination).toMatchObject({ page: 1, total: 1, pages: 1 })
+  })
+
+  test("la désactivation ferme les sessions et bloque la connexion", async () => {
+    const user = await createUser()
+    const { refreshToken } = (await login(user.email)).body
+
+    const res = await asAdmin("patch", `/${user._id}/statut`).send({ statut: "inactif" })
+    expect(res.status).toBe(200)
+    expect(res.body.data.statut).toBe("inactif")
+
+    expect((await request(app).post("/api/auth/refresh").send({ refreshToken })).status).toBe(401)
+    expect((await login(user.email)).status).toBe(403)
+  })
+
+  test("un administrateur ne peut ni se désactiver ni perdre son propre rôle", async () => {
+    expect((await asAdmin("patch", `/${admin._id}/statut`).send({ statut: "inactif" })).status).toBe(400)
+    expect((await asAdmin("patch", `/${admin._id}/role`).send({ role: "manager" })).status).toBe(400)
+    expect((await users.findById(admin._id)).toObject()).toMatchObject({ role: "admin", statut: "actif" })
+  })
+
+  test("changement de rôle et déblocage", async () => {
+    const user = await createUser({ compteBloque: true, tentativesConnexion: 5, dateBlocage: new Date() })
+
+    const role = await asAdmin("patch", `/${user._id}/role`).send({ role: "manager" })
+    expect(role.status).toBe(200)
+    expect(role.body.data.role).toBe("manager")
+
+    const unlock = await asAdmin("patch", `/${user._id}/unlock`)
+    expect(unlock.status).toBe(200)
+    expect(unlock.body.data).toMatchObject({ compteBloque: false, tentativesConnexion: 0 })
+    expect((await login(user.email)).status).toBe(200)
+  })
+
+  test("un identifiant inconnu ou invalide", async () => {
+    expect((await asAdmin("get", "/abc")).status).toBe(400)
+    expect((await asAdmin("patch", `/${new mongoose.Types.ObjectId()}/unlock`)).status).toBe(404)
+  })
+})
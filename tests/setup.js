@@ -0,0 +1,8 @@
+// Les tests s'exécutent sur le stockage en mémoire, sans connexion à MongoDB
+const mongoose = require("mongoose")
+
+process.env.STORAGE_BACKEND = "memory"
+process.env.JWT_SECRET = "secret-de-test"
+
+// Sans connexion, une requête MongoDB échoue immédiatement au lieu d'attendre indéfiniment
+mongoose.set("bufferCommands", false)
@@ -0,0 +1,99 @@
+const Activity = require("../../models/Activity")
+const { performances } = require("../../repositories")
+const { syncMonthlyPerformance, isMonthLocked } = require("../../utils/activityRollup")
+const { createUser, performanceData, silenceConsole } = require("../helpers/api")
+
+silenceConsole()
+
+// Totaux du journal d'activités (agrégation MongoDB) fixés par le test
+const monthTotals = (data = {}) => ({
+  activites: 5,
+  chiffreAffaires: 2000,
+  nouveauxClients: 2,
+  rdvPlanifies: 4,
+  rdvRealises: 3,
+  ventesRealisees: 2,
+  dossiersMAJ: 3,
+  totalDossiers: 0,
+  evenements: 1,
+  satisfaction: 4.5,
+  tauxReponseSatisfaction: 50,
+  ...data,
+})
+
+describe("calcul des indicateurs mensuels depuis le journal d'activités", () => {
+  let commercial
+
+  beforeAll(async () => {
+    commercial = await createUser()
+    jest.spyOn(Activity, "summarizeMonth")
+  })
+
+  beforeEach(() => Activity.summarizeMonth.mockClear().mockResolvedValue(monthTotals()))
+
+  test("création du mois à partir des activités", async () => {
+    const { performance, verrouille, erreurs } = await syncMonthlyPerformance(commercial._id, { annee: 2026, mois: 1 })
+
+    expect({ verrouille, erreurs }).toEqual({ verrouille: false, erreurs: [] })
+    expect(performance).toMatchObject({
+      chiffreAffaires: 2000,
+      ventesRealisees: 2,
+      dossiersMAJ: 3,
+      totalDossiers: 3,
+      tauxReponseSatisfaction: 50,
+      calculeDepuisActivites: true,
+      valeursManuelles: [],
+    })
+  })
+
+  test("aucune activité : pas de données créées", async () => {
+    Activity.summarizeMonth.mockResolvedValue(monthTotals({ activites: 0 }))
+
+    expect(await syncMonthlyPerformance(commercial._id, { annee: 2026, mois: 2 })).toMatchObject({ performance: null })
+    expect(await performances.count({ utilisateur: commercial._id, "periode.mois": 2 })).toBe(0)
+  })
+
+  test("les saisies manuelles priment sur le calcul, jusqu'à ce qu'elles soient abandonnées", async () => {
+    const periode = { annee: 2026, mois: 3 }
+
+    const surcharge = await syncMonthlyPerformance(commercial._id, periode, { surcharges: { chiffreAffaires: 2500 } })
+    expect(surcharge.performance).toMatchObject({ chiffreAffaires: 2500, valeursManuelles: ["chiffreAffaires"] })
+
+    Activity.summarizeMonth.mockResolvedValue(monthTotals({ chiffreAffaires: 3000, rdvRealises: 5 }))
+    const recalcul = await syncMonthlyPerformance(commercial._id, periode)
+    expect(recalcul.performance).toMatchObject({ chiffreAffaires: 2500, rdvRealises: 5 })
+
+    const libere = await syncMonthlyPerformance(commercial._id, periode, { liberer: ["chiffreAffaires"] })
+    expect(libere.performance).toMatchObject({ chiffreAffaires: 3000, valeursManuelles: [] })
+  })
+
+  test("données saisies avant le journal : tous leurs indicateurs restent manuels", async () => {
+    const periode = { annee: 2026, mois: 4 }
+    await performances.create(performanceData(commercial._id, { periode, chiffreAffaires: 700 }))
+
+    const { performance } = await syncMonthlyPerformance(commercial._id, periode)
+    expect(performance).toMatchObject({ chiffreAffaires: 700, calculeDepuisActivites: true })
+    expect(performance.valeursManuelles).toEqual(expect.arrayContaining(Activity.COMPUTED_FIELDS))
+  })
+
+  test("mois soumis : verrouillé, pas de recalcul", async () => {
+    const periode = { annee: 2026, mois: 5 }
+    await performances.create(performanceData(commercial._id, { periode, statut: "soumis" }))
+
+    expect(await isMonthLocked(commercial._id, periode)).toBe(true)
+    expect(await syncMonthlyPerformance(commercial._id, periode)).toMatchObject({ verrouille: true })
+    expect(Activity.summarizeMonth).not.toHaveBeenCalled()
+  })
+
+  test("incohérence : rien n'est enregistré", async () => {
+    const periode = { annee: 2026, mois: 6 }
+
+    const result = await syncMonthlyPerformance(commercial._id, periode, { surcharges: { ventesRealisees: 10 } })
+    expect(result).toEqual({
+      performance: null,
+      verrouille: false,
+      erreurs: ["Le nombre de ventes ne peut pas être supérieur au nombre de RDV"],
+    })
+    expect(await performances.count({ utilisateur: commercial._id, "periode.mois": 6 })).toBe(0)
+  })
+})
@@ -0,0 +1,96 @@
+const sendEmail = require("../../utils/sendEmail")
+const { performances, alerts, alertRules } = require("../../repositories")
+const { evaluatePerformanceAlerts } = require("../../utils/alerts")
+const { createUser, performanceData, silenceConsole } = require("../helpers/api")
+
+jest.mock("../../utils/sendEmail", () => jest.fn(async () => ({})))
+
+silenceConsole()
+
+describe("alertes de sous-performance", () => {
+  let admins
+  let manager
+  let commercial
+  let sansManager
+
+  beforeAll(async () => {
+    admins = [await createUser({ role: "admin" }), await createUser({ role: "admin" })]
+    manager = await createUser({ role: "manager" })
+    commercial = await createUser({ manager: manager._id })
+    sansManager = await createUser()
+  })
+
+  beforeEach(() => sendEmail.mockClear())
+
+  // Les règles sont créées après les données : l'enregistrement ne déclenche pas d'évaluation concurrente
+  const validated = (user, mois, data = {}) =>
+    performances.create(performanceData(user._id, { periode: { annee: 2026, mois }, statut: "valide", ...data }))
+
+  const rule = (data) =>
+    alertRules.create({ nom: "Règle", kpi: "tauxObjectif", seuil: 80, creePar: admins[0]._id, ...data })
+
+  afterEach(() => alertRules.updateMany({}, { actif: false }))
+
+  test("un dépassement est signalé une seule fois au manager, dans l'application et par email", async () => {
+    const performance = await validated(commercial, 1, { chiffreAffaires: 500 })
+    await rule()
+
+    const created = await evaluatePerformanceAlerts(performance)
+    expect(created).toHaveLength(1)
+    expect(created[0]).toMatchObject({ valeur: 50, seuil: 80, emailEnvoye: true })
+    expect(created[0].destinataire.toString()).toBe(manager._id.toString())
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: manager.email }))
+
+    expect(await evaluatePerformanceAlerts(performance)).toEqual([])
+    expect(await alerts.count({ performance: performance._id })).toBe(1)
+    expect(sendEmail).toHaveBeenCalledTimes(1)
+  })
+
+  test("sans manager, chaque administrateur reçoit l'alerte", async () => {
+    const performance = await validated(sansManager, 1, { chiffreAffaires: 500 })
+    await rule()
+
+    const created = await evaluatePerformanceAlerts(performance)
+    expect(created.map(({ destinataire }) => destinataire.toString()).sort()).toEqual(
+      admins.map(({ _id }) => _id.toString()).sort(),
+    )
+  })
+
+  test("baisse par rapport au mois précédent validé", async () => {
+    await validated(commercial, 2, { chiffreAffaires: 1000 })
+    const mars = await validated(commercial, 3, { chiffreAffaires: 600 })
+    await rule({ condition: "baisse", seuil: 30 })
+
+    const [alert] = await evaluatePerformanceAlerts(mars)
+    expect(alert).toMatchObject({ valeur: 60, valeurPrecedente: 100 })
+    expect(alert.message).toContain("en baisse")
+  })
+
+  test("seules les données validées et les règles du périmètre sont évaluées", async () => {
+    const brouillon = await performances.create(
+      performanceData(commercial._id, { periode: { annee: 2026, mois: 4 }, chiffreAffaires: 100 }),
+    )
+    const performance = await validated(sansManager, 5, { chiffreAffaires: 100 })
+    await rule({ perimetre: "equipe", equipe: manager._id })
+
+    expect(await evaluatePerformanceAlerts(brouillon)).toEqual([])
+    expect(await evaluatePerformanceAlerts(performance)).toEqual([])
+  })
+
+  test("au-dessus du seuil : pas d'alerte", async () => {
+    const atteint = await validated(commercial, 6, { chiffreAffaires: 900 })
+    await rule()
+
+    expect(await evaluatePerformanceAlerts(atteint)).toEqual([])
+  })
+
+  test("un taux sans base de calcul n'est pas une sous-performance", async () => {
+    const sansObjectif = await validated(commercial, 7, { objectifCA: 0 })
+    const sansRdv = await validated(commercial, 8, { rdvRealises: 0, ventesRealisees: 0 })
+    await rule()
+    await rule({ kpi: "tauxTransformation", seuil: 30 })
+
+    expect(await evaluatePerformanceAlerts(sansObjectif)).toEqual([])
+    expect(await evaluatePerformanceAlerts(sansRdv)).toEqual([])
+  })
+})
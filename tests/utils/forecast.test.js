@@ -0,0 +1,112 @@
+const { computeSeasonality, forecastYearEnd, combineForecasts } = require("../../utils/forecast")
+
+// Map mois -> CA à partir d'une liste de [mois, CA]
+const months = (entries) => new Map(entries)
+
+// Année complète de CA mensuels identiques, décembre excepté
+const fullYear = (ca, decembre) =>
+  months(Array.from({ length: 12 }, (_, index) => [index + 1, index === 11 ? decembre : ca]))
+
+describe("computeSeasonality", () => {
+  test("part de chaque mois dans le CA annuel, sur les seules années complètes", () => {
+    const history = new Map([
+      [2024, fullYear(1000, 2000)],
+      [2025, months([[1, 5000]])],
+    ])
+
+    const { annees, coefficients } = computeSeasonality(history)
+    expect(annees).toBe(1)
+    expect(coefficients[0]).toBeCloseTo(1 / 13)
+    expect(coefficients[11]).toBeCloseTo(2 / 13)
+  })
+
+  test("aucune année complète : pas de saisonnalité", () => {
+    expect(computeSeasonality(new Map([[2025, months([[1, 1000]])]]))).toBeNull()
+  })
+})
+
+describe("forecastYearEnd", () => {
+  test("sans historique, le rythme moyen est prolongé", () => {
+    const forecast = forecastYearEnd({
+      actuals: months([
+        [1, 1000],
+        [2, 1000],
+        [3, 1000],
+      ]),
+      history: new Map(),
+      objectifAnnuel: 10000,
+    })
+
+    expect(forecast).toMatchObject({
+      methode: "rythme",
+      moisRealises: 3,
+      caRealise: 3000,
+      caProjete: 12000,
+      borneBasse: 12000,
+      borneHaute: 12000,
+      tauxObjectifProjete: 120,
+      risqueNonAtteinte: "aucun",
+    })
+  })
+
+  test("avec un historique complet, la projection suit la saisonnalité", () => {
+    const forecast = forecastYearEnd({
+      actuals: months([[1, 1000]]),
+      history: new Map([[2025, fullYear(1000, 2000)]]),
+      objectifAnnuel: 12000,
+    })
+
+    expect(forecast).toMatchObject({ methode: "saisonnalite", anneesSaisonnalite: 1, caProjete: 13000 })
+  })
+
+  test("l'intervalle s'élargit avec la dispersion et ne descend pas sous le réalisé", () => {
+    const forecast = forecastYearEnd({
+      actuals: months([
+        [1, 500],
+        [2, 1500],
+        [3, 200],
+        [4, 1800],
+      ]),
+      history: new Map(),
+      objectifAnnuel: 20000,
+    })
+
+    expect(forecast.caProjete).toBe(12000)
+    expect(forecast.borneBasse).toBeGreaterThanOrEqual(forecast.caRealise)
+    expect(forecast.borneHaute).toBeGreaterThan(forecast.caProjete)
+    expect(forecast.caProjete - forecast.borneBasse).toBeCloseTo(forecast.borneHaute - forecast.caProjete)
+    expect(forecast.risqueNonAtteinte).toBe("eleve")
+  })
+
+  test("sans données ni objectif : pas de projection ni de risque", () => {
+    expect(forecastYearEnd({ actuals: new Map(), history: new Map(), objectifAnnuel: 0 })).toMatchObject({
+      methode: "aucune",
+      caProjete: null,
+      risqueNonAtteinte: null,
+    })
+
+    const sansObjectif = forecastYearEnd({ actuals: months([[1, 1000]]), history: new Map(), objectifAnnuel: 0 })
+    expect(sansObjectif).toMatchObject({ tauxObjectifProjete: null, risqueNonAtteinte: null })
+  })
+})
+
+describe("combineForecasts", () => {
+  test("cumul de l'équipe, marges combinées comme des écarts indépendants", () => {
+    const forecasts = [
+      { caRealise: 3000, caProjete: 12000, objectifAnnuel: 10000, variance: 9, risqueNonAtteinte: "aucun" },
+      { caRealise: 2000, caProjete: 8000, objectifAnnuel: 12000, variance: 16, risqueNonAtteinte: "eleve" },
+      { caRealise: 0, caProjete: null, objectifAnnuel: 0, variance: 0, risqueNonAtteinte: null },
+    ]
+
+    const equipe = combineForecasts(forecasts)
+    expect(equipe).toMatchObject({
+      effectif: 3,
+      caRealise: 5000,
+      caProjete: 20000,
+      objectifAnnuel: 22000,
+      tauxObjectifProjete: 91,
+      enRisque: 1,
+    })
+    expect(equipe.borneHaute - equipe.caProjete).toBeCloseTo(1.645 * 5)
+  })
+})
@@ -0,0 +1,61 @@
+const { buildCalendar } = require("../../utils/ical")
+
+const appointment = (data = {}) => ({
+  _id: "6650f1c2a1b2c3d4e5f60718",
+  debut: new Date("2026-03-10T09:00:00Z"),
+  fin: new Date("2026-03-10T10:30:00Z"),
+  client: { raisonSociale: "Sonatel", telephone: "77 123 45 67" },
+  commercial: { prenom: "Moussa", nom: "Fall", email: "moussa.fall@wawtelecom.sn" },
+  resultat: "planifie",
+  ...data,
+})
+
+// Lignes logiques du calendrier (lignes de continuation recollées)
+const unfold = (calendar) => calendar.replace(/\r\n /g, "").split("\r\n")
+
+describe("calendrier iCalendar des rendez-vous", () => {
+  test("un VEVENT par rendez-vous, dates UTC, organisateur et lignes terminées par CRLF", () => {
+    const calendar = buildCalendar([appointment()], { nom: "RDV Moussa Fall" })
+    const lines = unfold(calendar)
+
+    expect(calendar.endsWith("END:VCALENDAR\r\n")).toBe(true)
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        "BEGIN:VCALENDAR",
+        "X-WR-CALNAME:RDV Moussa Fall",
+        "UID:6650f1c2a1b2c3d4e5f60718@wawtelecom",
+        "DTSTART:20260310T090000Z",
+        "DTEND:20260310T103000Z",
+        "SUMMARY:RDV - Sonatel",
+        "DESCRIPTION:Tél. : 77 123 45 67",
+        'ORGANIZER;CN="Moussa Fall":mailto:moussa.fall@wawtelecom.sn',
+        "STATUS:CONFIRMED",
+      ]),
+    )
+    expect(lines.filter((line) => line === "BEGIN:VEVENT")).toHaveLength(1)
+  })
+
+  test("échappement des textes et rendez-vous annulés", () => {
+    const lines = unfold(
+      buildCalendar([
+        appointment({
+          lieu: "Dakar, Plateau; 2e étage",
+          objet: "Offre fibre",
+          notes: "Ligne 1\nLigne 2",
+          resultat: "annule",
+        }),
+      ]),
+    )
+
+    expect(lines).toContain("LOCATION:Dakar\\, Plateau\\; 2e étage")
+    expect(lines).toContain("DESCRIPTION:Offre fibre\\nTél. : 77 123 45 67\\nLigne 1\\nLigne 2")
+    expect(lines).toContain("STATUS:CANCELLED")
+  })
+
+  test("lignes de plus de 75 octets repliées sans couper les caractères accentués", () => {
+    const calendar = buildCalendar([appointment({ notes: "é".repeat(100) })])
+
+    calendar.split("\r\n").forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75))
+    expect(unfold(calendar)).toContain(`DESCRIPTION:Tél. : 77 123 45 67\\n${"é".repeat(100)}`)
+  })
+})
@@ -0,0 +1,66 @@
+const { planListQuery } = require("../../utils/listQuery")
+
+const spec = {
+  sorts: { periode: "periodeIndex", chiffreAffaires: "chiffreAffaires", date: "date" },
+  defaultSort: "-periode",
+  ranges: {
+    periode: { path: "periodeIndex", type: "month" },
+    chiffreAffaires: { path: "chiffreAffaires", type: "number" },
+  },
+  fields: ["periode", "chiffreAffaires", "utilisateur"],
+}
+
+// Curseur tel que renvoyé par la page précédente
+const cursorFor = (signature, values) => Buffer.from(JSON.stringify({ s: signature, v: values })).toString("base64url")
+
+describe("planListQuery", () => {
+  test("tri par défaut ou multiple, départagé par l'identifiant dans le sens du premier critère", () => {
+    expect(planListQuery(spec).sort).toEqual([
+      ["periodeIndex", -1],
+      ["_id", -1],
+    ])
+    expect(planListQuery(spec, { sort: "chiffreAffaires,-periode" }).sort).toEqual([
+      ["chiffreAffaires", 1],
+      ["periodeIndex", -1],
+      ["_id", 1],
+    ])
+  })
+
+  test("tri, champs et bornes refusés avec un message explicite", () => {
+    expect(() => planListQuery(spec, { sort: "nom" })).toThrow(
+      "Tri non autorisé : nom (valeurs possibles : periode, chiffreAffaires, date)",
+    )
+    expect(() => planListQuery(spec, { sort: "periode,-periode" })).toThrow("Clé de tri en double")
+    expect(() => planListQuery(spec, { fields: "chiffreAffaires,password" })).toThrow(
+      "Champs non disponibles : password",
+    )
+    expect(() => planListQuery(spec, { periodeMin: "2026-13" })).toThrow("Mois invalide (format AAAA-MM)")
+    expect(() => planListQuery(spec, { chiffreAffairesMax: "beaucoup" })).toThrow("Valeur numérique invalide")
+  })
+
+  test("plages : mois AAAA-MM comparés sous la forme AAAAMM", () => {
+    expect(planListQuery(spec, { periodeMin: "2025-11", chiffreAffairesMax: "1500" }).rangeFilter).toEqual({
+      periodeIndex: { $gte: 202511 },
+      chiffreAffaires: { $lte: 1500 },
+    })
+  })
+
+  test("curseur : éléments après la dernière ligne renvoyée, dans l'ordre du tri", () => {
+    const cursor = cursorFor("-chiffreAffaires,-_id", [800, { $oid: "6650f1c2a1b2c3d4e5f60718" }])
+    const plan = planListQuery(spec, { sort: "-chiffreAffaires", cursor, page: "3" })
+
+    expect(plan).toMatchObject({ usesCursor: true, page: null })
+    expect(JSON.parse(JSON.stringify(plan.cursorFilter))).toEqual({
+      $or: [{ chiffreAffaires: { $lt: 800 } }, { chiffreAffaires: 800, _id: { $lt: "6650f1c2a1b2c3d4e5f60718" } }],
+    })
+  })
+
+  test("curseur : dates restituées, curseur altéré ou obtenu avec un autre tri refusé", () => {
+    const date = new Date("2026-03-10T09:00:00Z")
+    const cursor = cursorFor("date,_id", [{ $date: date.toISOString() }, { $oid: "6650f1c2a1b2c3d4e5f60718" }])
+    expect(planListQuery(spec, { sort: "date", cursor }).cursorFilter.$or[0]).toEqual({ date: { $gt: date } })
+
+    expect(() => planListQuery(spec, { sort: "-date", cursor })).toThrow("Curseur invalide ou obtenu avec un autre tri")
+    expect(() => planListQuery(spec, { cursor: "pas-un-curseur" })).toThrow("Curseur invalide")
+  })
+})
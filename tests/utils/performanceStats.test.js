@@ -0,0 +1,76 @@
+const { EMPTY_TOTALS, monthKey, buildTrends, rankBy } = require("../../utils/performanceStats")
+
+describe("rankBy", () => {
+  test("ordre décroissant, ex æquo au même rang puis rang suivant sauté", () => {
+    const ranked = rankBy(
+      [
+        { nom: "a", totalCA: 500 },
+        { nom: "b", totalCA: 1200 },
+        { nom: "c", totalCA: 1200 },
+        { nom: "d", totalCA: 800 },
+      ],
+      "totalCA",
+    )
+
+    expect(ranked.map(({ nom, rang, exAequo }) => [nom, rang, exAequo])).toEqual([
+      ["b", 1, true],
+      ["c", 1, true],
+      ["d", 3, false],
+      ["a", 4, false],
+    ])
+    expect(ranked[0].valeur).toBe(1200)
+  })
+
+  test("les valeurs absentes sont classées en dernier, ex æquo entre elles", () => {
+    const ranked = rankBy(
+      [
+        { nom: "sans" },
+        { nom: "zero", tauxObjectif: 0 },
+        { nom: "nul", tauxObjectif: null },
+        { nom: "haut", tauxObjectif: 90 },
+      ],
+      "tauxObjectif",
+    )
+
+    expect(ranked.map(({ nom, rang, valeur }) => [nom, rang, valeur])).toEqual([
+      ["haut", 1, 90],
+      ["zero", 2, 0],
+      ["sans", 3, null],
+      ["nul", 3, null],
+    ])
+  })
+})
+
+describe("buildTrends", () => {
+  const totals = (totalCA) => ({ ...EMPTY_TOTALS, totalCA, totalObjectif: 1000, count: 1 })
+  const byMonth = new Map([
+    [monthKey(2025, 1), totals(600)],
+    [monthKey(2025, 12), totals(1000)],
+    [monthKey(2026, 1), totals(1200)],
+    [monthKey(2026, 2), totals(900)],
+  ])
+
+  const [janvier, fevrier, mars] = buildTrends(2026, byMonth, 3)
+
+  test("variations par rapport au mois précédent et à l'année précédente", () => {
+    expect(janvier.valeurs).toMatchObject({ totalCA: 1200, tauxObjectif: 120 })
+    expect(janvier.variationMensuelle.totalCA).toEqual({ valeur: 200, pourcentage: 20 })
+    expect(janvier.variationAnnuelle.totalCA).toEqual({ valeur: 600, pourcentage: 100 })
+
+    expect(fevrier.variationMensuelle.totalCA).toEqual({ valeur: -300, pourcentage: -25 })
+    expect(fevrier.variationAnnuelle.totalCA).toBeNull()
+  })
+
+  test("moyenne mobile sur les mois disponibles de la fenêtre et cumul annuel", () => {
+    expect(janvier.moyenneMobile3Mois.totalCA).toBe(1100)
+    expect(fevrier.moyenneMobile3Mois.totalCA).toBe(1033.33)
+    expect(fevrier.cumulAnnuel).toMatchObject({ totalCA: 2100, tauxObjectif: 105 })
+  })
+
+  test("un mois sans données garde la moyenne mobile et le cumul", () => {
+    expect(mars).toMatchObject({ mois: 3, donnees: false, valeurs: { totalCA: null } })
+    expect(mars.variationMensuelle.totalCA).toBeNull()
+    expect(mars.moyenneMobile3Mois.totalCA).toBe(1050)
+    expect(mars.cumulAnnuel.totalCA).toBe(2100)
+  })
+})
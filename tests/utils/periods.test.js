@@ -0,0 +1,64 @@
+const { getPeriodMonths, getPreviousPeriod, buildPeriodMatch, formatPeriod } = require("../../utils/periods")
+
+// Mois d'une période au format "AAAA-MM"
+const keys = (period) => getPeriodMonths(period).map(({ annee, mois }) => `${annee}-${String(mois).padStart(2, "0")}`)
+
+describe("getPeriodMonths", () => {
+  test("trimestres, semestres et années civiles", () => {
+    expect(keys({ type: "mois", annee: 2026, mois: 5 })).toEqual(["2026-05"])
+    expect(keys({ type: "trimestre", annee: 2026, trimestre: 2 })).toEqual(["2026-04", "2026-05", "2026-06"])
+    expect(keys({ type: "semestre", annee: 2026, semestre: 2 })).toHaveLength(6)
+    expect(keys({ type: "annee", annee: 2026, debutExercice: 7 })[0]).toBe("2026-01")
+  })
+
+  test("un exercice décalé chevauche deux années civiles", () => {
+    const exercice = keys({ type: "exercice", annee: 2025, debutExercice: 7 })
+    expect(exercice).toHaveLength(12)
+    expect([exercice[0], exercice[11]]).toEqual(["2025-07", "2026-06"])
+
+    expect(keys({ type: "trimestre", annee: 2025, trimestre: 3, debutExercice: 7 })).toEqual([
+      "2026-01",
+      "2026-02",
+      "2026-03",
+    ])
+  })
+})
+
+describe("getPreviousPeriod", () => {
+  test("période précédente de même type, avec changement d'année", () => {
+    expect(getPreviousPeriod({ type: "mois", annee: 2026, mois: 1 })).toMatchObject({ annee: 2025, mois: 12 })
+    expect(getPreviousPeriod({ type: "trimestre", annee: 2026, trimestre: 1 })).toMatchObject({
+      annee: 2025,
+      trimestre: 4,
+    })
+    expect(getPreviousPeriod({ type: "semestre", annee: 2026, semestre: 2 })).toMatchObject({
+      annee: 2026,
+      semestre: 1,
+    })
+    expect(getPreviousPeriod({ type: "exercice", annee: 2026 })).toMatchObject({ annee: 2025 })
+  })
+})
+
+describe("buildPeriodMatch", () => {
+  test("un filtre par année couverte", () => {
+    expect(buildPeriodMatch([{ annee: 2026, mois: 1 }])).toEqual({
+      "periode.annee": 2026,
+      "periode.mois": { $in: [1] },
+    })
+
+    const chevauchement = getPeriodMonths({ type: "exercice", annee: 2025, debutExercice: 11 })
+    expect(buildPeriodMatch(chevauchement).$or).toEqual([
+      { "periode.annee": 2025, "periode.mois": { $in: [11, 12] } },
+      { "periode.annee": 2026, "periode.mois": { $in: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] } },
+    ])
+  })
+})
+
+describe("formatPeriod", () => {
+  test("libellés des périodes civiles et décalées", () => {
+    expect(formatPeriod({ type: "mois", annee: 2026, mois: 3 })).toBe("03/2026")
+    expect(formatPeriod({ type: "trimestre", annee: 2026, trimestre: 2 })).toBe("T2 2026")
+    expect(formatPeriod({ type: "semestre", annee: 2025, semestre: 1, debutExercice: 7 })).toBe("S1 2025/2026")
+    expect(formatPeriod({ type: "exercice", annee: 2025, debutExercice: 7 })).toBe("Exercice 2025/2026")
+  })
+})
@@ -0,0 +1,107 @@
+const sendEmail = require("../../utils/sendEmail")
+const { performances, reminders } = require("../../repositories")
+const { findMissingSubmissions, runSubmissionReminders } = require("../../utils/reminders")
+const { reminderConfig } = require("../../config/reminders")
+const { createUser, performanceData, silenceConsole } = require("../helpers/api")
+
+jest.mock("../../utils/sendEmail", () => jest.fn(async () => ({})))
+
+silenceConsole()
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Mois en cours : les comptes créés par le test sont concernés
+const today = new Date()
+const periode = { annee: today.getFullYear(), mois: today.getMonth() + 1 }
+const finDeMois = new Date(periode.annee, periode.mois, 0, 12)
+const apresDelaiEscalade = new Date(finDeMois.getTime() + (reminderConfig.delaiEscalade + 1) * DAY_MS)
+
+// Horloge fixée en fin de mois : les rappels enregistrés sont datés du traitement simulé
+jest.useFakeTimers({ now: finDeMois, advanceTimers: true, doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] })
+afterAll(() => jest.useRealTimers())
+
+// Destinataires des emails envoyés
+const recipients = () => sendEmail.mock.calls.map(([{ to }]) => to).sort()
+
+describe("rappels de saisie mensuelle", () => {
+  let admins
+  let manager
+  let commercial
+  let orphelin
+  let brouillon
+
+  // Huit comptes, autant de hachages bcrypt : délai élargi
+  beforeAll(async () => {
+    admins = [await createUser({ role: "admin" }), await createUser({ role: "admin" })]
+    manager = await createUser({ role: "manager", manager: admins[0]._id })
+    commercial = await createUser({ manager: manager._id })
+    orphelin = await createUser()
+    brouillon = await createUser({ manager: manager._id })
+    const soumis = await createUser({ manager: manager._id })
+    await createUser({ statut: "inactif" })
+
+    await performances.create(performanceData(brouillon._id, { periode }))
+    await performances.create(performanceData(soumis._id, { periode, statut: "soumis" }))
+  }, 15000)
+
+  beforeEach(() => sendEmail.mockClear())
+
+  test("saisies manquantes : comptes actifs hors administrateurs, sans données transmises", async () => {
+    const missing = await findMissingSubmissions(periode)
+    expect(missing.map(({ utilisateur, saisie }) => [utilisateur.email, saisie]).sort()).toEqual(
+      [
+        [manager.email, "absente"],
+        [commercial.email, "absente"],
+        [orphelin.email, "absente"],
+        [brouillon.email, "brouillon"],
+      ].sort(),
+    )
+  })
+
+  test("un seul rappel par commercial et par mois, même si le traitement est relancé", async () => {
+    expect(await runSubmissionReminders(finDeMois)).toEqual({ rappels: 4, escalades: 0 })
+    expect(recipients()).toEqual([manager.email, commercial.email, orphelin.email, brouillon.email].sort())
+
+    sendEmail.mockClear()
+    expect(await runSubmissionReminders(finDeMois)).toEqual({ rappels: 0, escalades: 0 })
+    expect(sendEmail).not.toHaveBeenCalled()
+  })
+
+  test("pas de rappel avant les derniers jours du mois", async () => {
+    const debutDeMois = new Date(periode.annee, periode.mois - 1, 1, 12)
+    expect(await runSubmissionReminders(debutDeMois)).toEqual({ rappels: 0, escalades: 0 })
+  })
+
+  test("escalade au manager après le délai de grâce ; chaque administrateur à défaut de manager", async () => {
+    jest.setSystemTime(apresDelaiEscalade)
+
+    expect(await runSubmissionReminders(apresDelaiEscalade)).toEqual({ rappels: 0, escalades: 5 })
+    expect(recipients()).toEqual(
+      [admins[0].email, manager.email, admins[0].email, admins[1].email, manager.email].sort(),
+    )
+
+    const escalades = await reminders.find({ type: "escalade", utilisateur: orphelin._id })
+    expect(escalades.map(({ destinataire }) => destinataire.toString()).sort()).toEqual(
+      admins.map(({ _id }) => _id.toString()).sort(),
+    )
+
+    sendEmail.mockClear()
+    expect(await runSubmissionReminders(apresDelaiEscalade)).toEqual({ rappels: 0, escalades: 0 })
+  })
+
+  test("un email qui n'est pas parti est renvoyé au passage suivant", async () => {
+    jest.setSystemTime(finDeMois)
+    const retardataire = await createUser()
+    sendEmail.mockRejectedValueOnce(new Error("SMTP indisponible"))
+
+    expect((await runSubmissionReminders(finDeMois)).rappels).toBe(0)
+    const [rappel] = await reminders.find({ utilisateur: retardataire._id })
+    expect(rappel.emailEnvoye).toBe(false)
+
+    // Tentative abandonnée depuis assez longtemps pour être reprise
+    await reminders.updateById(rappel._id, { dateTentative: new Date(Date.now() - DAY_MS) })
+
+    expect((await runSubmissionReminders(finDeMois)).rappels).toBe(1)
+    expect((await reminders.findById(rappel._id)).emailEnvoye).toBe(true)
+  })
+})
@@ -0,0 +1,86 @@
+const Activity = require("../models/Activity")
+const Performance = require("../models/Performance")
+const { performances, objectives, auditLogs } = require("../repositories")
+
+// Vérifier si les données d'un mois sont verrouillées (soumises ou validées)
+const isMonthLocked = async (utilisateur, { annee, mois }) => {
+  const performance = await performances.findOne({ utilisateur, "periode.annee": annee, "periode.mois": mois })
+  return Boolean(performance && !performance.isEditable())
+}
+
+// Recalculer les indicateurs mensuels de Performance à partir du journal d'activités.
+// Les indicateurs saisis manuellement (valeursManuelles) sont conservés.
+// options.surcharges : { champ: valeur } à saisir manuellement
+// options.liberer : champs dont la saisie manuelle est abandonnée au profit du calcul
+// Retourne { performance, verrouille, erreurs } ; rien n'est enregistré en cas d'erreur de cohérence.
+const syncMonthlyPerformance = async (utilisateur, { annee, mois }, options = {}) => {
+  const { surcharges = {}, liberer = [], acteur, req } = options
+  let performance = await performances.findOne({ utilisateur, "periode.annee": annee, "periode.mois": mois })
+
+  // Données soumises ou validées : plus de recalcul
+  if (performance && !performance.isEditable()) {
+    return { performance, verrouille: true, erreurs: [] }
+  }
+
+  const totals = await Activity.summarizeMonth(utilisateur, annee, mois)
+  if (!performance && totals.activites === 0 && Object.keys(surcharges).length === 0) {
+    return { performance: null, verrouille: false, erreurs: [] }
+  }
+
+  const before = performance ? performance.toObject({ virtuals: false }) : null
+
+  if (!performance) {
+    const objective = await objectives.findOne({ utilisateur, "periode.annee": annee, "periode.mois": mois })
+    performance = performances.build({
+      utilisateur,
+      periode: { annee, mois },
+      ...(objective
+        ? objective.getTargets()
+        : { objectifCA: 0, objectifNouveauxClients: 0, objectifRDV: 0, objectifVentes: 0 }),
+    })
+  }
+
+  // Données saisies avant le journal d'activités : leurs indicateurs restent des saisies manuelles
+  if (!performance.isNew && performance.calculeDepuisActivites !== true) {
+    performance.valeursManuelles = [...new Set([...performance.valeursManuelles, ...Activity.COMPUTED_FIELDS])]
+  }
+
+  const manuelles = new Set([...performance.valeursManuelles, ...Object.keys(surcharges)])
+  performance.valeursManuelles = [...manuelles].filter((field) => !liberer.includes(field))
+  Object.assign(performance, surcharges)
+
+  Activity.COMPUTED_FIELDS.forEach((field) => {
+    if (performance.valeursManuelles.includes(field)) return
+
+    // Le portefeuille de dossiers ne se déduit pas des activités : il couvre au moins les dossiers mis à jour
+    performance[field] =
+      field === "totalDossiers" ? Math.max(performance.totalDossiers || 0, totals.dossiersMAJ) : totals[field]
+  })
+  // Le taux de réponse aux enquêtes n'est jamais saisi manuellement
+  performance.tauxReponseSatisfaction = totals.tauxReponseSatisfaction
+  performance.calculeDepuisActivites = true
+
+  const erreurs = Performance.checkConsistency(performance)
+  if (erreurs.length > 0) {
+    return { performance: null, verrouille: false, erreurs }
+  }
+
+  await performance.save()
+
+  await auditLogs.record({
+    entite: "Performance",
+    entiteId: performance._id,
+    action: before ? "modification" : "creation",
+    acteur,
+    before,
+    after: performance,
+    req,
+  })
+
+  return { performance, verrouille: false, erreurs: [] }
+}
+
+module.exports = {
+  isMonthLocked,
+  syncMonthlyPerformance,
+}
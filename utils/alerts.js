@@ -0,0 +1,140 @@
+const { alertRules, alerts, users, performances } = require("../repositories")
+const sendEmail = require("./sendEmail")
+const { getNotificationRecipients } = require("./teamScope")
+
+const KPI_LABELS = {
+  tauxObjectif: "Taux d'atteinte de l'objectif",
+  tauxTransformation: "Taux de transformation",
+  completudeDossiers: "Complétude des dossiers",
+  satisfaction: "Satisfaction client",
+}
+
+const KPI_UNITS = {
+  tauxObjectif: " %",
+  tauxTransformation: " %",
+  completudeDossiers: " %",
+  satisfaction: "/5",
+}
+
+// Vérifier si une règle s'applique au commercial
+const ruleAppliesTo = async (rule, user) => {
+  if (rule.perimetre === "entreprise") return true
+  if (rule.equipe.toString() === user._id.toString()) return true
+
+  const subordinateIds = await users.getSubordinateIds(rule.equipe)
+  return subordinateIds.some((id) => id.toString() === user._id.toString())
+}
+
+// Base de calcul des taux : un taux sans base (ex. pas d'objectif fixé) vaut 0 mais n'est pas une mesure
+const KPI_BASES = {
+  tauxObjectif: "objectifCA",
+  tauxTransformation: "rdvRealises",
+  completudeDossiers: "totalDossiers",
+}
+
+// Valeur d'un indicateur sur des données de performance (null si non mesurable)
+const kpiValue = (performance, kpi) => {
+  if (KPI_BASES[kpi] && !performance[KPI_BASES[kpi]]) return null
+
+  const value = performance[kpi]
+  return value === undefined || value === null ? null : value
+}
+
+// Évaluer une règle ; retourne le détail du dépassement ou null
+const evaluateRule = async (rule, performance) => {
+  const valeur = kpiValue(performance, rule.kpi)
+  if (valeur === null) return null
+
+  if (rule.condition === "seuil") {
+    return valeur < rule.seuil ? { valeur } : null
+  }
+
+  // Baisse par rapport au mois précédent validé
+  const { annee, mois } = performance.periode
+  const previous = await performances.findOne({
+    utilisateur: performance.utilisateur,
+    "periode.annee": mois === 1 ? annee - 1 : annee,
+    "periode.mois": mois === 1 ? 12 : mois - 1,
+    statut: "valide",
+  })
+
+  const valeurPrecedente = previous ? kpiValue(previous, rule.kpi) : null
+  if (valeurPrecedente === null) return null
+
+  return valeurPrecedente - valeur >= rule.seuil ? { valeur, valeurPrecedente } : null
+}
+
+// Évaluer toutes les règles actives sur des données de performance validées
+// et notifier le manager (liste in-app et email), une seule fois par dépassement
+const evaluatePerformanceAlerts = async (performance) => {
+  if (performance.statut !== "valide") return []
+
+  const rules = await alertRules.find({ actif: true })
+  if (rules.length === 0) return []
+
+  const user = await users.findById(performance.utilisateur)
+  if (!user) return []
+
+  const { annee, mois } = performance.periode
+  const created = []
+
+  for (const rule of rules) {
+    if (!(await ruleAppliesTo(rule, user))) continue
+
+    const breach = await evaluateRule(rule, performance)
+    if (!breach) continue
+
+    const unit = KPI_UNITS[rule.kpi]
+    const message =
+      rule.condition === "seuil"
+        ? `${KPI_LABELS[rule.kpi]} de ${user.prenom} ${user.nom} à ${breach.valeur}${unit} ` +
+          `pour ${String(mois).padStart(2, "0")}/${annee} (seuil : ${rule.seuil}${unit})`
+        : `${KPI_LABELS[rule.kpi]} de ${user.prenom} ${user.nom} en baisse : ${breach.valeurPrecedente}${unit} → ` +
+          `${breach.valeur}${unit} pour ${String(mois).padStart(2, "0")}/${annee}`
+
+    const cleDeduplication = `${rule._id}:${user._id}:${annee}-${mois}`
+
+    for (const recipient of await getNotificationRecipients(user)) {
+      let alert
+      try {
+        alert = await alerts.create({
+          regle: rule._id,
+          performance: performance._id,
+          utilisateur: user._id,
+          destinataire: recipient._id,
+          kpi: rule.kpi,
+          valeur: breach.valeur,
+          valeurPrecedente: breach.valeurPrecedente,
+          seuil: rule.seuil,
+          periode: { annee, mois },
+          message,
+          cleDeduplication,
+        })
+      } catch (error) {
+        // Dépassement déjà signalé à ce destinataire
+        if (error.code === 11000) continue
+        throw error
+      }
+
+      try {
+        await sendEmail({
+          to: recipient.email,
+          subject: `WAWTELECOM - Alerte performance : ${rule.nom}`,
+          text: `Bonjour ${recipient.prenom},\n\n${message}.\n\nConsultez le tableau de bord pour plus de détails.`,
+        })
+        alert.emailEnvoye = true
+        await alert.save()
+      } catch (emailError) {
+        console.error("Erreur envoi email alerte:", emailError)
+      }
+
+      created.push(alert)
+    }
+  }
+
+  return created
+}
+
+module.exports = {
+  evaluatePerformanceAlerts,
+}
@@ -0,0 +1,148 @@
+// Projection du chiffre d'affaires de fin d'année à partir de l'historique mensuel
+
+// Quantile de la loi normale pour un intervalle de confiance à 90 %
+const Z_90 = 1.645
+
+// Nombre d'années d'historique utilisées pour la saisonnalité
+const SEASONALITY_YEARS = 3
+
+const round = (value) => Math.round(value * 100) / 100
+
+const percent = (value, total) => (total > 0 ? Math.round((value / total) * 100) : null)
+
+// Écart-type d'une série de valeurs
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0
+  const mean = values.reduce((a, b) => a + b, 0) / values.length
+  const variance = values.reduce((acc, value) => acc + Math.pow(value - mean, 2), 0) / (values.length - 1)
+  return Math.sqrt(variance)
+}
+
+// Coefficients saisonniers (part de chaque mois dans le CA annuel) calculés sur les années complètes
+// history : Map annee -> Map mois -> CA
+const computeSeasonality = (history) => {
+  const completeYears = [...history.values()].filter((months) => months.size === 12)
+  if (completeYears.length === 0) return null
+
+  const shares = Array.from({ length: 12 }, () => [])
+  completeYears.forEach((months) => {
+    const total = [...months.values()].reduce((a, b) => a + b, 0)
+    if (total <= 0) return
+    months.forEach((ca, mois) => shares[mois - 1].push(ca / total))
+  })
+
+  if (shares[0].length === 0) return null
+
+  return {
+    annees: completeYears.length,
+    coefficients: shares.map((values) => values.reduce((a, b) => a + b, 0) / values.length),
+  }
+}
+
+// Prévision de fin d'année pour un commercial
+// actuals : Map mois -> CA de l'année en cours
+// history : Map annee -> Map mois -> CA des années précédentes
+// objectifAnnuel : somme des objectifs CA de l'année
+const forecastYearEnd = ({ actuals, history, objectifAnnuel }) => {
+  const moisRealises = [...actuals.keys()].sort((a, b) => a - b)
+  const caRealise = [...actuals.values()].reduce((a, b) => a + b, 0)
+  const moisRestants = 12 - moisRealises.length
+
+  if (moisRealises.length === 0) {
+    return {
+      methode: "aucune",
+      moisRealises: 0,
+      caRealise: 0,
+      caProjete: null,
+      borneBasse: null,
+      borneHaute: null,
+      objectifAnnuel,
+      tauxObjectifProjete: null,
+      tauxObjectifBorneBasse: null,
+      tauxObjectifBorneHaute: null,
+      risqueNonAtteinte: null,
+    }
+  }
+
+  const seasonality = computeSeasonality(history)
+  let methode
+  let caProjete
+  let ecartMensuel
+
+  if (seasonality) {
+    // Le CA réalisé représente la part saisonnière des mois écoulés
+    const partRealisee = moisRealises.reduce((acc, mois) => acc + seasonality.coefficients[mois - 1], 0)
+    caProjete = partRealisee > 0 ? caRealise / partRealisee : (caRealise / moisRealises.length) * 12
+    methode = "saisonnalite"
+
+    // Dispersion des écarts entre réalisé et attendu sur les mois écoulés
+    ecartMensuel = standardDeviation(
+      moisRealises.map((mois) => actuals.get(mois) - caProjete * seasonality.coefficients[mois - 1]),
+    )
+  } else {
+    // Rythme moyen mensuel prolongé sur les mois restants
+    caProjete = (caRealise / moisRealises.length) * 12
+    methode = "rythme"
+    ecartMensuel = standardDeviation(moisRealises.map((mois) => actuals.get(mois)))
+  }
+
+  // L'incertitude ne porte que sur les mois restants
+  const marge = Z_90 * ecartMensuel * Math.sqrt(moisRestants)
+  const borneBasse = Math.max(caProjete - marge, caRealise)
+  const borneHaute = caProjete + marge
+
+  let risqueNonAtteinte = null
+  if (objectifAnnuel > 0) {
+    if (borneHaute < objectifAnnuel) risqueNonAtteinte = "eleve"
+    else if (caProjete < objectifAnnuel) risqueNonAtteinte = "moyen"
+    else if (borneBasse < objectifAnnuel) risqueNonAtteinte = "faible"
+    else risqueNonAtteinte = "aucun"
+  }
+
+  return {
+    methode,
+    anneesSaisonnalite: seasonality ? seasonality.annees : 0,
+    moisRealises: moisRealises.length,
+    caRealise: round(caRealise),
+    caProjete: round(caProjete),
+    borneBasse: round(borneBasse),
+    borneHaute: round(borneHaute),
+    variance: Math.pow(marge / Z_90, 2),
+    objectifAnnuel: round(objectifAnnuel),
+    tauxObjectifProjete: percent(caProjete, objectifAnnuel),
+    tauxObjectifBorneBasse: percent(borneBasse, objectifAnnuel),
+    tauxObjectifBorneHaute: percent(borneHaute, objectifAnnuel),
+    risqueNonAtteinte,
+  }
+}
+
+// Agrégation des prévisions individuelles (écarts supposés indépendants)
+const combineForecasts = (forecasts) => {
+  const withData = forecasts.filter((forecast) => forecast.caProjete !== null)
+  const caRealise = forecasts.reduce((acc, forecast) => acc + forecast.caRealise, 0)
+  const caProjete = withData.reduce((acc, forecast) => acc + forecast.caProjete, 0)
+  const objectifAnnuel = forecasts.reduce((acc, forecast) => acc + forecast.objectifAnnuel, 0)
+  const marge = Z_90 * Math.sqrt(withData.reduce((acc, forecast) => acc + forecast.variance, 0))
+  const borneBasse = Math.max(caProjete - marge, caRealise)
+  const borneHaute = caProjete + marge
+
+  return {
+    effectif: forecasts.length,
+    caRealise: round(caRealise),
+    caProjete: round(caProjete),
+    borneBasse: round(borneBasse),
+    borneHaute: round(borneHaute),
+    objectifAnnuel: round(objectifAnnuel),
+    tauxObjectifProjete: percent(caProjete, objectifAnnuel),
+    tauxObjectifBorneBasse: percent(borneBasse, objectifAnnuel),
+    tauxObjectifBorneHaute: percent(borneHaute, objectifAnnuel),
+    enRisque: forecasts.filter((forecast) => ["eleve", "moyen"].includes(forecast.risqueNonAtteinte)).length,
+  }
+}
+
+module.exports = {
+  SEASONALITY_YEARS,
+  computeSeasonality,
+  forecastYearEnd,
+  combineForecasts,
+}
@@ -0,0 +1,87 @@
+// Génération de calendriers iCalendar (RFC 5545) pour les rendez-vous commerciaux
+
+const CRLF = "\r\n"
+const MAX_LINE_OCTETS = 75
+
+// Date au format UTC iCalendar : 20240131T083000Z
+const formatDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "")
+
+// Échappement des valeurs texte (antislash, point-virgule, virgule, retours à la ligne)
+const escapeText = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n")
+
+// Découpage des lignes de plus de 75 octets (les lignes de continuation commencent par un espace)
+const foldLine = (line) => {
+  const parts = []
+  let current = ""
+  let octets = 0
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char)
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1
+    if (octets + size > limit) {
+      parts.push(current)
+      current = ""
+      octets = 0
+    }
+    current += char
+    octets += size
+  }
+  parts.push(current)
+
+  return parts.join(`${CRLF} `)
+}
+
+const nomComplet = (personne) => [personne.prenom, personne.nom].filter(Boolean).join(" ")
+
+// Événement VEVENT d'un rendez-vous (client et commercial peuplés)
+const buildEvent = (appointment, dtstamp) => {
+  const client = appointment.client && appointment.client.raisonSociale
+  const description = [
+    appointment.objet,
+    appointment.client && appointment.client.telephone && `Tél. : ${appointment.client.telephone}`,
+    appointment.notes,
+  ].filter(Boolean)
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${appointment._id}@wawtelecom`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART:${formatDate(appointment.debut)}`,
+    `DTEND:${formatDate(appointment.fin)}`,
+    `SUMMARY:${escapeText(client ? `RDV - ${client}` : "RDV")}`,
+    appointment.lieu && `LOCATION:${escapeText(appointment.lieu)}`,
+    description.length > 0 && `DESCRIPTION:${escapeText(description.join("\n"))}`,
+    appointment.commercial && appointment.commercial.email
+      ? `ORGANIZER;CN="${nomComplet(appointment.commercial).replace(/"/g, "")}":mailto:${appointment.commercial.email}`
+      : null,
+    `STATUS:${appointment.resultat === "annule" ? "CANCELLED" : "CONFIRMED"}`,
+    appointment.updatedAt && `LAST-MODIFIED:${formatDate(appointment.updatedAt)}`,
+    "END:VEVENT",
+  ].filter(Boolean)
+}
+
+// Calendrier complet (texte prêt à être servi en text/calendar)
+const buildCalendar = (appointments, { nom = "Rendez-vous WAWTELECOM" } = {}) => {
+  const dtstamp = formatDate(new Date())
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//WAWTELECOM//Performance commerciale//FR",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(nom)}`,
+    ...appointments.flatMap((appointment) => buildEvent(appointment, dtstamp)),
+    "END:VCALENDAR",
+  ]
+
+  return lines.map(foldLine).join(CRLF) + CRLF
+}
+
+module.exports = {
+  buildCalendar,
+}
@@ -0,0 +1,253 @@
+// Couche de requête commune aux listes : filtres par plages, tri multiple, sélection de champs
+// et pagination par page ou par curseur.
+//
+// Chaque ressource décrit ce qu'elle autorise (spec) :
+// {
+//   computed: { champ: expression },        // champs calculés ($addFields), utilisables en tri et en filtre
+//   sorts: { cle: chemin },                 // clés de tri autorisées (?sort=-cle1,cle2)
+//   defaultSort: "-cle",
+//   ranges: { cle: { path, type } },        // filtres ?cleMin=&cleMax= (type "number" ou "month" AAAA-MM)
+//   fields: ["champ", ...],                 // champs sélectionnables (?fields=champ1,champ2.sousChamp)
+// }
+const mongoose = require("mongoose")
+const { query } = require("express-validator")
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/
+
+// Valeur d'un chemin pointé dans un objet
+const getPath = (object, path) =>
+  path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object)
+
+const setPath = (object, path, value) => {
+  const keys = path.split(".")
+  const last = keys.pop()
+  const target = keys.reduce((current, key) => {
+    if (typeof current[key] !== "object" || current[key] === null) current[key] = {}
+    return current[key]
+  }, object)
+  target[last] = value
+}
+
+const splitList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+// Tri demandé -> liste [chemin, sens], avec l'identifiant en dernier pour un ordre stable
+const parseSort = (spec, value) => {
+  const keys = splitList(value || spec.defaultSort)
+  const entries = keys.map((key) => {
+    const name = key.replace(/^-/, "")
+    if (!spec.sorts[name]) {
+      throw new Error(`Tri non autorisé : ${name} (valeurs possibles : ${Object.keys(spec.sorts).join(", ")})`)
+    }
+    return [spec.sorts[name], key.startsWith("-") ? -1 : 1]
+  })
+
+  const paths = entries.map(([path]) => path)
+  if (new Set(paths).size !== paths.length) throw new Error("Clé de tri en double")
+
+  return [...entries, ["_id", entries.length > 0 ? entries[0][1] : 1]]
+}
+
+const parseFields = (spec, value) => {
+  const fields = splitList(value)
+  const invalid = fields.filter((field) => !spec.fields.includes(field.split(".")[0]))
+  if (invalid.length > 0) throw new Error(`Champs non disponibles : ${invalid.join(", ")}`)
+  return fields
+}
+
+// Borne d'une plage : nombre, ou mois AAAA-MM converti en AAAAMM
+const parseBound = (range, value) => {
+  if (range.type === "month") {
+    const match = MONTH_PATTERN.exec(value)
+    if (!match) throw new Error("Mois invalide (format AAAA-MM)")
+    return Number.parseInt(match[1]) * 100 + Number.parseInt(match[2])
+  }
+
+  const number = Number(value)
+  if (value === "" || Number.isNaN(number)) throw new Error("Valeur numérique invalide")
+  return number
+}
+
+// Le curseur encode les valeurs de tri du dernier élément renvoyé, et le tri utilisé
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() }
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() }
+  return value === undefined ? null : value
+}
+
+const decodeValue = (value) => {
+  if (value && typeof value === "object" && value.$date) return new Date(value.$date)
+  if (value && typeof value === "object" && value.$oid) return new mongoose.Types.ObjectId(value.$oid)
+  return value
+}
+
+const sortSignature = (sort) => sort.map(([path, sens]) => `${sens < 0 ? "-" : ""}${path}`).join(",")
+
+const encodeCursor = (sort, document) =>
+  Buffer.from(
+    JSON.stringify({ s: sortSignature(sort), v: sort.map(([path]) => encodeValue(getPath(document, path))) }),
+  ).toString("base64url")
+
+const decodeCursor = (sort, cursor) => {
+  let decoded
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+  } catch (error) {
+    throw new Error("Curseur invalide")
+  }
+
+  if (!decoded || decoded.s !== sortSignature(sort) || !Array.isArray(decoded.v) || decoded.v.length !== sort.length) {
+    throw new Error("Curseur invalide ou obtenu avec un autre tri")
+  }
+  return decoded.v.map(decodeValue)
+}
+
+// Éléments situés après le curseur dans l'ordre de tri (comparaison lexicographique)
+const cursorMatch = (sort, values) => ({
+  $or: sort.map(([path, sens], index) => ({
+    ...Object.fromEntries(sort.slice(0, index).map(([previous], j) => [previous, values[j]])),
+    [path]: { [sens > 0 ? "$gt" : "$lt"]: values[index] },
+  })),
+})
+
+// Validateurs des paramètres de liste (à combiner avec les filtres propres à chaque route)
+const listQueryValidators = (spec, { maxLimit = MAX_LIMIT } = {}) => [
+  query("sort")
+    .optional()
+    .custom((value) => parseSort(spec, value)),
+  query("fields")
+    .optional()
+    .custom((value) => parseFields(spec, value)),
+  query("cursor")
+    .optional()
+    .custom((value, { req }) => decodeCursor(parseSort(spec, req.query.sort), value)),
+  query("limit").optional().isInt({ min: 1, max: maxLimit }).withMessage("Limite invalide"),
+  query("page").optional().isInt({ min: 1 }).withMessage("Page invalide"),
+  ...Object.entries(spec.ranges || {}).flatMap(([key, range]) =>
+    ["Min", "Max"].map((suffix) =>
+      query(`${key}${suffix}`)
+        .optional()
+        .custom((value) => parseBound(range, value) !== undefined),
+    ),
+  ),
+]
+
+// Filtre des plages ?cleMin= / ?cleMax=
+const rangeMatch = (spec, params) => {
+  const match = {}
+  Object.entries(spec.ranges || {}).forEach(([key, range]) => {
+    const min = params[`${key}Min`]
+    const max = params[`${key}Max`]
+    if (min === undefined && max === undefined) return
+
+    match[range.path] = {}
+    if (min !== undefined) match[range.path].$gte = parseBound(range, min)
+    if (max !== undefined) match[range.path].$lte = parseBound(range, max)
+  })
+  return match
+}
+
+// Champs sélectionnables d'un schéma : champs enregistrés et virtuels, au premier niveau
+const schemaFields = (schema) => [
+  ...new Set([...Object.keys(schema.paths), ...Object.keys(schema.virtuals)].map((path) => path.split(".")[0])),
+]
+
+// Ne conserver que les champs demandés (l'identifiant est toujours renvoyé)
+const pickFields = (document, fields) =>
+  fields.reduce(
+    (picked, path) => {
+      const value = getPath(document, path)
+      if (value !== undefined) setPath(picked, path, value)
+      return picked
+    },
+    { _id: document._id },
+  )
+
+// Paramètres d'une requête de liste, communs à tous les stockages (voir repositories/)
+const planListQuery = (spec, params = {}, defaultLimit = DEFAULT_LIMIT) => {
+  const sort = parseSort(spec, params.sort)
+  const usesCursor = Boolean(params.cursor)
+
+  return {
+    sort,
+    limit: Number.parseInt(params.limit) || defaultLimit,
+    page: usesCursor ? null : Number.parseInt(params.page) || 1,
+    usesCursor,
+    computed: spec.computed || {},
+    rangeFilter: rangeMatch(spec, params),
+    cursorFilter: usesCursor ? cursorMatch(sort, decodeCursor(sort, params.cursor)) : null,
+    fields: params.fields ? parseFields(spec, params.fields) : null,
+  }
+}
+
+// Mise en forme du résultat à partir des lignes triées (limit + 1 au plus, champs calculés compris)
+// toDocuments : conversion des lignes en documents (virtuels, populate)
+const finishListQuery = async (plan, rows, total, toDocuments) => {
+  const { limit, page, usesCursor, computed, fields } = plan
+  const hasMore = rows.length > limit
+  const pageRows = rows.slice(0, limit)
+  const nextCursor = hasMore ? encodeCursor(plan.sort, pageRows[pageRows.length - 1]) : null
+
+  // Documents sans les champs calculés pour la requête
+  pageRows.forEach((row) => Object.keys(computed).forEach((field) => delete row[field]))
+  const documents = await toDocuments(pageRows)
+
+  return {
+    data: fields ? documents.map((document) => pickFields(document.toJSON(), fields)) : documents,
+    pagination: {
+      ...(usesCursor ? {} : { page, pages: Math.ceil(total / limit) }),
+      limit,
+      total,
+      hasMore,
+      nextCursor,
+    },
+  }
+}
+
+// Exécuter une requête de liste sur un modèle MongoDB.
+// filter : filtre de base (périmètre et filtres simples, appliqué en premier pour profiter des index ;
+// les identifiants doivent être des ObjectId, un pipeline ne les convertit pas)
+// params : paramètres de requête validés par listQueryValidators
+// Retourne { data, pagination } ; pagination.nextCursor permet de poursuivre par curseur.
+const runListQuery = async (Model, spec, { filter = {}, params = {}, populate, defaultLimit = DEFAULT_LIMIT }) => {
+  const plan = planListQuery(spec, params, defaultLimit)
+  const hasComputed = Object.keys(plan.computed).length > 0
+
+  const basePipeline = [
+    { $match: filter },
+    ...(hasComputed ? [{ $addFields: plan.computed }] : []),
+    { $match: plan.rangeFilter },
+  ]
+
+  const [rows, [counted]] = await Promise.all([
+    Model.aggregate([
+      ...basePipeline,
+      ...(plan.cursorFilter ? [{ $match: plan.cursorFilter }] : []),
+      { $sort: Object.fromEntries(plan.sort) },
+      ...(plan.usesCursor ? [] : [{ $skip: (plan.page - 1) * plan.limit }]),
+      { $limit: plan.limit + 1 },
+    ]),
+    Model.aggregate([...basePipeline, { $count: "total" }]),
+  ])
+
+  return finishListQuery(plan, rows, counted ? counted.total : 0, async (pageRows) => {
+    const documents = pageRows.map((row) => Model.hydrate(row))
+    if (populate) await Model.populate(documents, populate)
+    return documents
+  })
+}
+
+module.exports = {
+  getPath,
+  setPath,
+  schemaFields,
+  listQueryValidators,
+  planListQuery,
+  finishListQuery,
+  runListQuery,
+}
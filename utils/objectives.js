@@ -0,0 +1,57 @@
+const Objective = require("../models/Objective")
+const { objectives, performances, auditLogs } = require("../repositories")
+const { evaluatePerformanceAlerts } = require("./alerts")
+
+const monthFilter = (utilisateur, { annee, mois }) => ({ utilisateur, "periode.annee": annee, "periode.mois": mois })
+
+// Recopier des cibles sur les données de performance d'un mois.
+// Les données soumises ou validées restent figées : elles reprendront l'objectif du mois
+// lors de leur prochaine saisie, après rejet ou réouverture.
+const applyTargets = async (performance, targets, req) => {
+  if (!performance.isEditable()) return null
+
+  const updated = await performances.updateById(performance._id, targets)
+
+  await auditLogs.record({
+    entite: "Performance",
+    entiteId: performance._id,
+    action: "modification",
+    acteur: req.user.id,
+    before: performance,
+    after: updated,
+    req,
+  })
+
+  // Les taux d'atteinte changent avec les cibles : réévaluer les règles d'alerte
+  evaluatePerformanceAlerts(updated).catch((error) => {
+    console.error("Erreur évaluation alertes:", error)
+  })
+
+  return updated
+}
+
+// Définir (ou mettre à jour) l'objectif d'un utilisateur sur un mois, au nom du demandeur
+const assignObjective = async (utilisateur, periode, valeurs, req) => {
+  const update = { definiPar: req.user.id }
+  Objective.OBJECTIVE_FIELDS.forEach((field) => {
+    if (valeurs[field] !== undefined) update[field] = valeurs[field]
+  })
+
+  const objective = await objectives.findOneAndUpdate(
+    monthFilter(utilisateur, periode),
+    { $set: update },
+    { upsert: true, runValidators: true },
+  )
+
+  // Répercuter les cibles sur les données de performance déjà saisies
+  const performance = await performances.findOne(monthFilter(utilisateur, periode))
+  if (performance) await applyTargets(performance, objective.getTargets(), req)
+
+  return objective
+}
+
+module.exports = {
+  monthFilter,
+  applyTargets,
+  assignObjective,
+}
@@ -0,0 +1,220 @@
+const { once } = require("events")
+const ExcelJS = require("exceljs")
+const PDFDocument = require("pdfkit")
+
+// Mention affichée pour une satisfaction sans réponse aux enquêtes
+const NO_DATA = "Aucune donnée"
+
+// Colonnes des exports (champs enregistrés et virtuels)
+const EXPORT_COLUMNS = [
+  { header: "Nom", key: "nom", width: 18, value: (perf) => perf.utilisateur?.nom },
+  { header: "Prénom", key: "prenom", width: 18, value: (perf) => perf.utilisateur?.prenom },
+  { header: "Email", key: "email", width: 28, value: (perf) => perf.utilisateur?.email },
+  { header: "Département", key: "departement", width: 16, value: (perf) => perf.utilisateur?.departement },
+  { header: "Année", key: "annee", width: 8, value: (perf) => perf.periode.annee },
+  { header: "Mois", key: "mois", width: 6, value: (perf) => perf.periode.mois },
+  { header: "Période", key: "periodeFormatee", width: 16, value: (perf) => perf.periodeFormatee },
+  { header: "Statut", key: "statut", width: 10, value: (perf) => perf.statut },
+  { header: "Chiffre d'affaires", key: "chiffreAffaires", width: 16, value: (perf) => perf.chiffreAffaires },
+  { header: "Objectif CA", key: "objectifCA", width: 14, value: (perf) => perf.objectifCA },
+  { header: "Taux objectif (%)", key: "tauxObjectif", width: 16, value: (perf) => perf.tauxObjectif },
+  { header: "Nouveaux clients", key: "nouveauxClients", width: 16, value: (perf) => perf.nouveauxClients },
+  { header: "RDV planifiés", key: "rdvPlanifies", width: 13, value: (perf) => perf.rdvPlanifies },
+  { header: "RDV réalisés", key: "rdvRealises", width: 13, value: (perf) => perf.rdvRealises },
+  { header: "Ventes réalisées", key: "ventesRealisees", width: 16, value: (perf) => perf.ventesRealisees },
+  {
+    header: "Taux de transformation (%)",
+    key: "tauxTransformation",
+    width: 24,
+    value: (perf) => perf.tauxTransformation,
+  },
+  { header: "Dossiers mis à jour", key: "dossiersMAJ", width: 18, value: (perf) => perf.dossiersMAJ },
+  { header: "Total dossiers", key: "totalDossiers", width: 14, value: (perf) => perf.totalDossiers },
+  {
+    header: "Complétude dossiers (%)",
+    key: "completudeDossiers",
+    width: 22,
+    value: (perf) => perf.completudeDossiers,
+  },
+  { header: "Événements", key: "evenements", width: 12, value: (perf) => perf.evenements },
+  // Sans réponse aux enquêtes, la satisfaction n'est pas renseignée
+  {
+    header: "Satisfaction",
+    key: "satisfaction",
+    width: 14,
+    value: (perf) => (perf.satisfaction === null || perf.satisfaction === undefined ? NO_DATA : perf.satisfaction),
+  },
+  {
+    header: "Taux de réponse (%)",
+    key: "tauxReponseSatisfaction",
+    width: 14,
+    value: (perf) => perf.tauxReponseSatisfaction,
+  },
+  { header: "Commentaires", key: "commentaires", width: 40, value: (perf) => perf.commentaires },
+]
+
+const exportRow = (performance) =>
+  EXPORT_COLUMNS.reduce((row, column) => {
+    const value = column.value(performance)
+    row[column.key] = value === undefined || value === null ? "" : value
+    return row
+  }, {})
+
+// Échappement d'une valeur CSV (séparateur ";")
+const csvValue = (value) => {
+  const text = String(value)
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Écriture en flux d'un export CSV (BOM UTF-8 et ";" pour l'ouverture directe dans Excel)
+const streamCsv = async (cursor, stream) => {
+  stream.write(`\uFEFF${EXPORT_COLUMNS.map((column) => csvValue(column.header)).join(";")}\r\n`)
+
+  for await (const performance of cursor) {
+    const row = exportRow(performance)
+    const line = `${EXPORT_COLUMNS.map((column) => csvValue(row[column.key])).join(";")}\r\n`
+    // Respecter la contre-pression du flux de sortie
+    if (!stream.write(line)) await once(stream, "drain")
+  }
+
+  stream.end()
+}
+
+// Écriture en flux d'un export XLSX
+const streamXlsx = async (cursor, stream) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true })
+  const worksheet = workbook.addWorksheet("Performances")
+  worksheet.columns = EXPORT_COLUMNS.map(({ header, key, width }) => ({ header, key, width }))
+  worksheet.getRow(1).font = { bold: true }
+
+  for await (const performance of cursor) {
+    worksheet.addRow(exportRow(performance)).commit()
+  }
+
+  worksheet.commit()
+  await workbook.commit()
+}
+
+// Nombre formaté à la française (espaces simples, compatibles avec les polices PDF standard)
+const formatNumber = (value, suffix = "") => {
+  if (value === null || value === undefined) return "—"
+  return `${new Intl.NumberFormat("fr-FR", { maximumFractionDigits: 2 }).format(value).replace(/\s/g, " ")}${suffix}`
+}
+
+// Nombre maximum de lignes du tableau d'équipe pour tenir sur une page
+const MAX_TEAM_ROWS = 22
+
+// Rapport de performance d'une page (PDF)
+// rapport : { titre, periode, totaux, membres? } où membres = [{ nom, totaux }]
+const writeReportPdf = (rapport, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 })
+  doc.pipe(stream)
+
+  const { titre, periode, totaux, membres } = rapport
+  const left = doc.page.margins.left
+  const width = doc.page.width - left - doc.page.margins.right
+
+  doc.font("Helvetica-Bold").fontSize(18).text("WAWTELECOM", left, 50)
+  doc.fontSize(14).text(titre)
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor("#555555")
+    .text(`Période : ${periode} - Données validées - Édité le ${new Date().toLocaleDateString("fr-FR")}`)
+    .fillColor("#000000")
+    .moveDown(1.5)
+
+  // Indicateurs clés sur deux colonnes
+  const indicateurs = [
+    ["Chiffre d'affaires", formatNumber(totaux.totalCA)],
+    ["Objectif CA", formatNumber(totaux.totalObjectif)],
+    ["Taux d'atteinte de l'objectif", formatNumber(totaux.tauxObjectif, " %")],
+    ["Nouveaux clients", formatNumber(totaux.totalClients)],
+    ["RDV réalisés / planifiés", `${formatNumber(totaux.totalRDV)} / ${formatNumber(totaux.totalRDVPlanifies)}`],
+    ["Ventes réalisées", formatNumber(totaux.totalVentes)],
+    ["Taux de transformation", formatNumber(totaux.tauxTransformation, " %")],
+    ["Complétude des dossiers", formatNumber(totaux.completudeDossiers, " %")],
+    ["Événements", formatNumber(totaux.totalEvenements)],
+    [
+      "Satisfaction moyenne",
+      totaux.satisfactionMoyenne === null ? NO_DATA : formatNumber(totaux.satisfactionMoyenne, " / 5"),
+    ],
+  ]
+
+  doc.font("Helvetica-Bold").fontSize(12).text("Indicateurs clés").moveDown(0.5)
+  const top = doc.y
+  const columnWidth = width / 2
+  indicateurs.forEach(([label, value], index) => {
+    const x = left + (index % 2) * columnWidth
+    const y = top + Math.floor(index / 2) * 34
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .fillColor("#555555")
+      .text(label, x, y, { width: columnWidth - 10 })
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(12)
+      .fillColor("#000000")
+      .text(value, x, y + 12, { width: columnWidth - 10 })
+  })
+  doc.y = top + Math.ceil(indicateurs.length / 2) * 34 + 10
+
+  // Détail par membre de l'équipe
+  if (membres) {
+    const columns = [
+      { label: "Commercial", width: 0.34 },
+      { label: "CA", width: 0.18, value: (t) => formatNumber(t.totalCA) },
+      { label: "Objectif", width: 0.12, value: (t) => formatNumber(t.tauxObjectif, " %") },
+      { label: "Transfo.", width: 0.12, value: (t) => formatNumber(t.tauxTransformation, " %") },
+      { label: "Clients", width: 0.12, value: (t) => formatNumber(t.totalClients) },
+      { label: "Satisf.", width: 0.12, value: (t) => formatNumber(t.satisfactionMoyenne) },
+    ]
+
+    const drawRow = (cells, font) => {
+      const y = doc.y
+      let x = left
+      doc.font(font).fontSize(9)
+      cells.forEach((cell, index) => {
+        const cellWidth = columns[index].width * width
+        doc.text(cell, x, y, { width: cellWidth - 4, lineBreak: false, ellipsis: true })
+        x += cellWidth
+      })
+      doc.y = y + 16
+    }
+
+    doc.x = left
+    doc.font("Helvetica-Bold").fontSize(12).text("Détail par commercial", left, doc.y).moveDown(0.5)
+    drawRow(
+      columns.map((column) => column.label),
+      "Helvetica-Bold",
+    )
+    doc
+      .moveTo(left, doc.y - 4)
+      .lineTo(left + width, doc.y - 4)
+      .stroke()
+
+    membres.slice(0, MAX_TEAM_ROWS).forEach((membre) => {
+      drawRow(
+        [membre.nom, ...columns.slice(1).map((column) => (membre.totaux ? column.value(membre.totaux) : "—"))],
+        "Helvetica",
+      )
+    })
+
+    if (membres.length > MAX_TEAM_ROWS) {
+      doc
+        .font("Helvetica-Oblique")
+        .fontSize(9)
+        .text(`… et ${membres.length - MAX_TEAM_ROWS} autres commerciaux (voir l'export détaillé)`, left, doc.y)
+    }
+  }
+
+  doc.end()
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  streamCsv,
+  streamXlsx,
+  writeReportPdf,
+}
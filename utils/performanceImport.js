@@ -0,0 +1,339 @@
+const path = require("path")
+const { Readable } = require("stream")
+const ExcelJS = require("exceljs")
+const Performance = require("../models/Performance")
+const Activity = require("../models/Activity")
+const { users, performances, objectives, auditLogs } = require("../repositories")
+const { getAccessibleUserIds, canManageUser } = require("./teamScope")
+const { evaluatePerformanceAlerts } = require("./alerts")
+
+const IMPORT_EXTENSIONS = [".csv", ".xlsx"]
+
+// Colonnes reconnues (en-têtes normalisés : minuscules, sans accents ni séparateurs)
+const COLUMNS = {
+  email: ["email", "mail", "emailutilisateur", "utilisateur"],
+  annee: ["annee", "year"],
+  mois: ["mois", "month"],
+  chiffreAffaires: ["chiffreaffaires", "chiffredaffaires", "ca"],
+  nouveauxClients: ["nouveauxclients", "clients"],
+  rdvPlanifies: ["rdvplanifies"],
+  rdvRealises: ["rdvrealises", "rdv"],
+  ventesRealisees: ["ventesrealisees", "ventes"],
+  dossiersMAJ: ["dossiersmaj", "dossiersmisajour"],
+  totalDossiers: ["totaldossiers"],
+  evenements: ["evenements"],
+  satisfaction: ["satisfaction"],
+  commentaires: ["commentaires", "commentaire"],
+}
+
+const REQUIRED_COLUMNS = ["email", "annee", "mois"]
+
+const NUMERIC_FIELDS = [
+  "chiffreAffaires",
+  "nouveauxClients",
+  "rdvPlanifies",
+  "rdvRealises",
+  "ventesRealisees",
+  "dossiersMAJ",
+  "totalDossiers",
+  "evenements",
+  "satisfaction",
+]
+
+const normalizeHeader = (value) =>
+  String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
+
+// Valeur brute d'une cellule (formules, liens et texte enrichi compris)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return undefined
+  if (typeof value === "object" && !(value instanceof Date)) {
+    if (value.result !== undefined) return value.result
+    if (value.text !== undefined) return value.text
+    if (value.richText) return value.richText.map((part) => part.text).join("")
+  }
+  return value
+}
+
+// Conversion d'une valeur numérique ("1 234,5" accepté)
+const toNumber = (value) => {
+  if (value === undefined || value === "") return undefined
+  if (typeof value === "number") return value
+  const parsed = Number(String(value).replace(/\s/g, "").replace(",", "."))
+  return Number.isNaN(parsed) ? NaN : parsed
+}
+
+// Lecture d'un fichier CSV ou XLSX ; retourne les lignes indexées par champ
+const parseSpreadsheet = async ({ buffer, originalname }) => {
+  const workbook = new ExcelJS.Workbook()
+  let worksheet
+
+  if (path.extname(originalname).toLowerCase() === ".xlsx") {
+    await workbook.xlsx.load(buffer)
+    worksheet = workbook.worksheets[0]
+  } else {
+    const content = buffer.toString("utf8").replace(/^\uFEFF/, "")
+    // Séparateur ";" (export Excel français) ou ","
+    const firstLine = content.split(/\r?\n/)[0]
+    const delimiter = firstLine.split(";").length > firstLine.split(",").length ? ";" : ","
+    worksheet = await workbook.csv.read(Readable.from([content]), { parserOptions: { delimiter } })
+  }
+
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw new Error("Le fichier ne contient aucune ligne de données")
+  }
+
+  // Correspondance colonne -> champ à partir de la ligne d'en-tête
+  const columns = {}
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    const header = normalizeHeader(cellValue(cell.value) ?? "")
+    const field = Object.keys(COLUMNS).find((name) => COLUMNS[name].includes(header))
+    if (field && !Object.values(columns).includes(field)) columns[colNumber] = field
+  })
+
+  const missing = REQUIRED_COLUMNS.filter((field) => !Object.values(columns).includes(field))
+  if (missing.length > 0) {
+    throw new Error(`Colonnes obligatoires manquantes : ${missing.join(", ")}`)
+  }
+
+  const rows = []
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return
+
+    const valeurs = {}
+    Object.entries(columns).forEach(([colNumber, field]) => {
+      const value = cellValue(row.getCell(Number(colNumber)).value)
+      valeurs[field] = typeof value === "string" ? value.trim() : value
+    })
+
+    if (Object.values(valeurs).some((value) => value !== undefined && value !== "")) {
+      rows.push({ ligne: rowNumber, valeurs })
+    }
+  })
+
+  return rows
+}
+
+// Analyse des lignes (simulation) : utilisateur, périmètre, validation du modèle,
+// règles de cohérence et conflits avec les données existantes
+// options.conflits : "ecraser" (mise à jour) ou "ignorer"
+// options.valider : importer les données directement validées
+const prepareImport = async (rows, requester, { conflits = "ignorer", valider = false } = {}) => {
+  const emails = [...new Set(rows.map(({ valeurs }) => String(valeurs.email || "").toLowerCase()).filter(Boolean))]
+  const found = await users.find({ email: { $in: emails } }, { select: "nom prenom email statut" })
+  const usersByEmail = new Map(found.map((user) => [user.email, user]))
+
+  const accessibleIds = await getAccessibleUserIds(requester)
+  const accessible = accessibleIds && new Set(accessibleIds.map((id) => id.toString()))
+
+  const userIds = found.map((user) => user._id)
+  const annees = [...new Set(rows.map(({ valeurs }) => toNumber(valeurs.annee)).filter(Number.isInteger))]
+  const [existing, targets] = await Promise.all([
+    performances.find({ utilisateur: { $in: userIds }, "periode.annee": { $in: annees } }),
+    objectives.find({ utilisateur: { $in: userIds }, "periode.annee": { $in: annees } }),
+  ])
+
+  const periodKey = (utilisateur, annee, mois) => `${utilisateur}:${annee}-${mois}`
+  const existingByKey = new Map(
+    existing.map((perf) => [periodKey(perf.utilisateur, perf.periode.annee, perf.periode.mois), perf]),
+  )
+  const objectivesByKey = new Map(
+    targets.map((objective) => [
+      periodKey(objective.utilisateur, objective.periode.annee, objective.periode.mois),
+      objective,
+    ]),
+  )
+
+  const manageable = new Map()
+  const seen = new Map()
+  const lignes = []
+
+  for (const { ligne, valeurs } of rows) {
+    const erreurs = []
+    const email = String(valeurs.email || "").toLowerCase()
+    const annee = toNumber(valeurs.annee)
+    const mois = toNumber(valeurs.mois)
+    const user = usersByEmail.get(email)
+    const result = { ligne, email, periode: { annee, mois }, action: null, erreurs }
+
+    if (!email) {
+      erreurs.push("Email de l'utilisateur manquant")
+    } else if (!user) {
+      erreurs.push(`Utilisateur inconnu : ${email}`)
+    } else if (accessible && !accessible.has(user._id.toString())) {
+      erreurs.push(`Utilisateur hors de votre périmètre : ${email}`)
+    }
+
+    if (!Number.isInteger(annee) || !Number.isInteger(mois)) {
+      erreurs.push("Période invalide (année et mois entiers attendus)")
+    }
+
+    const data = {}
+    NUMERIC_FIELDS.forEach((field) => {
+      const value = toNumber(valeurs[field])
+      if (Number.isNaN(value)) {
+        erreurs.push(`Valeur numérique invalide pour ${field} : ${valeurs[field]}`)
+      } else if (value !== undefined) {
+        data[field] = value
+      }
+    })
+    if (valeurs.commentaires) data.commentaires = String(valeurs.commentaires)
+
+    if (erreurs.length > 0) {
+      lignes.push(result)
+      continue
+    }
+
+    const key = periodKey(user._id, annee, mois)
+    const objective = objectivesByKey.get(key)
+
+    Object.assign(data, {
+      utilisateur: user._id,
+      periode: { annee, mois },
+      ...(objective
+        ? objective.getTargets()
+        : { objectifCA: 0, objectifNouveauxClients: 0, objectifRDV: 0, objectifVentes: 0 }),
+    })
+
+    if (valider) {
+      if (!manageable.has(user._id.toString())) {
+        manageable.set(user._id.toString(), await canManageUser(requester, user._id))
+      }
+      if (manageable.get(user._id.toString())) {
+        Object.assign(data, { statut: "valide", validePar: requester.id, dateValidation: new Date() })
+      } else {
+        erreurs.push("Vous ne pouvez pas valider vos propres données")
+      }
+    }
+
+    // Validation du schéma et règles de cohérence appliquées à l'enregistrement
+    const validationError = new Performance(data).validateSync()
+    if (validationError) {
+      erreurs.push(...Object.values(validationError.errors).map((error) => error.message))
+    }
+    erreurs.push(...Performance.checkConsistency(data))
+
+    if (seen.has(key)) {
+      erreurs.push(`Période en double dans le fichier (ligne ${seen.get(key)})`)
+    } else {
+      seen.set(key, ligne)
+    }
+
+    const existingPerformance = existingByKey.get(key)
+    if (!existingPerformance) {
+      result.action = "creation"
+    } else if (conflits === "ignorer") {
+      result.action = "ignoree"
+    } else if (!existingPerformance.isEditable()) {
+      erreurs.push("Données existantes soumises ou validées : elles ne peuvent plus être modifiées")
+    } else {
+      result.action = "mise_a_jour"
+      result.existant = existingPerformance
+    }
+
+    // Les indicateurs importés priment sur les valeurs calculées depuis le journal d'activités
+    data.valeursManuelles = [
+      ...new Set([
+        ...(existingPerformance ? existingPerformance.valeursManuelles : []),
+        ...Activity.COMPUTED_FIELDS.filter((field) => data[field] !== undefined),
+      ]),
+    ]
+
+    if (erreurs.length > 0) result.action = null
+    result.data = data
+    lignes.push(result)
+  }
+
+  return lignes
+}
+
+// Écriture d'une ligne analysée ; retourne de quoi l'annuler
+// Les alertes ne sont évaluées qu'une fois l'import confirmé (une écriture annulée ne doit pas alerter)
+const writeLine = async (line) => {
+  const performance = line.action === "creation" ? performances.build(line.data) : line.existant
+  const before = line.action === "creation" ? null : performance.toObject({ virtuals: false })
+
+  if (before) performance.set(line.data)
+  performance.$locals.differerAlertes = true
+  await performance.save()
+  return { performance, before }
+}
+
+// Annulation des écritures déjà effectuées (import atomique)
+const rollback = async (written) => {
+  for (const { performance, before } of written.reverse()) {
+    if (before) {
+      await performances.replaceById(performance._id, before)
+    } else {
+      await performances.deleteById(performance._id)
+    }
+  }
+}
+
+// Import des lignes analysées
+// options.mode : "atomique" (tout ou rien) ou "partiel" (lignes valides uniquement)
+const executeImport = async (lignes, requester, { mode = "atomique", req } = {}) => {
+  const aEcrire = lignes.filter((line) => ["creation", "mise_a_jour"].includes(line.action))
+
+  if (mode === "atomique" && lignes.some((line) => line.erreurs.length > 0)) {
+    return { annule: true }
+  }
+
+  const written = []
+
+  for (const line of aEcrire) {
+    try {
+      written.push({ line, ...(await writeLine(line)) })
+    } catch (error) {
+      if (mode === "atomique") {
+        await rollback(written)
+        line.erreurs.push(error.message)
+        return { annule: true }
+      }
+
+      line.erreurs.push(error.code === 11000 ? "Des données existent déjà pour cette période" : error.message)
+      line.action = null
+    }
+  }
+
+  // Traçabilité une fois les écritures confirmées
+  for (const { line, performance, before } of written) {
+    await auditLogs.record({
+      entite: "Performance",
+      entiteId: performance._id,
+      action: before ? "modification" : "creation",
+      acteur: requester.id,
+      before,
+      after: performance,
+      req,
+    })
+  }
+
+  for (const { performance } of written) {
+    await evaluatePerformanceAlerts(performance).catch((error) => {
+      console.error("Erreur évaluation alertes:", error)
+    })
+  }
+
+  return { annule: false }
+}
+
+// Résumé d'un import pour la réponse de l'API
+const summarizeImport = (lignes) => ({
+  total: lignes.length,
+  erreurs: lignes.filter((line) => line.erreurs.length > 0).length,
+  creations: lignes.filter((line) => line.action === "creation").length,
+  misesAJour: lignes.filter((line) => line.action === "mise_a_jour").length,
+  ignorees: lignes.filter((line) => line.action === "ignoree").length,
+})
+
+module.exports = {
+  IMPORT_EXTENSIONS,
+  parseSpreadsheet,
+  prepareImport,
+  executeImport,
+  summarizeImport,
+}
@@ -0,0 +1,227 @@
+const Performance = require("../models/Performance")
+const { performances, users } = require("../repositories")
+const { shiftMonth } = require("./periods")
+
+// Cumuls calculés pour chaque groupe de données de performance
+const TOTALS_GROUP = Performance.STATS_GROUP
+
+const EMPTY_TOTALS = {
+  totalCA: 0,
+  totalObjectif: 0,
+  totalObjectifClients: 0,
+  totalObjectifRDV: 0,
+  totalObjectifVentes: 0,
+  totalClients: 0,
+  totalRDV: 0,
+  totalRDVPlanifies: 0,
+  totalVentes: 0,
+  totalDossiersMAJ: 0,
+  totalDossiers: 0,
+  totalEvenements: 0,
+  satisfactionMoyenne: null,
+  satisfactionSomme: 0,
+  satisfactionNombre: 0,
+  count: 0,
+}
+
+// Champs cumulables (sommes) d'un cumul
+const SUM_FIELDS = Object.keys(EMPTY_TOTALS).filter((field) => field !== "satisfactionMoyenne")
+
+// Pourcentage arrondi (0 si le dénominateur est nul)
+const percent = (value, total) => (total > 0 ? Math.round((value / total) * 100) : 0)
+
+// Satisfaction moyenne pondérée par le nombre de notes (null si aucune note)
+const roundSatisfaction = (totals) => {
+  const moyenne =
+    totals.satisfactionNombre !== undefined
+      ? totals.satisfactionNombre > 0
+        ? totals.satisfactionSomme / totals.satisfactionNombre
+        : null
+      : totals.satisfactionMoyenne
+  return moyenne === null || moyenne === undefined ? null : Math.round(moyenne * 100) / 100
+}
+
+// Ajouter les taux dérivés à un cumul
+const withRates = (totals) => ({
+  ...totals,
+  tauxTransformation: percent(totals.totalVentes, totals.totalRDV),
+  tauxObjectif: percent(totals.totalCA, totals.totalObjectif),
+  tauxObjectifClients: percent(totals.totalClients, totals.totalObjectifClients),
+  tauxObjectifRDV: percent(totals.totalRDV, totals.totalObjectifRDV),
+  tauxObjectifVentes: percent(totals.totalVentes, totals.totalObjectifVentes),
+  completudeDossiers: percent(totals.totalDossiersMAJ, totals.totalDossiers),
+  satisfactionMoyenne: roundSatisfaction(totals),
+})
+
+// Additionner plusieurs cumuls (la satisfaction est une moyenne pondérée par le nombre de notes)
+const sumTotals = (list) => {
+  const sum = SUM_FIELDS.reduce((acc, field) => {
+    acc[field] = list.reduce((total, totals) => total + (totals[field] || 0), 0)
+    return acc
+  }, {})
+
+  sum.satisfactionMoyenne = sum.satisfactionNombre > 0 ? sum.satisfactionSomme / sum.satisfactionNombre : null
+  return sum
+}
+
+// Indicateurs disponibles pour les classements et analyses
+const KPIS = {
+  ca: "totalCA",
+  tauxObjectif: "tauxObjectif",
+  tauxTransformation: "tauxTransformation",
+  nouveauxClients: "totalClients",
+  satisfaction: "satisfactionMoyenne",
+}
+
+// Cumuls des données validées, regroupés par utilisateur
+// (les données d'un utilisateur supprimé sont écartées)
+const aggregateByUser = async (match) => {
+  const results = await performances.sumValidated(match, "utilisateur")
+  const auteurs = await users.find(
+    { _id: { $in: results.map(({ _id }) => _id) } },
+    { select: "nom prenom email departement manager" },
+  )
+  const auteursById = new Map(
+    auteurs.map(({ _id, nom, prenom, email, departement, manager }) => [
+      _id.toString(),
+      { _id, nom, prenom, email, departement, manager },
+    ]),
+  )
+
+  return results
+    .filter(({ _id }) => auteursById.has(_id.toString()))
+    .map(({ _id, ...totals }) => ({ utilisateur: auteursById.get(_id.toString()), ...withRates(totals) }))
+}
+
+// Cumul global des données validées
+const aggregateTotals = async (match) => {
+  const results = await performances.sumValidated(match)
+
+  const { _id, ...totals } = results[0] || { _id: null, ...EMPTY_TOTALS }
+  return withRates(totals)
+}
+
+// Clé d'un mois
+const monthKey = (annee, mois) => `${annee}-${String(mois).padStart(2, "0")}`
+
+// Cumuls des données validées, regroupés par mois (clé "AAAA-MM")
+const aggregateByMonth = async (match) => {
+  const results = await performances.sumValidated(match, "mois")
+
+  return new Map(results.map(({ _id, ...totals }) => [monthKey(_id.annee, _id.mois), totals]))
+}
+
+// Les valeurs absentes (taux sans objectif) sont classées en dernier
+const compareDescending = (a, b) => {
+  if (a === null && b === null) return 0
+  if (a === null) return 1
+  if (b === null) return -1
+  return b - a
+}
+
+// Classement par ordre décroissant avec gestion des ex æquo (1, 2, 2, 4)
+const rankBy = (entries, field) => {
+  const sorted = [...entries].sort((a, b) => compareDescending(a[field] ?? null, b[field] ?? null))
+
+  const ranked = []
+  sorted.forEach((entry, index) => {
+    const valeur = entry[field] ?? null
+    const previous = ranked[index - 1]
+    const rang = previous && previous.valeur === valeur ? previous.rang : index + 1
+    ranked.push({ ...entry, valeur, rang })
+  })
+
+  // Nombre d'occurrences de chaque rang pour signaler les ex æquo
+  const countByRank = ranked.reduce((acc, entry) => {
+    acc[entry.rang] = (acc[entry.rang] || 0) + 1
+    return acc
+  }, {})
+
+  return ranked.map((entry) => ({ ...entry, exAequo: countByRank[entry.rang] > 1 }))
+}
+
+// Indicateurs suivis dans les séries temporelles
+const TREND_KPIS = [
+  "totalCA",
+  "totalClients",
+  "totalRDV",
+  "totalVentes",
+  "totalEvenements",
+  "tauxObjectif",
+  "tauxTransformation",
+  "completudeDossiers",
+  "satisfactionMoyenne",
+]
+
+const round = (value) => Math.round(value * 100) / 100
+
+// Sélection des indicateurs suivis (null si pas de données)
+const pickKpis = (values) =>
+  Object.fromEntries(TREND_KPIS.map((kpi) => [kpi, values && values[kpi] !== undefined ? values[kpi] : null]))
+
+// Variation absolue et relative entre deux valeurs
+const variation = (current, previous) => {
+  if (current === null || previous === null) return null
+  return {
+    valeur: round(current - previous),
+    pourcentage: previous !== 0 ? round(((current - previous) / Math.abs(previous)) * 100) : null,
+  }
+}
+
+// Série mensuelle d'une année : valeurs, variations M-1 et N-1, moyenne mobile 3 mois et cumul annuel
+// byMonth doit contenir les cumuls de l'année et de l'année précédente
+const buildTrends = (annee, byMonth, moisFin = 12) => {
+  const valuesFor = ({ annee: a, mois: m }) => {
+    const totals = byMonth.get(monthKey(a, m))
+    return totals ? pickKpis(withRates(totals)) : null
+  }
+
+  const cumul = []
+  const series = []
+
+  for (let mois = 1; mois <= moisFin; mois++) {
+    const totals = byMonth.get(monthKey(annee, mois))
+    if (totals) cumul.push(totals)
+
+    const valeurs = valuesFor({ annee, mois })
+    const moisPrecedent = valuesFor(shiftMonth(annee, mois, -1))
+    const anneePrecedente = valuesFor({ annee: annee - 1, mois })
+    const fenetre = [0, -1, -2].map((n) => valuesFor(shiftMonth(annee, mois, n))).filter(Boolean)
+
+    series.push({
+      annee,
+      mois,
+      donnees: Boolean(valeurs),
+      valeurs: pickKpis(valeurs),
+      variationMensuelle: Object.fromEntries(
+        TREND_KPIS.map((kpi) => [kpi, variation(valeurs && valeurs[kpi], moisPrecedent && moisPrecedent[kpi])]),
+      ),
+      variationAnnuelle: Object.fromEntries(
+        TREND_KPIS.map((kpi) => [kpi, variation(valeurs && valeurs[kpi], anneePrecedente && anneePrecedente[kpi])]),
+      ),
+      moyenneMobile3Mois: Object.fromEntries(
+        TREND_KPIS.map((kpi) => {
+          const points = fenetre.map((values) => values[kpi]).filter((value) => value !== null)
+          return [kpi, points.length ? round(points.reduce((a, b) => a + b, 0) / points.length) : null]
+        }),
+      ),
+      cumulAnnuel: pickKpis(withRates(sumTotals(cumul))),
+    })
+  }
+
+  return series
+}
+
+module.exports = {
+  TOTALS_GROUP,
+  EMPTY_TOTALS,
+  KPIS,
+  withRates,
+  sumTotals,
+  monthKey,
+  buildTrends,
+  aggregateByUser,
+  aggregateByMonth,
+  aggregateTotals,
+  rankBy,
+}
@@ -0,0 +1,128 @@
+// Outils de calcul des périodes (mois, trimestre, semestre, année civile, exercice fiscal)
+
+const PERIOD_TYPES = ["mois", "trimestre", "semestre", "annee", "exercice"]
+
+// Mois de début de l'exercice fiscal (1 = janvier)
+const getFiscalStartMonth = () => {
+  const mois = Number.parseInt(process.env.FISCAL_YEAR_START_MONTH)
+  return mois >= 1 && mois <= 12 ? mois : 1
+}
+
+// Mois décalé de n mois (n négatif pour remonter dans le temps)
+const shiftMonth = (annee, mois, n) => {
+  const index = annee * 12 + (mois - 1) + n
+  return { annee: Math.floor(index / 12), mois: (index % 12) + 1 }
+}
+
+// Mois { annee, mois } d'une date
+const periodOfDate = (date) => ({ annee: date.getFullYear(), mois: date.getMonth() + 1 })
+
+// Suite de n mois consécutifs à partir d'un mois donné
+const monthRange = (annee, mois, n) => Array.from({ length: n }, (_, offset) => shiftMonth(annee, mois, offset))
+
+// Liste des mois { annee, mois } couverts par une période
+// Trimestres, semestres et exercices sont calculés à partir du mois de début d'exercice
+// (un exercice "annee" commence le mois debutExercice de cette année)
+const getPeriodMonths = ({ type, annee, mois, trimestre, semestre, debutExercice = 1 }) => {
+  switch (type) {
+    case "mois":
+      return [{ annee, mois }]
+    case "trimestre":
+      return monthRange(annee, debutExercice, 12).slice((trimestre - 1) * 3, trimestre * 3)
+    case "semestre":
+      return monthRange(annee, debutExercice, 12).slice((semestre - 1) * 6, semestre * 6)
+    case "exercice":
+      return monthRange(annee, debutExercice, 12)
+    default:
+      return monthRange(annee, 1, 12)
+  }
+}
+
+// Période précédente de même type
+const getPreviousPeriod = (period) => {
+  const { type, annee, mois, trimestre, semestre } = period
+
+  if (type === "mois") {
+    return { ...period, ...shiftMonth(annee, mois, -1) }
+  }
+
+  if (type === "trimestre") {
+    return trimestre === 1 ? { ...period, annee: annee - 1, trimestre: 4 } : { ...period, trimestre: trimestre - 1 }
+  }
+
+  if (type === "semestre") {
+    return semestre === 1 ? { ...period, annee: annee - 1, semestre: 2 } : { ...period, semestre: 1 }
+  }
+
+  return { ...period, annee: annee - 1 }
+}
+
+// Filtre MongoDB correspondant à une liste de mois
+const buildPeriodMatch = (months) => {
+  const byYear = months.reduce((acc, { annee, mois }) => {
+    acc[annee] = acc[annee] || []
+    acc[annee].push(mois)
+    return acc
+  }, {})
+
+  const conditions = Object.entries(byYear).map(([annee, moisList]) => ({
+    "periode.annee": Number.parseInt(annee),
+    "periode.mois": { $in: moisList },
+  }))
+
+  return conditions.length === 1 ? conditions[0] : { $or: conditions }
+}
+
+// Libellé lisible d'une période
+const formatPeriod = ({ type, annee, mois, trimestre, semestre, debutExercice = 1 }) => {
+  const suffix = debutExercice === 1 ? `${annee}` : `${annee}/${annee + 1}`
+
+  switch (type) {
+    case "mois":
+      return `${String(mois).padStart(2, "0")}/${annee}`
+    case "trimestre":
+      return `T${trimestre} ${suffix}`
+    case "semestre":
+      return `S${semestre} ${suffix}`
+    case "exercice":
+      return `Exercice ${suffix}`
+    default:
+      return `${annee}`
+  }
+}
+
+// Construction d'une période à partir des paramètres de requête
+const parsePeriodQuery = (queryParams) => {
+  const now = new Date()
+  const type = queryParams.periode || "mois"
+  const debutExercice = queryParams.debutExercice ? Number.parseInt(queryParams.debutExercice) : getFiscalStartMonth()
+  const mois = queryParams.mois ? Number.parseInt(queryParams.mois) : now.getMonth() + 1
+
+  // Rang du mois courant dans l'exercice, pour les valeurs par défaut
+  const rangDansExercice = (mois - debutExercice + 12) % 12
+  const anneeParDefaut = mois < debutExercice ? now.getFullYear() - 1 : now.getFullYear()
+  const annee = queryParams.annee
+    ? Number.parseInt(queryParams.annee)
+    : type === "mois" || type === "annee"
+      ? now.getFullYear()
+      : anneeParDefaut
+
+  const trimestre = queryParams.trimestre
+    ? Number.parseInt(queryParams.trimestre)
+    : Math.floor(rangDansExercice / 3) + 1
+  const semestre = queryParams.semestre ? Number.parseInt(queryParams.semestre) : Math.floor(rangDansExercice / 6) + 1
+
+  return { type, annee, mois, trimestre, semestre, debutExercice }
+}
+
+module.exports = {
+  PERIOD_TYPES,
+  getFiscalStartMonth,
+  shiftMonth,
+  periodOfDate,
+  getPeriodMonths,
+  getPreviousPeriod,
+  buildPeriodMatch,
+  formatPeriod,
+  parsePeriodQuery,
+}
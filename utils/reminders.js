@@ -0,0 +1,183 @@
+const { users, performances, reminders } = require("../repositories")
+const sendEmail = require("./sendEmail")
+const { getNotificationRecipients } = require("./teamScope")
+const { shiftMonth, formatPeriod } = require("./periods")
+const { reminderConfig } = require("../config/reminders")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Délai au-delà duquel une tentative d'envoi inachevée peut être reprise par une autre instance
+const RETRY_CLAIM_MS = 10 * 60 * 1000
+
+// Statuts pour lesquels la saisie du mois est considérée comme transmise
+const SUBMITTED_STATUSES = ["soumis", "valide"]
+
+// Utilisateurs actifs n'ayant pas transmis leurs performances pour un mois
+// (aucune saisie, brouillon non soumis ou saisie rejetée à corriger)
+// utilisateurs : restreindre à une liste d'identifiants (null : tous)
+const findMissingSubmissions = async ({ annee, mois }, utilisateurs = null) => {
+  const finPeriode = new Date(annee, mois, 1)
+
+  const concernes = await users.find(
+    {
+      statut: "actif",
+      role: { $ne: "admin" },
+      // Les comptes créés après la période ne sont pas concernés
+      createdAt: { $lt: finPeriode },
+      ...(utilisateurs && { _id: { $in: utilisateurs } }),
+    },
+    { select: "nom prenom email departement manager", sort: { nom: 1, prenom: 1 } },
+  )
+
+  const saisies = await performances.find(
+    {
+      utilisateur: { $in: concernes.map((user) => user._id) },
+      "periode.annee": annee,
+      "periode.mois": mois,
+    },
+    { select: "utilisateur statut" },
+  )
+
+  const statutParUtilisateur = new Map(saisies.map((perf) => [perf.utilisateur.toString(), perf.statut]))
+
+  return concernes
+    .filter((user) => !SUBMITTED_STATUSES.includes(statutParUtilisateur.get(user._id.toString())))
+    .map((user) => ({
+      utilisateur: user,
+      saisie: statutParUtilisateur.get(user._id.toString()) || "absente",
+    }))
+}
+
+// Enregistrer puis envoyer un rappel ; l'index unique empêche tout double envoi,
+// y compris lorsque plusieurs instances traitent la même période.
+// Un rappel dont l'email a échoué (emailEnvoye à false) est renvoyé au passage suivant.
+// Retourne true si l'email a été envoyé
+const sendOnce = async ({ type, utilisateur, destinataire, periode }, email) => {
+  let reminder
+  try {
+    reminder = await reminders.create({
+      type,
+      utilisateur: utilisateur._id,
+      destinataire: destinataire._id,
+      periode,
+      dateTentative: new Date(),
+    })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+
+    // Rappel déjà enregistré : seul un envoi échoué est repris, par une seule instance à la fois
+    const now = Date.now()
+    reminder = await reminders.findOneAndUpdate(
+      {
+        type,
+        utilisateur: utilisateur._id,
+        destinataire: destinataire._id,
+        "periode.annee": periode.annee,
+        "periode.mois": periode.mois,
+        emailEnvoye: false,
+        $or: [{ dateTentative: { $exists: false } }, { dateTentative: { $lte: new Date(now - RETRY_CLAIM_MS) } }],
+      },
+      { $set: { dateTentative: new Date(now) } },
+    )
+    if (!reminder) return false
+  }
+
+  try {
+    await sendEmail({ to: destinataire.email, ...email })
+    reminder.emailEnvoye = true
+    await reminder.save()
+  } catch (emailError) {
+    console.error("Erreur envoi email rappel:", emailError)
+  }
+
+  return reminder.emailEnvoye
+}
+
+// Rappel au commercial
+const sendSubmissionReminder = (user, periode) => {
+  const libelle = formatPeriod({ type: "mois", ...periode })
+
+  return sendOnce(
+    { type: "rappel", utilisateur: user, destinataire: user, periode },
+    {
+      subject: `WAWTELECOM - Saisie de vos performances ${libelle}`,
+      text:
+        `Bonjour ${user.prenom},\n\n` +
+        `Vos performances de ${libelle} n'ont pas encore été soumises.\n` +
+        "Merci de les saisir et de les soumettre dès que possible depuis votre tableau de bord.",
+    },
+  )
+}
+
+// Escalade au manager du commercial
+const sendEscalation = async (user, periode) => {
+  const libelle = formatPeriod({ type: "mois", ...periode })
+  let sent = 0
+
+  for (const recipient of await getNotificationRecipients(user)) {
+    const created = await sendOnce(
+      { type: "escalade", utilisateur: user, destinataire: recipient, periode },
+      {
+        subject: `WAWTELECOM - Performances ${libelle} non soumises : ${user.prenom} ${user.nom}`,
+        text:
+          `Bonjour ${recipient.prenom},\n\n` +
+          `${user.prenom} ${user.nom} n'a toujours pas soumis ses performances de ${libelle}, ` +
+          `malgré un rappel envoyé il y a plus de ${reminderConfig.delaiEscalade} jours.`,
+      },
+    )
+    if (created) sent++
+  }
+
+  return sent
+}
+
+// Traitement des rappels : mois en cours à l'approche de sa fin, et mois précédent resté incomplet
+const runSubmissionReminders = async (now = new Date()) => {
+  const { joursAvantFinMois, delaiEscalade } = reminderConfig
+  const courant = { annee: now.getFullYear(), mois: now.getMonth() + 1 }
+  const precedent = shiftMonth(courant.annee, courant.mois, -1)
+  const finMoisCourant = new Date(courant.annee, courant.mois, 1)
+  const limiteEscalade = new Date(now.getTime() - delaiEscalade * DAY_MS)
+
+  const resultat = { rappels: 0, escalades: 0 }
+
+  for (const periode of [precedent, courant]) {
+    const enFinDeMois = periode === precedent || finMoisCourant.getTime() - now.getTime() <= joursAvantFinMois * DAY_MS
+    if (!enFinDeMois) continue
+
+    const missing = await findMissingSubmissions(periode)
+
+    for (const { utilisateur } of missing) {
+      if (await sendSubmissionReminder(utilisateur, periode)) resultat.rappels++
+    }
+
+    // Escalade des rappels effectivement envoyés et restés sans effet après le délai de grâce
+    const rappelsEchus = await reminders.find(
+      {
+        type: "rappel",
+        emailEnvoye: true,
+        utilisateur: { $in: missing.map(({ utilisateur }) => utilisateur._id) },
+        "periode.annee": periode.annee,
+        "periode.mois": periode.mois,
+        createdAt: { $lte: limiteEscalade },
+      },
+      { select: "utilisateur" },
+    )
+
+    const echus = new Set(rappelsEchus.map((rappel) => rappel.utilisateur.toString()))
+
+    for (const { utilisateur } of missing) {
+      if (echus.has(utilisateur._id.toString())) {
+        resultat.escalades += await sendEscalation(utilisateur, periode)
+      }
+    }
+  }
+
+  return resultat
+}
+
+module.exports = {
+  SUBMITTED_STATUSES,
+  findMissingSubmissions,
+  runSubmissionReminders,
+}
@@ -0,0 +1,73 @@
+const os = require("os")
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const { jobLocks } = require("../repositories")
+const { isMemoryStorage } = require("../config/storage")
+const { runSubmissionReminders } = require("./reminders")
+const { reminderConfig } = require("../config/reminders")
+
+// Identifiant de cette instance du service pour les verrous partagés
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`
+
+const JOBS = [
+  {
+    nom: "rappels-saisie",
+    run: runSubmissionReminders,
+  },
+]
+
+let timer = null
+
+// Exécuter une tâche si aucune autre instance ne la traite déjà
+const runJob = async (job) => {
+  const dureeVerrou = reminderConfig.dureeVerrou * 60 * 1000
+  if (!(await jobLocks.acquire(job.nom, INSTANCE_ID, dureeVerrou))) return null
+
+  try {
+    const resultat = await job.run()
+    console.log(`⏰ Tâche ${job.nom} exécutée:`, resultat)
+    return resultat
+  } finally {
+    await jobLocks.release(job.nom, INSTANCE_ID)
+  }
+}
+
+const tick = async () => {
+  // Attendre que la connexion à la base soit établie (aucune avec le stockage en mémoire)
+  if (!isMemoryStorage() && mongoose.connection.readyState !== 1) return
+
+  for (const job of JOBS) {
+    try {
+      await runJob(job)
+    } catch (error) {
+      console.error(`Erreur tâche planifiée ${job.nom}:`, error)
+    }
+  }
+}
+
+// Déclencher une tâche à la demande (mêmes garanties que l'exécution planifiée)
+const triggerJob = (nom) => runJob(JOBS.find((job) => job.nom === nom))
+
+// Démarrer le planificateur
+const startScheduler = () => {
+  if (timer || !reminderConfig.actif) return
+
+  timer = setInterval(tick, reminderConfig.intervalle * 60 * 1000)
+  // Ne pas empêcher l'arrêt du processus
+  timer.unref()
+
+  // Première vérification peu après le démarrage
+  setTimeout(tick, 30 * 1000).unref()
+}
+
+// Arrêter le planificateur
+const stopScheduler = () => {
+  if (timer) clearInterval(timer)
+  timer = null
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  triggerJob,
+}
@@ -0,0 +1,47 @@
+const nodemailer = require("nodemailer")
+
+let transporter
+
+// Création paresseuse du transporteur SMTP
+const getTransporter = () => {
+  if (transporter) return transporter
+
+  if (process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number.parseInt(process.env.SMTP_PORT || "587"),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD,
+          }
+        : undefined,
+    })
+  } else {
+    // Sans configuration SMTP, les emails sont simplement journalisés
+    transporter = nodemailer.createTransport({ jsonTransport: true })
+  }
+
+  return transporter
+}
+
+// Envoi d'un email
+const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || "WAWTELECOM <no-reply@wawtelecom.com>",
+    to,
+    subject,
+    text,
+    html,
+  })
+
+  if (!process.env.SMTP_HOST) {
+    console.log(`📧 Email (non envoyé, SMTP non configuré) à ${to}: ${subject}`)
+    console.log(text)
+  }
+
+  return info
+}
+
+module.exports = sendEmail
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose")
+const { users } = require("../repositories")
+
+// Identifiants des utilisateurs dont le demandeur peut consulter les données
+// Retourne null pour un administrateur (vue globale)
+const getAccessibleUserIds = async (requester) => {
+  if (requester.role === "admin") return null
+
+  const selfId = new mongoose.Types.ObjectId(requester.id)
+
+  if (requester.role === "manager") {
+    const subordinateIds = await users.getSubordinateIds(requester.id)
+    return [selfId, ...subordinateIds]
+  }
+
+  return [selfId]
+}
+
+// Vérifier si le demandeur peut consulter les données d'un utilisateur
+const canAccessUser = async (requester, userId) => {
+  const accessibleIds = await getAccessibleUserIds(requester)
+  if (accessibleIds === null) return true
+  return accessibleIds.some((id) => id.toString() === userId.toString())
+}
+
+// Vérifier si le demandeur encadre un utilisateur (admin ou manager de son équipe, hors lui-même)
+const canManageUser = async (requester, userId) => {
+  if (requester.role === "admin") return true
+  if (requester.role !== "manager" || requester.id === userId.toString()) return false
+
+  const subordinateIds = await users.getSubordinateIds(requester.id)
+  return subordinateIds.some((id) => id.toString() === userId.toString())
+}
+
+// Intersection de deux listes d'identifiants (null signifie "tous")
+const intersectIds = (ids, otherIds) => {
+  if (ids === null) return otherIds
+  const allowed = new Set(otherIds.map((id) => id.toString()))
+  return ids.filter((id) => allowed.has(id.toString()))
+}
+
+// Identifiants des utilisateurs visés par des filtres équipe / département / rôle / utilisateur,
+// limités au périmètre du demandeur (requester null : aucune restriction de périmètre).
+// Retourne null lorsque aucun filtre ne restreint la population.
+const getScopedUserIds = async (requester, { equipe, departement, role, utilisateur } = {}) => {
+  let ids = requester ? await getAccessibleUserIds(requester) : null
+
+  if (equipe) {
+    const subordinateIds = await users.getSubordinateIds(equipe)
+    ids = intersectIds(ids, [new mongoose.Types.ObjectId(equipe), ...subordinateIds])
+  }
+
+  if (departement) {
+    const members = await users.find({ departement }, { select: "_id" })
+    const memberIds = members.map((member) => member._id)
+    ids = intersectIds(ids, memberIds)
+  }
+
+  if (role) {
+    const members = await users.find({ role }, { select: "_id" })
+    const memberIds = members.map((member) => member._id)
+    ids = intersectIds(ids, memberIds)
+  }
+
+  if (utilisateur) {
+    ids = intersectIds(ids, [new mongoose.Types.ObjectId(utilisateur)])
+  }
+
+  return ids
+}
+
+// Destinataires des notifications concernant un utilisateur : son manager direct, à défaut les administrateurs
+const getNotificationRecipients = async (user) => {
+  if (user.manager) {
+    const manager = await users.findById(user.manager)
+    if (manager && manager.statut === "actif") return [manager]
+  }
+  return users.find({ role: "admin", statut: "actif" })
+}
+
+module.exports = {
+  getAccessibleUserIds,
+  canAccessUser,
+  canManageUser,
+  getScopedUserIds,
+  getNotificationRecipients,
+}